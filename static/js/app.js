@@ -59,19 +59,34 @@
  * <br />
  * <pre>
  * Table of contents
- * - Script-globals             Line 0085
+ * - Script-globals             Line 0100
  * - Enums
- *   - Utility                  Line 0120
- *   - Text                     Line 0141
- *   - Classes                  Line 0179
- *   - Operations               Line 0317
+ *   - Utility                  Line 0135
+ *   - Text                     Line 0173
+ *   - Locales                  Line 0283
+ *   - Translations             Line 0312
+ *   - Classes                  Line 0478
+ *   - Operations               Line 0679
+ *   - States                   Line 0740
+ *   - Transitions              Line 0773
+ *   - ErrorTypes               Line 0851
+ *   - ToastTypes               Line 0873
+ *   - ContactTypes             Line 0909
+ *   - Schemas                  Line 0974
+ *   - Migrations               Line 1190
+ *   - ContentSources           Line 1224
+ *   - Tokens                   Line 1275
+ *   - ResumeSections           Line 1293
+ *   - ResumeFormats            Line 1313
+ *   - JsonResumeSections       Line 1342
+ *   - QrErrorCorrection        Line 1379
  * - Function groups
- *   - Utility functions        Line 0364
- *   - Assembly functions       Line 0859
- *   - Builder functions        Line 1508
- *   - Handler functions        Line 2376
- *   - Main function            Line 2514
- *   - Public functions         Line 2576
+ *   - Utility functions        Line 1393
+ *   - Assembly functions       Line 6807
+ *   - Builder functions        Line 7866
+ *   - Handler functions        Line 9499
+ *   - Main function            Line 10085
+ *   - Public functions         Line 10261
  * </pre>
  *
  * @see {@link //google.github.io/styleguide/jsguide.html|Styleguide #1}
@@ -118,12 +133,28 @@ const Module = (function () {
    * @const
    */
   const Utility = Object.freeze({
-    FADE_IN_INTERVAL: 8,                  // Joint fade/swipe right rate (ms)
-    INITIAL_FADE_IN_INTERVAL: 50,         // Initial page load time (ms)
-    OPACITY_INCREASE_AMOUNT: 0.035,       // Amount to increase/decrease opacity
-    SWIPE_INTERVAL_TIME: 2000,            // Max time permitted for swipe right
-    CHECK_OPACITY_RATE: 500,              // Rate at which we check opacity == 0
+    TRANSITION_DURATION: 250,             // Length of each leave/enter (ms)
+    INITIAL_TRANSITION_DURATION: 600,     // Initial page load fade in (ms)
+    SLIDE_DISTANCE: 60,                   // Horizontal offset of slides (px)
+    REDUCED_TRANSITION_DURATION: 100,     // Reduced motion opacity change (ms)
+    SWIPE_AXIS_LOCK_DISTANCE: 10,         // Travel before axis decided (px)
+    SWIPE_COMMIT_RATIO: 0.25,             // Share of width to commit swipe
+    SWIPE_COMMIT_VELOCITY: 0.5,           // Speed to commit swipe (px/ms)
+    SWIPE_EDGE_RESISTANCE: 3,             // Drag divisor with no scene beyond
     IMAGE_MIN_WIDTH: 992,                 // Home panel image minimum width (px)
+    PREFETCH_IDLE_TIMEOUT: 2000,          // Longest wait for idle period (ms)
+    PREFETCH_FALLBACK_DELAY: 200,         // Delay sans requestIdleCallback (ms)
+    REQUEST_TIMEOUT: 8000,                // Time before request aborted (ms)
+    REQUEST_RETRIES: 2,                   // Retries of failed GET requests
+    RETRY_BASE_DELAY: 300,                // Initial delay between retries (ms)
+    PAGE_CACHE_LIMIT: 5,                  // Most assembled scenes kept cached
+    CACHE_VERSION: 2,                     // Format of persisted scene data
+    FORMAT_VERSION: 3,                    // Format of content files
+    QR_MAX_VERSION: 40,                   // Largest QR code version (size)
+    QR_QUIET_ZONE: 4,                     // Margin about QR code (modules)
+    VCARD_LINE_LENGTH: 75,                // Longest vCard line (octets)
+    TOAST_DURATION: 5000,                 // Time before toast dismissed (ms)
+    TOAST_LIMIT: 3,                       // Most toasts shown at once
   });
 
   /**
@@ -131,30 +162,298 @@ const Module = (function () {
    * that are not housed in <code>json</code> files. Generally, the vast
    * majority of these <code>String</code>s are used in <code>console.log</code>
    * invocations to display status messages in cases wherein <code>DEBUG</code>
-   * is set to <code>true</code>. Object is made immutable via
-   * <code>Object.freeze</code>.
+   * is set to <code>true</code>. Strings displayed to the user are instead
+   * housed in <code>Translations</code> so as to be shown in the user's chosen
+   * language. Object is made immutable via <code>Object.freeze</code>.
    *
    * @readonly
    * @enum {string}
    * @const
    */
   const Text = Object.freeze({
-    EMAIL_ADDRESSES: 'My Email Addresses',
     IMAGES_FOLDER: 'images',
     IMAGES_LOADED: '$1 image(s) loaded',
     ICON_FORMAT: 'svg',
     LINK_TARGET: '_blank',
-    CONTACT_INFO: 'Contact Information',
+    LINK_REL: 'noopener noreferrer',
+    UNSAFE_LINK: 'Link to "$1" removed, as only http(s) and mailto are allowed',
     EXISTS: '"$1" exists in cache',
     DOES_NOT_EXIST: '"$1" does not exist in cache',
+    REQUEST_IN_FLIGHT: '"$1" already requested',
+    PREFETCHED: '"$1" prefetched',
+    PREFETCH_FAILED: 'Prefetch of "$1" failed',
+    PREFETCH_SKIPPED: 'Prefetching disabled to save data',
     LISTENER_REMOVED: 'Event listener removed',
+    STATE_CHANGED: 'Navigation to "$1" is $2',
+    NAVIGATION_SUPERSEDED: 'Navigation to "$1" superseded',
+    DEFAULT_TRANSITION: 'fade',
+    UNKNOWN_TRANSITION: 'Unknown transition "$1", using default',
+    DEFAULT_SOURCE: 'STATIC',
+    UNKNOWN_SOURCE: 'Unknown content source "$1", using default',
+    REDUCED_MOTION_QUERY: '(prefers-reduced-motion: reduce)',
+    REDUCED_MOTION_KEY: 'reducedMotion',
+    REDUCED_MOTION_CHANGED: 'Reduced motion is $1',
+    CACHE_KEY: 'sceneCache',
+    CACHE_SERVED: '"$1" served from persistent cache',
+    CACHE_UPDATED: '"$1" updated since last visit',
+    CACHE_REVALIDATION_FAILED: 'Unable to revalidate "$1": $2',
+    CACHE_CLEARED: 'Cache cleared',
+    STORAGE_UNAVAILABLE: 'Local storage unavailable',
+    DEFAULT_LOCALE: 'en',
+    LOCALE_KEY: 'locale',
+    LOCALE_CHANGED: 'Language set to "$1"',
+    LOCALE_FALLBACK: '"$1" unavailable, using default language',
     ERROR_GET: 'Unable to acquire JSON data via GET request',
-    ERROR_HEADER: 'Oops!',
-    ERROR_SUBHEADER: 'An error was encountered',
+    ERROR_NETWORK: 'Unable to reach the server for "$1"',
+    ERROR_TIMEOUT: 'Request for "$1" timed out after $2 ms',
+    ERROR_HTTP: 'Request for "$1" failed with status $2 $3',
+    ERROR_PARSE: 'Response for "$1" is not valid JSON',
+    ERROR_FAILURE: 'Response for "$1" indicated an unsuccessful request',
+    ERROR_TITLE: '$1 error: ',
+    REQUEST_RETRY: 'Retrying "$1" in $2 ms (attempt $3 of $4)',
+    DATA_NAME: 'data',
+    SCHEMA_VIOLATION: '$1: expected $2 at "$3", found $4',
+    SCHEMA_NOTHING: 'nothing',
+    SCHEMA_NEITHER: 'neither',
+    SCHEMA_UNKNOWN: 'a recognized property',
+    SCHEMA_PATTERN: 'a string matching $1',
+    FORMAT_INVALID: '$1: format version "$2" is not a positive integer',
+    FORMAT_UNSUPPORTED: '$1: format version $2 is newer than the latest ' +
+      'supported version, $3',
+    FORMAT_MIGRATED: '$1 migrated from format version $2 to $3',
+    TOKEN_UNKNOWN: 'Unknown template token "$1" left as is',
+    TOKEN_UNRESOLVED: 'Template token "$1" could not be resolved',
+    TOKEN_DEPENDENCY_FAILED: 'Unable to load "$1" for template tokens',
     ERROR_EMAIL: 'webmaster@andreweissen.com',
-    ERROR_SUMMARY: 'This site is currently experiencing unresolved technical ' +
-      'difficulties that may be due to ongoing maintenance. Please reload ' +
-      'the page and try again or contact the webmaster for assistance at ',
+    ROUTE_PREFIX: '#/',
+    ROUTE_CHANGED: 'Route changed to "$1"',
+    NOT_FOUND_NAME: 'notfound',
+    OFFLINE_NAME: 'offline',
+    RESUME_NAME: 'resume',
+    RESUME_STYLESHEET: 'css/print.min.css',
+    RESUME_STYLESHEET_FAILED: 'Unable to embed "$1" in the exported resume',
+    RESUME_FILE_NAME: '$1-resume.$2',
+    JSON_RESUME_SCHEMA: 'https://raw.githubusercontent.com/jsonresume/' +
+      'resume-schema/v1.0.0/schema.json',
+    JSON_RESUME_NAME: 'JSON Resume',
+    JSON_RESUME_SITE: 'the site\'s files',
+    JSON_RESUME_UNMAPPED: '$1 has no counterpart in $2 and was left out',
+    JSON_RESUME_FREE_DATE: '$1 "$2" is not a structured date and was left out',
+    JSON_RESUME_DATE: '$1 "$2" is not of the form YYYY, YYYY-MM, or ' +
+      'YYYY-MM-DD and was left out',
+    JSON_RESUME_DAY: '$1 "$2" was shortened to the month, as entries are ' +
+      'not dated by day',
+    JSON_RESUME_NO_DATA: '$1 requires the contents of data.json and was left ' +
+      'out',
+    JSON_RESUME_HIGHLIGHTS: 'Highlights',
+    JSON_RESUME_COURSES: 'Relevant courses',
+    JSON_RESUME_DEGREE: '$1 in $2',
+    JSON_RESUME_EMAIL: 'Email',
+    JSON_RESUME_PHONE: 'Phone',
+    JSON_RESUME_ADDRESS: 'Address',
+    MATRIX_LINK: 'https://matrix.to/#/$1',
+    PGP_FINGERPRINT_URI: 'openpgp4fpr:$1',
+    CLIPBOARD_UNAVAILABLE: 'Unable to access the clipboard',
+    VCARD_VERSION: '4.0',
+    VCARD_TYPE: 'text/vcard',
+    VCARD_FILE_NAME: '$1.vcf',
+    QR_TOO_LONG: 'Unable to fit $1 bytes in a QR code, using site address',
+    SVG_NAMESPACE: 'http://www.w3.org/2000/svg',
+    SERVICE_WORKER: 'sw.js',
+    SERVICE_WORKER_REGISTERED: 'Service worker registered with scope $1',
+    SERVICE_WORKER_FAILED: 'Service worker registration failed: $1',
+  });
+
+  /**
+   * @description This enum lists the languages in which the site may be
+   * displayed, keyed by the language code used for the <code>lang</code>
+   * attribute of the root element, the keys of <code>Translations</code>, and
+   * the directories of translated JSON files (i.e. <code>json/de/</code>). Each
+   * language's name is given in that language for display in the header's
+   * language switcher, and its script direction, either "ltr" or "rtl," is
+   * applied to the root element's <code>dir</code> attribute. The language
+   * denoted by <code>Text.DEFAULT_LOCALE</code> has its files housed in
+   * <code>json/</code> itself. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const Locales = Object.freeze({
+    en: Object.freeze({
+      name: 'English',
+      dir: 'ltr',
+    }),
+    de: Object.freeze({
+      name: 'Deutsch',
+      dir: 'ltr',
+    }),
+  });
+
+  /**
+   * @description This enum contains the strings displayed to the user that are
+   * not housed in <code>json</code> files, translated into each of the
+   * languages listed in <code>Locales</code>. Strings are retrieved via
+   * <code>inaccessible.localize</code>, which falls back to the default
+   * language for any string left untranslated and replaces the
+   * <code>$1</code>, <code>$2</code>, etc. placeholders with the values
+   * provided. Strings whose wording depends on a number are given as objects
+   * keyed by the plural categories of <code>Intl.PluralRules</code>, i.e.
+   * "one" and "other" in English, with the first value determining the form
+   * used. Messages logged to the console in <code>DEBUG</code> mode are meant
+   * for the developer alone, and so remain untranslated in <code>Text</code>.
+   * Object is made immutable via <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const Translations = Object.freeze({
+    en: Object.freeze({
+      LANGUAGE_LABEL: 'Language',
+      MENU_LABEL: 'Menu',
+      EMAIL_ADDRESSES: 'My Email Addresses',
+      CONTACT_DETAILS: 'My Contact Details',
+      CONTACT_INFO: 'Contact Information',
+      COPY: 'Copy',
+      COPY_LABEL: 'Copy $1',
+      COPIED: '$1 copied to the clipboard',
+      COPY_FAILED: 'Unable to copy $1',
+      DISMISS: 'Dismiss',
+      AVATAR_ALT: '$1 avatar',
+      REDUCED_MOTION_TOGGLE: 'Reduce motion',
+      SCENE_ANNOUNCEMENT: '$1 page loaded',
+      SCENE_UPDATED: '$1 page updated',
+      SHORTCUTS_TITLE: 'Keyboard shortcuts',
+      SHORTCUTS_CLOSE: 'Close',
+      SHORTCUT_PREVIOUS: 'Previous scene',
+      SHORTCUT_NEXT: 'Next scene',
+      SHORTCUT_JUMP: 'Go to the numbered scene',
+      SHORTCUT_HOME: 'Go to the homepage',
+      SHORTCUT_HELP: 'Show or hide this list',
+      ERROR_HEADER: 'Oops!',
+      ERROR_SUBHEADER: 'An error was encountered',
+      ERROR_SUMMARY: 'This site is currently experiencing unresolved ' +
+        'technical difficulties that may be due to ongoing maintenance. ' +
+        'Please reload the page and try again or contact the webmaster for ' +
+        'assistance at ',
+      ERROR_DETAILS: 'Error details',
+      NOT_FOUND_HEADER: '404',
+      NOT_FOUND_SUBHEADER: 'Page not found',
+      NOT_FOUND_SUMMARY: 'The page you requested does not exist or may have ' +
+        'been moved. Please check the address or return to the ',
+      NOT_FOUND_LINK: 'homepage',
+      OFFLINE_HEADER: 'Offline',
+      OFFLINE_SUBHEADER: 'This page is not available offline',
+      OFFLINE_SUMMARY: 'Your connection appears to have been lost. Pages ' +
+        'you have visited previously remain available, while this one can ' +
+        'be loaded once you are back online.',
+      OFFLINE_RETRY: 'Try again',
+      OFFLINE_NOTICE: 'You are offline. Pages you have visited remain ' +
+        'available.',
+      OFFLINE_STILL: 'You are still offline',
+      ONLINE_NOTICE: 'You are back online',
+      DATE_RANGE: '$1 – $2',
+      DATE_SINCE: 'since $1',
+      DATE_DURATION: '$1 · $2',
+      DURATION_YEARS: {
+        one: '$1 yr',
+        other: '$1 yrs',
+      },
+      DURATION_MONTHS: {
+        one: '$1 mo',
+        other: '$1 mos',
+      },
+      RESUME_LINK: 'Resume',
+      RESUME_TITLE: '$1 – Resume',
+      RESUME_HINT: 'Uncheck any section or entry to leave it out of the ' +
+        'printed and downloaded resume.',
+      RESUME_PRINT: 'Print',
+      RESUME_DOWNLOAD_HTML: 'Download HTML',
+      RESUME_DOWNLOAD_TEXT: 'Download text',
+      RESUME_EXPORT_FAILED: 'Unable to download the resume',
+      CONTACT_CARD: 'Save My Details',
+      CONTACT_CARD_HINT: 'Scan the code with a phone camera or save the ' +
+        'contact card to add my details to your address book.',
+      CONTACT_SAVE: 'Save contact',
+      QR_OPTIONS: 'QR code contents',
+      QR_VCARD: 'Contact card',
+      QR_SITE: 'Website',
+      QR_LABEL: 'QR code: $1',
+    }),
+    de: Object.freeze({
+      LANGUAGE_LABEL: 'Sprache',
+      MENU_LABEL: 'Menü',
+      EMAIL_ADDRESSES: 'Meine E-Mail-Adressen',
+      CONTACT_DETAILS: 'Meine Kontaktdaten',
+      CONTACT_INFO: 'Kontaktinformationen',
+      COPY: 'Kopieren',
+      COPY_LABEL: '$1 kopieren',
+      COPIED: '$1 in die Zwischenablage kopiert',
+      COPY_FAILED: '$1 konnte nicht kopiert werden',
+      DISMISS: 'Schließen',
+      AVATAR_ALT: 'Avatar: $1',
+      REDUCED_MOTION_TOGGLE: 'Bewegung reduzieren',
+      SCENE_ANNOUNCEMENT: 'Seite $1 geladen',
+      SCENE_UPDATED: 'Seite $1 aktualisiert',
+      SHORTCUTS_TITLE: 'Tastenkürzel',
+      SHORTCUTS_CLOSE: 'Schließen',
+      SHORTCUT_PREVIOUS: 'Vorherige Seite',
+      SHORTCUT_NEXT: 'Nächste Seite',
+      SHORTCUT_JUMP: 'Zur nummerierten Seite wechseln',
+      SHORTCUT_HOME: 'Zur Startseite wechseln',
+      SHORTCUT_HELP: 'Diese Liste ein- oder ausblenden',
+      ERROR_HEADER: 'Hoppla!',
+      ERROR_SUBHEADER: 'Ein Fehler ist aufgetreten',
+      ERROR_SUMMARY: 'Auf dieser Website bestehen derzeit technische ' +
+        'Schwierigkeiten, die möglicherweise auf laufende Wartungsarbeiten ' +
+        'zurückzuführen sind. Bitte laden Sie die Seite neu und versuchen ' +
+        'Sie es erneut oder wenden Sie sich an den Webmaster unter ',
+      ERROR_DETAILS: 'Fehlerdetails',
+      NOT_FOUND_SUBHEADER: 'Seite nicht gefunden',
+      NOT_FOUND_SUMMARY: 'Die angeforderte Seite existiert nicht oder wurde ' +
+        'möglicherweise verschoben. Bitte überprüfen Sie die Adresse oder ' +
+        'wechseln Sie zur ',
+      NOT_FOUND_LINK: 'Startseite',
+      OFFLINE_SUBHEADER: 'Diese Seite ist offline nicht verfügbar',
+      OFFLINE_SUMMARY: 'Ihre Verbindung scheint unterbrochen worden zu sein. ' +
+        'Bereits besuchte Seiten bleiben verfügbar, während diese geladen ' +
+        'werden kann, sobald Sie wieder online sind.',
+      OFFLINE_RETRY: 'Erneut versuchen',
+      OFFLINE_NOTICE: 'Sie sind offline. Bereits besuchte Seiten bleiben ' +
+        'verfügbar.',
+      OFFLINE_STILL: 'Sie sind weiterhin offline',
+      ONLINE_NOTICE: 'Sie sind wieder online',
+      DATE_SINCE: 'seit $1',
+      DURATION_YEARS: {
+        one: '$1 J.',
+        other: '$1 J.',
+      },
+      DURATION_MONTHS: {
+        one: '$1 Mon.',
+        other: '$1 Mon.',
+      },
+      RESUME_LINK: 'Lebenslauf',
+      RESUME_TITLE: '$1 – Lebenslauf',
+      RESUME_HINT: 'Entfernen Sie das Häkchen eines Abschnitts oder ' +
+        'Eintrags, um ihn im gedruckten und heruntergeladenen Lebenslauf ' +
+        'auszulassen.',
+      RESUME_PRINT: 'Drucken',
+      RESUME_DOWNLOAD_HTML: 'HTML herunterladen',
+      RESUME_DOWNLOAD_TEXT: 'Text herunterladen',
+      RESUME_EXPORT_FAILED: 'Der Lebenslauf konnte nicht heruntergeladen ' +
+        'werden',
+      CONTACT_CARD: 'Meine Kontaktdaten speichern',
+      CONTACT_CARD_HINT: 'Scannen Sie den Code mit der Kamera Ihres ' +
+        'Telefons oder speichern Sie die Kontaktkarte, um meine Daten Ihrem ' +
+        'Adressbuch hinzuzufügen.',
+      CONTACT_SAVE: 'Kontakt speichern',
+      QR_OPTIONS: 'Inhalt des QR-Codes',
+      QR_VCARD: 'Kontaktkarte',
+      QR_SITE: 'Website',
+      QR_LABEL: 'QR-Code: $1',
+    }),
   });
 
   /**
@@ -185,6 +484,10 @@ const Module = (function () {
     GENERAL__ACTIVE: 'active',
     GENERAL__IS_VISIBLE: 'is-visible',
     GENERAL__PLAINLINK: 'plainlink',
+    GENERAL__REDUCED_MOTION: 'reduced-motion',
+    GENERAL__VISUALLY_HIDDEN: 'visually-hidden',
+    GENERAL__INLINE_LINK: 'inline-link',
+    GENERAL__INLINE_CODE: 'inline-code',
 
     // Wrapper selectors
     WRAPPER__CONTAINER: 'container',
@@ -201,6 +504,10 @@ const Module = (function () {
     LOGO__IMAGE: 'logo-img',
     LOGO__TEXT: 'logo-text',
 
+    // Header language switcher selectors
+    LOCALE: 'locale',
+    LOCALE__SELECT: 'locale-select',
+
     // Header nav selectors
     NAV: 'nav',
     NAV__UL: 'nav-ul',
@@ -211,6 +518,17 @@ const Module = (function () {
 
     // Main selector
     MAIN: 'main',
+    MAIN__ANNOUNCER: 'main-announcer',
+
+    // Keyboard shortcuts overlay
+    SHORTCUTS: 'shortcuts',
+    SHORTCUTS__DIALOG: 'shortcuts-dialog',
+    SHORTCUTS__TITLE: 'shortcuts-title',
+    SHORTCUTS__LIST: 'shortcuts-list',
+    SHORTCUTS__KEYS: 'shortcuts-keys',
+    SHORTCUTS__KEY: 'shortcuts-key',
+    SHORTCUTS__DESC: 'shortcuts-description',
+    SHORTCUTS__CLOSE: 'shortcuts-close',
 
     // Error page
     ERROR: 'error',
@@ -221,6 +539,8 @@ const Module = (function () {
     ERROR__TECH: 'error-technical',
     ERROR__TECH_TITLE: 'error-technical-title',
     ERROR__TECH_TEXT: 'error-technical-text',
+    ERROR__TECH_LIST: 'error-technical-list',
+    ERROR__COPY: 'error-copy',
 
     // Footer selectors
     FOOTER: 'footer',
@@ -230,6 +550,8 @@ const Module = (function () {
     FOOTER__TITLE: 'footer-title',
     FOOTER__LOWER: 'footer-lower',
     FOOTER__COPYRIGHT: 'copyright',
+    FOOTER__MOTION_TOGGLE: 'motion-toggle',
+    FOOTER__RESUME_LINK: 'resume-link',
 
     // Home panels
     HOME__LI: 'home-li',
@@ -297,17 +619,57 @@ const Module = (function () {
     ENTRY__LISTING: 'entry-listing',
     ENTRY__LISTING_TITLE: 'entry-listing-title',
     ENTRY__LISTING_TEXT: 'entry-listing-text',
+
+    // Resume scene
+    RESUME: 'resume',
+    RESUME__HEADER: 'resume-header',
+    RESUME__NAME: 'resume-name',
+    RESUME__CONTACT: 'resume-contact',
+    RESUME__CONTACT_ITEM: 'resume-contact-item',
+    RESUME__CONTROLS: 'resume-controls',
+    RESUME__HINT: 'resume-hint',
+    RESUME__ACTIONS: 'resume-actions',
+    RESUME__BUTTON: 'resume-button',
+    RESUME__TOGGLE: 'resume-toggle',
+    RESUME__EXCLUDED: 'resume-excluded',
+    RESUME__SECTION: 'resume-section',
+    RESUME__SECTION_HEADER: 'resume-section-header',
+    RESUME__ENTRY: 'resume-entry',
+    RESUME__ENTRY_HEADER: 'resume-entry-header',
+    RESUME__ENTRY_SUBHEADER: 'resume-entry-subheader',
+    RESUME__ENTRY_DATE: 'resume-entry-date',
+    RESUME__ENTRY_TEXT: 'resume-entry-text',
+
+    // Contact methods
+    CONTACT__ADDRESS: 'contact-address',
+    CONTACT__FINGERPRINT: 'contact-fingerprint',
+    CONTACT__COPY: 'contact-copy',
+
+    // Toast notifications
+    TOASTS: 'toasts',
+    TOAST: 'toast',
+    TOAST__MESSAGE: 'toast-message',
+    TOAST__CLOSE: 'toast-close',
+
+    // Contact card
+    CARD: 'contact-card',
+    CARD__HEADER: 'contact-card-header',
+    CARD__HINT: 'contact-card-hint',
+    CARD__CODE: 'contact-card-code',
+    CARD__OPTIONS: 'contact-card-options',
+    CARD__BUTTON: 'contact-card-button',
   });
 
   /**
    * @description This enum contains a listing of commonly used algebraic
-   * functions primarily for use in the body of the jQuery-esque fading function
-   * <code>inaccessible.fade</code>. The use of this enum, the contents of which
-   * are not expected to change or require redefinition and are thus sealed via
-   * <code>Object.freeze()</code>, removes the need for separate fade in and
-   * fade out functions. Instead, depending on the type of fade being performed,
-   * the appropriate algebraic function can be called from here instead, with
-   * the value returned for use. Basically simulates the passing of an operation
+   * functions primarily for use in the interpolation of animated values by the
+   * transition engine, namely <code>inaccessible.animate</code>. The use of
+   * this enum, the contents of which are not expected to change or require
+   * redefinition and are thus sealed via <code>Object.freeze()</code>,
+   * originally removed the need for separate fade in and fade out functions.
+   * Instead, depending on the type of operation being performed, the
+   * appropriate algebraic function can be called from here instead, with the
+   * value returned for use. Basically simulates the passing of an operation
    * type as an argument.
    *
    * @readonly
@@ -361,6 +723,673 @@ const Module = (function () {
     },
   });
 
+  /**
+   * @description This enum contains the various states through which the
+   * application's scene navigation process may pass. Only a single scene
+   * transition may be underway at any one time, with the current state stored
+   * in <code>inaccessible.navigation</code>. A transition begins by fetching
+   * any required JSON data, then fades out of (or "leaves") the present scene
+   * before mounting the new scene and fading in (or "entering"). Once complete,
+   * the navigation returns to its idle state. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {string}
+   * @const
+   */
+  const States = Object.freeze({
+    IDLE: 'idle',
+    FETCHING: 'fetching',
+    LEAVING: 'leaving',
+    ENTERING: 'entering',
+  });
+
+  /**
+   * @description This enum contains the named transition effects that may be
+   * used when changing from one scene to another. Each scene listed in
+   * <code>data.json</code>'s <code>home.array</code> may specify one of these
+   * via its optional <code>transition</code> property (i.e.
+   * <code>"transition": "slideLeft"</code>), with <code>Text</code>'s default
+   * used otherwise.
+   * <br />
+   * <br />
+   * Effects are described declaratively rather than as functions. The
+   * <code>leave</code> frame is the state to which the outgoing scene is
+   * animated, <code>start</code> is the state from which the incoming scene
+   * begins, and <code>enter</code> the state in which it comes to rest. Offsets
+   * are expressed as multiples of <code>Utility.SLIDE_DISTANCE</code> in the
+   * direction of travel, which is either fixed by the effect or, if
+   * <code>null</code>, determined by the relative positions of the present and
+   * requested scenes in <code>home.array</code>. Effects that
+   * <code>overlap</code> animate both scenes at once rather than in sequence.
+   * The <code>REDUCED</code> effect is used in place of all others for users
+   * preferring reduced motion. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const Transitions = Object.freeze({
+    NONE: Object.freeze({
+      duration: 0,
+      direction: 1,
+      overlap: false,
+      leave: {opacity: 1, offset: 0},
+      start: {opacity: 1, offset: 0},
+      enter: {opacity: 1, offset: 0},
+    }),
+    FADE: Object.freeze({
+      duration: Utility.TRANSITION_DURATION,
+      direction: 1,
+      overlap: false,
+      leave: {opacity: 0, offset: 0},
+      start: {opacity: 0, offset: 0},
+      enter: {opacity: 1, offset: 0},
+    }),
+    CROSSFADE: Object.freeze({
+      duration: Utility.TRANSITION_DURATION,
+      direction: 1,
+      overlap: true,
+      leave: {opacity: 0, offset: 0},
+      start: {opacity: 0, offset: 0},
+      enter: {opacity: 1, offset: 0},
+    }),
+    SLIDE: Object.freeze({
+      duration: Utility.TRANSITION_DURATION,
+      direction: null,
+      overlap: false,
+      leave: {opacity: 0, offset: -1},
+      start: {opacity: 0, offset: 1},
+      enter: {opacity: 1, offset: 0},
+    }),
+    SLIDE_LEFT: Object.freeze({
+      duration: Utility.TRANSITION_DURATION,
+      direction: 1,
+      overlap: false,
+      leave: {opacity: 0, offset: -1},
+      start: {opacity: 0, offset: 1},
+      enter: {opacity: 1, offset: 0},
+    }),
+    SLIDE_RIGHT: Object.freeze({
+      duration: Utility.TRANSITION_DURATION,
+      direction: -1,
+      overlap: false,
+      leave: {opacity: 0, offset: -1},
+      start: {opacity: 0, offset: 1},
+      enter: {opacity: 1, offset: 0},
+    }),
+    REDUCED: Object.freeze({
+      duration: Utility.REDUCED_TRANSITION_DURATION,
+      direction: 1,
+      overlap: false,
+      leave: {opacity: 0, offset: 0},
+      start: {opacity: 0, offset: 0},
+      enter: {opacity: 1, offset: 0},
+    }),
+  });
+
+  /**
+   * @description This enum contains the types of errors with which requests
+   * made via <code>inaccessible.sendRequest</code> may reject, each denoting a
+   * different point of failure. Network errors indicate that the server could
+   * not be reached at all, timeouts that it did not respond in time, HTTP
+   * errors that it responded with an unsuccessful status code, parse errors
+   * that the response was not valid JSON, and failures that the JSON response
+   * itself reported <code>success</code> to be <code>false</code>. Schema
+   * errors are raised once a file has been received if its contents do not
+   * match the shape described in the <code>Schemas</code> enum, and format
+   * errors if the file's <code>formatVersion</code> is not one the application
+   * is able to migrate. The type is displayed as part of the error scene's
+   * technical details. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {string}
+   * @const
+   */
+  const ErrorTypes = Object.freeze({
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    HTTP: 'HTTP',
+    PARSE: 'parse',
+    FAILURE: 'response',
+    SCHEMA: 'schema',
+    FORMAT: 'format',
+  });
+
+  /**
+   * @description This enum lists the types of toast notification displayed by
+   * <code>inaccessible.showToast</code>, each naming the modifier by which
+   * the toast is styled, i.e. <code>toast-error</code>, and the ARIA role by
+   * which it is announced. Confirmations and notices are announced once the
+   * screen reader falls silent, while failures interrupt it as alerts. Object
+   * is made immutable via <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const ToastTypes = Object.freeze({
+    SUCCESS: Object.freeze({modifier: 'success', role: 'status'}),
+    INFO: Object.freeze({modifier: 'info', role: 'status'}),
+    ERROR: Object.freeze({modifier: 'error', role: 'alert'}),
+  });
+
+  /**
+   * @description This enum lists the types of contact method that may be
+   * listed in <code>details.contacts</code> of <code>data.json</code>, each
+   * naming the assembly function by which a method of that type is rendered
+   * and the schema its <code>value</code> must match. Email addresses,
+   * telephone numbers, and Matrix handles are rendered as links opening the
+   * visitor's mail, phone, or chat client, while sites open in a new tab.
+   * Postal addresses, given as an object of <code>street</code>,
+   * <code>locality</code>, and optionally <code>region</code>,
+   * <code>postalCode</code>, and <code>country</code>, are formatted as
+   * lines of text without a map. PGP fingerprints are shown in groups of four.
+   * Object is made immutable via <code>Object.freeze</code>.
+   * <br />
+   * <br />
+   * Contact methods are styled as seen below, with <code>footer</code>
+   * denoting methods also listed in the footer's meta section:
+   * <br />
+   * <pre>
+   * {
+   *   "type": "email",
+   *   "title": "Personal",
+   *   "value": "andrew@andreweissen.com",
+   *   "footer": true
+   * }
+   * </pre>
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const ContactTypes = Object.freeze({
+    email: Object.freeze({
+      renderer: 'assembleEmailContact',
+      value: {type: 'string', pattern: /^[^@\s]+@[^@\s]+$/},
+    }),
+    url: Object.freeze({
+      renderer: 'assembleUrlContact',
+      value: {type: 'string'},
+    }),
+    phone: Object.freeze({
+      renderer: 'assemblePhoneContact',
+      value: {type: 'string', pattern: /^\+?[\d\s().-]{3,}$/},
+    }),
+    address: Object.freeze({
+      renderer: 'assembleAddressContact',
+      value: {
+        type: 'object',
+        properties: {
+          street: {type: 'string'},
+          locality: {type: 'string'},
+          region: {type: 'string', optional: true},
+          postalCode: {type: 'string', optional: true},
+          country: {type: 'string', optional: true},
+        },
+      },
+    }),
+    pgp: Object.freeze({
+      renderer: 'assemblePgpContact',
+      value: {type: 'string', pattern: /^[\dA-F]{4}(?: ?[\dA-F]{4}){9}$/i},
+    }),
+    matrix: Object.freeze({
+      renderer: 'assembleMatrixContact',
+      value: {type: 'string', pattern: /^@[^:\s]+:\S+$/},
+    }),
+  });
+
+  /**
+   * @description This enum contains the schemas against which the contents of
+   * the JSON files are checked by <code>inaccessible.validate</code> on being
+   * loaded, ensuring that malformed data is reported with the location of the
+   * problem rather than producing errors deep within the builder functions or
+   * incomplete scenes. <code>DATA</code> describes the <code>data</code>
+   * object of <code>data.json</code>, while <code>SCENE</code> describes the
+   * object of each scene file containing the scene's <code>aside</code> and
+   * <code>article</code>.
+   * <br />
+   * <br />
+   * Each schema object names the <code>type</code> of the value, one of
+   * "string," "boolean," "number," "object," or "array." Object schemas list
+   * their <code>properties</code>, which are required unless flagged as
+   * <code>optional</code>, and which are the only permitted properties unless
+   * the schema is flagged as <code>open</code>. Where only one of several
+   * optional properties may be present, as for articles made of either essay
+   * sections or entries, their names are listed in <code>exactlyOne</code>.
+   * Array schemas describe their contents via <code>items</code>, while
+   * <code>enum</code> lists the permitted values of a string. Objects whose
+   * shape depends upon one of their properties, such as contact methods,
+   * name that property as their <code>variant</code> and list the schema of
+   * each of its values in <code>variants</code>. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const Schemas = Object.freeze({
+    DATA: Object.freeze({
+      type: 'object',
+      properties: {
+        header: {
+          type: 'object',
+          properties: {
+            image: {
+              type: 'object',
+              properties: {
+                alt: {type: 'string'},
+                src: {type: 'string'},
+              },
+            },
+            name: {type: 'string'},
+          },
+        },
+        home: {
+          type: 'object',
+          properties: {
+            array: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: {type: 'string'},
+                  text: {type: 'string'},
+                  handler: {
+                    type: 'string',
+                    enum: ['buildHome', 'buildDiptych'],
+                  },
+                  transition: {type: 'string', optional: true},
+                  picture: {
+                    type: 'object',
+                    optional: true,
+                    properties: {
+                      normal: {type: 'string'},
+                      mobile: {type: 'string'},
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        details: {
+          type: 'object',
+          properties: {
+            contacts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                variant: 'type',
+                variants: Object.keys(ContactTypes).reduce((variants, type) => {
+                  variants[type] = {
+                    type: 'object',
+                    properties: {
+                      type: {type: 'string'},
+                      title: {type: 'string'},
+                      value: ContactTypes[type].value,
+                      footer: {type: 'boolean', optional: true},
+                    },
+                  };
+
+                  return variants;
+                }, {}),
+              },
+            },
+          },
+        },
+        footer: {
+          type: 'object',
+          properties: {
+            copyright: {type: 'string'},
+            meta: {
+              type: 'object',
+              properties: {
+                summary: {
+                  type: 'object',
+                  properties: {
+                    title: {type: 'string'},
+                    text: {type: 'string'},
+                  },
+                },
+              },
+            },
+            connect: {
+              type: 'object',
+              properties: {
+                array: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      text: {type: 'string'},
+                      link: {type: 'string'},
+                      description: {
+                        type: 'object',
+                        properties: {
+                          title: {type: 'string'},
+                          text: {type: 'string'},
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    }),
+    SCENE: Object.freeze({
+      type: 'object',
+      properties: {
+        aside: {
+          type: 'object',
+          properties: {
+            header: {type: 'string'},
+            subheader: {type: 'string', optional: true},
+            canShowTable: {type: 'boolean', optional: true},
+            summary: {
+              type: 'object',
+              properties: {
+                title: {type: 'string', optional: true},
+                paragraphs: {type: 'array', items: {type: 'string'}},
+              },
+            },
+          },
+        },
+        article: {
+          type: 'object',
+          exactlyOne: ['essaySections', 'entries'],
+          properties: {
+            header: {type: 'string'},
+            canShowTable: {type: 'boolean', optional: true},
+            sort: {
+              type: 'string',
+              optional: true,
+              enum: ['ascending', 'descending'],
+            },
+            essaySections: {
+              type: 'array',
+              optional: true,
+              items: {
+                type: 'object',
+                properties: {
+                  title: {type: 'string', optional: true},
+                  paragraphs: {type: 'array', items: {type: 'string'}},
+                },
+              },
+            },
+            entries: {
+              type: 'array',
+              optional: true,
+              items: {
+                type: 'object',
+                exactlyOne: ['summary', 'listing'],
+                properties: {
+                  header: {type: 'string'},
+                  subheader: {type: 'string'},
+                  date: {type: 'string', optional: true},
+                  start: {
+                    type: 'string',
+                    optional: true,
+                    pattern: /^\d{4}(?:-(?:0[1-9]|1[0-2]))?$/,
+                  },
+                  end: {
+                    type: 'string',
+                    optional: true,
+                    pattern: /^\d{4}(?:-(?:0[1-9]|1[0-2]))?$/,
+                  },
+                  ongoing: {type: 'boolean', optional: true},
+                  summary: {type: 'string', optional: true},
+                  listing: {
+                    type: 'array',
+                    optional: true,
+                    items: {
+                      type: 'object',
+                      properties: {
+                        title: {type: 'string'},
+                        items: {type: 'array', items: {type: 'string'}},
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    }),
+  });
+
+  /**
+   * @description This enum lists the functions by which content files written
+   * in older formats are upgraded to the present format, as denoted by
+   * <code>Utility.FORMAT_VERSION</code>, on being loaded. Each key is the
+   * format version from which its function upgrades a file, and each function
+   * upgrades the file by a single version, so that files of any older version
+   * are brought up to date by applying each subsequent migration in turn via
+   * <code>inaccessible.migrateFile</code>. Files lacking a
+   * <code>formatVersion</code> predate versioning and are treated as being of
+   * version 1.
+   * <br />
+   * <br />
+   * Whenever the format is changed, <code>Utility.FORMAT_VERSION</code> should
+   * be incremented, the <code>Schemas</code> enum updated to describe the new
+   * format, and a migration from the previous version added here. Existing
+   * files may then be left as they are and updated at leisure. Object is made
+   * immutable via <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {string}
+   * @const
+   */
+  const Migrations = Object.freeze({
+    1: 'migrateListingItems',             // Listing "array" renamed "items"
+    2: 'migrateTypedContacts',            // Contacts given type and value
+  });
+
+  /**
+   * @description This enum lists the sources from which the site's content may
+   * be loaded, each naming the <code>inaccessible</code> adapter function
+   * responsible for requesting content from that source and converting it into
+   * the normalized form expected of the JSON files, i.e. an object containing
+   * <code>success</code> and <code>data</code> properties. As each adapter
+   * produces the same form, the content is validated, persisted, and built
+   * into scenes in the same way regardless of its source.
+   * <br />
+   * <br />
+   * <code>STATIC</code> loads the JSON files housed in <code>json/</code> and
+   * is used by default. <code>REST</code> loads each file's content as an
+   * entry of a REST API or headless CMS by requesting its
+   * <code>baseUrl</code> followed by the file's name and the language in the
+   * <code>localeParameter</code> query parameter, i.e.
+   * <code>api/content/about?locale=en</code>. The entry is found at the
+   * <code>itemPath</code> of the response, while <code>fields</code> maps the
+   * properties of the normalized <code>data.json</code> data and scene objects
+   * to the paths of the entry at which their values are found. Nested
+   * mappings may be used to assemble normalized objects from several fields,
+   * while <code>formatVersion</code> denotes the format of the mapped entries
+   * so that they may be migrated like any file. Additional sources may be
+   * added by defining a further config referencing either adapter or a new
+   * one. Object is made immutable via <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const ContentSources = Object.freeze({
+    STATIC: Object.freeze({
+      adapter: 'fetchStaticContent',
+      baseUrl: 'json/',
+    }),
+    REST: Object.freeze({
+      adapter: 'fetchRestContent',
+      baseUrl: 'api/content/',
+      formatVersion: 3,
+      localeParameter: 'locale',
+      itemPath: 'data.attributes',
+      fields: Object.freeze({
+        data: Object.freeze({
+          header: 'branding',
+          home: 'navigation',
+          details: 'details',
+          footer: 'footer',
+        }),
+        scene: Object.freeze({
+          aside: 'sidebar',
+          article: 'body',
+        }),
+      }),
+    }),
+  });
+
+  /**
+   * @description This enum lists the template tokens that may be included in
+   * the text of the JSON files in place of values that would otherwise need to
+   * be updated by hand as time passes, such as the year of the footer's
+   * copyright notice. Tokens take the form <code>{{name}}</code> or
+   * <code>{{name:argument}}</code> and are replaced via
+   * <code>inaccessible.resolveTokens</code> as text is added to the page by
+   * <code>inaccessible.assembleElement</code>, each by the value returned from
+   * the <code>inaccessible</code> function its name denotes. Tokens that are
+   * unknown or cannot be resolved are left as is, so that the mistake is
+   * visible rather than silently dropped, and reported if <code>DEBUG</code>
+   * is set to <code>true</code>. Object is made immutable via
+   * <code>Object.freeze</code>.
+   * <br />
+   * <br />
+   * <pre>
+   * {{year}}                  Present year, i.e. "2026"
+   * {{yearsSince:2015}}       Whole years elapsed since the year given
+   * {{count:awards.entries}}  Number of items in a list of a scene's data
+   * </pre>
+   *
+   * @readonly
+   * @enum {string}
+   * @const
+   */
+  const Tokens = Object.freeze({
+    year: 'resolveYearToken',
+    yearsSince: 'resolveYearsSinceToken',
+    count: 'resolveCountToken',
+  });
+
+  /**
+   * @description This enum lists the scenes whose entries are combined into the
+   * resume scene built by <code>inaccessible.buildResume</code>, in the order
+   * in which they are displayed. Each scene's entries are included in the
+   * order and with the dates given in its JSON file, and its article header
+   * serves as the heading of its section. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {string}
+   * @const
+   */
+  const ResumeSections = Object.freeze({
+    EXPERIENCE: 'experience',
+    EDUCATION: 'education',
+    EXPERTISE: 'expertise',
+    AWARDS: 'awards',
+  });
+
+  /**
+   * @description This enum lists the formats to which the resume scene may be
+   * exported via <code>inaccessible.handleResumeExport</code>. Each format
+   * specifies the <code>Translations</code> key of its button's label, the
+   * media type and extension of the downloaded file, and the name of the
+   * <code>inaccessible</code> function returning a <code>Promise</code>
+   * resolving to the file's contents. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const ResumeFormats = Object.freeze({
+    HTML: Object.freeze({
+      label: 'RESUME_DOWNLOAD_HTML',
+      type: 'text/html',
+      extension: 'html',
+      handler: 'getResumeDocument',
+    }),
+    TEXT: Object.freeze({
+      label: 'RESUME_DOWNLOAD_TEXT',
+      type: 'text/plain',
+      extension: 'txt',
+      handler: 'getResumeText',
+    }),
+  });
+
+  /**
+   * @description This enum lists the scenes whose entries correspond to the
+   * sections of the community JSON Resume format, as converted in either
+   * direction by <code>inaccessible.convertToJsonResume</code> and
+   * <code>inaccessible.convertFromJsonResume</code>. Each scene specifies the
+   * name of its JSON Resume section and the <code>inaccessible</code>
+   * functions by which a single entry is exported to and imported from an
+   * item of that section. Object is made immutable via
+   * <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const JsonResumeSections = Object.freeze({
+    experience: Object.freeze({
+      section: 'work',
+      exporter: 'exportWorkEntry',
+      importer: 'importWorkEntry',
+    }),
+    education: Object.freeze({
+      section: 'education',
+      exporter: 'exportEducationEntry',
+      importer: 'importEducationEntry',
+    }),
+    expertise: Object.freeze({
+      section: 'skills',
+      exporter: 'exportSkillEntry',
+      importer: 'importSkillEntry',
+    }),
+    awards: Object.freeze({
+      section: 'awards',
+      exporter: 'exportAwardEntry',
+      importer: 'importAwardEntry',
+    }),
+  });
+
+  /**
+   * @description This enum holds the error correction parameters of QR codes
+   * at the "M" (medium) level, which recovers roughly 15% of damaged codewords
+   * and is used for every code generated by
+   * <code>inaccessible.encodeQrCode</code>. For each version, i.e. size, of
+   * code from 1 to 40, indexed by version number, are given the number of
+   * error correction codewords of each block and the number of blocks into
+   * which the code's codewords are divided, as specified in ISO/IEC 18004.
+   * Object is made immutable via <code>Object.freeze</code>.
+   *
+   * @readonly
+   * @enum {object}
+   * @const
+   */
+  const QrErrorCorrection = Object.freeze({
+    FORMAT_BITS: 0,
+    CODEWORDS_PER_BLOCK: Object.freeze([
+      null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28,
+      28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+      28, 28, 28, 28, 28, 28,
+    ]),
+    BLOCKS: Object.freeze([
+      null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+      17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45,
+      47, 49,
+    ]),
+  });
+
   // Utility functions
 
   /**
@@ -373,6 +1402,17 @@ const Module = (function () {
    * as applied to standard HTTP requests.
    * <br />
    * <br />
+   * Requests are made via <code>fetch</code> and aborted if no response is
+   * received within the timeout. As <code>GET</code> requests are idempotent,
+   * those failing due to network errors, timeouts, or server-side statuses are
+   * retried a limited number of times, with the delay between attempts doubled
+   * on each occasion. The returned <code>Promise</code> resolves with the
+   * parsed JSON response, or rejects with an error of one of the types listed
+   * in the <code>ErrorTypes</code> enum. The timeout and number of retries may
+   * be adjusted via the optional <code>paramOptions</code> object, as may the
+   * <code>fetch</code> cache mode, i.e. "no-cache" to bypass stale copies.
+   * <br />
+   * <br />
    * As per the Google styleguide, the use of default parameters in function
    * declarations is permitted in most cases and particularly encouraged for
    * optional parameters that may not actually be defined in certain invocation
@@ -381,414 +1421,597 @@ const Module = (function () {
    * @param {string} paramType 'GET' or 'POST'
    * @param {string} paramUrl The name of the endpoint i.e. "server.php"
    * @param {!object=} paramData Data in obj form to be stringified (optional)
-   * @returns {Promise}
+   * @param {!object=} paramOptions Timeout (ms), retries, cache (optional)
+   * @returns {Promise<object>}
    */
-  inaccessible.sendRequest = function (paramType, paramUrl, paramData = null) {
-    return new Promise((resolve, reject) => {
+  inaccessible.sendRequest = function (paramType, paramUrl, paramData = null,
+      paramOptions = {}) {
 
-      // Declarations
-      let request, params;
+    // Declarations
+    let init, timeout, retries, attempt;
+
+    // Definitions
+    init = {
+      method: paramType,
+      headers: {
+        Accept: 'application/json',
+      },
+      cache: paramOptions.cache || 'default',
+    };
+    timeout = (paramOptions.timeout != null)
+      ? paramOptions.timeout
+      : Utility.REQUEST_TIMEOUT;
+    retries = (paramType !== 'GET')
+      ? 0
+      : (paramOptions.retries != null)
+        ? paramOptions.retries
+        : Utility.REQUEST_RETRIES;
+
+    if (paramType === 'POST' && paramData != null) {
+      if (paramData.encode === true) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(paramData.params);
+      } else {
+        init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        init.body = this.serialize(paramData.params);
+      }
 
-      // Definition of new request
-      request = new XMLHttpRequest();
+      if (DEBUG) {
+        console.log(init.body);
+      }
+    }
 
-      // Intialize request
-      request.open(paramType, paramUrl);
+    // Make request, retrying after an exponentially increasing delay
+    attempt = (paramCount) => {
+      return this.fetchJson(paramUrl, init, timeout).catch((error) => {
 
-      if (paramType === 'POST' && paramData != null) {
-        if (paramData.encode === true) {
-          request.setRequestHeader('Content-Type', 'application/json');
-          params = JSON.stringify(paramData.params);
-        } else {
-          request.setRequestHeader('Content-Type',
-            'application/x-www-form-urlencoded');
-          params = this.serialize(paramData.params);
-        }
+        // Declaration
+        let delay;
 
-        if (DEBUG) {
-          console.log(params);
+        if (paramCount >= retries || !this.isRetryable(error)) {
+          throw error;
         }
-      }
 
-      // Resolve or reject Promise depending on request status
-      request.onload = function () {
-        if (request.status == 200) {
-          resolve(request.response);
-        } else {
-          reject(Error(request.statusText));
+        // Definition
+        delay = Utility.RETRY_BASE_DELAY * Math.pow(2, paramCount);
+
+        if (DEBUG) {
+          console.warn(Text.REQUEST_RETRY.replace('$1', paramUrl)
+            .replace('$2', delay).replace('$3', paramCount + 1)
+            .replace('$4', retries));
         }
-      };
 
-      // Handle network errors
-      request.onerror = function () {
-        reject(Error(Text.ERROR_NETWORK));
-      };
+        return this.wait(delay).then(() => {
+          return attempt(paramCount + 1);
+        });
+      });
+    };
 
-      // Make request (data will be either null or a stringified object)
-      request.send(params);
-    });
+    return attempt(0);
   };
 
   /**
-   * @description This utility function is used to ensure that images present in
-   * the DOM are properly loaded and displayed prior to fading in on the page
-   * via <code>inaccessible.tinderize</code> and <code>inaccessible.fade</code>.
-   * It functions by iterating through the images present in the document or in
-   * the optional parameter <code>HTMLElement<code> and attaching a loading
-   * event listener to each. Once each image loads, the loaded images counter is
-   * increased, and once all images are loaded, the <code>Promise</code> is
-   * resolved to allow fade-in to proceed.
-   * <br />
-   * <br />
-   * As per the Google styleguide, the use of default parameters in function
-   * declarations is permitted in most cases and particularly encouraged for
-   * optional parameters that may not actually be defined in certain invocation
-   * cases in which the function might be called.
+   * @description This utility function makes a single attempt at the request
+   * described by the parameter URL and <code>fetch</code> init object on
+   * behalf of <code>inaccessible.sendRequest</code>. The request is aborted
+   * via an <code>AbortController</code> should the parameter timeout elapse
+   * before the response has been received in full. The response body is
+   * parsed as JSON, and the returned <code>Promise</code> rejects with an error
+   * of the applicable <code>ErrorTypes</code> type if the request could not be
+   * made, the status code was unsuccessful, the body was not valid JSON, or the
+   * body's <code>success</code> property was <code>false</code>.
    *
-   * @param {!HTMLElement=} paramContent HTMLElement containing images to load
-   * @returns {Promise}
+   * @param {string} paramUrl Address of requested resource
+   * @param {object} paramInit <code>fetch</code> request options
+   * @param {number} paramTimeout Time before request is aborted (ms)
+   * @returns {Promise<object>}
    */
-  inaccessible.loadImages = function (paramContent = null) {
-    return new Promise((resolve) => {
+  inaccessible.fetchJson = function (paramUrl, paramInit, paramTimeout) {
 
-      // Declarations
-      let images, unloadedImages, counter, loadListener;
+    // Declarations
+    let controller, timer;
 
-      // Definitions
-      images = (paramContent != null)
-        ? paramContent.getElementsByTagName('img')
-        : document.images;
-      unloadedImages = images.length;
-      counter = 0;
+    // Definitions
+    controller = new AbortController();
+    timer = window.setTimeout(() => {
+      controller.abort();
+    }, paramTimeout);
+
+    return fetch(paramUrl, Object.assign({signal: controller.signal},
+        paramInit)).then((response) => {
+      if (!response.ok) {
+        throw this.createRequestError(ErrorTypes.HTTP,
+          Text.ERROR_HTTP.replace('$1', paramUrl).replace('$2', response.status)
+            .replace('$3', response.statusText).trim(),
+          paramUrl, response.status);
+      }
 
-      // Iterate through images present on page
-      [].forEach.call(images, (image) => {
+      return response.text();
+    }).then((text) => {
 
-        // Only attach load listener if image isn't loaded already
-        if (image.complete) {
-          unloadedImages -= 1;
-        } else {
-          image.addEventListener('load', loadListener = () => {
-            counter++;
-            if (counter === unloadedImages) {
-              resolve();
-              image.removeEventListener('load', loadListener);
-
-              if (DEBUG) {
-                console.log(Text.IMAGES_LOADED.replace('$1', unloadedImages));
-              }
-            }
-          }, false);
-        }
-      });
+      // Declaration
+      let data;
 
-      // Cached pages and loaded images
-      if (unloadedImages === 0) {
-        resolve();
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw this.createRequestError(ErrorTypes.PARSE,
+          Text.ERROR_PARSE.replace('$1', paramUrl), paramUrl);
+      }
+
+      // Check for boolean to ensure loading
+      if (data != null && data.success === false) {
+        throw this.createRequestError(ErrorTypes.FAILURE,
+          Text.ERROR_FAILURE.replace('$1', paramUrl), paramUrl);
+      }
+
+      return data;
+    }).catch((error) => {
+
+      // Errors of fetch itself or of reading the body are untyped
+      if (error.type != null) {
+        throw error;
       }
+
+      throw (error.name === 'AbortError')
+        ? this.createRequestError(ErrorTypes.TIMEOUT,
+          Text.ERROR_TIMEOUT.replace('$1', paramUrl).replace('$2',
+            paramTimeout), paramUrl)
+        : this.createRequestError(ErrorTypes.NETWORK,
+          Text.ERROR_NETWORK.replace('$1', paramUrl), paramUrl);
+    }).finally(() => {
+      window.clearTimeout(timer);
     });
   };
 
   /**
-   * @description This function handles the translation of an inputted JS/JSON
-   * object into a query string like that present in vanilla jQuery builders,
-   * namely <code>$.params</code>. This is primarily for use in sending
-   * <code>POST</code> requests in passing argument parameters as the data. It
-   * is used in most cases of data transmission to the back-end, with the other
-   * REST-compliant approach&mdash;namely the use of JSON-encoded data&mdash;
-   * used only in certain cases as required by the endpoints.
+   * @description This factory function returns an <code>Error</code> with which
+   * requests made via <code>inaccessible.sendRequest</code> reject, extended
+   * with the <code>ErrorTypes</code> type denoting the point of failure, the
+   * address of the requested resource, and the response status, if any.
    *
-   * @param {object} paramObject The JS/JSON object to be serialized
-   * @returns {string} String formatted as <code>username=foo&password=X</code>
+   * @param {string} paramType <code>ErrorTypes</code> enum value
+   * @param {string} paramMessage Description of error
+   * @param {string} paramUrl Address of requested resource
+   * @param {?number=} paramStatus HTTP response status code (optional)
+   * @returns {Error}
    */
-  inaccessible.serialize = function (paramObject) {
-    return Object.entries(paramObject).map((pair) => pair.join('=')).join('&');
+  inaccessible.createRequestError = function (paramType, paramMessage,
+      paramUrl, paramStatus = null) {
+    return Object.assign(new Error(paramMessage), {
+      type: paramType,
+      url: paramUrl,
+      status: paramStatus,
+    });
   };
 
   /**
-   * @description This utility function is used to consolidate the contents of
-   * an inputted array of numbers through the performing of an inputted common
-   * algebraic operation. The associated value is then returned from the
-   * function. Within this file, this function is only used with the
-   * <code>Operations.ADDITION</code> and <code>Operations.SUBTRACTION</code>
-   * operations; the comparison operations in the enum require a different
-   * invocation method. It is used to adjust the opacity of a container element
-   * to simulate a fade-in/fade-out function.
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the request that failed with the parameter error may
+   * succeed if made again. Network errors and timeouts are presumed to be
+   * transient, as are server-side errors and statuses denoting a request made
+   * too early or too often, though not while the browser reports being
+   * offline. Client errors, malformed responses, and responses reporting
+   * failure are not retried, as repeating them would be pointless.
    *
-   * @param {!Array<number>} paramList Array of number values
-   * @param {string} paramOperation The <code>Operations</code> enum operation
-   * @returns {number}
+   * @param {Error} paramError Error produced by failed request
+   * @returns {boolean}
    */
-  inaccessible.performCommonOperation = function (paramList, paramOperation) {
-    return paramList.reduce(Operations[paramOperation]);
+  inaccessible.isRetryable = function (paramError) {
+    switch (paramError.type) {
+      case ErrorTypes.NETWORK:
+      case ErrorTypes.TIMEOUT:
+        return !this.isOffline();
+      case ErrorTypes.HTTP:
+        return paramError.status >= 500 || paramError.status === 408 ||
+          paramError.status === 429;
+      default:
+        return false;
+    }
   };
 
   /**
-   * @description This function returns a <code>boolean</code> value based on
-   * whether or not the inputted JS object is an array. It will be used by
-   * <code>inaccessible.assembleElement</code> to determine if the inputted
-   * parameters need to be formatted as arrays or whether the user has correctly
-   * passed well-formed input arguments to the function as expected. Originally,
-   * the author was considering including in that function as inner function,
-   * but eventually decided to keep things organized by locating all utility
-   * functions in a specific section of the <code>inaccessible</code> scope
-   * object.
+   * @description This utility function returns a <code>Promise</code> that
+   * resolves once the parameter number of milliseconds has elapsed.
    *
-   * @param {object} paramTarget JS object to be checked
-   * @returns {boolean} Returns <code>true</code> if object is an Array
+   * @param {number} paramDelay Time to wait (ms)
+   * @returns {Promise}
    */
-  inaccessible.isArray = function (paramTarget) {
-    return Object.prototype.toString.call(paramTarget) === '[object Array]';
+  inaccessible.wait = function (paramDelay) {
+    return new Promise((resolve) => {
+      window.setTimeout(resolve, paramDelay);
+    });
   };
 
   /**
-   * @description This utility function is used simply to capitalize the first
-   * letter of the inputted parameter <code>String</code>. The resultant
-   * modified <code>String</code> is subsequently returned. The function is used
-   * primarily in cases wherin specialized text might be extraneous. By
-   * simply capitalizing a string already used to form CSS selectors, duplicates
-   * can be avoided.
+   * @description This utility function returns the name of the type of the
+   * parameter value as used in the <code>Schemas</code> enum, distinguishing
+   * arrays and <code>null</code> from other objects.
    *
-   * @param {string} paramString String to be capitalized
-   * @return {string}
+   * @param {*} paramValue Value of any type
+   * @returns {string}
    */
-  inaccessible.capitalize = function (paramString) {
-    return paramString.charAt(0).toUpperCase() + paramString.slice(1);
+  inaccessible.getValueType = function (paramValue) {
+    return (paramValue === null)
+      ? 'null'
+      : (this.isArray(paramValue))
+        ? 'array'
+        : typeof paramValue;
   };
 
   /**
-   * @description This function is used to check if an inputted element is a
-   * wellformed DOM element, returning an associated <code>boolean</code> value
-   * depending on the result. It is primarily used by
-   * <code>inaccessible.assembleElement</code> to handle cases wherein certain
-   * array elements constituting parts of the element to contruct may be
-   * preassembled DOM elements nested within. Like its related helper function
-   * <code>inaccessible.isArray</code>, it was originally planned to be
-   * included as an inner function of <code>assembleElement</code>, but was left
-   * in the <code>inaccessible</code> scope to keep things organized and
-   * readable.
+   * @description This utility function checks the parameter value against the
+   * parameter schema from the <code>Schemas</code> enum, recursing through the
+   * schema's properties and items and testing strings against the schema's
+   * <code>pattern</code>, if any. Objects of a schema listing
+   * <code>variants</code> are checked against the variant named by their
+   * <code>variant</code> property. It returns an array of every violation
+   * found, each an object containing the JSON path of the offending value, a
+   * description of what was expected there, and a description of what was
+   * found instead. An empty array denotes a valid value.
+   * <br />
+   * <br />
+   * As per the Google styleguide, the use of default parameters in function
+   * declarations is permitted in most cases and particularly encouraged for
+   * optional parameters that may not actually be defined in certain invocation
+   * cases in which the function might be called.
    *
-   * @param {object} paramTarget Object to be checked for element status
-   * @returns {boolean} Returns <code>true</code> if object is a DOM element
+   * @param {*} paramValue Value to be checked
+   * @param {object} paramSchema Schema describing value
+   * @param {string=} paramPath JSON path of value (optional)
+   * @returns {Array<object>} violations
    */
-  inaccessible.isElement = function (paramObject) {
-    return (
-      typeof HTMLElement === 'object'
-        ? paramObject instanceof HTMLElement
-        : (
-          paramObject &&
-          typeof paramObject === 'object' &&
-          paramObject !== null &&
-          paramObject.nodeType === 1 &&
-          typeof paramObject.nodeName === 'string'
-        )
-    );
+  inaccessible.validate = function (paramValue, paramSchema, paramPath = '') {
+
+    // Declarations
+    let violations, found, join, present, variant;
+
+    // Definitions
+    violations = [];
+    found = this.getValueType(paramValue);
+    join = (paramKey) => {
+      return (paramPath !== '') ? `${paramPath}.${paramKey}` : paramKey;
+    };
+
+    // Nothing within a value of the wrong type can be checked
+    if (found !== paramSchema.type) {
+      violations.push({
+        path: paramPath,
+        expected: paramSchema.type,
+        found: found,
+      });
+
+      return violations;
+    }
+
+    if (paramSchema.enum && !paramSchema.enum.includes(paramValue)) {
+      violations.push({
+        path: paramPath,
+        expected: paramSchema.enum.join(' or '),
+        found: `"${paramValue}"`,
+      });
+    }
+
+    if (paramSchema.pattern && !paramSchema.pattern.test(paramValue)) {
+      violations.push({
+        path: paramPath,
+        expected: Text.SCHEMA_PATTERN.replace('$1', paramSchema.pattern.source),
+        found: `"${paramValue}"`,
+      });
+    }
+
+    if (paramSchema.items) {
+      paramValue.forEach((item, index) => {
+        violations.push(...this.validate(item, paramSchema.items,
+          `${paramPath}[${index}]`));
+      });
+    }
+
+    if (paramSchema.variants) {
+      variant = paramValue[paramSchema.variant];
+
+      if (paramSchema.variants.hasOwnProperty(variant)) {
+        violations.push(...this.validate(paramValue,
+          paramSchema.variants[variant], paramPath));
+      } else {
+        violations.push({
+          path: join(paramSchema.variant),
+          expected: Object.keys(paramSchema.variants).join(' or '),
+          found: (variant != null) ? `"${variant}"` : Text.SCHEMA_NOTHING,
+        });
+      }
+    }
+
+    if (paramSchema.properties) {
+      Object.keys(paramSchema.properties).forEach((key) => {
+        if (paramValue.hasOwnProperty(key)) {
+          violations.push(...this.validate(paramValue[key],
+            paramSchema.properties[key], join(key)));
+        } else if (!paramSchema.properties[key].optional) {
+          violations.push({
+            path: join(key),
+            expected: paramSchema.properties[key].type,
+            found: Text.SCHEMA_NOTHING,
+          });
+        }
+      });
+
+      // Misspelled properties are otherwise silently ignored by builders
+      if (!paramSchema.open) {
+        Object.keys(paramValue).forEach((key) => {
+          if (!paramSchema.properties.hasOwnProperty(key)) {
+            violations.push({
+              path: join(key),
+              expected: Text.SCHEMA_UNKNOWN,
+              found: this.getValueType(paramValue[key]),
+            });
+          }
+        });
+      }
+    }
+
+    if (paramSchema.exactlyOne) {
+      present = paramSchema.exactlyOne.filter((key) => {
+        return paramValue.hasOwnProperty(key);
+      });
+
+      if (present.length !== 1) {
+        violations.push({
+          path: paramPath,
+          expected: paramSchema.exactlyOne.join(' or '),
+          found: (present.length) ? present.join(' and ') : Text.SCHEMA_NEITHER,
+        });
+      }
+    }
+
+    return violations;
   };
 
   /**
-   * @description This utility function is used to remove any half-assembled
-   * element content stored within a certain inputted DOM element. It sees use
-   * in the clearing of the page on scene transition immediately after fading
-   * out of the scene, appearing solely in the body of
-   * <code>inaccessible.tinderize</code>. It could perhaps be integrated within
-   * that function given that it sees use nowhere else in the module.
+   * @description This utility function checks the complete contents of the
+   * JSON file of the parameter name, either "data" or that of a scene, against
+   * the applicable schema. Scene files are expected to contain their scene's
+   * object under a property of the same name, and all files to be of the
+   * present format, i.e. to have been migrated via
+   * <code>inaccessible.migrateFile</code>. Each violation returned is marked
+   * with the address of the file in which it was found.
    *
-   * @see {@link https://stackoverflow.com/a/3450726|Relevant SO Thread}
-   * @param {string} paramElementSelector Selector of the element to be cleared
-   * @returns {void}
+   * @param {object} paramData Parsed contents of JSON file
+   * @param {string} paramName "data" or scene name
+   * @returns {Array<object>} violations
    */
-  inaccessible.emptyElementOfContent = function (paramElementSelector) {
+  inaccessible.validateFile = function (paramData, paramName) {
 
-    // Declaration
-    let element;
+    // Declarations
+    let file, schema;
 
-    // Definition
-    element = document.querySelector(paramElementSelector);
+    // Definitions
+    file = `json/${paramName}.json`;
+    schema = {
+      type: 'object',
+      properties: {
+        success: {type: 'boolean'},
+        formatVersion: {type: 'number', enum: [Utility.FORMAT_VERSION]},
+        data: (paramName === Text.DATA_NAME) ? Schemas.DATA : {
+          type: 'object',
+          open: true,
+          properties: {
+            [paramName]: Schemas.SCENE,
+          },
+        },
+      },
+    };
 
-    while (element.firstChild) {
-      element.removeChild(element.firstChild);
-    }
+    return this.validate(paramData, schema).map((violation) => {
+      return Object.assign({file: file}, violation);
+    });
   };
 
   /**
-   * @description This utility function is used to return a <code>boolean</code>
-   * flag denoting whether or not the element specified by means of the
-   * parameter <code>String</code> is visible in the viewport (more specifically
-   * whether the display is set to none, expected behavior in the cases wherein
-   * this function may be expected to be invoked). It was vaguely inspired by
-   * jQuery's <code>$.exists()</code> function used on the Wikia network.
+   * @description This utility function returns a single-line description of
+   * the parameter violation for display in the error scene and the console.
    *
-   * @param {string} paramElementSelector Selector of the element to be checked
-   * @returns {boolean}
+   * @param {object} paramViolation Violation returned by validation
+   * @returns {string}
    */
-  inaccessible.isVisible = function (paramElementSelector) {
+  inaccessible.formatViolation = function (paramViolation) {
+    return Text.SCHEMA_VIOLATION.replace('$1', paramViolation.file)
+      .replace('$2', paramViolation.expected)
+      .replace('$3', paramViolation.path)
+      .replace('$4', paramViolation.found);
+  };
+
+  /**
+   * @description This utility function validates the contents of the JSON
+   * file of the parameter name, rejecting any file not matching its schema by
+   * throwing an error of type <code>ErrorTypes.SCHEMA</code>. The error's
+   * message describes the first violation, while the full array of violations
+   * is included for display in <code>DEBUG</code> mode.
+   *
+   * @param {object} paramData Parsed contents of JSON file
+   * @param {string} paramName "data" or scene name
+   * @returns {object} paramData
+   */
+  inaccessible.assertValidFile = function (paramData, paramName) {
 
     // Declaration
-    let element;
+    let violations;
 
     // Definition
-    element = document.querySelector(paramElementSelector);
+    violations = this.validateFile(paramData, paramName);
 
-    return (element.currentStyle)
-      ? element.currentStyle.display
-      : getComputedStyle(element, null).display !== 'none';
+    if (violations.length) {
+      if (DEBUG) {
+        violations.forEach((violation) => {
+          console.warn(this.formatViolation(violation));
+        });
+      }
+
+      throw Object.assign(this.createRequestError(ErrorTypes.SCHEMA,
+        this.formatViolation(violations[0]), violations[0].file), {
+        violations: violations,
+      });
+    }
+
+    return paramData;
   };
 
   /**
-   * @description This function is based on the similarly-named fading function
-   * available by default in jQuery. As parameter-specified container elements
-   * will have dynamically-set opacity values defined herein, this function just
-   * increases or decreases the element's opacity until it reaches a value of 1
-   * or 0, thus giving the impression of the scene fading in or out from the
-   * start. This helps hide the often jerky page and interface assembly sequence
-   * from view for a few milliseconds.
-   * <br />
-   * <br />
-   * This function presently allows for fading in or out of view depending on
-   * the value of an included <code>String</code> parameter, allowing for
-   * seemless transitions between interface scenes as needed. Originally, there
-   * were a pair of functions for fading in and out, both of which shared much
-   * of the same code. In an effort to reduce copy/pasta, these were combined
-   * into a single utility function that makes use of a computational enum for
-   * the handling of simply algebraic operations related to the increase or
-   * decrease of element opacity.
+   * @description This utility function upgrades the contents of the JSON file
+   * of the parameter name to the present format by applying in turn each
+   * migration of the <code>Migrations</code> enum from the file's
+   * <code>formatVersion</code> onwards, returning the upgraded contents. The
+   * parameter object itself is left unaltered. Files of a version newer than
+   * the present format, or of an invalid version, cannot be understood and
+   * result in an error of type <code>ErrorTypes.FORMAT</code> being thrown.
    *
-   * @param {string} paramFadeType <code>String</code> indicating type of fade
-   * @param {string} paramElementSelector Container/wrapper class
-   * @return {void}
+   * @param {object} paramData Parsed contents of JSON file
+   * @param {string} paramName "data" or scene name
+   * @returns {object} Contents in present format
    */
-  inaccessible.fade = function (paramFadeType, paramElementSelector) {
+  inaccessible.migrateFile = function (paramData, paramName) {
 
     // Declarations
-    let container, interval, fadeType, fadeTypeObject, fadeTypeParameters;
+    let file, version, data;
 
-    // Grab DOM element from id
-    container = document.querySelector(paramElementSelector);
+    // Definitions
+    file = `json/${paramName}.json`;
+    version = (paramData.formatVersion != null) ? paramData.formatVersion : 1;
 
-    // Make sure to correct any input errors
-    fadeType = paramFadeType.toUpperCase();
+    if (!Number.isInteger(version) || version < 1) {
+      throw this.createRequestError(ErrorTypes.FORMAT,
+        Text.FORMAT_INVALID.replace('$1', file).replace('$2', version), file);
+    }
 
-    // Set default opacity here rather than in config objects (as before)
-    container.style.opacity = (fadeType === 'OUT') ? 1 : 0;
+    if (version > Utility.FORMAT_VERSION) {
+      throw this.createRequestError(ErrorTypes.FORMAT,
+        Text.FORMAT_UNSUPPORTED.replace('$1', file).replace('$2', version)
+          .replace('$3', Utility.FORMAT_VERSION), file);
+    }
 
-    // Removes need for separate functions
-    fadeTypeParameters = Object.freeze({
-      'IN': {
-        comparison: 'LESS_THAN',
-        operator: 'ADDITION',
-        comparisonValue: 1,
-      },
-      'OUT': {
-        comparison: 'GREATER_THAN',
-        operator: 'SUBTRACTION',
-        comparisonValue: 0,
-      },
-    });
+    if (version === Utility.FORMAT_VERSION) {
+      return paramData;
+    }
 
-    // Based on fade type, select and use object with appropriate properties
-    fadeTypeObject = fadeTypeParameters[fadeType];
+    if (DEBUG) {
+      console.log(Text.FORMAT_MIGRATED.replace('$1', file)
+        .replace('$2', version).replace('$3', Utility.FORMAT_VERSION));
+    }
 
-    // Define interval handler
-    interval = setInterval(() => {
+    // Migrations work upon a copy, as the original may be cached
+    data = JSON.parse(JSON.stringify(paramData));
 
-      if ( // If either opacity < 1 or opacity > 0...
-        Operations[fadeTypeObject.comparison](
-          container.style.opacity,
-          fadeTypeObject.comparisonValue
-        )
-      ) {
+    for (; version < Utility.FORMAT_VERSION; version++) {
+      data = this[Migrations[version]](data, paramName);
+    }
 
-        // Either opacity + const_value or opacity - const_value
-        container.style.opacity = this.performCommonOperation(
-          [
-            Number.parseFloat(container.style.opacity),
-            Utility.OPACITY_INCREASE_AMOUNT,
-          ],
-          fadeTypeObject.operator
-        );
-      } else {
-        clearInterval(interval);
-        return;
-      }
-    }, Utility.FADE_IN_INTERVAL);
+    data.formatVersion = version;
+
+    return data;
   };
 
   /**
-   * @description This function is used to move the element specified via the
-   * <code>String</code> selector parameter to the right. It is to be used in
-   * conjunction with <code>inaccessible.fade</code> to allow for a seamless
-   * transition between scenes (i.e. education scene and the homepage, etc.).
-   * Depending on the parameters inputted to <code>inaccessible.tinderize</code>
-   * as related to the swiping animation, this function may not be called in all
-   * instances of scene or module loading, only when the panels on the homepage
-   * are clicked by the user.
-   * <br />
-   * <br />
-   * Originally, the initial implementation of this function involved some janky
-   * coding that resulted in the container flickering to the left before
-   * starting the animation. The current rewritten implementation should handle
-   * such cases and require no CSS-based fixing to work as expected. It could
-   * still use some perfecting, but it does work as expected and adds a nice
-   * little aesthetic touch to what would otherwise be flat fading in and out
-   * via the <code>inaccessible.fade</code> fading function.
+   * @description The migration from format version 1 to 2, this utility
+   * function renames the <code>array</code> property of each entry listing to
+   * <code>items</code>, a name describing its contents rather than its type.
+   * Files other than scene files are unaffected, as are any malformed parts of
+   * the file, which are left to be reported by validation.
    *
-   * @see {@link https://stackoverflow.com/a/29490865|SO Thread}
-   * @param {string} paramElementSelector Element class
-   * @return {void}
+   * @param {object} paramData Contents of JSON file in format version 1
+   * @param {string} paramName "data" or scene name
+   * @returns {object} Contents in format version 2
    */
-  inaccessible.swipeRight = function (paramElementSelector) {
+  inaccessible.migrateListingItems = function (paramData, paramName) {
 
-    // Declarations
-    let container, interval, startTime, timePassed;
+    // Declaration
+    let article;
 
-    // Cache start time
-    startTime = Date.now();
+    // Definition
+    article = this.getValueAtPath(paramData, `data.${paramName}.article`);
 
-    // Set retrieved container's placement to relative
-    container = document.querySelector(paramElementSelector);
-    container.style.position = 'relative';
+    if (article == null || !this.isArray(article.entries)) {
+      return paramData;
+    }
 
-    // Define interval
-    interval = setInterval(() => {
+    article.entries.forEach((entry) => {
+      if (entry == null || !this.isArray(entry.listing)) {
+        return;
+      }
 
-      // Check time since start
-      timePassed = Date.now() - startTime;
+      entry.listing.forEach((listing) => {
+        if (listing != null && listing.hasOwnProperty('array')) {
+          listing.items = listing.array;
+          delete listing.array;
+        }
+      });
+    });
 
-      if (timePassed >= Utility.SWIPE_INTERVAL_TIME ||
-          container.style.opacity <= 0) {
+    return paramData;
+  };
 
-        clearInterval(interval);
-        container.style.left = 0;
-        return;
-      }
+  /**
+   * @description The migration from format version 2 to 3, this utility
+   * function replaces the <code>email</code> and <code>sites</code> arrays of
+   * <code>data.json</code>'s <code>details</code>, whose methods were told
+   * apart only by the array in which they appeared, with a single
+   * <code>contacts</code> array of methods of the types listed in the
+   * <code>ContactTypes</code> enum. The first two addresses, formerly shown in
+   * the footer by position, are flagged as such. Scene files are unaffected,
+   * as are any malformed parts of the file, which are left to be reported by
+   * validation.
+   *
+   * @param {object} paramData Contents of JSON file in format version 2
+   * @param {string} paramName "data" or scene name
+   * @returns {object} Contents in format version 3
+   */
+  inaccessible.migrateTypedContacts = function (paramData, paramName) {
+
+    // Declaration
+    let details;
+
+    // Definition
+    details = this.getValueAtPath(paramData, 'data.details');
+
+    if (
+      paramName !== Text.DATA_NAME ||
+      details == null ||
+      !this.isArray(details.email) ||
+      !this.isArray(details.sites)
+    ) {
+      return paramData;
+    }
+
+    details.contacts = details.email.map((email, index) => {
+      return (email == null) ? email : Object.assign({
+        type: 'email',
+        title: email.title,
+        value: email.text,
+      }, (index < 2) ? {footer: true} : {});
+    }).concat(details.sites.map((site) => {
+      return (site == null) ? site : {
+        type: 'url',
+        title: site.title,
+        value: site.text,
+      };
+    }));
 
-      // Draw animation at the moment of timePassed
-      container.style.left = `${timePassed / 5}px`;
+    delete details.email;
+    delete details.sites;
 
-    }, Utility.FADE_IN_INTERVAL);
+    return paramData;
   };
 
   /**
-   * @description This function was designed to oversee the change of scenes
-   * dynamically without having to default to the use of hardcoded HTML.
-   * Depending on the input parameters, it generally fades out of the present
-   * scene while shifting it right, removes the former content and builds the
-   * required interface scene, then fades back in. Alternatively, based on its
-   * specific use-cases, the function may only fade out of a certain in-scene
-   * portion of the page, such as a <code>div</code>, before replacing this
-   * content with new content The <code>inaccessible.swipeRight</code> function
-   * may be toggled herein as well, with certain use-cases requiring only the
-   * fading function rather than both the fading and swiping functions.
-   * <br />
-   * <br />
-   * In order to increase speed and reduce repetitive function calls, the author
-   * implemented a page caching function that stores preassembled scenes and
-   * their loaded images in a script-global object. This helps reduce some of
-   * the overhead associated with rebuilding each scene every time the user
-   * returns to a specific scene. Originally, the script did not make use of
-   * such functionality. However, it was implemented after something similar
-   * was suggested by Google's PageSpeed Insights as a means of speeding up the
-   * application for the user.
+   * @description This utility function is used to ensure that images present in
+   * the DOM are properly loaded and displayed prior to fading in on the page
+   * via <code>inaccessible.tinderize</code> and <code>inaccessible.fade</code>.
+   * It functions by iterating through the images present in the document or in
+   * the optional parameter <code>HTMLElement<code> and attaching a loading
+   * event listener to each. Once each image loads, the loaded images counter is
+   * increased, and once all images are loaded, the <code>Promise</code> is
+   * resolved to allow fade-in to proceed. Images that fail to load, such as
+   * avatars not yet cached when offline, are counted likewise so that the
+   * scene is displayed without them rather than never displayed at all.
    * <br />
    * <br />
    * As per the Google styleguide, the use of default parameters in function
@@ -796,1704 +2019,8043 @@ const Module = (function () {
    * optional parameters that may not actually be defined in certain invocation
    * cases in which the function might be called.
    *
-   * @param {boolean} paramCanSwipeRight Use <code>swipeRight</code>?
-   * @param {string} paramElementSelector Present container class
-   * @param {object} paramConfig Config from <code>data.json</code>
-   * @returns {void}
+   * @param {!HTMLElement=} paramContent HTMLElement containing images to load
+   * @returns {Promise}
    */
-  inaccessible.tinderize = function (paramCanSwipeRight, paramElementSelector,
-      paramConfig) {
-
-    // Declarations
-    let interval, container, content, selector;
-
-    // Translate string to proper selector form
-    selector = `.${paramElementSelector}`;
-
-    // Grab container element
-    container = document.querySelector(selector);
-
-    // Move scene to the right and fade out prior to removing children from DOM
-    if (paramCanSwipeRight) {
-      this.swipeRight(selector);
-    }
-    this.fade('OUT', selector);
-
-    interval = setInterval(() => {
-      if (container.style.opacity <= 0) {
+  inaccessible.loadImages = function (paramContent = null) {
+    return new Promise((resolve) => {
 
-        // Clear opacity checking interval
-        clearInterval(interval);
+      // Declarations
+      let images, unloadedImages, counter, settleListener;
 
-        // Set to zero exactly
-        container.style.opacity = 0;
+      // Definitions
+      images = (paramContent != null)
+        ? paramContent.getElementsByTagName('img')
+        : document.images;
+      unloadedImages = images.length;
+      counter = 0;
+      settleListener = (paramEvent) => {
+        paramEvent.target.removeEventListener('load', settleListener);
+        paramEvent.target.removeEventListener('error', settleListener);
 
-        // Use cached scene content if possible
-        if (!this.cache.pages.hasOwnProperty(paramConfig.name.toLowerCase())) {
+        counter++;
+        if (counter === unloadedImages) {
+          if (DEBUG) {
+            console.log(Text.IMAGES_LOADED.replace('$1', unloadedImages));
+          }
+          resolve();
+        }
+      };
 
-          // Assemble new content using scene-specific builder function
-          content = this[paramConfig.handler](paramConfig.name);
+      // Iterate through images present on page
+      [].forEach.call(images, (image) => {
 
-          // Add assembled page to cache object
-          this.cache.pages[paramConfig.name] = content;
+        // Only attach listeners if image isn't loaded already
+        if (image.complete) {
+          unloadedImages -= 1;
         } else {
-          content = this.cache.pages[paramConfig.name];
+          image.addEventListener('load', settleListener, false);
+          image.addEventListener('error', settleListener, false);
         }
+      });
 
-        // Fade in on the newly reconfigured scene only once images loaded
-        this.loadImages(content).then(() => {
-
-          // Remove outdated DOM elements from container
-          this.emptyElementOfContent(selector);
-
-          // Append new content to parent container
-          container.appendChild(content);
-
-          // Fade in on new scene without any jarring transitions
-          this.fade('IN', selector);
-        });
+      // Cached pages and loaded images
+      if (unloadedImages === 0) {
+        resolve();
       }
-    }, Utility.CHECK_OPACITY_RATE);
+    });
   };
 
-  // Assembly functions
-
   /**
-   * @description As its name implies, this function is used to construct an
-   * individual instance of an element or object; in this case, it builds a
-   * single HTML element that will be returned from the function and appended to
-   * the DOM dynamically. It accepts an array of strings denoting the type of
-   * element to create and also handles potentially nested element arrays for
-   * elements that are to exist inside the outer element tags as inner HTML. In
-   * many respects, this function is the most critical building block of the
-   * module, as it use facilitates the generation of dynamic JS-mediated scenes
-   * that can be built and added to the page without the need to fetch static
-   * HTML files. The builder functions contained in this JS module are really
-   * nothing more than heavy extended invocations of this function that pass
-   * large frameworks of HTML for assembly herein.
+   * @description This function handles the translation of an inputted JS/JSON
+   * object into a query string like that present in vanilla jQuery builders,
+   * namely <code>$.params</code>. This is primarily for use in sending
+   * <code>POST</code> requests in passing argument parameters as the data. It
+   * is used in most cases of data transmission to the back-end, with the other
+   * REST-compliant approach&mdash;namely the use of JSON-encoded data&mdash;
+   * used only in certain cases as required by the endpoints.
+   *
+   * @param {object} paramObject The JS/JSON object to be serialized
+   * @returns {string} String formatted as <code>username=foo&password=X</code>
+   */
+  inaccessible.serialize = function (paramObject) {
+    return Object.entries(paramObject).map((pair) => pair.join('=')).join('&');
+  };
+
+  /**
+   * @description This utility function is used to consolidate the contents of
+   * an inputted array of numbers through the performing of an inputted common
+   * algebraic operation. The associated value is then returned from the
+   * function. Within this file, this function is only used with the
+   * <code>Operations.ADDITION</code> and <code>Operations.SUBTRACTION</code>
+   * operations; the comparison operations in the enum require a different
+   * invocation method. It is used by <code>inaccessible.animate</code> to
+   * interpolate the opacity and offset of an element between animation frames.
+   *
+   * @param {!Array<number>} paramList Array of number values
+   * @param {string} paramOperation The <code>Operations</code> enum operation
+   * @returns {number}
+   */
+  inaccessible.performCommonOperation = function (paramList, paramOperation) {
+    return paramList.reduce(Operations[paramOperation]);
+  };
+
+  /**
+   * @description This function returns a <code>boolean</code> value based on
+   * whether or not the inputted JS object is an array. It will be used by
+   * <code>inaccessible.assembleElement</code> to determine if the inputted
+   * parameters need to be formatted as arrays or whether the user has correctly
+   * passed well-formed input arguments to the function as expected. Originally,
+   * the author was considering including in that function as inner function,
+   * but eventually decided to keep things organized by locating all utility
+   * functions in a specific section of the <code>inaccessible</code> scope
+   * object.
+   *
+   * @param {object} paramTarget JS object to be checked
+   * @returns {boolean} Returns <code>true</code> if object is an Array
+   */
+  inaccessible.isArray = function (paramTarget) {
+    return Object.prototype.toString.call(paramTarget) === '[object Array]';
+  };
+
+  /**
+   * @description This utility function is used simply to capitalize the first
+   * letter of the inputted parameter <code>String</code>. The resultant
+   * modified <code>String</code> is subsequently returned. The function is used
+   * primarily in cases wherin specialized text might be extraneous. By
+   * simply capitalizing a string already used to form CSS selectors, duplicates
+   * can be avoided.
+   *
+   * @param {string} paramString String to be capitalized
+   * @return {string}
+   */
+  inaccessible.capitalize = function (paramString) {
+    return paramString.charAt(0).toUpperCase() + paramString.slice(1);
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the parameter address may be used as the target of a link
+   * included in JSON text. Only absolute <code>http</code>,
+   * <code>https</code>, and <code>mailto</code> addresses are permitted, which
+   * excludes <code>javascript:</code> addresses and the like.
+   *
+   * @param {string} paramUrl Link address
+   * @returns {boolean}
+   */
+  inaccessible.isSafeUrl = function (paramUrl) {
+    try {
+      return /^(https?|mailto):$/.test(new URL(paramUrl).protocol);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * @description This utility function returns the index at which the
+   * parameter closing delimiter of an inline markup span first appears in the
+   * parameter text at or after the parameter index, or <code>-1</code> if it
+   * does not. Escaped characters and the contents of code spans are skipped,
+   * as is a double asterisk when a single asterisk is sought, so that strong
+   * text may be nested within emphasized text.
+   *
+   * @param {string} paramText Text to be searched
+   * @param {string} paramDelimiter Closing delimiter
+   * @param {number} paramFrom Index from which to search
+   * @returns {number}
+   */
+  inaccessible.findClosingDelimiter = function (paramText, paramDelimiter,
+      paramFrom) {
+
+    // Declaration
+    let end;
+
+    for (let i = paramFrom; i < paramText.length; i++) {
+      if (paramText[i] === '\\') {
+        i++;
+      } else if (paramText[i] === '`' && paramDelimiter !== '`') {
+        end = paramText.indexOf('`', i + 1);
+        i = (end !== -1) ? end : i;
+      } else if (paramDelimiter === '*' && paramText.startsWith('**', i)) {
+        i++;
+      } else if (paramText.startsWith(paramDelimiter, i)) {
+        return i;
+      }
+    }
+
+    return -1;
+  };
+
+  /**
+   * @description This utility function returns the index of the parenthesis
+   * closing a link address beginning at the parameter index, or <code>-1</code>
+   * if there is none. Balanced parentheses within the address, as found in
+   * many Wikipedia addresses, are treated as part of the address.
+   *
+   * @param {string} paramText Text to be searched
+   * @param {number} paramFrom Index at which address begins
+   * @returns {number}
+   */
+  inaccessible.findClosingParenthesis = function (paramText, paramFrom) {
+
+    // Declaration
+    let depth;
+
+    // Definition
+    depth = 0;
+
+    for (let i = paramFrom; i < paramText.length; i++) {
+      if (paramText[i] === '(') {
+        depth++;
+      } else if (paramText[i] === ')') {
+        if (depth === 0) {
+          return i;
+        }
+
+        depth--;
+      }
+    }
+
+    return -1;
+  };
+
+  /**
+   * @description This utility function parses the inline markup permitted in
+   * JSON text, namely the essay paragraphs and entry summaries and listings, a
+   * small subset of Markdown. The function returns an array of the text and
+   * element arrays of which the text is composed, suitable for inclusion as
+   * children in an <code>inaccessible.assembleElement</code> array. As all
+   * text is added to the DOM as text nodes and only the elements below may be
+   * created, no HTML included in the JSON files is ever interpreted as such.
    * <br />
    * <br />
-   * An example of wellformed input is shown below:
+   * The following markup is supported, with any markup character escaped via
+   * a preceding backslash to be displayed as is. Delimiters without a matching
+   * closing delimiter are likewise displayed as is.
    * <br />
    * <pre>
-   * this.assembleElement(
-   *   ['div', {id: 'foo-id', class: 'foo-class'},
-   *     ['button', {id: 'bar-id', class: 'bar-class'},
-   *       'Text',
-   *     ],
-   *   ],
-   * );
+   * [GitHub](https://github.com)  Link (http, https, and mailto only)
+   * *text*                        Emphasized text
+   * **text**                      Strong text
+   * `text`                        Code
    * </pre>
    *
-   * @param {!Array<string>} paramArray Well-formed array representing DOM node
-   * @returns {HTMLElement} element Assembled element for addition to DOM
+   * @param {string} paramText Text containing markup
+   * @returns {Array<string|Array>} nodes
    */
-  inaccessible.assembleElement = function (paramArray) {
+  inaccessible.parseInline = function (paramText) {
 
     // Declarations
-    let element, name, attributes, counter, content;
-
-    // Make sure input argument is a well-formatted array
-    if (!this.isArray(paramArray)) {
-      return this.assembleElement.call(this,
-          Array.prototype.slice.call(arguments));
-    }
+    let nodes, text, index, delimiter, close, end, url, label, linkAttributes;
 
     // Definitions
-    name = paramArray[0];
-    attributes = paramArray[1];
-    element = document.createElement(name);
-    counter = 1;
+    nodes = [];
+    text = '';
+    index = 0;
+
+    while (index < paramText.length) {
+      delimiter = (paramText.startsWith('**', index))
+        ? '**'
+        : paramText[index];
+      close = -1;
+
+      // Locate end of span, if this is the start of one
+      if (delimiter === '`') {
+        close = paramText.indexOf('`', index + 1);
+      } else if (
+        (delimiter === '*' || delimiter === '**') &&
+        /\S/.test(paramText.charAt(index + delimiter.length))
+      ) {
+        close = this.findClosingDelimiter(paramText, delimiter,
+          index + delimiter.length);
+      } else if (delimiter === '[') {
+        close = this.findClosingDelimiter(paramText, ']', index + 1);
+        end = (close !== -1 && paramText[close + 1] === '(')
+          ? this.findClosingParenthesis(paramText, close + 2)
+          : -1;
+        close = (end !== -1) ? close : -1;
+      }
 
-    /**
-     * Note: We use <code>!=</code> here to check for both undefined and null
-     * behavior since <code>attributes != null</code> is equivalent to
-     * <code>attributes === undefined || attributes === null</code>.
-     */
-    if (typeof attributes === 'object' && attributes != null &&
-        !this.isArray(attributes)) {
+      if (delimiter === '\\' && index + 1 < paramText.length) {
 
-      for (let attribute in attributes) {
-        element.setAttribute(attribute, attributes[attribute]);
+        // Escaped character is displayed as is
+        text += paramText[index + 1];
+        index += 2;
+      } else if (close === -1) {
+        text += paramText[index];
+        index++;
+      } else {
+
+        // Close the text preceding the span
+        if (text !== '') {
+          nodes.push(text);
+          text = '';
+        }
+
+        if (delimiter === '`') {
+          nodes.push(['code', {class: Classes.GENERAL__INLINE_CODE},
+            paramText.slice(index + 1, close)]);
+          index = close + 1;
+        } else if (delimiter === '[') {
+          url = paramText.slice(close + 2, end).trim();
+          label = this.parseInline(paramText.slice(index + 1, close));
+
+          if (this.isSafeUrl(url)) {
+            linkAttributes = {
+              class: Classes.GENERAL__INLINE_LINK,
+              href: url,
+            };
+
+            if (!url.startsWith('mailto:')) {
+              linkAttributes.target = Text.LINK_TARGET;
+              linkAttributes.rel = Text.LINK_REL;
+            }
+
+            nodes.push(['a', linkAttributes].concat(label));
+          } else {
+            if (DEBUG) {
+              console.warn(Text.UNSAFE_LINK.replace('$1', url));
+            }
+
+            // Display the link text alone
+            nodes.push(...label);
+          }
+
+          index = end + 1;
+        } else {
+          nodes.push([(delimiter === '**') ? 'strong' : 'em'].concat(
+            this.parseInline(
+              paramText.slice(index + delimiter.length, close))));
+          index = close + delimiter.length;
+        }
       }
+    }
 
-      counter = 2;
+    if (text !== '') {
+      nodes.push(text);
     }
 
-    for (let i = counter; i < paramArray.length; i++) {
+    return nodes;
+  };
 
-      // Check if recursive assembly is required for another inner DOM element
-      if (this.isArray(paramArray[i])) {
-        content = this.assembleElement(paramArray[i]);
+  /**
+   * @description This utility function replaces each template token of the
+   * parameter text with its value as per the <code>Tokens</code> enum, i.e.
+   * "Copyright © {{year}}" with "Copyright © 2026." Tokens of unknown names,
+   * or whose functions are unable to resolve them, are left in the text as is
+   * and reported if <code>DEBUG</code> is set to <code>true</code>.
+   *
+   * @param {string} paramText Text containing tokens
+   * @returns {string}
+   */
+  inaccessible.resolveTokens = function (paramText) {
 
-      // Otherwise check if array element is already an assembled DOM element
-      } else if (this.isElement(paramArray[i])) {
-        content = paramArray[i];
+    // Declaration
+    let pattern;
 
-      // Otherwise, treat any remaining array elements as text content
-      } else {
-        content = document.createTextNode(paramArray[i]);
+    // Definition
+    pattern = /\{\{\s*(\w+)(?::([^{}]*))?\}\}/g;
+
+    return String(paramText).replace(pattern, (token, name, argument) => {
+
+      // Declaration
+      let value;
+
+      if (!Tokens.hasOwnProperty(name)) {
+        if (DEBUG) {
+          console.warn(Text.TOKEN_UNKNOWN.replace('$1', token));
+        }
+
+        return token;
       }
 
-      // Add to outer parent element
-      element.appendChild(content);
-    }
+      // Definition
+      value = this[Tokens[name]]((argument || '').trim());
 
-    return element;
+      if (value == null) {
+        if (DEBUG) {
+          console.warn(Text.TOKEN_UNRESOLVED.replace('$1', token));
+        }
+
+        return token;
+      }
+
+      return String(value);
+    });
   };
 
   /**
-   * @description This function is used as a super-specialized version of the
-   * above assembly function <code>inaccessible.assembleElement</code>. It is
-   * used to build various list elements containing buttons, and is the general
-   * purpose assembly function for all such elements except for the home page
-   * pseudo-buttons, meta elements, and connect link buttons. This function
-   * accepts as parameters a config object containing name and text properties
-   * for selector assembly and button text addition and a <code>String</code>
-   * parameter denoting the target location to which the list-button combo
-   * belongs (i.e. "nav" or "sitemap").
-   * <br />
+   * @description This utility function resolves the <code>{{year}}</code>
+   * template token, returning the present year.
+   *
+   * @returns {number}
+   */
+  inaccessible.resolveYearToken = function () {
+    return new Date().getFullYear();
+  };
+
+  /**
+   * @description This utility function resolves the
+   * <code>{{yearsSince:YYYY}}</code> template token, returning the number of
+   * years elapsed between the parameter year and the present year, i.e. 11 for
+   * 2015 in 2026. Arguments other than a four-digit year cannot be resolved.
+   *
+   * @param {string} paramYear Four-digit year
+   * @returns {?number}
+   */
+  inaccessible.resolveYearsSinceToken = function (paramYear) {
+    return (/^\d{4}$/.test(paramYear))
+      ? Math.max(new Date().getFullYear() - Number(paramYear), 0)
+      : null;
+  };
+
+  /**
+   * @description This utility function returns the name of the scene, or of
+   * the property of <code>data.json</code>, referenced by the parameter
+   * <code>{{count}}</code> token path, namely its first part in lowercase,
+   * as scene names are. Both the loading of a token's scene and the
+   * resolution of the token rely upon this function, so that a token such as
+   * <code>{{count:Experience.entries}}</code> is resolved against the scene
+   * loaded for it.
+   *
+   * @param {string} paramPath Dot-separated path
+   * @returns {string}
+   */
+  inaccessible.getTokenSceneName = function (paramPath) {
+    return String(paramPath).split('.')[0].trim().toLowerCase();
+  };
+
+  /**
+   * @description This utility function resolves the
+   * <code>{{count:scene.path}}</code> template token, returning the number of
+   * items in the array found at the parameter path. The path's first part is
+   * the name of a scene, or of a property of <code>data.json</code> such as
+   * "home," while the remainder is sought first within the scene's article
+   * and then within the scene as a whole, i.e. "awards.entries" for the
+   * awards article's entries or "education.aside.summary.paragraphs" for the
+   * paragraphs of its sidebar. Tokens referencing scenes not yet loaded, or
+   * values that are not arrays, cannot be resolved.
    * <br />
-   * Button input objects are styled as seen below:
    * <br />
-   * <pre>
-   * {
-   *   "name": "Name",
-   *   "text": "Text",
-   * },
-   * </pre>
+   * The scenes referenced by a scene file's tokens, named as per
+   * <code>inaccessible.getTokenSceneName</code>, are loaded along with the
+   * file by <code>inaccessible.loadTokenDependencies</code>, so that such
+   * tokens may be resolved once the scene is built. Tokens in
+   * <code>data.json</code> should only reference its own properties, as the
+   * header and footer are built before any scene is loaded.
    *
-   * @param {object} paramObject Config button object as seen above
-   * @param {string} paramLocation Target ("nav" or "sitemap")
-   * @returns {HTMLElement} listElement Assembled button for addition to DOM
+   * @param {string} paramPath Dot-separated path
+   * @returns {?number}
    */
-  inaccessible.assembleListElement = function (paramObject, paramLocation) {
+  inaccessible.resolveCountToken = function (paramPath) {
 
     // Declarations
-    let listElement, button, listElementConfig, buttonConfig;
+    let segments, scene, path, value;
 
-    // List element config
-    listElementConfig = {
-      class: `${paramLocation}-li`
-    };
+    // Definitions
+    segments = paramPath.split('.');
+    scene = this.cache.data[this.getTokenSceneName(paramPath)];
+    path = segments.slice(1).join('.');
 
-    // Inner button config
-    buttonConfig = {
-      class: `${paramLocation}-link ${Classes.GENERAL__BUTTON_LINK}`
+    if (scene == null || typeof scene !== 'object') {
+      return null;
+    }
+
+    value = (scene.article != null)
+      ? this.getValueAtPath(scene.article, path)
+      : undefined;
+
+    if (value === undefined) {
+      value = this.getValueAtPath(scene, path);
+    }
+
+    return (this.isArray(value)) ? value.length : null;
+  };
+
+  /**
+   * @description This utility function ensures that the scenes referenced by
+   * any <code>{{count}}</code> template tokens in the parameter file contents
+   * have been loaded, returning a <code>Promise</code> that resolves once each
+   * such scene not already cached has been loaded via
+   * <code>inaccessible.loadSceneData</code>. As a scene that fails to load
+   * leaves only its tokens unresolved, failures are simply logged and the
+   * <code>Promise</code> always resolves.
+   *
+   * @param {object} paramData Contents of scene's JSON file
+   * @returns {Promise}
+   */
+  inaccessible.loadTokenDependencies = function (paramData) {
+
+    // Declarations
+    let names, collect;
+
+    // Definitions
+    names = new Set();
+    collect = (paramValue) => {
+      if (typeof paramValue === 'string') {
+        for (let match of paramValue.matchAll(/\{\{\s*count:\s*(\w+)/g)) {
+          names.add(this.getTokenSceneName(match[1]));
+        }
+      } else if (paramValue != null && typeof paramValue === 'object') {
+        Object.keys(paramValue).forEach((key) => collect(paramValue[key]));
+      }
     };
 
-    // Definitions
-    listElement = this.assembleElement(['li', listElementConfig]);
-    button = this.assembleElement(['button', buttonConfig, paramObject.text]);
+    collect(paramData);
+
+    return Promise.all([...names].filter((name) => {
+      return !this.cache.data.hasOwnProperty(name);
+    }).map((name) => {
+      return this.loadSceneData({name: name}).catch(() => {
+        if (DEBUG) {
+          console.warn(Text.TOKEN_DEPENDENCY_FAILED.replace('$1', name));
+        }
+      });
+    }));
+  };
+
+  /**
+   * @description This function is used to check if an inputted element is a
+   * wellformed DOM element, returning an associated <code>boolean</code> value
+   * depending on the result. It is primarily used by
+   * <code>inaccessible.assembleElement</code> to handle cases wherein certain
+   * array elements constituting parts of the element to contruct may be
+   * preassembled DOM elements nested within. Like its related helper function
+   * <code>inaccessible.isArray</code>, it was originally planned to be
+   * included as an inner function of <code>assembleElement</code>, but was left
+   * in the <code>inaccessible</code> scope to keep things organized and
+   * readable.
+   *
+   * @param {object} paramTarget Object to be checked for element status
+   * @returns {boolean} Returns <code>true</code> if object is a DOM element
+   */
+  inaccessible.isElement = function (paramObject) {
+    return (
+      typeof HTMLElement === 'object'
+        ? paramObject instanceof HTMLElement
+        : (
+          paramObject &&
+          typeof paramObject === 'object' &&
+          paramObject !== null &&
+          paramObject.nodeType === 1 &&
+          typeof paramObject.nodeName === 'string'
+        )
+    );
+  };
+
+  /**
+   * @description This utility function is used to remove any half-assembled
+   * element content stored within a certain inputted DOM element. It sees use
+   * in the clearing of the page on scene transition immediately after fading
+   * out of the scene, appearing solely in the body of
+   * <code>inaccessible.tinderize</code>. It could perhaps be integrated within
+   * that function given that it sees use nowhere else in the module.
+   *
+   * @see {@link https://stackoverflow.com/a/3450726|Relevant SO Thread}
+   * @param {string} paramElementSelector Selector of the element to be cleared
+   * @returns {void}
+   */
+  inaccessible.emptyElementOfContent = function (paramElementSelector) {
+
+    // Declaration
+    let element;
+
+    // Definition
+    element = document.querySelector(paramElementSelector);
+
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+  };
+
+  /**
+   * @description This utility function is used to return a <code>boolean</code>
+   * flag denoting whether or not the element specified by means of the
+   * parameter <code>String</code> is visible in the viewport (more specifically
+   * whether the display is set to none, expected behavior in the cases wherein
+   * this function may be expected to be invoked). It was vaguely inspired by
+   * jQuery's <code>$.exists()</code> function used on the Wikia network.
+   *
+   * @param {string} paramElementSelector Selector of the element to be checked
+   * @returns {boolean}
+   */
+  inaccessible.isVisible = function (paramElementSelector) {
+
+    // Declaration
+    let element;
+
+    // Definition
+    element = document.querySelector(paramElementSelector);
+
+    return (element.currentStyle)
+      ? element.currentStyle.display
+      : getComputedStyle(element, null).display !== 'none';
+  };
+
+  /**
+   * @description This utility function is used to retrieve a value previously
+   * persisted to the browser's <code>localStorage</code> via
+   * <code>inaccessible.setStoredValue</code>. As storage may be disabled or
+   * unavailable in certain contexts (i.e. some private browsing modes), any
+   * exceptions are caught and <code>null</code> returned in such cases, as it
+   * is for keys that have never been set.
+   *
+   * @param {string} paramKey Storage key
+   * @returns {*}
+   */
+  inaccessible.getStoredValue = function (paramKey) {
+    try {
+      return JSON.parse(window.localStorage.getItem(paramKey));
+    } catch (error) {
+      if (DEBUG) {
+        console.warn(Text.STORAGE_UNAVAILABLE);
+      }
+
+      return null;
+    }
+  };
+
+  /**
+   * @description The counterpart of <code>inaccessible.getStoredValue</code>,
+   * this utility function persists the parameter value to the browser's
+   * <code>localStorage</code> in JSON-encoded form. Passing <code>null</code>
+   * removes the key entirely. Storage failures are ignored, as persistence is
+   * a convenience rather than a requirement of any feature making use of it.
+   *
+   * @param {string} paramKey Storage key
+   * @param {*} paramValue JSON-serializable value or <code>null</code>
+   * @returns {void}
+   */
+  inaccessible.setStoredValue = function (paramKey, paramValue) {
+    try {
+      if (paramValue == null) {
+        window.localStorage.removeItem(paramKey);
+      } else {
+        window.localStorage.setItem(paramKey, JSON.stringify(paramValue));
+      }
+    } catch (error) {
+      if (DEBUG) {
+        console.warn(Text.STORAGE_UNAVAILABLE);
+      }
+    }
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether scene transitions and other animations should be reduced
+   * to plain, brief opacity changes. The user's own choice, made via the
+   * footer toggle or <code>Module.setReducedMotion</code>, takes precedence;
+   * otherwise, the operating system's <code>prefers-reduced-motion</code>
+   * setting is respected.
+   *
+   * @returns {boolean}
+   */
+  inaccessible.isReducedMotion = function () {
+    return (this.motion.override != null)
+      ? this.motion.override
+      : this.motion.system;
+  };
+
+  /**
+   * @description This utility function brings the interface into line with the
+   * present reduced motion preference as returned by
+   * <code>inaccessible.isReducedMotion</code>. A class is toggled on the root
+   * element so that any CSS transitions (i.e. the hamburger icon) may be
+   * disabled, and the state of the footer toggle button is updated. If motion
+   * has just been reduced, any sideways offset left over from an interrupted
+   * slide is removed at once.
+   *
+   * @returns {void}
+   */
+  inaccessible.applyMotionPreference = function () {
+
+    // Declarations
+    let isReduced, toggle;
+
+    // Definitions
+    isReduced = this.isReducedMotion();
+    toggle = document.querySelector(`.${Classes.FOOTER__MOTION_TOGGLE}`);
+
+    document.documentElement.classList.toggle(Classes.GENERAL__REDUCED_MOTION,
+      isReduced);
+
+    if (toggle != null) {
+      toggle.setAttribute('aria-pressed', String(isReduced));
+    }
+
+    // Nothing should ever be left offset sideways
+    if (isReduced) {
+      this.navigation.animations.forEach((token, element) => {
+        element.style.transform = '';
+      });
+    }
+
+    if (DEBUG) {
+      console.log(Text.REDUCED_MOTION_CHANGED.replace('$1', isReduced));
+    }
+  };
+
+  /**
+   * @description This utility function is used to set or clear the user's own
+   * reduced motion preference, overriding the operating system's setting. The
+   * choice is persisted so as to be respected on subsequent visits. Passing
+   * <code>null</code> clears the override, deferring once more to the system.
+   *
+   * @param {?boolean} paramIsReduced User preference or <code>null</code>
+   * @returns {void}
+   */
+  inaccessible.setReducedMotion = function (paramIsReduced) {
+    this.motion.override = (paramIsReduced == null) ? null : !!paramIsReduced;
+    this.setStoredValue(Text.REDUCED_MOTION_KEY, this.motion.override);
+    this.applyMotionPreference();
+  };
+
+  /**
+   * @description This utility function returns the code of the language in
+   * which the site should be displayed. The user's own choice, made via the
+   * header's language switcher or <code>Module.setLocale</code>, takes
+   * precedence; otherwise, the first of the browser's preferred languages
+   * listed in <code>Locales</code> is used, regardless of region (i.e. "de-AT"
+   * is treated as "de"). Should none be listed, the default language is used.
+   *
+   * @returns {string}
+   */
+  inaccessible.resolveLocale = function () {
+
+    // Declarations
+    let stored, preferred;
+
+    // Definitions
+    stored = this.getStoredValue(Text.LOCALE_KEY);
+    preferred = navigator.languages || [navigator.language];
+
+    if (Locales.hasOwnProperty(stored)) {
+      return stored;
+    }
+
+    return preferred.map((tag) => {
+      return String(tag).split('-')[0].toLowerCase();
+    }).find((code) => Locales.hasOwnProperty(code)) || Text.DEFAULT_LOCALE;
+  };
+
+  /**
+   * @description This utility function returns the string of the parameter
+   * <code>Translations</code> key in the present language, or in the default
+   * language if no translation exists. Any values passed after the key replace
+   * the <code>$1</code>, <code>$2</code>, etc. placeholders of the string in
+   * order. For strings whose wording depends on a number, the first value is
+   * taken to be that number and used to select the applicable plural form via
+   * <code>Intl.PluralRules</code>, i.e. "1 image" but "2 images."
+   *
+   * @param {string} paramKey <code>Translations</code> key
+   * @param {...*} paramValues Values replacing placeholders in order
+   * @returns {string}
+   */
+  inaccessible.localize = function (paramKey, ...paramValues) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = Translations[this.locale][paramKey];
+
+    // Untranslated strings are shown in the default language
+    if (entry == null) {
+      entry = Translations[Text.DEFAULT_LOCALE][paramKey];
+    }
+
+    // Select plural form based on the first value
+    if (typeof entry === 'object') {
+      entry = entry[(window.Intl && Intl.PluralRules)
+        ? new Intl.PluralRules(this.locale).select(paramValues[0])
+        : (paramValues[0] === 1) ? 'one' : 'other'] || entry.other;
+    }
+
+    return paramValues.reduce((string, value, index) => {
+      return string.replace(`$${index + 1}`, () => value);
+    }, entry);
+  };
+
+  /**
+   * @description This utility function parses a structured entry date of the
+   * form "YYYY" or "YYYY-MM" into an object containing the date's year, its
+   * zero-indexed month, and its precision, either "year" or "month." Dates
+   * given only by year are taken to begin in January, or to end in December if
+   * the parameter flag is set, so that durations count the whole year. A
+   * missing or malformed date returns <code>null</code>.
+   *
+   * @param {?string} paramDate Date of form "YYYY" or "YYYY-MM"
+   * @param {boolean=} paramIsEnd Whether date ends a range (optional)
+   * @returns {?object}
+   */
+  inaccessible.parseEntryDate = function (paramDate, paramIsEnd = false) {
+
+    // Declaration
+    let match;
+
+    // Definition
+    match = /^(\d{4})(?:-(\d{2}))?$/.exec(String(paramDate));
+
+    if (paramDate == null || match == null) {
+      return null;
+    }
+
+    return {
+      year: Number(match[1]),
+      month: (match[2] != null)
+        ? Number(match[2]) - 1
+        : (paramIsEnd) ? 11 : 0,
+      precision: (match[2] != null) ? 'month' : 'year',
+    };
+  };
+
+  /**
+   * @description This utility function returns the number of months elapsed
+   * since the start of the Common Era as of the parameter parsed entry date,
+   * or as of the present month if no date is provided. As entries are dated no
+   * more precisely than by month, this number is used both to compute
+   * durations and to compare entries chronologically.
+   *
+   * @param {?object} paramDate Parsed entry date (optional)
+   * @returns {number}
+   */
+  inaccessible.getMonthIndex = function (paramDate) {
+
+    // Declaration
+    let now;
+
+    // Definition
+    now = new Date();
+
+    return (paramDate != null)
+      ? paramDate.year * 12 + paramDate.month
+      : now.getFullYear() * 12 + now.getMonth();
+  };
+
+  /**
+   * @description This utility function formats the parameter parsed entry date
+   * in the present language via <code>Intl.DateTimeFormat</code>, i.e. "May
+   * 2019" in English but "Mai 2019" in German, showing only the year for dates
+   * given by year alone. Browsers lacking <code>Intl</code> are shown the date
+   * as it was written.
+   *
+   * @param {object} paramDate Parsed entry date
+   * @returns {string}
+   */
+  inaccessible.formatEntryDate = function (paramDate) {
+
+    // Declaration
+    let options;
+
+    // Definition
+    options = {year: 'numeric', timeZone: 'UTC'};
+
+    if (paramDate.precision === 'month') {
+      options.month = 'long';
+    }
+
+    if (!window.Intl || !Intl.DateTimeFormat) {
+      return (paramDate.precision === 'month')
+        ? `${paramDate.year}-${String(paramDate.month + 1).padStart(2, '0')}`
+        : String(paramDate.year);
+    }
+
+    return new Intl.DateTimeFormat(this.locale, options)
+      .format(new Date(Date.UTC(paramDate.year, paramDate.month, 1)));
+  };
+
+  /**
+   * @description This utility function formats the parameter number of months
+   * as a short duration in the present language, i.e. "3 yrs 7 mos." Partial
+   * years are omitted if the parameter flag is set, as is the case for
+   * durations beginning in a date given only by year, whose month is unknown.
+   * Durations are never shown as shorter than a single month or year.
+   *
+   * @param {number} paramMonths Length of duration (months)
+   * @param {boolean} paramIsYearsOnly Whether to omit partial years
+   * @returns {string}
+   */
+  inaccessible.formatDuration = function (paramMonths, paramIsYearsOnly) {
+
+    // Declarations
+    let years, months, parts;
+
+    // Definitions
+    years = Math.floor(paramMonths / 12);
+    months = paramMonths % 12;
+    parts = [];
+
+    if (paramIsYearsOnly) {
+      return this.localize('DURATION_YEARS', Math.max(years, 1));
+    }
+
+    if (years) {
+      parts.push(this.localize('DURATION_YEARS', years));
+    }
+
+    if (months || !years) {
+      parts.push(this.localize('DURATION_MONTHS', Math.max(months, 1)));
+    }
+
+    return parts.join(' ');
+  };
+
+  /**
+   * @description This utility function returns the text displayed as the date
+   * of the parameter entry. Entries with a structured <code>start</code> date
+   * are shown that date formatted in the present language, followed, for
+   * ranges ending in an <code>end</code> date or marked <code>ongoing</code>,
+   * by the duration of the range as computed at render time, i.e. "October
+   * 2016 – May 2019 · 2 yrs 8 mos" or "since 2015 · 11 yrs." Durations include
+   * both the first and last months of the range. Entries lacking a valid
+   * <code>start</code> date fall back to their free-text <code>date</code>, if
+   * any, and <code>null</code> is returned for entries with neither.
+   *
+   * @param {object} paramEntry Entry from scene's article
+   * @returns {?string}
+   */
+  inaccessible.formatEntryDates = function (paramEntry) {
+
+    // Declarations
+    let start, end, range, months;
+
+    // Definitions
+    start = this.parseEntryDate(paramEntry.start);
+    end = this.parseEntryDate(paramEntry.end, true);
+
+    if (start == null) {
+      return paramEntry.date || null;
+    }
+
+    if (end == null && !paramEntry.ongoing) {
+      return this.formatEntryDate(start);
+    }
+
+    range = (end != null)
+      ? this.localize('DATE_RANGE', this.formatEntryDate(start),
+        this.formatEntryDate(end))
+      : this.localize('DATE_SINCE', this.formatEntryDate(start));
+    months = this.getMonthIndex(end) - this.getMonthIndex(start) + 1;
+
+    return this.localize('DATE_DURATION', range,
+      this.formatDuration(Math.max(months, 1), start.precision === 'year'));
+  };
+
+  /**
+   * @description This utility function returns a copy of the parameter array
+   * of entries sorted chronologically in the parameter order, either
+   * "ascending" or "descending." Entries are compared by the month in which
+   * they end, taken to be the present month for <code>ongoing</code> entries
+   * and the <code>start</code> month for entries of a single date, and then by
+   * the month in which they begin. Entries without a structured date are
+   * placed after those with one, and entries otherwise equal keep their order.
+   *
+   * @param {Array<object>} paramEntries Entries from scene's article
+   * @param {string} paramOrder "ascending" or "descending"
+   * @returns {Array<object>}
+   */
+  inaccessible.sortEntries = function (paramEntries, paramOrder) {
+
+    // Declarations
+    let direction, keys;
+
+    // Definitions
+    direction = (paramOrder === 'descending') ? -1 : 1;
+    keys = paramEntries.map((entry, index) => {
+
+      // Declarations
+      let start, end;
+
+      // Definitions
+      start = this.parseEntryDate(entry.start);
+      end = this.parseEntryDate(entry.end, true);
+
+      return {
+        entry: entry,
+        index: index,
+        isDated: start != null,
+        start: (start != null) ? this.getMonthIndex(start) : 0,
+        end: (end != null || (start != null && entry.ongoing))
+          ? this.getMonthIndex(end)
+          : (start != null) ? this.getMonthIndex(start) : 0,
+      };
+    });
+
+    return keys.sort((paramA, paramB) => {
+      if (paramA.isDated !== paramB.isDated) {
+        return (paramA.isDated) ? -1 : 1;
+      }
+
+      return direction * (paramA.end - paramB.end) ||
+        direction * (paramA.start - paramB.start) ||
+        paramA.index - paramB.index;
+    }).map((key) => key.entry);
+  };
+
+  /**
+   * @description This utility function brings the document into line with the
+   * present language, setting the <code>lang</code> and <code>dir</code>
+   * attributes of the root element so that assistive technologies pronounce
+   * content correctly and right-to-left scripts are laid out as such. The
+   * value of the header's language switcher is likewise updated.
+   *
+   * @returns {void}
+   */
+  inaccessible.applyLocale = function () {
+
+    // Declaration
+    let switcher;
+
+    // Definition
+    switcher = document.querySelector(`.${Classes.LOCALE__SELECT}`);
+
+    document.documentElement.setAttribute('lang', this.locale);
+    document.documentElement.setAttribute('dir', Locales[this.locale].dir);
+
+    if (switcher != null) {
+      switcher.value = this.locale;
+    }
+
+    if (DEBUG) {
+      console.log(Text.LOCALE_CHANGED.replace('$1', this.locale));
+    }
+  };
+
+  /**
+   * @description This utility function is used to change the language in which
+   * the site is displayed, persisting the choice so as to be respected on
+   * subsequent visits. As the assembled scenes and their data are those of the
+   * previous language, both are discarded; <code>data.json</code> and the
+   * data of the scene presently displayed are then loaded in the new language
+   * and the header, footer, and scene rebuilt in place via
+   * <code>inaccessible.refreshContent</code>, with the remaining scenes
+   * prefetched in the new language thereafter. If the language switcher had
+   * focus, focus is moved to its replacement in the rebuilt header.
+   * <br />
+   * <br />
+   * Should the user choose another language before the files arrive, the
+   * outdated files are disregarded. Should the files be unavailable, the
+   * offline scene is displayed if the user is offline and the error scene
+   * otherwise, as per <code>inaccessible.handleButtonClicks</code>.
+   *
+   * @param {string} paramLocale <code>Locales</code> key
+   * @returns {Promise}
+   */
+  inaccessible.setLocale = function (paramLocale) {
+    if (!Locales.hasOwnProperty(paramLocale) || paramLocale === this.locale) {
+      return Promise.resolve();
+    }
+
+    this.locale = paramLocale;
+    this.setStoredValue(Text.LOCALE_KEY, paramLocale);
+    this.applyLocale();
+
+    // Assembled scenes and scene data are in the previous language
+    this.cache.pages.clear();
+    this.discardSceneData();
+
+    return this.requestFile(Text.DATA_NAME).then((data) => {
+
+      // Declaration
+      let config;
+
+      if (paramLocale !== this.locale) {
+        return;
+      }
+
+      this.cache.data = Object.assign(this.cache.data, data.data);
+
+      // Definition
+      config = this.getSceneConfig(this.navigation.scene);
+
+      return ((config != null)
+        ? this.loadSceneData(config)
+        : Promise.resolve()
+      ).then(() => {
+
+        // Declaration
+        let hadFocus, switcher;
+
+        if (paramLocale !== this.locale) {
+          return;
+        }
+
+        // Definition
+        hadFocus = document.activeElement != null &&
+          document.activeElement.classList.contains(Classes.LOCALE__SELECT);
+
+        this.refreshContent(Text.DATA_NAME);
+        this.prefetchWhenIdle();
+
+        // Return focus to the rebuilt header's switcher
+        switcher = document.querySelector(`.${Classes.LOCALE__SELECT}`);
+        if (hadFocus && switcher != null) {
+          switcher.focus();
+        }
+      });
+    }).catch((error) => {
+      if (this.isOffline()) {
+        this.tinderize(null, Classes.MAIN, this.getOfflineConfig());
+      } else {
+        this.handleErrors(error);
+      }
+    });
+  };
+
+  /**
+   * @description This utility function is used to begin a new scene transition
+   * on behalf of the navigation state machine stored in
+   * <code>inaccessible.navigation</code>. Each transition is assigned a unique,
+   * incrementing identifier, meaning any previously begun transitions still in
+   * progress are rendered stale and will not mount their scenes once their
+   * requests or animations complete. The new identifier is returned for use by
+   * the caller in subsequent checks via
+   * <code>inaccessible.isCurrentNavigation</code>.
+   *
+   * @param {object} paramConfig Config object of the requested scene
+   * @returns {number}
+   */
+  inaccessible.beginNavigation = function (paramConfig) {
+    if (DEBUG && this.navigation.state !== States.IDLE) {
+      console.log(Text.NAVIGATION_SUPERSEDED.replace('$1',
+        this.navigation.target));
+    }
+
+    this.navigation.id += 1;
+    this.navigation.target = paramConfig.name;
+    this.setNavigationState(States.FETCHING);
+
+    return this.navigation.id;
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the transition with the parameter identifier is the most
+   * recently requested one. Stale transitions, i.e. those superseded by a more
+   * recent user request, are expected to abandon their work upon checking.
+   *
+   * @param {number} paramId Identifier returned by <code>beginNavigation</code>
+   * @returns {boolean}
+   */
+  inaccessible.isCurrentNavigation = function (paramId) {
+    return paramId === this.navigation.id;
+  };
+
+  /**
+   * @description This utility function sets the state of the navigation state
+   * machine to one of the values of the <code>States</code> enum, logging the
+   * change in <code>DEBUG</code> mode.
+   *
+   * @param {string} paramState <code>States</code> enum value
+   * @returns {void}
+   */
+  inaccessible.setNavigationState = function (paramState) {
+    this.navigation.state = paramState;
+
+    if (DEBUG) {
+      console.log(Text.STATE_CHANGED.replace('$1', this.navigation.target)
+        .replace('$2', paramState));
+    }
+  };
+
+  /**
+   * @description This utility function is used to translate the name of a
+   * scene as listed in <code>data.json</code>'s <code>home.array</code> into
+   * the hash fragment address by which that scene is known in the browser's
+   * address bar (i.e. "contact" becomes <code>#/contact</code>). Hash fragments
+   * are used rather than full paths as the site is served as a set of static
+   * files, meaning a request made for <code>/contact</code> on page refresh
+   * would not resolve to <code>index.html</code>. The homepage is given the
+   * bare <code>#/</code> route.
+   *
+   * @param {string} paramName Name of the scene (i.e. "contact")
+   * @returns {string}
+   */
+  inaccessible.buildRoute = function (paramName) {
+    return Text.ROUTE_PREFIX + (
+      (paramName === this.cache.data.home.array[0].name)
+        ? ''
+        : encodeURIComponent(paramName.toLowerCase())
+    );
+  };
+
+  /**
+   * @description The inverse of <code>inaccessible.buildRoute</code>, this
+   * utility function parses the current hash fragment of the window's location
+   * and returns the name of the scene to which it refers. Missing or empty
+   * fragments are treated as requests for the homepage, and any trailing
+   * slashes added by the user are ignored.
+   *
+   * @returns {string}
+   */
+  inaccessible.getRouteName = function () {
+
+    // Declaration
+    let name;
+
+    // Strip "#", leading and trailing slashes from fragment
+    name = decodeURIComponent(window.location.hash.replace(/^#\/?|\/+$/g, ''))
+      .toLowerCase();
+
+    return (name === '') ? this.cache.data.home.array[0].name : name;
+  };
+
+  /**
+   * @description This utility function is used to find the config object from
+   * <code>data.json</code>'s <code>home.array</code> associated with the scene
+   * name passed as a parameter. The resume scene, which is not listed therein,
+   * is given the pseudo-config of <code>inaccessible.getResumeConfig</code>.
+   * If no such scene exists, <code>null</code> is returned so that the caller
+   * may display the "not found" scene instead.
+   *
+   * @param {string} paramName Name of the scene (i.e. "contact")
+   * @returns {?object}
+   */
+  inaccessible.getSceneConfig = function (paramName) {
+    return this.cache.data.home.array.find((config) => {
+      return config.name.toLowerCase() === paramName.toLowerCase();
+    }) || ((paramName.toLowerCase() === Text.RESUME_NAME)
+      ? this.getResumeConfig()
+      : null);
+  };
+
+  /**
+   * @description This utility function returns the config object of the scene
+   * listed immediately before or after the presently displayed scene in
+   * <code>data.json</code>'s <code>home.array</code>, as denoted by the
+   * parameter offset (-1 for the previous scene, 1 for the next). If no such
+   * scene exists, as is the case at either end of the array or when a scene
+   * not listed therein (i.e. "not found") is displayed, <code>null</code> is
+   * returned.
+   *
+   * @param {number} paramOffset Position relative to present scene
+   * @returns {?object}
+   */
+  inaccessible.getAdjacentScene = function (paramOffset) {
+
+    // Declarations
+    let scenes, index;
+
+    // Definitions
+    scenes = this.cache.data.home.array;
+    index = scenes.findIndex((config) => {
+      return config.name === this.navigation.scene;
+    });
+
+    return (index !== -1) ? scenes[index + paramOffset] || null : null;
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the parameter element, or any of its ancestors up to but
+   * excluding the parameter boundary element, is presently scrollable along
+   * the horizontal axis. It is used to ignore swipe gestures begun inside such
+   * content so as to not interfere with the user's attempts to scroll it.
+   *
+   * @param {HTMLElement} paramElement Element at which gesture began
+   * @param {HTMLElement} paramBoundary Outermost element to check (excluded)
+   * @returns {boolean}
+   */
+  inaccessible.isInHorizontalScroller = function (paramElement,
+      paramBoundary) {
+
+    // Declarations
+    let element, overflow;
+
+    for (element = paramElement; element != null && element !== paramBoundary;
+        element = element.parentElement) {
+      overflow = getComputedStyle(element, null).overflowX;
+
+      if ((overflow === 'auto' || overflow === 'scroll') &&
+          element.scrollWidth > element.clientWidth) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the parameter element accepts text input, namely form
+   * fields and editable content. Keyboard shortcuts are disabled while such an
+   * element is focused so as to not hijack the user's typing.
+   *
+   * @param {?Element} paramElement Element to be checked
+   * @returns {boolean}
+   */
+  inaccessible.isTextField = function (paramElement) {
+    return paramElement != null && (
+      /^(INPUT|TEXTAREA|SELECT)$/.test(paramElement.tagName) ||
+      paramElement.isContentEditable === true
+    );
+  };
+
+  /**
+   * @description This utility function returns the pseudo-config object used
+   * to display the "not found" scene in cases wherein the user has requested an
+   * address that does not correspond to any of the entries of
+   * <code>home.array</code>. As this scene requires no JSON data, it is built
+   * via <code>inaccessible.tinderize</code> directly rather than through
+   * <code>inaccessible.handleButtonClicks</code>.
+   *
+   * @returns {object}
+   */
+  inaccessible.getNotFoundConfig = function () {
+    return {
+      name: Text.NOT_FOUND_NAME,
+      handler: 'buildNotFoundPage',
+    };
+  };
+
+  /**
+   * @description Like <code>inaccessible.getNotFoundConfig</code> above, this
+   * utility function returns a pseudo-config object, in this case used to
+   * display the "offline" scene in the <code>main</code> section in cases
+   * wherein the data of the requested scene could not be fetched due to a lack
+   * of network connection and was not available from the service worker's
+   * cache.
+   *
+   * @returns {object}
+   */
+  inaccessible.getOfflineConfig = function () {
+    return {
+      name: Text.OFFLINE_NAME,
+      handler: 'buildOfflinePage',
+    };
+  };
+
+  /**
+   * @description This utility function returns the pseudo-config object of the
+   * resume scene, which combines the entries of the scenes listed in the
+   * <code>ResumeSections</code> enum with the contact details of
+   * <code>data.json</code>. Rather than a JSON file of its own, the scene
+   * requires the data of each of these scenes, listed in the config's
+   * <code>scenes</code> array and loaded via
+   * <code>inaccessible.loadSceneData</code> like that of any other scene.
+   *
+   * @returns {object}
+   */
+  inaccessible.getResumeConfig = function () {
+    return {
+      name: Text.RESUME_NAME,
+      text: this.localize('RESUME_LINK'),
+      handler: 'buildResume',
+      transition: Text.DEFAULT_TRANSITION,
+      scenes: Object.values(ResumeSections),
+    };
+  };
+
+  /**
+   * @description This utility function returns the text of the parameter node
+   * as it would be read, appending the address of each link whose text does
+   * not already show it in parentheses so that no information is lost when the
+   * resume is exported as plain text. Line breaks, as within postal
+   * addresses, become commas, while buttons are omitted.
+   *
+   * @param {Node} paramNode Node whose text is required
+   * @returns {string}
+   */
+  inaccessible.getPlainText = function (paramNode) {
+
+    // Declarations
+    let text, address;
+
+    if (paramNode.nodeType === Node.TEXT_NODE) {
+      return paramNode.nodeValue;
+    }
+
+    // Controls such as copy buttons are no part of the text
+    if (paramNode.tagName === 'BUTTON') {
+      return '';
+    }
+
+    if (paramNode.tagName === 'BR') {
+      return ', ';
+    }
+
+    // Definition
+    text = Array.from(paramNode.childNodes).map((child) => {
+      return this.getPlainText(child);
+    }).join('');
+
+    // Telephone links are written as the number already displayed
+    if (
+      paramNode.tagName === 'A' &&
+      paramNode.hasAttribute('href') &&
+      !paramNode.getAttribute('href').startsWith('tel:')
+    ) {
+      address = paramNode.getAttribute('href').replace(/^mailto:/, '');
+
+      if (
+        address.replace(/^https?:\/\//, '') !==
+          text.replace(/^https?:\/\//, '')
+      ) {
+        text += ` (${address})`;
+      }
+    }
+
+    return text;
+  };
+
+  /**
+   * @description This utility function returns a <code>Promise</code>
+   * resolving to the plain text version of the parameter resume scene, listing
+   * the name and contact details followed by each included section and entry
+   * in the order displayed. Sections and entries the user has chosen to
+   * exclude are omitted, as are the scene's controls.
+   *
+   * @param {HTMLElement} paramResume Resume scene built by
+   *     <code>inaccessible.buildResume</code>
+   * @returns {Promise<string>}
+   */
+  inaccessible.getResumeText = function (paramResume) {
+
+    // Declarations
+    let lines, name, contact, included;
+
+    // Definitions
+    name = paramResume.querySelector(`.${Classes.RESUME__NAME}`).textContent;
+    contact = paramResume.querySelectorAll(`.${Classes.RESUME__CONTACT_ITEM}`);
+    included = `:not(.${Classes.RESUME__EXCLUDED})`;
+    lines = [
+      name,
+      '='.repeat(name.length),
+      Array.from(contact).map((item) => this.getPlainText(item)).join(' · '),
+    ];
+
+    paramResume.querySelectorAll(`.${Classes.RESUME__SECTION}${included}`)
+      .forEach((section) => {
+
+        // Declaration
+        let header;
+
+        // Definition
+        header = this.getPlainText(section.querySelector(
+          `.${Classes.RESUME__SECTION_HEADER}`)).trim();
+
+        lines.push('', header, '-'.repeat(header.length));
+
+        section.querySelectorAll(`.${Classes.RESUME__ENTRY}${included}`)
+          .forEach((entry) => {
+            lines.push('');
+
+            // Each of the entry's header, dates, summary, etc. is a line
+            Array.from(entry.children).forEach((child) => {
+
+              // Declaration
+              let text;
+
+              // Definition
+              text = this.getPlainText(child).trim();
+
+              if (text !== '') {
+                lines.push(text);
+              }
+            });
+          });
+      });
+
+    return Promise.resolve(lines.join('\n') + '\n');
+  };
+
+  /**
+   * @description This utility function returns a <code>Promise</code>
+   * resolving to a standalone HTML document containing the included sections
+   * and entries of the parameter resume scene. The document embeds the print
+   * stylesheet so that it displays as the printed resume would, without the
+   * site's header, footer, or the scene's controls. Should the stylesheet be
+   * unavailable, the document is exported unstyled rather than not at all.
+   *
+   * @param {HTMLElement} paramResume Resume scene built by
+   *     <code>inaccessible.buildResume</code>
+   * @returns {Promise<string>}
+   */
+  inaccessible.getResumeDocument = function (paramResume) {
+    return fetch(Text.RESUME_STYLESHEET).then((response) => {
+      return (response.ok) ? response.text() : Promise.reject(response.status);
+    }).catch((error) => {
+      if (DEBUG) {
+        console.warn(Text.RESUME_STYLESHEET_FAILED
+          .replace('$1', Text.RESUME_STYLESHEET), error);
+      }
+
+      return '';
+    }).then((styles) => {
+
+      // Declarations
+      let exported, charset, style, resume;
+
+      // Definitions
+      exported = document.implementation.createHTMLDocument(
+        this.localize('RESUME_TITLE', this.cache.data.header.name));
+      charset = exported.createElement('meta');
+      style = exported.createElement('style');
+      resume = exported.importNode(paramResume, true);
+
+      exported.documentElement.setAttribute('lang', this.locale);
+      exported.documentElement.setAttribute('dir', Locales[this.locale].dir);
+      charset.setAttribute('charset', 'utf-8');
+      style.textContent = styles;
+      exported.head.prepend(charset);
+      exported.head.appendChild(style);
+
+      // Remove controls and whatever the user has chosen to leave out
+      resume.querySelectorAll([
+        Classes.RESUME__CONTROLS,
+        Classes.RESUME__TOGGLE,
+        Classes.RESUME__EXCLUDED,
+      ].map((selector) => `.${selector}`).join(', ')).forEach((element) => {
+        element.remove();
+      });
+
+      // Headings made focusable on display of the scene need not remain so
+      resume.querySelectorAll('[tabindex]').forEach((element) => {
+        element.removeAttribute('tabindex');
+      });
+
+      exported.body.appendChild(resume);
+
+      return `<!DOCTYPE html>\n${exported.documentElement.outerHTML}\n`;
+    });
+  };
+
+  /**
+   * @description This utility function offers the parameter contents to the
+   * user as a downloaded file of the parameter media type and name by way of
+   * a temporary object URL, revoked once the download has begun.
+   *
+   * @param {string} paramContents Contents of file
+   * @param {string} paramType Media type, i.e. "text/plain"
+   * @param {string} paramFileName Name under which file is saved
+   * @returns {void}
+   */
+  inaccessible.downloadFile = function (paramContents, paramType,
+      paramFileName) {
+
+    // Declarations
+    let url, link;
+
+    // Definitions
+    url = URL.createObjectURL(new Blob([paramContents], {
+      type: `${paramType};charset=utf-8`,
+    }));
+    link = this.assembleElement(['a', {
+      href: url,
+      download: paramFileName,
+      hidden: '',
+    }]);
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    window.setTimeout(() => {
+      URL.revokeObjectURL(url);
+    }, 0);
+  };
+
+  /**
+   * @description This utility function returns a <code>Promise</code>
+   * resolving to the contents of <code>data.json</code> and of the scene files
+   * of the <code>JsonResumeSections</code> enum, keyed by name, for conversion
+   * to or from JSON Resume. The parameter files are used if provided, as is
+   * the case outside the browser; otherwise, the files are assembled from the
+   * application's cache, with any scenes not yet loaded requested first.
+   *
+   * @param {?object=} paramFiles Contents of files by name (optional)
+   * @returns {Promise<object>}
+   */
+  inaccessible.getJsonResumeFiles = function (paramFiles = null) {
+    if (paramFiles != null) {
+      return Promise.resolve(paramFiles);
+    }
+
+    return Promise.all(Object.keys(JsonResumeSections).map((name) => {
+      return this.loadSceneData({name: name});
+    })).then(() => {
+
+      // Declaration
+      let files;
+
+      // Definition
+      files = {
+        [Text.DATA_NAME]: {
+          success: true,
+          formatVersion: Utility.FORMAT_VERSION,
+          data: {
+            header: this.cache.data.header,
+            home: this.cache.data.home,
+            details: this.cache.data.details,
+            footer: this.cache.data.footer,
+          },
+        },
+      };
+
+      Object.keys(JsonResumeSections).forEach((name) => {
+        files[name] = {
+          success: true,
+          formatVersion: Utility.FORMAT_VERSION,
+          data: {[name]: this.cache.data[name]},
+        };
+      });
+
+      return files;
+    });
+  };
+
+  /**
+   * @description This utility function adds to the parameter array of
+   * unmapped fields a description of the field at the parameter path, which
+   * has no counterpart in the parameter format and so was left out of the
+   * converted files.
+   *
+   * @param {string} paramPath Path of field, i.e. "work[0].url"
+   * @param {string} paramTarget Name of format converted to
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {void}
+   */
+  inaccessible.reportUnmapped = function (paramPath, paramTarget,
+      paramUnmapped) {
+    paramUnmapped.push(Text.JSON_RESUME_UNMAPPED.replace('$1', paramPath)
+      .replace('$2', paramTarget));
+  };
+
+  /**
+   * @description This utility function reports as unmapped each non-empty
+   * property of the parameter object not listed among the parameter array of
+   * mapped properties, such that fields unknown to the converter are never
+   * silently dropped.
+   *
+   * @param {object} paramObject Object being converted
+   * @param {Array<string>} paramMapped Properties that are converted
+   * @param {string} paramPath Path of object, i.e. "work[0]," if not root
+   * @param {string} paramTarget Name of format converted to
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {void}
+   */
+  inaccessible.collectUnmapped = function (paramObject, paramMapped,
+      paramPath, paramTarget, paramUnmapped) {
+    Object.keys(paramObject).forEach((key) => {
+
+      // Declaration
+      let value;
+
+      // Definition
+      value = paramObject[key];
+
+      if (
+        !paramMapped.includes(key) && value != null && value !== '' &&
+        !(this.isArray(value) && !value.length)
+      ) {
+        this.reportUnmapped((paramPath) ? `${paramPath}.${key}` : key,
+          paramTarget, paramUnmapped);
+      }
+    });
+  };
+
+  /**
+   * @description This utility function returns the parameter address stripped
+   * of its protocol, any "www." prefix, and any trailing slashes, so that the
+   * same profile given in slightly different forms, i.e. in
+   * <code>details.sites</code> and <code>footer.connect</code>, is recognized
+   * as such.
+   *
+   * @param {string} paramUrl Address to normalize
+   * @returns {string}
+   */
+  inaccessible.normalizeAddress = function (paramUrl) {
+    return String(paramUrl).toLowerCase()
+      .replace(/^https?:\/\/(?:www\.)?/, '').replace(/\/+$/, '');
+  };
+
+  /**
+   * @description This utility function returns the parameter JSON Resume date
+   * as an entry date of the form <code>YYYY</code> or <code>YYYY-MM</code>,
+   * or <code>null</code> if no date is given. Dates of other forms are
+   * reported as unmapped, while the days of full dates are dropped with a
+   * note to that effect.
+   *
+   * @param {?string} paramDate ISO 8601 date, i.e. "2019-05-15"
+   * @param {string} paramPath Path of date, i.e. "work[0].startDate"
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {?string}
+   */
+  inaccessible.toEntryDate = function (paramDate, paramPath, paramUnmapped) {
+
+    // Declaration
+    let match;
+
+    if (paramDate == null || paramDate === '') {
+      return null;
+    }
+
+    // Definition
+    match = String(paramDate)
+      .match(/^(\d{4})(?:-(0[1-9]|1[0-2])(-(?:0[1-9]|[12]\d|3[01]))?)?$/);
+
+    if (match == null) {
+      paramUnmapped.push(Text.JSON_RESUME_DATE.replace('$1', paramPath)
+        .replace('$2', paramDate));
+      return null;
+    }
+
+    if (match[3] != null) {
+      paramUnmapped.push(Text.JSON_RESUME_DAY.replace('$1', paramPath)
+        .replace('$2', paramDate));
+    }
+
+    return (match[2] != null) ? `${match[1]}-${match[2]}` : match[1];
+  };
+
+  /**
+   * @description This utility function returns the dates of the parameter
+   * entry as the properties of a JSON Resume item named by the parameter pair
+   * of keys, i.e. <code>startDate</code> and <code>endDate</code>. Ongoing
+   * entries are denoted by the absence of an end date. Free-text dates, as
+   * well as end dates and ongoing flags of items having but a single date
+   * (denoted by a <code>null</code> end key), are reported as unmapped.
+   *
+   * @param {object} paramEntry Entry object of scene's article
+   * @param {Array<?string>} paramKeys Start and end date keys
+   * @param {string} paramPath Path of entry
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.exportEntryDates = function (paramEntry, paramKeys, paramPath,
+      paramUnmapped) {
+
+    // Declaration
+    let dates;
+
+    // Definition
+    dates = {};
+
+    if (paramEntry.start != null) {
+      dates[paramKeys[0]] = paramEntry.start;
+    }
+
+    if (paramEntry.end != null && paramKeys[1] != null) {
+      dates[paramKeys[1]] = paramEntry.end;
+    } else if (paramEntry.end != null) {
+      this.reportUnmapped(`${paramPath}.end`, Text.JSON_RESUME_NAME,
+        paramUnmapped);
+    }
+
+    if (paramEntry.ongoing && paramKeys[1] == null) {
+      this.reportUnmapped(`${paramPath}.ongoing`, Text.JSON_RESUME_NAME,
+        paramUnmapped);
+    }
+
+    if (paramEntry.date != null) {
+      paramUnmapped.push(Text.JSON_RESUME_FREE_DATE
+        .replace('$1', `${paramPath}.date`).replace('$2', paramEntry.date));
+    }
+
+    return dates;
+  };
+
+  /**
+   * @description The counterpart of <code>inaccessible.exportEntryDates</code>
+   * above, this utility function returns the <code>start</code>,
+   * <code>end</code>, and <code>ongoing</code> properties of an entry from the
+   * dates of the parameter JSON Resume item named by the parameter pair of
+   * keys. Items with a start date but no end date are taken to be ongoing,
+   * unless the item has but a single date (denoted by a <code>null</code> end
+   * key).
+   *
+   * @param {object} paramItem Item of JSON Resume section
+   * @param {Array<?string>} paramKeys Start and end date keys
+   * @param {string} paramPath Path of item
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.importEntryDates = function (paramItem, paramKeys, paramPath,
+      paramUnmapped) {
+
+    // Declarations
+    let dates, start, end;
+
+    // Definitions
+    dates = {};
+    start = this.toEntryDate(paramItem[paramKeys[0]],
+      `${paramPath}.${paramKeys[0]}`, paramUnmapped);
+    end = (paramKeys[1] != null)
+      ? this.toEntryDate(paramItem[paramKeys[1]],
+        `${paramPath}.${paramKeys[1]}`, paramUnmapped)
+      : null;
+
+    if (start != null) {
+      dates.start = start;
+    }
+
+    if (end != null) {
+      dates.end = end;
+    } else if (
+      start != null && paramKeys[1] != null && paramItem[paramKeys[1]] == null
+    ) {
+      dates.ongoing = true;
+    }
+
+    return dates;
+  };
+
+  /**
+   * @description This utility function converts the parameter entry of the
+   * experience scene into a JSON Resume <code>work</code> item, the header
+   * becoming the employer's name and the subheader the position held. A
+   * listing titled "Highlights" becomes the item's highlights, while any
+   * other listings are reported as unmapped.
+   *
+   * @param {object} paramEntry Entry object of scene's article
+   * @param {string} paramPath Path of entry
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.exportWorkEntry = function (paramEntry, paramPath,
+      paramUnmapped) {
+
+    // Declaration
+    let item;
+
+    // Definition
+    item = Object.assign({
+      name: paramEntry.header,
+      position: paramEntry.subheader,
+    }, this.exportEntryDates(paramEntry, ['startDate', 'endDate'], paramPath,
+      paramUnmapped));
+
+    if (paramEntry.summary) {
+      item.summary = paramEntry.summary;
+    }
+
+    (paramEntry.listing || []).forEach((listing, index) => {
+      if (
+        listing.title.toLowerCase() ===
+          Text.JSON_RESUME_HIGHLIGHTS.toLowerCase() &&
+        item.highlights == null
+      ) {
+        item.highlights = listing.items.slice();
+      } else {
+        this.reportUnmapped(`${paramPath}.listing[${index}]`,
+          Text.JSON_RESUME_NAME, paramUnmapped);
+      }
+    });
+
+    return item;
+  };
+
+  /**
+   * @description This utility function converts the parameter JSON Resume
+   * <code>work</code> item into an entry of the experience scene, reversing
+   * <code>inaccessible.exportWorkEntry</code>. As entries display either a
+   * summary or listings, an item's highlights are listed only if it has no
+   * summary, and are otherwise reported as unmapped.
+   *
+   * @param {object} paramItem Item of JSON Resume section
+   * @param {string} paramPath Path of item
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.importWorkEntry = function (paramItem, paramPath,
+      paramUnmapped) {
+
+    // Declarations
+    let entry, hasHighlights, mapped;
+
+    // Definitions
+    mapped = ['name', 'position', 'startDate', 'endDate', 'summary'];
+    hasHighlights = this.isArray(paramItem.highlights) &&
+      paramItem.highlights.length > 0;
+    entry = Object.assign({
+      header: paramItem.name || '',
+      subheader: paramItem.position || '',
+    }, this.importEntryDates(paramItem, ['startDate', 'endDate'], paramPath,
+      paramUnmapped));
+
+    if (paramItem.summary || !hasHighlights) {
+      entry.summary = paramItem.summary || '';
+    } else {
+      entry.listing = [{
+        title: Text.JSON_RESUME_HIGHLIGHTS,
+        items: paramItem.highlights.map(String),
+      }];
+      mapped.push('highlights');
+    }
+
+    this.collectUnmapped(paramItem, mapped, paramPath, Text.JSON_RESUME_SITE,
+      paramUnmapped);
+
+    return entry;
+  };
+
+  /**
+   * @description This utility function converts the parameter entry of the
+   * education scene into a JSON Resume <code>education</code> item. The
+   * header becomes the institution, while a subheader of the form "Bachelor
+   * of Science in Computer Science" is divided into the type of study and the
+   * area studied. A listing titled "Relevant courses" becomes the item's
+   * courses; summaries and other listings are reported as unmapped.
+   *
+   * @param {object} paramEntry Entry object of scene's article
+   * @param {string} paramPath Path of entry
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.exportEducationEntry = function (paramEntry, paramPath,
+      paramUnmapped) {
+
+    // Declarations
+    let item, degree;
+
+    // Definitions
+    degree = paramEntry.subheader.match(new RegExp('^' + Text
+      .JSON_RESUME_DEGREE.replace('$1', '(.+?)').replace('$2', '(.+)') + '$'));
+    item = {
+      institution: paramEntry.header,
+      studyType: (degree != null) ? degree[1] : paramEntry.subheader,
+    };
+
+    if (degree != null) {
+      item.area = degree[2];
+    }
+
+    Object.assign(item, this.exportEntryDates(paramEntry,
+      ['startDate', 'endDate'], paramPath, paramUnmapped));
+
+    if (paramEntry.summary) {
+      this.reportUnmapped(`${paramPath}.summary`, Text.JSON_RESUME_NAME,
+        paramUnmapped);
+    }
+
+    (paramEntry.listing || []).forEach((listing, index) => {
+      if (
+        listing.title.toLowerCase() ===
+          Text.JSON_RESUME_COURSES.toLowerCase() &&
+        item.courses == null
+      ) {
+        item.courses = listing.items.slice();
+      } else {
+        this.reportUnmapped(`${paramPath}.listing[${index}]`,
+          Text.JSON_RESUME_NAME, paramUnmapped);
+      }
+    });
+
+    return item;
+  };
+
+  /**
+   * @description This utility function converts the parameter JSON Resume
+   * <code>education</code> item into an entry of the education scene,
+   * reversing <code>inaccessible.exportEducationEntry</code>. The type of
+   * study and area are rejoined into the subheader, and any courses listed
+   * under "Relevant courses."
+   *
+   * @param {object} paramItem Item of JSON Resume section
+   * @param {string} paramPath Path of item
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.importEducationEntry = function (paramItem, paramPath,
+      paramUnmapped) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = Object.assign({
+      header: paramItem.institution || '',
+      subheader: (paramItem.studyType && paramItem.area)
+        ? Text.JSON_RESUME_DEGREE.replace('$1', paramItem.studyType)
+          .replace('$2', paramItem.area)
+        : paramItem.studyType || paramItem.area || '',
+    }, this.importEntryDates(paramItem, ['startDate', 'endDate'], paramPath,
+      paramUnmapped));
+
+    if (this.isArray(paramItem.courses) && paramItem.courses.length) {
+      entry.listing = [{
+        title: Text.JSON_RESUME_COURSES,
+        items: paramItem.courses.map(String),
+      }];
+    } else {
+      entry.summary = '';
+    }
+
+    this.collectUnmapped(paramItem, ['institution', 'studyType', 'area',
+      'startDate', 'endDate', 'courses'], paramPath, Text.JSON_RESUME_SITE,
+      paramUnmapped);
+
+    return entry;
+  };
+
+  /**
+   * @description This utility function converts the parameter entry of the
+   * expertise scene into a JSON Resume <code>skills</code> item, the header
+   * becoming the skill's name and the comma-separated subheader its keywords.
+   * As skills are undated and undescribed in JSON Resume, the entry's dates
+   * and summary are reported as unmapped.
+   *
+   * @param {object} paramEntry Entry object of scene's article
+   * @param {string} paramPath Path of entry
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.exportSkillEntry = function (paramEntry, paramPath,
+      paramUnmapped) {
+    this.collectUnmapped(paramEntry, ['header', 'subheader'], paramPath,
+      Text.JSON_RESUME_NAME, paramUnmapped);
+
+    return {
+      name: paramEntry.header,
+      keywords: paramEntry.subheader.split(',').map((keyword) => {
+        return keyword.trim();
+      }).filter((keyword) => keyword !== ''),
+    };
+  };
+
+  /**
+   * @description This utility function converts the parameter JSON Resume
+   * <code>skills</code> item into an entry of the expertise scene, reversing
+   * <code>inaccessible.exportSkillEntry</code>. The skill's level, having no
+   * counterpart, is reported as unmapped.
+   *
+   * @param {object} paramItem Item of JSON Resume section
+   * @param {string} paramPath Path of item
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.importSkillEntry = function (paramItem, paramPath,
+      paramUnmapped) {
+    this.collectUnmapped(paramItem, ['name', 'keywords'], paramPath,
+      Text.JSON_RESUME_SITE, paramUnmapped);
+
+    return {
+      header: paramItem.name || '',
+      subheader: (this.isArray(paramItem.keywords))
+        ? paramItem.keywords.join(', ')
+        : '',
+      summary: '',
+    };
+  };
+
+  /**
+   * @description This utility function converts the parameter entry of the
+   * awards scene into a JSON Resume <code>awards</code> item, the header
+   * becoming the awarder and the subheader the award's title. As awards bear
+   * a single date, end dates and free-text dates are reported as unmapped.
+   *
+   * @param {object} paramEntry Entry object of scene's article
+   * @param {string} paramPath Path of entry
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.exportAwardEntry = function (paramEntry, paramPath,
+      paramUnmapped) {
+
+    // Declaration
+    let item;
+
+    // Definition
+    item = Object.assign({
+      title: paramEntry.subheader,
+    }, this.exportEntryDates(paramEntry, ['date', null], paramPath,
+      paramUnmapped), {
+      awarder: paramEntry.header,
+    });
+
+    if (paramEntry.summary) {
+      item.summary = paramEntry.summary;
+    }
+
+    if (paramEntry.listing != null) {
+      this.reportUnmapped(`${paramPath}.listing`, Text.JSON_RESUME_NAME,
+        paramUnmapped);
+    }
+
+    return item;
+  };
+
+  /**
+   * @description This utility function converts the parameter JSON Resume
+   * <code>awards</code> item into an entry of the awards scene, reversing
+   * <code>inaccessible.exportAwardEntry</code>.
+   *
+   * @param {object} paramItem Item of JSON Resume section
+   * @param {string} paramPath Path of item
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.importAwardEntry = function (paramItem, paramPath,
+      paramUnmapped) {
+    this.collectUnmapped(paramItem, ['title', 'date', 'awarder', 'summary'],
+      paramPath, Text.JSON_RESUME_SITE, paramUnmapped);
+
+    return Object.assign({
+      header: paramItem.awarder || '',
+      subheader: paramItem.title || '',
+    }, this.importEntryDates(paramItem, ['date', null], paramPath,
+      paramUnmapped), {
+      summary: paramItem.summary || '',
+    });
+  };
+
+  /**
+   * @description This utility function combines the parameter entry imported
+   * from JSON Resume with the parameter existing entry of the same header and
+   * subheader, returning a new entry. The imported entry's fields take
+   * precedence, while those of the existing entry that JSON Resume cannot
+   * express, such as free-text dates, the summaries of skills, and listings
+   * other than courses and highlights, are retained. Listings of the same
+   * title are replaced in place.
+   *
+   * @param {object} paramExisting Entry of existing scene file
+   * @param {object} paramEntry Entry imported from JSON Resume
+   * @returns {object}
+   */
+  inaccessible.mergeEntry = function (paramExisting, paramEntry) {
+
+    // Declaration
+    let entry;
+
+    // Definition
+    entry = Object.assign({}, paramExisting, paramEntry);
+
+    // Imported entries lacking a summary are given an empty placeholder
+    if (paramEntry.summary === '' && paramExisting.summary) {
+      entry.summary = paramExisting.summary;
+    } else if (paramEntry.summary === '' && paramExisting.listing) {
+      delete entry.summary;
+    }
+
+    if (paramEntry.listing && paramExisting.listing) {
+      entry.listing = paramExisting.listing.map((listing) => {
+        return paramEntry.listing.find((candidate) => {
+          return candidate.title === listing.title;
+        }) || listing;
+      }).concat(paramEntry.listing.filter((listing) => {
+        return !paramExisting.listing.some((candidate) => {
+          return candidate.title === listing.title;
+        });
+      }));
+    }
+
+    // An entry displays either a summary or listings
+    if (paramEntry.summary) {
+      delete entry.listing;
+    } else if (entry.listing) {
+      delete entry.summary;
+    }
+
+    // Structured dates supersede free-text dates and one another
+    if (paramEntry.start != null) {
+      delete entry.date;
+    }
+
+    if (paramEntry.end != null) {
+      delete entry.ongoing;
+    } else if (paramEntry.ongoing) {
+      delete entry.end;
+    }
+
+    return entry;
+  };
+
+  /**
+   * @description This utility function converts the name, contact methods,
+   * and footer summary of <code>data.json</code> into the
+   * <code>basics</code> of a JSON Resume. The sites of
+   * <code>details.contacts</code> and <code>footer.connect</code> become the
+   * profiles, with any site listed in both included once. As JSON Resume
+   * holds a single email address, telephone number, and location, the first
+   * of each is used and the remainder reported as unmapped, as are PGP
+   * fingerprints, Matrix handles, countries not given as two-letter codes,
+   * and the descriptions of the footer's links.
+   *
+   * @param {object} paramData Contents of <code>data.json</code>'s data
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {object}
+   */
+  inaccessible.exportJsonResumeBasics = function (paramData, paramUnmapped) {
+
+    // Declaration
+    let basics;
+
+    // Definition
+    basics = {
+      name: paramData.header.name,
+      profiles: [],
+    };
+
+    paramData.details.contacts.forEach((contact, index) => {
+
+      // Declarations
+      let path, value;
+
+      // Definitions
+      path = `data.details.contacts[${index}]`;
+      value = contact.value;
+
+      if (contact.type === 'url') {
+        basics.profiles.push({network: contact.title, url: value});
+      } else if (contact.type === 'email' && basics.email == null) {
+        basics.email = value;
+      } else if (contact.type === 'phone' && basics.phone == null) {
+        basics.phone = value;
+      } else if (contact.type === 'address' && basics.location == null) {
+        basics.location = Object.assign({
+          address: value.street,
+          city: value.locality,
+        }, (value.region) ? {region: value.region} : {},
+        (value.postalCode) ? {postalCode: value.postalCode} : {});
+
+        if (/^[A-Z]{2}$/.test(value.country)) {
+          basics.location.countryCode = value.country;
+        } else if (value.country) {
+          this.reportUnmapped(`${path}.value.country`, Text.JSON_RESUME_NAME,
+            paramUnmapped);
+        }
+      } else {
+        this.reportUnmapped(path, Text.JSON_RESUME_NAME, paramUnmapped);
+      }
+    });
+
+    if (paramData.footer.meta.summary.text) {
+      basics.summary = paramData.footer.meta.summary.text;
+    }
+
+    paramData.footer.connect.array.forEach((link, index) => {
+      if (!basics.profiles.some((profile) => {
+        return profile.network.toLowerCase() === link.text.toLowerCase() ||
+          this.normalizeAddress(profile.url) ===
+            this.normalizeAddress(link.link);
+      })) {
+        basics.profiles.push({network: link.text, url: link.link});
+      }
+
+      this.reportUnmapped(`data.footer.connect.array[${index}].description`,
+        Text.JSON_RESUME_NAME, paramUnmapped);
+    });
+
+    return basics;
+  };
+
+  /**
+   * @description The counterpart of
+   * <code>inaccessible.exportJsonResumeBasics</code> above, this utility
+   * function applies the parameter JSON Resume <code>basics</code> to the
+   * parameter contents of <code>data.json</code>. The email address and
+   * telephone number are added to <code>details.contacts</code> if not
+   * already listed, the location replaces the first postal address, and the
+   * profiles replace the sites, taking the place of the first. The links of
+   * <code>footer.connect</code>, which require icons and descriptions absent
+   * from JSON Resume, are kept only for networks still listed among the
+   * profiles, and are pointed at the profiles' addresses.
+   *
+   * @param {object} paramBasics JSON Resume <code>basics</code>
+   * @param {object} paramData Contents of <code>data.json</code>'s data
+   * @param {Array<string>} paramUnmapped Descriptions of unmapped fields
+   * @returns {void}
+   */
+  inaccessible.importJsonResumeBasics = function (paramBasics, paramData,
+      paramUnmapped) {
+
+    // Declarations
+    let contacts, profiles, location, address, index;
+
+    // Definition
+    contacts = paramData.details.contacts;
+
+    if (paramBasics.name) {
+      paramData.header.name = paramBasics.name;
+    }
+
+    [
+      {type: 'email', title: Text.JSON_RESUME_EMAIL, value: paramBasics.email},
+      {type: 'phone', title: Text.JSON_RESUME_PHONE, value: paramBasics.phone},
+    ].forEach((contact) => {
+      if (
+        contact.value &&
+        !contacts.some((existing) => {
+          return existing.type === contact.type &&
+            existing.value === contact.value;
+        })
+      ) {
+        contacts.splice(contacts.findIndex((existing) => {
+          return existing.type === contact.type;
+        }) + 1 || contacts.length, 0, contact);
+      }
+    });
+
+    if (paramBasics.location != null) {
+
+      // Definition
+      location = paramBasics.location;
+
+      if (location.address && location.city) {
+        address = Object.assign({
+          street: location.address,
+          locality: location.city,
+        }, (location.region) ? {region: location.region} : {},
+        (location.postalCode) ? {postalCode: location.postalCode} : {},
+        (location.countryCode) ? {country: location.countryCode} : {});
+        index = contacts.findIndex((contact) => contact.type === 'address');
+
+        if (index === -1) {
+          contacts.push({
+            type: 'address',
+            title: Text.JSON_RESUME_ADDRESS,
+            value: address,
+          });
+        } else {
+          contacts[index].value = address;
+        }
+
+        this.collectUnmapped(location, ['address', 'city', 'region',
+          'postalCode', 'countryCode'], 'basics.location',
+        Text.JSON_RESUME_SITE, paramUnmapped);
+      } else {
+        this.reportUnmapped('basics.location', Text.JSON_RESUME_SITE,
+          paramUnmapped);
+      }
+    }
+
+    if (paramBasics.summary) {
+      paramData.footer.meta.summary.text = paramBasics.summary;
+    }
+
+    if (this.isArray(paramBasics.profiles)) {
+
+      // Definition
+      profiles = paramBasics.profiles.filter((profile, index) => {
+        if (profile == null || !profile.url) {
+          this.reportUnmapped(`basics.profiles[${index}]`,
+            Text.JSON_RESUME_SITE, paramUnmapped);
+          return false;
+        }
+
+        this.collectUnmapped(profile, ['network', 'url'],
+          `basics.profiles[${index}]`, Text.JSON_RESUME_SITE, paramUnmapped);
+        return true;
+      });
+
+      // Definition
+      index = contacts.findIndex((contact) => contact.type === 'url');
+
+      contacts.splice(0, contacts.length, ...contacts.filter((contact) => {
+        return contact.type !== 'url';
+      }));
+      contacts.splice((index === -1) ? contacts.length : index, 0,
+        ...profiles.map((profile) => {
+          return {
+            type: 'url',
+            title: profile.network || profile.url,
+            value: profile.url,
+          };
+        }));
+
+      paramData.footer.connect.array = paramData.footer.connect.array
+        .filter((link) => {
+
+          // Declaration
+          let profile;
+
+          // Definition
+          profile = profiles.find((candidate) => {
+            return String(candidate.network).toLowerCase() ===
+              link.text.toLowerCase();
+          });
+
+          // Keep the link as written if it is the profile's address
+          if (
+            profile != null &&
+            this.normalizeAddress(profile.url) !==
+              this.normalizeAddress(link.link)
+          ) {
+            link.link = profile.url;
+          }
+
+          return profile != null;
+        });
+    }
+
+    this.collectUnmapped(paramBasics, ['name', 'email', 'phone', 'location',
+      'summary', 'profiles'], 'basics', Text.JSON_RESUME_SITE, paramUnmapped);
+  };
+
+  /**
+   * @description This utility function converts the parameter contents of
+   * <code>data.json</code> and the scene files of the
+   * <code>JsonResumeSections</code> enum, keyed by name, into a resume of the
+   * community JSON Resume format. An object is returned containing the resume
+   * and an array describing each field that has no counterpart in JSON
+   * Resume, such as sidebars and free-text dates, and so was left out. Files
+   * not provided are omitted from the resume.
+   *
+   * @param {object} paramFiles Contents of files by name
+   * @returns {object} Resume and descriptions of unmapped fields
+   */
+  inaccessible.convertToJsonResume = function (paramFiles) {
+
+    // Declarations
+    let resume, unmapped;
+
+    // Definitions
+    resume = {$schema: Text.JSON_RESUME_SCHEMA};
+    unmapped = [];
+
+    if (paramFiles[Text.DATA_NAME] != null) {
+      resume.basics = this.exportJsonResumeBasics(
+        paramFiles[Text.DATA_NAME].data, unmapped);
+    }
+
+    Object.keys(JsonResumeSections).forEach((name) => {
+
+      // Declarations
+      let mapping, scene;
+
+      // Definitions
+      mapping = JsonResumeSections[name];
+      scene = (paramFiles[name] != null) ? paramFiles[name].data[name] : null;
+
+      if (scene == null) {
+        return;
+      }
+
+      this.reportUnmapped(`${name}.aside`, Text.JSON_RESUME_NAME, unmapped);
+
+      if (scene.article.essaySections != null) {
+        this.reportUnmapped(`${name}.article.essaySections`,
+          Text.JSON_RESUME_NAME, unmapped);
+      }
+
+      resume[mapping.section] = (scene.article.entries || [])
+        .map((entry, index) => {
+          return this[mapping.exporter](entry,
+            `${name}.article.entries[${index}]`, unmapped);
+        });
+    });
+
+    return {resume: resume, unmapped: unmapped};
+  };
+
+  /**
+   * @description This utility function converts the parameter JSON Resume into
+   * the site's own files, applying its <code>basics</code> to the parameter
+   * contents of <code>data.json</code> and replacing the entries of each scene
+   * of the <code>JsonResumeSections</code> enum with the items of the
+   * corresponding section, in the same order. Entries already present with
+   * the same header and subheader retain those of their fields that JSON
+   * Resume cannot express, as per <code>inaccessible.mergeEntry</code>, so
+   * that a resume exported and imported again leaves the site's files
+   * unchanged. The parameter files are left
+   * unaltered, with each file affected returned as an updated copy; scenes
+   * not provided are created with placeholder headers. An object is returned
+   * containing the updated files by name and an array describing each field
+   * of the resume that has no counterpart in the site's files, such as the
+   * <code>volunteer</code> section, and so was left out.
+   *
+   * @param {object} paramResume Parsed JSON Resume
+   * @param {object} paramFiles Contents of files by name
+   * @returns {object} Updated files and descriptions of unmapped fields
+   */
+  inaccessible.convertFromJsonResume = function (paramResume, paramFiles) {
+
+    // Declarations
+    let files, unmapped, sections;
+
+    // Definitions
+    files = {};
+    unmapped = [];
+    sections = Object.keys(JsonResumeSections).map((name) => {
+      return JsonResumeSections[name].section;
+    });
+
+    if (paramResume.basics != null && paramFiles[Text.DATA_NAME] == null) {
+      unmapped.push(Text.JSON_RESUME_NO_DATA.replace('$1', 'basics'));
+    } else if (paramResume.basics != null) {
+      files[Text.DATA_NAME] =
+        JSON.parse(JSON.stringify(paramFiles[Text.DATA_NAME]));
+      this.importJsonResumeBasics(paramResume.basics,
+        files[Text.DATA_NAME].data, unmapped);
+    }
+
+    Object.keys(JsonResumeSections).forEach((name) => {
+
+      // Declarations
+      let mapping, article, existing;
+
+      // Definition
+      mapping = JsonResumeSections[name];
+
+      if (!this.isArray(paramResume[mapping.section])) {
+        return;
+      }
+
+      files[name] = (paramFiles[name] != null)
+        ? JSON.parse(JSON.stringify(paramFiles[name]))
+        : {
+          success: true,
+          formatVersion: Utility.FORMAT_VERSION,
+          data: {
+            [name]: {
+              aside: {
+                header: this.capitalize(name),
+                summary: {paragraphs: []},
+              },
+              article: {header: this.capitalize(name)},
+            },
+          },
+        };
+
+      article = files[name].data[name].article;
+      existing = article.entries || [];
+      delete article.essaySections;
+      article.entries = paramResume[mapping.section].map((item, index) => {
+
+        // Declarations
+        let entry, match;
+
+        // Definitions
+        entry = this[mapping.importer](item || {},
+          `${mapping.section}[${index}]`, unmapped);
+        match = existing.find((candidate) => {
+          return candidate.header === entry.header &&
+            candidate.subheader === entry.subheader;
+        });
+
+        // Each existing entry may supply the fields of one imported entry
+        if (match != null) {
+          existing.splice(existing.indexOf(match), 1);
+        }
+
+        return (match != null) ? this.mergeEntry(match, entry) : entry;
+      });
+    });
+
+    this.collectUnmapped(paramResume, ['$schema', 'basics'].concat(sections),
+      '', Text.JSON_RESUME_SITE, unmapped);
+
+    return {files: files, unmapped: unmapped};
+  };
+
+  /**
+   * @description This utility function returns the name of the site's owner,
+   * as given in <code>data.json</code>, in a form suitable for the names of
+   * downloaded files, i.e. "andrew-eissen" for "Andrew Eissen."
+   *
+   * @returns {string}
+   */
+  inaccessible.getNameSlug = function () {
+    return this.cache.data.header.name.toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  };
+
+  /**
+   * @description This utility function escapes the characters of the
+   * parameter text bearing special meaning in vCard property values, namely
+   * backslashes, commas, semicolons, and line breaks, per RFC 6350. Only
+   * text values are escaped, as URI values, i.e. those of <code>URL</code>,
+   * are written as they are.
+   *
+   * @param {string} paramText Text of property value
+   * @returns {string}
+   */
+  inaccessible.escapeVCardValue = function (paramText) {
+    return paramText.replace(/[\\,;]/g, '\\$&').replace(/\r?\n/g, '\\n');
+  };
+
+  /**
+   * @description This utility function folds the parameter vCard content line
+   * into lines of no more than <code>Utility.VCARD_LINE_LENGTH</code> octets,
+   * each continuation beginning with a single space, as required by RFC 6350.
+   * Lines are folded between characters rather than octets so that no
+   * multi-byte character is divided.
+   *
+   * @param {string} paramLine Unfolded content line
+   * @returns {string} Folded line ending in CRLF
+   */
+  inaccessible.foldVCardLine = function (paramLine) {
+
+    // Declarations
+    let lines, length;
+
+    // Definitions
+    lines = [''];
+    length = 0;
+
+    Array.from(paramLine).forEach((character) => {
+
+      // Declaration
+      let size;
+
+      // Definition
+      size = new TextEncoder().encode(character).length;
+
+      if (length + size > Utility.VCARD_LINE_LENGTH) {
+        lines.push(' ');
+        length = 1;
+      }
+
+      lines[lines.length - 1] += character;
+      length += size;
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+  };
+
+  /**
+   * @description This utility function returns the address to which the
+   * parameter contact method links, i.e. a <code>mailto:</code> address for
+   * an email address or a <code>tel:</code> number stripped of punctuation
+   * for a telephone number. Methods of types not rendered as links, namely
+   * postal addresses and PGP fingerprints, return <code>null</code>.
+   *
+   * @param {object} paramContact Contact method from <code>details</code>
+   * @returns {?string}
+   */
+  inaccessible.getContactHref = function (paramContact) {
+    switch (paramContact.type) {
+      case 'email':
+        return `mailto:${paramContact.value}`;
+      case 'url':
+        return paramContact.value;
+      case 'phone':
+        return `tel:${paramContact.value.replace(/[^\d+]/g, '')}`;
+      case 'matrix':
+        return Text.MATRIX_LINK.replace('$1', paramContact.value);
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * @description This utility function returns the lines in which the
+   * parameter postal address is displayed, namely its street, which may
+   * itself span several lines, its locality followed by any region and postal
+   * code, and its country, if any.
+   *
+   * @param {object} paramAddress Value of <code>address</code> method
+   * @returns {Array<string>}
+   */
+  inaccessible.getAddressLines = function (paramAddress) {
+    return paramAddress.street.split('\n').concat(
+      [
+        paramAddress.locality,
+        [paramAddress.region, paramAddress.postalCode].filter((part) => {
+          return part;
+        }).join(' '),
+      ].filter((part) => part).join(', '),
+      paramAddress.country || [],
+    ).map((line) => line.trim()).filter((line) => line !== '');
+  };
+
+  /**
+   * @description This utility function returns the parameter PGP fingerprint
+   * in its customary form, i.e. ten groups of four uppercase hexadecimal
+   * digits, however spaced it was given.
+   *
+   * @param {string} paramFingerprint Fingerprint of 40 hexadecimal digits
+   * @returns {string}
+   */
+  inaccessible.formatFingerprint = function (paramFingerprint) {
+    return paramFingerprint.replace(/\s+/g, '').toUpperCase()
+      .match(/.{1,4}/g).join(' ');
+  };
+
+  /**
+   * @description This utility function returns the text copied to the
+   * clipboard for the parameter contact method, namely its value as
+   * displayed. Postal addresses are given a line apiece, as expected by the
+   * address fields of most forms, and PGP fingerprints are given in their
+   * customary groups of four.
+   *
+   * @param {object} paramContact Contact method from <code>details</code>
+   * @returns {string}
+   */
+  inaccessible.getContactText = function (paramContact) {
+    switch (paramContact.type) {
+      case 'address':
+        return this.getAddressLines(paramContact.value).join('\n');
+      case 'pgp':
+        return this.formatFingerprint(paramContact.value);
+      default:
+        return paramContact.value;
+    }
+  };
+
+  /**
+   * @description This utility function copies the parameter text to the
+   * clipboard by way of the asynchronous Clipboard API, returning a
+   * <code>Promise</code> resolving once the text has been copied. As the API
+   * is unavailable in insecure contexts and older browsers, and may refuse
+   * permission, the text is otherwise copied via
+   * <code>inaccessible.copyTextFallback</code>, the <code>Promise</code>
+   * rejecting only if neither approach succeeds.
+   *
+   * @param {string} paramText Text to be copied
+   * @returns {Promise<void>}
+   */
+  inaccessible.copyText = function (paramText) {
+    if (navigator.clipboard == null || window.isSecureContext === false) {
+      return this.copyTextFallback(paramText);
+    }
+
+    return navigator.clipboard.writeText(paramText).catch(() => {
+      return this.copyTextFallback(paramText);
+    });
+  };
+
+  /**
+   * @description This utility function copies the parameter text to the
+   * clipboard by selecting it in a visually hidden <code>textarea</code> and
+   * invoking the deprecated but widely supported <code>copy</code> command,
+   * for use where the Clipboard API is unavailable. Focus is returned to the
+   * element that held it beforehand, i.e. the copy button pressed. The
+   * <code>Promise</code> returned rejects if the command fails.
+   *
+   * @param {string} paramText Text to be copied
+   * @returns {Promise<void>}
+   */
+  inaccessible.copyTextFallback = function (paramText) {
+
+    // Declarations
+    let field, focused, isCopied;
+
+    // Definitions
+    field = this.assembleElement(['textarea', {
+      class: Classes.GENERAL__VISUALLY_HIDDEN,
+      readonly: '',
+      'aria-hidden': 'true',
+    }]);
+    focused = document.activeElement;
+
+    field.value = paramText;
+    document.body.appendChild(field);
+    field.focus();
+    field.select();
+    field.setSelectionRange(0, paramText.length);
+
+    try {
+      isCopied = document.execCommand('copy');
+    } catch (error) {
+      isCopied = false;
+    }
+
+    field.remove();
+
+    if (focused != null && typeof focused.focus === 'function') {
+      focused.focus();
+    }
+
+    return (isCopied)
+      ? Promise.resolve()
+      : Promise.reject(new Error(Text.CLIPBOARD_UNAVAILABLE));
+  };
+
+  /**
+   * @description This utility function returns the vCard content line of the
+   * parameter contact method, marked as preferred if the parameter flag is
+   * set, as for the first method of each type. Postal addresses are divided
+   * into the components of the <code>ADR</code> property, while PGP
+   * fingerprints are given as an <code>openpgp4fpr</code> key URI, as read by
+   * OpenPGP applications. Matrix handles are given as an instant messaging
+   * address linking to the handle. Text values are escaped via
+   * <code>inaccessible.escapeVCardValue</code>, while the URI values of
+   * sites, telephone numbers, keys, and Matrix handles are written as is.
+   *
+   * @param {object} paramContact Contact method from <code>details</code>
+   * @param {boolean} paramIsPreferred Whether method is preferred of its type
+   * @returns {string}
+   */
+  inaccessible.getContactVCardLine = function (paramContact,
+      paramIsPreferred) {
+
+    // Declarations
+    let parameter, value;
+
+    // Definitions
+    parameter = (paramIsPreferred) ? ';PREF=1' : '';
+    value = paramContact.value;
+
+    switch (paramContact.type) {
+      case 'email':
+        return `EMAIL${parameter}:${this.escapeVCardValue(value)}`;
+      case 'url':
+        return `URL${parameter}:${value}`;
+      case 'phone':
+        return `TEL;VALUE=uri${parameter}:` +
+          this.getContactHref(paramContact);
+      case 'address':
+        return `ADR${parameter}:;;` + [
+          value.street,
+          value.locality,
+          value.region || '',
+          value.postalCode || '',
+          value.country || '',
+        ].map((part) => this.escapeVCardValue(part)).join(';');
+      case 'pgp':
+        return `KEY${parameter}:` + Text.PGP_FINGERPRINT_URI.replace('$1',
+          value.replace(/\s+/g, '').toUpperCase());
+      default:
+        return `IMPP${parameter}:` + this.getContactHref(paramContact);
+    }
+  };
+
+  /**
+   * @description This utility function returns the site owner's contact
+   * details as a vCard 4.0 file, ready to be saved to an address book. The
+   * card is built from the name given in <code>header.name</code> of
+   * <code>data.json</code>, of which the last word is taken to be the family
+   * name, along with each method of <code>details.contacts</code>, the first
+   * of each type marked as preferred.
+   *
+   * @returns {string}
+   */
+  inaccessible.getVCard = function () {
+
+    // Declarations
+    let name, names, types, lines;
+
+    // Definitions
+    name = this.cache.data.header.name;
+    names = name.trim().split(/\s+/);
+    types = new Set();
+    lines = [
+      'BEGIN:VCARD',
+      `VERSION:${Text.VCARD_VERSION}`,
+      `FN:${this.escapeVCardValue(name)}`,
+      `N:${this.escapeVCardValue(names.pop())};` +
+        `${this.escapeVCardValue(names.join(' '))};;;`,
+      ...this.cache.data.details.contacts.map((contact) => {
+
+        // Declaration
+        let isPreferred;
+
+        // Definition
+        isPreferred = !types.has(contact.type);
+
+        types.add(contact.type);
+
+        return this.getContactVCardLine(contact, isPreferred);
+      }),
+      'END:VCARD',
+    ];
+
+    return lines.map((line) => this.foldVCardLine(line)).join('');
+  };
+
+  /**
+   * @description This utility function returns the address of the site
+   * itself, without any scene route, for encoding in the contact scene's QR
+   * code.
+   *
+   * @returns {string}
+   */
+  inaccessible.getSiteAddress = function () {
+    return window.location.href.replace(/#.*$/, '');
+  };
+
+  /**
+   * @description This utility function multiplies the parameter pair of
+   * bytes as elements of the Galois field GF(2<sup>8</sup>) modulo the
+   * polynomial x<sup>8</sup> + x<sup>4</sup> + x<sup>3</sup> +
+   * x<sup>2</sup> + 1, the field in which QR code error correction is
+   * computed.
+   *
+   * @param {number} paramX Byte
+   * @param {number} paramY Byte
+   * @returns {number} Product byte
+   */
+  inaccessible.multiplyGalois = function (paramX, paramY) {
+
+    // Declaration
+    let product;
+
+    // Definition
+    product = 0;
+
+    // Russian peasant multiplication, most significant bit first
+    for (let i = 7; i >= 0; i--) {
+      product = (product << 1) ^ ((product >>> 7) * 0x11D);
+      product ^= ((paramY >>> i) & 1) * paramX;
+    }
+
+    return product;
+  };
+
+  /**
+   * @description This utility function returns the Reed-Solomon error
+   * correction codewords of the parameter block of data codewords, numbering
+   * the parameter degree. The codewords are the remainder of the division of
+   * the block by the generator polynomial of that degree, whose roots are the
+   * successive powers of 2 in GF(2<sup>8</sup>).
+   *
+   * @param {Array<number>} paramData Data codewords of block
+   * @param {number} paramDegree Number of error correction codewords
+   * @returns {Array<number>}
+   */
+  inaccessible.getQrErrorCorrection = function (paramData, paramDegree) {
+
+    // Declarations
+    let generator, root, remainder;
+
+    // Definitions
+    generator = new Array(paramDegree - 1).fill(0).concat(1);
+    root = 1;
+    remainder = new Array(paramDegree).fill(0);
+
+    // Coefficients from highest to lowest power, the leading 1 omitted
+    for (let i = 0; i < paramDegree; i++) {
+      for (let j = 0; j < paramDegree; j++) {
+        generator[j] = this.multiplyGalois(generator[j], root) ^
+          ((j + 1 < paramDegree) ? generator[j + 1] : 0);
+      }
+
+      root = this.multiplyGalois(root, 0x02);
+    }
+
+    paramData.forEach((codeword) => {
+
+      // Declaration
+      let factor;
+
+      // Definition
+      factor = codeword ^ remainder.shift();
+      remainder.push(0);
+
+      generator.forEach((coefficient, index) => {
+        remainder[index] ^= this.multiplyGalois(coefficient, factor);
+      });
+    });
+
+    return remainder;
+  };
+
+  /**
+   * @description This utility function returns the number of modules of a QR
+   * code of the parameter version available for codewords once the finder,
+   * alignment, and timing patterns and the format and version information
+   * have been placed.
+   *
+   * @param {number} paramVersion Version from 1 to 40
+   * @returns {number}
+   */
+  inaccessible.getQrDataModules = function (paramVersion) {
+
+    // Declarations
+    let modules, alignments;
+
+    // Definitions
+    modules = (16 * paramVersion + 128) * paramVersion + 64;
+    alignments = Math.floor(paramVersion / 7) + 2;
+
+    if (paramVersion >= 2) {
+      modules -= (25 * alignments - 10) * alignments - 55;
+    }
+
+    if (paramVersion >= 7) {
+      modules -= 36;
+    }
+
+    return modules;
+  };
+
+  /**
+   * @description This utility function returns the row and column
+   * coordinates at which the centers of alignment patterns are placed in a QR
+   * code of the parameter version, an empty array for version 1, which has
+   * none. Patterns are placed at every combination of the coordinates save
+   * those overlapping the finder patterns.
+   *
+   * @param {number} paramVersion Version from 1 to 40
+   * @returns {Array<number>}
+   */
+  inaccessible.getQrAlignmentPositions = function (paramVersion) {
+
+    // Declarations
+    let count, step, positions;
+
+    if (paramVersion === 1) {
+      return [];
+    }
+
+    // Definitions
+    count = Math.floor(paramVersion / 7) + 2;
+    step = Math.floor((paramVersion * 8 + count * 3 + 5) /
+      (count * 4 - 4)) * 2;
+    positions = [6];
+
+    // Spaced evenly from the far edge, the remainder left beside the first
+    for (let position = paramVersion * 4 + 10; positions.length < count;
+      position -= step) {
+      positions.splice(1, 0, position);
+    }
+
+    return positions;
+  };
+
+  /**
+   * @description This utility function draws the function patterns of the
+   * parameter QR code, i.e. its three finder patterns and their separators,
+   * its alignment and timing patterns, the dark module, and its version
+   * information, marking each such module as reserved so that no codeword is
+   * placed upon it. The modules of the format information are reserved but
+   * left to be drawn once the mask has been chosen.
+   *
+   * @param {object} paramQr QR code under construction
+   * @returns {void}
+   */
+  inaccessible.drawQrFunctionPatterns = function (paramQr) {
+
+    // Declarations
+    let size, set, positions, remainder, bits;
+
+    // Definitions
+    size = paramQr.size;
+    set = (paramX, paramY, paramIsDark) => {
+      paramQr.modules[paramY][paramX] = paramIsDark;
+      paramQr.reserved[paramY][paramX] = true;
+    };
+    positions = this.getQrAlignmentPositions(paramQr.version);
+
+    // Timing patterns, alternating along row and column 6
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns and separators, concentric squares of Chebyshev radius
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+            set(x + dx, y + dy, ![2, 4].includes(
+              Math.max(Math.abs(dx), Math.abs(dy))));
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, save those on the corners of the finder patterns
+    positions.forEach((y, row) => {
+      positions.forEach((x, column) => {
+        if (
+          (row === 0 && column === 0) ||
+          (row === 0 && column === positions.length - 1) ||
+          (row === positions.length - 1 && column === 0)
+        ) {
+          return;
+        }
+
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve format information, drawn once the mask is chosen
+    this.drawQrFormatBits(paramQr, 0);
+
+    // Version information of versions 7 and up, a BCH (18, 6) code
+    if (paramQr.version >= 7) {
+      remainder = paramQr.version;
+
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      }
+
+      bits = (paramQr.version << 12) | remainder;
+
+      for (let i = 0; i < 18; i++) {
+        set(size - 11 + i % 3, Math.floor(i / 3), ((bits >>> i) & 1) === 1);
+        set(Math.floor(i / 3), size - 11 + i % 3, ((bits >>> i) & 1) === 1);
+      }
+    }
+  };
+
+  /**
+   * @description This utility function draws both copies of the format
+   * information of the parameter QR code, which denotes its error correction
+   * level and the parameter mask, protected by a BCH (15, 5) code and masked
+   * per ISO/IEC 18004. The dark module beside the lower left finder pattern
+   * is drawn with it.
+   *
+   * @param {object} paramQr QR code under construction
+   * @param {number} paramMask Mask from 0 to 7
+   * @returns {void}
+   */
+  inaccessible.drawQrFormatBits = function (paramQr, paramMask) {
+
+    // Declarations
+    let size, data, remainder, bits, set;
+
+    // Definitions
+    size = paramQr.size;
+    data = (QrErrorCorrection.FORMAT_BITS << 3) | paramMask;
+    remainder = data;
+    set = (paramX, paramY, paramBit) => {
+      paramQr.modules[paramY][paramX] = ((bits >>> paramBit) & 1) === 1;
+      paramQr.reserved[paramY][paramX] = true;
+    };
+
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+
+    bits = ((data << 10) | remainder) ^ 0x5412;
+
+    // First copy, about the upper left finder pattern
+    for (let i = 0; i <= 5; i++) {
+      set(8, i, i);
+    }
+
+    set(8, 7, 6);
+    set(8, 8, 7);
+    set(7, 8, 8);
+
+    for (let i = 9; i < 15; i++) {
+      set(14 - i, 8, i);
+    }
+
+    // Second copy, split between the other two finder patterns
+    for (let i = 0; i < 8; i++) {
+      set(size - 1 - i, 8, i);
+    }
+
+    for (let i = 8; i < 15; i++) {
+      set(8, size - 15 + i, i);
+    }
+
+    paramQr.modules[size - 8][8] = true;
+    paramQr.reserved[size - 8][8] = true;
+  };
+
+  /**
+   * @description This utility function places the bits of the parameter
+   * codewords upon the unreserved modules of the parameter QR code, in
+   * two-module-wide columns zigzagging upwards and downwards from the right,
+   * skipping the vertical timing pattern.
+   *
+   * @param {object} paramQr QR code under construction
+   * @param {Array<number>} paramCodewords Interleaved codewords
+   * @returns {void}
+   */
+  inaccessible.drawQrCodewords = function (paramQr, paramCodewords) {
+
+    // Declarations
+    let size, index;
+
+    // Definitions
+    size = paramQr.size;
+    index = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+
+      for (let step = 0; step < size; step++) {
+        for (let j = 0; j < 2; j++) {
+
+          // Declarations
+          let x, y;
+
+          // Definitions
+          x = right - j;
+          y = (((right + 1) & 2) === 0) ? size - 1 - step : step;
+
+          if (!paramQr.reserved[y][x] && index < paramCodewords.length * 8) {
+            paramQr.modules[y][x] = ((paramCodewords[index >>> 3] >>>
+              (7 - (index & 7))) & 1) === 1;
+            index++;
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * @description This utility function inverts each unreserved module of the
+   * parameter QR code for which the condition of the parameter mask holds.
+   * As inversion is its own undoing, applying a mask twice removes it.
+   *
+   * @param {object} paramQr QR code under construction
+   * @param {number} paramMask Mask from 0 to 7
+   * @returns {void}
+   */
+  inaccessible.applyQrMask = function (paramQr, paramMask) {
+
+    // Declaration
+    let conditions;
+
+    // Definition
+    conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => x * y % 2 + x * y % 3 === 0,
+      (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+    ];
+
+    paramQr.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (!paramQr.reserved[y][x] && conditions[paramMask](x, y)) {
+          row[x] = !isDark;
+        }
+      });
+    });
+  };
+
+  /**
+   * @description This utility function scores the parameter QR code by the
+   * features hindering its being read, namely long runs and 2x2 blocks of
+   * modules of one color, sequences resembling finder patterns, and an
+   * imbalance of dark and light modules. The mask yielding the lowest score
+   * is applied to the finished code.
+   *
+   * @param {object} paramQr QR code under construction
+   * @returns {number}
+   */
+  inaccessible.getQrPenalty = function (paramQr) {
+
+    // Declarations
+    let modules, columns, penalty, dark;
+
+    // Definitions
+    modules = paramQr.modules;
+    columns = modules.map((row, y) => row.map((isDark, x) => modules[x][y]));
+    penalty = 0;
+    dark = 0;
+
+    modules.concat(columns).forEach((line) => {
+
+      // Declarations
+      let run, text;
+
+      // Definitions
+      run = 1;
+      text = line.map((isDark) => (isDark) ? '1' : '0').join('');
+
+      // Runs of five or more modules of one color
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          penalty += (run >= 5) ? run - 2 : 0;
+          run = 1;
+        }
+      }
+
+      // Dark-light-dark-dark-dark-light-dark beside four light modules
+      penalty += (text.match(/(?=00001011101|10111010000)/g) || []).length *
+        40;
+    });
+
+    modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        dark += (isDark) ? 1 : 0;
+
+        if (
+          x > 0 && y > 0 &&
+          isDark === row[x - 1] &&
+          isDark === modules[y - 1][x] &&
+          isDark === modules[y - 1][x - 1]
+        ) {
+          penalty += 3;
+        }
+      });
+    });
+
+    // Each 5% departure from an even balance of dark and light modules
+    return penalty + 10 * (Math.ceil(Math.abs(dark * 20 -
+      paramQr.size * paramQr.size * 10) / (paramQr.size * paramQr.size)) - 1);
+  };
+
+  /**
+   * @description This utility function encodes the parameter text as a QR
+   * code of the smallest version able to hold it in byte mode at the "M"
+   * error correction level, returning an object containing the code's
+   * version, its size in modules, and its modules as an array of rows of
+   * <code>boolean</code>s, each <code>true</code> if dark. Text too long to
+   * be held by a code of any version results in <code>null</code>. No
+   * external library is required, so that codes may be generated offline.
+   * <br />
+   * <br />
+   * The text's UTF-8 bytes are preceded by the mode indicator and character
+   * count and padded to the code's capacity, divided into blocks, and given
+   * Reed-Solomon error correction codewords. The interleaved codewords are
+   * then placed about the code's function patterns, and each of the eight
+   * masks tried in turn so that the least penalized may be kept.
+   *
+   * @param {string} paramText Text to encode
+   * @returns {?object}
+   */
+  inaccessible.encodeQrCode = function (paramText) {
+
+    // Declarations
+    let bytes, version, capacity, bits, codewords, blocks, total, shortLength,
+      shortBlocks, eccLength, interleaved, qr, penalties, mask;
+
+    // Definitions
+    bytes = Array.from(new TextEncoder().encode(paramText));
+    version = 1;
+
+    // Find the smallest version whose data codewords hold the text
+    for (; version <= Utility.QR_MAX_VERSION; version++) {
+      capacity = Math.floor(this.getQrDataModules(version) / 8) -
+        QrErrorCorrection.CODEWORDS_PER_BLOCK[version] *
+        QrErrorCorrection.BLOCKS[version];
+
+      if (4 + ((version < 10) ? 8 : 16) + bytes.length * 8 <= capacity * 8) {
+        break;
+      }
+    }
+
+    if (version > Utility.QR_MAX_VERSION) {
+      return null;
+    }
+
+    // Byte mode indicator, character count, and text
+    bits = '0100' + bytes.length.toString(2)
+      .padStart((version < 10) ? 8 : 16, '0') +
+      bytes.map((byte) => byte.toString(2).padStart(8, '0')).join('');
+
+    // Terminator, padding to a whole byte, and alternating pad bytes
+    bits += '0'.repeat(Math.min(4, capacity * 8 - bits.length));
+    bits += '0'.repeat((8 - bits.length % 8) % 8);
+    codewords = bits.match(/.{8}/g).map((byte) => parseInt(byte, 2));
+
+    for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+
+    // Blocks of lengths differing by no more than one, shorter blocks first
+    total = Math.floor(this.getQrDataModules(version) / 8);
+    eccLength = QrErrorCorrection.CODEWORDS_PER_BLOCK[version];
+    shortLength = Math.floor(total / QrErrorCorrection.BLOCKS[version]);
+    shortBlocks = QrErrorCorrection.BLOCKS[version] -
+      total % QrErrorCorrection.BLOCKS[version];
+    blocks = [];
+
+    for (let i = 0, start = 0; i < QrErrorCorrection.BLOCKS[version]; i++) {
+
+      // Declaration
+      let data;
+
+      // Definition
+      data = codewords.slice(start,
+        start + shortLength - eccLength + ((i < shortBlocks) ? 0 : 1));
+      start += data.length;
+
+      blocks.push({
+        data: data,
+        ecc: this.getQrErrorCorrection(data, eccLength),
+      });
+    }
+
+    // Interleave data codewords, then error correction codewords, by block
+    interleaved = [];
+
+    for (let i = 0; i <= shortLength - eccLength; i++) {
+      blocks.forEach((block) => {
+        if (i < block.data.length) {
+          interleaved.push(block.data[i]);
+        }
+      });
+    }
+
+    for (let i = 0; i < eccLength; i++) {
+      blocks.forEach((block) => {
+        interleaved.push(block.ecc[i]);
+      });
+    }
+
+    qr = {
+      version: version,
+      size: version * 4 + 17,
+    };
+    qr.modules = Array.from({length: qr.size}, () => {
+      return new Array(qr.size).fill(false);
+    });
+    qr.reserved = Array.from({length: qr.size}, () => {
+      return new Array(qr.size).fill(false);
+    });
+
+    this.drawQrFunctionPatterns(qr);
+    this.drawQrCodewords(qr, interleaved);
+
+    // Score each mask, removing it again by reapplication
+    penalties = [0, 1, 2, 3, 4, 5, 6, 7].map((candidate) => {
+
+      // Declaration
+      let penalty;
+
+      this.applyQrMask(qr, candidate);
+      this.drawQrFormatBits(qr, candidate);
+      penalty = this.getQrPenalty(qr);
+      this.applyQrMask(qr, candidate);
+
+      return penalty;
+    });
+    mask = penalties.indexOf(Math.min(...penalties));
+
+    this.applyQrMask(qr, mask);
+    this.drawQrFormatBits(qr, mask);
+
+    return {
+      version: qr.version,
+      size: qr.size,
+      modules: qr.modules,
+    };
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the browser presently reports being without a network
+   * connection, in which case failed requests are attributed to the loss of
+   * connection rather than to a fault of the site.
+   *
+   * @returns {boolean}
+   */
+  inaccessible.isOffline = function () {
+    return navigator.onLine === false;
+  };
+
+  /**
+   * @description This utility function registers the service worker located
+   * in <code>sw.js</code>, which caches the application shell and previously
+   * visited scenes for offline use. Browsers lacking service worker support, or
+   * pages served from a local file, are simply left without offline support.
+   *
+   * @returns {void}
+   */
+  inaccessible.registerServiceWorker = function () {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+      return;
+    }
+
+    navigator.serviceWorker.register(Text.SERVICE_WORKER).then(
+        (registration) => {
+      if (DEBUG) {
+        console.log(Text.SERVICE_WORKER_REGISTERED.replace('$1',
+          registration.scope));
+      }
+    }).catch((error) => {
+      if (DEBUG) {
+        console.warn(Text.SERVICE_WORKER_FAILED.replace('$1', error.message));
+      }
+    });
+  };
+
+  /**
+   * @description This utility function adds a new entry to the browser's
+   * session history for the scene denoted by the parameter config object,
+   * allowing the user to use the browser's back and forward buttons to move
+   * between previously viewed scenes. No entry is added if the address bar
+   * already displays the route in question (i.e. on repeat clicks).
+   *
+   * @param {object} paramConfig Config object from <code>home.array</code>
+   * @returns {void}
+   */
+  inaccessible.pushRoute = function (paramConfig) {
+
+    // Declaration
+    let route;
+
+    // Definition
+    route = this.buildRoute(paramConfig.name);
+
+    if (route !== (window.location.hash || Text.ROUTE_PREFIX)) {
+      window.history.pushState({name: paramConfig.name}, '', route);
+
+      if (DEBUG) {
+        console.log(Text.ROUTE_CHANGED.replace('$1', route));
+      }
+    }
+  };
+
+  /**
+   * @description This utility function applies a single frame of an animation
+   * to the parameter element. Frames are objects containing an
+   * <code>opacity</code> between 0 and 1 and a horizontal <code>offset</code>
+   * expressed in pixels. Elements at rest (with no offset) have their
+   * <code>transform</code> property removed entirely so as to not establish
+   * needless stacking contexts.
+   *
+   * @param {HTMLElement} paramElement Element to be adjusted
+   * @param {object} paramFrame Object with <code>opacity</code> and offset
+   * @returns {void}
+   */
+  inaccessible.applyFrame = function (paramElement, paramFrame) {
+    paramElement.style.opacity = paramFrame.opacity;
+    paramElement.style.transform = (paramFrame.offset !== 0)
+      ? `translateX(${paramFrame.offset}px)`
+      : '';
+  };
+
+  /**
+   * @description The inverse of <code>inaccessible.applyFrame</code>, this
+   * utility function reads the present opacity and horizontal offset of the
+   * parameter element, allowing interrupted animations to be continued from
+   * wherever they left off rather than jumping back to their starting values.
+   *
+   * @param {HTMLElement} paramElement Element to be read
+   * @returns {object}
+   */
+  inaccessible.readFrame = function (paramElement) {
+
+    // Declarations
+    let opacity, offset;
+
+    // Definitions
+    opacity = Number.parseFloat(paramElement.style.opacity);
+    offset = /translateX\((-?[\d.]+)px\)/.exec(paramElement.style.transform);
+
+    return {
+      opacity: Number.isNaN(opacity) ? 1 : opacity,
+      offset: (offset != null) ? Number.parseFloat(offset[1]) : 0,
+    };
+  };
+
+  /**
+   * @description The core of the transition engine, this function animates
+   * the opacity and offset of the parameter element from its present values to
+   * those of the target frame over the parameter duration. Frames are drawn via
+   * <code>window.requestAnimationFrame</code> rather than fixed intervals,
+   * keeping animations smooth and in step with the browser's repaints, and an
+   * ease-in-out curve is applied to the elapsed time.
+   * <br />
+   * <br />
+   * A <code>Promise</code> is returned that resolves with <code>true</code>
+   * once the animation completes. Only one animation may act upon a given
+   * element at a time; should another animation of the same element begin
+   * before this one finishes, this one is cancelled and its
+   * <code>Promise</code> resolves with <code>false</code> instead. As the new
+   * animation begins from the element's present state, no jarring jumps occur.
+   *
+   * @param {HTMLElement} paramElement Element to be animated
+   * @param {object} paramTarget Frame with <code>opacity</code> and offset
+   * @param {number} paramDuration Length of animation in milliseconds
+   * @returns {Promise<boolean>}
+   */
+  inaccessible.animate = function (paramElement, paramTarget, paramDuration) {
+    return new Promise((resolve) => {
+
+      // Declarations
+      let token, from, startTime, step;
+
+      // Supersede any animation presently acting on the element
+      token = (this.navigation.animations.get(paramElement) || 0) + 1;
+      this.navigation.animations.set(paramElement, token);
+
+      // Definitions
+      from = this.readFrame(paramElement);
+      startTime = null;
+
+      step = (paramTime) => {
+
+        // Declarations
+        let progress, eased;
+
+        // Abandon if another animation has since claimed the element
+        if (this.navigation.animations.get(paramElement) !== token) {
+          resolve(false);
+          return;
+        }
+
+        if (startTime == null) {
+          startTime = paramTime;
+        }
+
+        progress = (paramDuration > 0)
+          ? Math.min((paramTime - startTime) / paramDuration, 1)
+          : 1;
+
+        // Ease in and out (cubic)
+        eased = (progress < 0.5)
+          ? 4 * Math.pow(progress, 3)
+          : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+
+        this.applyFrame(paramElement, {
+          opacity: this.performCommonOperation([from.opacity,
+            (paramTarget.opacity - from.opacity) * eased], 'ADDITION'),
+          offset: this.performCommonOperation([from.offset,
+            (paramTarget.offset - from.offset) * eased], 'ADDITION'),
+        });
+
+        if (progress < 1) {
+          window.requestAnimationFrame(step);
+        } else {
+          this.navigation.animations.delete(paramElement);
+          resolve(true);
+        }
+      };
+
+      window.requestAnimationFrame(step);
+    });
+  };
+
+  /**
+   * @description This function is based on the similarly-named fading function
+   * available by default in jQuery. It is a simple convenience wrapper around
+   * <code>inaccessible.animate</code> that fades the element specified by the
+   * parameter selector in or out of view depending on the value of the
+   * included <code>String</code> parameter. When fading in, the element is
+   * made transparent immediately (unless an earlier animation is already
+   * underway) so that freshly added content is never briefly visible prior to
+   * the first animation frame. For users preferring reduced motion, the fade
+   * is shortened to <code>Utility.REDUCED_TRANSITION_DURATION</code>.
+   *
+   * @param {string} paramFadeType <code>String</code> indicating type of fade
+   * @param {string} paramElementSelector Container/wrapper class
+   * @param {!number=} paramDuration Length of fade (ms)
+   * @returns {Promise<boolean>}
+   */
+  inaccessible.fade = function (paramFadeType, paramElementSelector,
+      paramDuration = Utility.TRANSITION_DURATION) {
+
+    // Declarations
+    let container, isFadingIn;
+
+    // Definitions
+    container = document.querySelector(paramElementSelector);
+    isFadingIn = paramFadeType.toUpperCase() === 'IN';
+
+    // Keep fades brief if motion is to be reduced
+    if (this.isReducedMotion()) {
+      paramDuration = Math.min(paramDuration,
+        Utility.REDUCED_TRANSITION_DURATION);
+    }
+
+    // Hide freshly added content prior to the first frame
+    if (isFadingIn && !this.navigation.animations.has(container)) {
+      this.applyFrame(container, Transitions.FADE.start);
+    }
+
+    return this.animate(container, (isFadingIn)
+      ? Transitions.FADE.enter
+      : Transitions.FADE.leave, paramDuration);
+  };
+
+  /**
+   * @description This utility function returns the <code>Transitions</code>
+   * enum effect associated with the parameter name, which may be given either
+   * in the camel case used in <code>data.json</code> (i.e. "slideLeft") or as
+   * the enum key itself. Unknown or missing names result in the use of the
+   * default effect listed in <code>Text</code>. If motion is to be reduced,
+   * <code>Transitions.REDUCED</code> is returned regardless of the name.
+   *
+   * @param {?string} paramName Name of effect (i.e. "crossfade")
+   * @returns {object}
+   */
+  inaccessible.getTransition = function (paramName) {
+
+    // Declaration
+    let key;
+
+    // Plain, brief opacity change in place of all effects
+    if (this.isReducedMotion()) {
+      return Transitions.REDUCED;
+    }
+
+    // "slideLeft" -> "SLIDE_LEFT"
+    key = String(paramName || Text.DEFAULT_TRANSITION)
+      .replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+    if (!Transitions.hasOwnProperty(key)) {
+      if (DEBUG) {
+        console.warn(Text.UNKNOWN_TRANSITION.replace('$1', paramName));
+      }
+
+      return this.getTransition(Text.DEFAULT_TRANSITION);
+    }
+
+    return Transitions[key];
+  };
+
+  /**
+   * @description This utility function determines the direction in which a
+   * directional effect (i.e. <code>Transitions.SLIDE</code>) should travel on
+   * the way to the scene denoted by the parameter config object. Moving to a
+   * scene listed later in <code>home.array</code> than the present scene
+   * yields 1 (the present scene leaves to the left and the new scene enters
+   * from the right), while moving to an earlier one yields -1. Effects with a
+   * fixed direction are left unchanged.
+   *
+   * @param {object} paramEffect <code>Transitions</code> enum effect
+   * @param {object} paramConfig Config object of the requested scene
+   * @returns {number}
+   */
+  inaccessible.getTransitionDirection = function (paramEffect, paramConfig) {
+
+    // Declarations
+    let names, from, to;
+
+    if (paramEffect.direction != null) {
+      return paramEffect.direction;
+    }
+
+    // Definitions
+    names = this.cache.data.home.array.map((config) => config.name);
+    from = names.indexOf(this.navigation.scene);
+    to = names.indexOf(paramConfig.name);
+
+    return (from !== -1 && to !== -1 && to < from) ? -1 : 1;
+  };
+
+  /**
+   * @description This utility function scales the offsets of a
+   * <code>Transitions</code> enum frame by the travel direction and
+   * <code>Utility.SLIDE_DISTANCE</code>, returning a frame suitable for
+   * passing to <code>inaccessible.animate</code>.
+   *
+   * @param {object} paramFrame Frame from a <code>Transitions</code> effect
+   * @param {number} paramDirection Either 1 or -1
+   * @returns {object}
+   */
+  inaccessible.scaleFrame = function (paramFrame, paramDirection) {
+    return {
+      opacity: paramFrame.opacity,
+      offset: paramFrame.offset * paramDirection * Utility.SLIDE_DISTANCE,
+    };
+  };
+
+  /**
+   * @description This utility function is used by overlapping effects like
+   * <code>Transitions.CROSSFADE</code> to keep the outgoing scene visible
+   * while the incoming scene is added to the container. The container's
+   * present children are moved into an absolutely positioned overlay sitting
+   * atop the container's content box, which is returned so that it may be
+   * faded out and subsequently removed.
+   *
+   * @param {HTMLElement} paramContainer Container of the outgoing scene
+   * @returns {HTMLElement}
+   */
+  inaccessible.overlayContent = function (paramContainer) {
+
+    // Declarations
+    let overlay, style;
+
+    // Definitions
+    overlay = document.createElement('div');
+    style = getComputedStyle(paramContainer, null);
+
+    // Position overlay exactly over the content box
+    paramContainer.style.position = 'relative';
+    Object.assign(overlay.style, {
+      position: 'absolute',
+      top: style.paddingTop,
+      right: style.paddingRight,
+      left: style.paddingLeft,
+      pointerEvents: 'none',
+    });
+
+    while (paramContainer.firstChild) {
+      overlay.appendChild(paramContainer.firstChild);
+    }
+
+    paramContainer.appendChild(overlay);
+
+    return overlay;
+  };
+
+  /**
+   * @description This function was designed to oversee the change of scenes
+   * dynamically without having to default to the use of hardcoded HTML.
+   * Depending on the transition effect in use, it generally animates the
+   * present scene out of view, removes the former content and builds the
+   * required interface scene, then animates the new scene into view. The
+   * effect may be named by the caller, or otherwise is that listed in the
+   * requested scene's config object in <code>data.json</code>. Overlapping
+   * effects instead animate the outgoing and incoming scenes simultaneously.
+   * <br />
+   * <br />
+   * In order to increase speed and reduce repetitive function calls, the author
+   * implemented a page caching function that stores preassembled scenes and
+   * their loaded images in a script-global object. This helps reduce some of
+   * the overhead associated with rebuilding each scene every time the user
+   * returns to a specific scene. Originally, the script did not make use of
+   * such functionality. However, it was implemented after something similar
+   * was suggested by Google's PageSpeed Insights as a means of speeding up the
+   * application for the user.
+   * <br />
+   * <br />
+   * Each invocation is associated with a transition of the navigation state
+   * machine, either passed by the caller or begun herein. If a more recent
+   * transition is requested before this one has mounted its scene, this
+   * transition is abandoned, ensuring only the last requested scene is ever
+   * added to the page. The returned <code>Promise</code> resolves once the
+   * transition has completed or been abandoned. Once mounted, keyboard focus is
+   * moved to the new scene and its arrival announced to screen reader users.
+   *
+   * @param {?string} paramTransition Name of <code>Transitions</code> effect
+   * @param {string} paramElementSelector Present container class
+   * @param {object} paramConfig Config from <code>data.json</code>
+   * @param {?number=} paramId Transition identifier (optional)
+   * @returns {Promise}
+   */
+  inaccessible.tinderize = function (paramTransition, paramElementSelector,
+      paramConfig, paramId = null) {
+
+    // Declarations
+    let id, container, content, effect, direction, leave, offset;
+
+    // Begin a new transition if not part of an existing one
+    id = (paramId != null) ? paramId : this.beginNavigation(paramConfig);
+
+    // Grab container element
+    container = document.querySelector(`.${paramElementSelector}`);
+
+    // Effect named by caller takes precedence over that of the scene
+    effect = this.getTransition(paramTransition || paramConfig.transition);
+    direction = this.getTransitionDirection(effect, paramConfig);
+
+    // Don't pull back a scene already dragged further (i.e. by swiping)
+    leave = this.scaleFrame(effect.leave, direction);
+    offset = this.readFrame(container).offset;
+    if (
+      offset * leave.offset > 0 &&
+      Math.abs(offset) > Math.abs(leave.offset)
+    ) {
+      leave.offset = offset;
+    }
+
+    // Leave the present scene
+    this.setNavigationState(States.LEAVING);
+
+    return ((effect.overlap)
+      ? Promise.resolve(true)
+      : this.animate(container, leave, effect.duration)
+    ).then(() => {
+
+      // Abandon if the user has since requested another scene
+      if (!this.isCurrentNavigation(id)) {
+        return;
+      }
+
+      // Use cached scene content if possible
+      content = this.getScenePage(paramConfig);
+
+      // Enter the newly reconfigured scene only once images loaded
+      return this.loadImages(content).then(() => {
+
+        // Declarations
+        let overlay, entering, heading;
+
+        if (!this.isCurrentNavigation(id)) {
+          return;
+        }
+
+        // Enter the new scene
+        this.setNavigationState(States.ENTERING);
+
+        if (effect.overlap) {
+
+          // Keep outgoing scene in view atop the incoming scene
+          overlay = this.overlayContent(container);
+          container.insertBefore(content, overlay);
+          this.applyFrame(content, this.scaleFrame(effect.start, direction));
+
+          entering = Promise.all([
+            this.animate(overlay, this.scaleFrame(effect.leave, direction),
+              effect.duration),
+            this.animate(content, this.scaleFrame(effect.enter, direction),
+              effect.duration),
+          ]).then(() => {
+            container.removeChild(overlay);
+          });
+        } else {
+
+          // Remove outdated DOM elements from container
+          this.emptyElementOfContent(`.${paramElementSelector}`);
+
+          // Append new content to parent container
+          container.appendChild(content);
+          this.applyFrame(container, this.scaleFrame(effect.start, direction));
+
+          entering = this.animate(container,
+            this.scaleFrame(effect.enter, direction), effect.duration);
+        }
+
+        this.navigation.scene = paramConfig.name;
+
+        // Move focus to and announce the new scene for assistive technologies
+        heading = this.focusScene(container);
+        this.announce(this.localize('SCENE_ANNOUNCEMENT',
+          paramConfig.text || heading.textContent));
+
+        return entering.then(() => {
+          if (this.isCurrentNavigation(id)) {
+            this.setNavigationState(States.IDLE);
+          }
+        });
+      });
+    });
+  };
+
+  /**
+   * @description This utility function is used to move keyboard focus to the
+   * newly displayed scene following a scene change, so that keyboard and
+   * screen reader users need not navigate back through the header to reach the
+   * new content. Focus is given to the scene's first heading, or to the
+   * parameter container itself if the scene has none (i.e. the homepage).
+   * The focused element is made programmatically focusable if needed without
+   * adding it to the page's tab order.
+   *
+   * @param {HTMLElement} paramContainer Container of the new scene
+   * @returns {HTMLElement} The element receiving focus
+   */
+  inaccessible.focusScene = function (paramContainer) {
+
+    // Declaration
+    let target;
+
+    // Definition
+    target = paramContainer.querySelector('h1, h2') || paramContainer;
+
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    target.focus({preventScroll: true});
+
+    return target;
+  };
+
+  /**
+   * @description This utility function is used to announce a message to users
+   * of screen readers via the visually hidden ARIA live region assembled by
+   * <code>inaccessible.buildContainer</code>. The region is emptied prior to
+   * the addition of the new message so that repeated messages (i.e. on
+   * returning to a previously visited scene) are still announced.
+   *
+   * @param {string} paramMessage Message to be announced
+   * @returns {void}
+   */
+  inaccessible.announce = function (paramMessage) {
+
+    // Declaration
+    let region;
+
+    // Definition
+    region = document.querySelector(`.${Classes.MAIN__ANNOUNCER}`);
+
+    if (region == null) {
+      return;
+    }
+
+    region.textContent = '';
+
+    // Wait a frame so the change is registered as new content
+    window.requestAnimationFrame(() => {
+      region.textContent = paramMessage;
+    });
+  };
+
+  /**
+   * @description This utility function displays a toast notification bearing
+   * the parameter message in the corner of the viewport, styled and announced
+   * according to the parameter <code>ToastTypes</code> type. Toasts are
+   * dismissed after <code>Utility.TOAST_DURATION</code> milliseconds or on
+   * pressing their close button, and no more than
+   * <code>Utility.TOAST_LIMIT</code> are shown at once, the oldest making
+   * way for the newest. As the region housing the toasts is added to the
+   * <code>body</code> on first use rather than to the interface, toasts may
+   * be shown before the interface is built and survive its replacement by
+   * the error scene.
+   *
+   * @param {string} paramMessage Message to be displayed
+   * @param {!object=} paramType <code>ToastTypes</code> type (info by default)
+   * @returns {HTMLElement} toast
+   */
+  inaccessible.showToast = function (paramMessage,
+      paramType = ToastTypes.INFO) {
+
+    // Declarations
+    let region, toast, closeButton, regionAttributes, toastAttributes,
+      messageAttributes, closeAttributes;
+
+    // Toasts wrapper config
+    regionAttributes = {
+      class: Classes.TOASTS,
+    };
+
+    // Toast config
+    toastAttributes = {
+      class: `${Classes.TOAST} ${Classes.TOAST}-${paramType.modifier}`,
+      role: paramType.role,
+    };
+
+    // Message config
+    messageAttributes = {
+      class: Classes.TOAST__MESSAGE,
+    };
+
+    // Close button config
+    closeAttributes = {
+      class: `${Classes.TOAST__CLOSE} ${Classes.GENERAL__BUTTON_LINK}`,
+      type: 'button',
+      'aria-label': this.localize('DISMISS'),
+    };
+
+    // Definition
+    region = document.querySelector(`.${Classes.TOASTS}`);
+
+    if (region == null) {
+      region = this.assembleElement(['div', regionAttributes]);
+      document.body.appendChild(region);
+    }
+
+    // Build button separately to attach listener
+    closeButton = this.assembleElement(['button', closeAttributes, '×']);
+    toast = this.assembleElement(
+      ['div', toastAttributes,
+        ['span', messageAttributes,
+          paramMessage,
+        ],
+        closeButton,
+      ],
+    );
+
+    closeButton.addEventListener('click', () => {
+      toast.remove();
+    }, false);
+
+    // Make way for the new toast
+    while (region.children.length >= Utility.TOAST_LIMIT) {
+      region.firstElementChild.remove();
+    }
+
+    region.appendChild(toast);
+
+    // Removal of a toast already dismissed is harmless
+    window.setTimeout(() => {
+      toast.remove();
+    }, Utility.TOAST_DURATION);
+
+    return toast;
+  };
+
+  /**
+   * @description This utility function returns the assembled scene associated
+   * with the parameter config object. If the scene has been built previously,
+   * the cached version stored in <code>inaccessible.cache.pages</code> is
+   * returned; otherwise, the scene-specific builder function named in the
+   * config's <code>handler</code> property is used to assemble it anew, with
+   * the result added to the cache for future use.
+   * <br />
+   * <br />
+   * The cache is a <code>Map</code> ordered from least to most recently used
+   * scene, with each scene moved to the end whenever it is requested. Once the
+   * number of cached scenes exceeds <code>Utility.PAGE_CACHE_LIMIT</code>, the
+   * least recently used scenes are discarded, to be rebuilt if required again.
+   *
+   * @param {object} paramConfig Config from <code>data.json</code>
+   * @returns {HTMLElement}
+   */
+  inaccessible.getScenePage = function (paramConfig) {
+
+    // Declarations
+    let name, page;
+
+    // Definition
+    name = paramConfig.name.toLowerCase();
+
+    if (this.cache.pages.has(name)) {
+      page = this.cache.pages.get(name);
+
+      // Mark as most recently used
+      this.cache.pages.delete(name);
+    } else {
+
+      // Assemble new content using scene-specific builder function and cache
+      page = this[paramConfig.handler](paramConfig.name);
+    }
+
+    this.cache.pages.set(name, page);
+
+    // Evict least recently used scenes beyond the limit
+    while (this.cache.pages.size > Utility.PAGE_CACHE_LIMIT) {
+      this.cache.pages.delete(this.cache.pages.keys().next().value);
+    }
+
+    return page;
+  };
+
+  /**
+   * @description This utility function is used to ensure that the JSON data
+   * required to build the scene denoted by the parameter config object is
+   * present in <code>inaccessible.cache.data</code>. If the data has already
+   * been cached, the returned <code>Promise</code> resolves immediately;
+   * otherwise, a <code>GET</code> request is made for the scene's JSON file
+   * and the contents added to the cache before the <code>Promise</code>
+   * resolves. Failed requests reject with the associated error.
+   * <br />
+   * <br />
+   * Pending requests are held in <code>inaccessible.cache.requests</code> until
+   * settled, so that a navigation made while the same scene is still being
+   * prefetched shares the existing request rather than sending another. Data
+   * persisted on a previous visit is used in place of a request if available,
+   * as per <code>inaccessible.requestFile</code>. Should the language be
+   * changed while the request is pending, the data is disregarded and that of
+   * the new language loaded instead. Any scenes referenced by the scene's
+   * template tokens are loaded before the <code>Promise</code> resolves.
+   * <br />
+   * <br />
+   * Scenes composed of the data of other scenes, namely the resume scene,
+   * list those scenes in their config's <code>scenes</code> array in place of
+   * a JSON file of their own. The data of each such scene is loaded in turn,
+   * with the <code>Promise</code> resolving once all are present.
+   *
+   * @param {object} paramConfig Config object containing name, handler, etc.
+   * @returns {Promise}
+   */
+  inaccessible.loadSceneData = function (paramConfig) {
+
+    // Declarations
+    let name, locale, key, request;
+
+    if (paramConfig.scenes != null) {
+      return Promise.all(paramConfig.scenes.map((scene) => {
+        return this.loadSceneData({name: scene});
+      }));
+    }
+
+    // Definitions
+    name = paramConfig.name.toLowerCase();
+    locale = this.locale;
+    key = `${locale}/${name}`;
+
+    // Use cached data if extant, otherwise grab new data from json files
+    if (this.cache.data.hasOwnProperty(name)) {
+      if (DEBUG) {
+        console.log(Text.EXISTS.replace('$1', paramConfig.name));
+      }
+
+      return Promise.resolve();
+    }
+
+    // Share any request for this scene that is presently in flight
+    if (this.cache.requests.has(key)) {
+      if (DEBUG) {
+        console.log(Text.REQUEST_IN_FLIGHT.replace('$1', paramConfig.name));
+      }
+
+      return this.cache.requests.get(key);
+    }
+
+    if (DEBUG) {
+      console.log(Text.DOES_NOT_EXIST.replace('$1', paramConfig.name));
+    }
+
+    request = this.requestFile(name).then((data) => {
+
+      // Data of a language no longer displayed is of no use
+      if (locale !== this.locale) {
+        return this.loadSceneData(paramConfig);
+      }
+
+      // Add to cache
+      this.cache.data = Object.assign(this.cache.data, data.data);
+
+      if (DEBUG) {
+        console.log(this.cache);
+      }
+
+      return this.loadTokenDependencies(data.data);
+    }).finally(() => {
+      this.cache.requests.delete(key);
+    });
+
+    this.cache.requests.set(key, request);
+
+    return request;
+  };
+
+  /**
+   * @description This utility function returns a short hash of the parameter
+   * string, computed via the 32-bit FNV-1a algorithm. It is used to derive the
+   * content version of each persisted JSON file, so that changes made to the
+   * file since it was persisted can be detected without comparing contents.
+   *
+   * @param {string} paramString String to hash
+   * @returns {string} Hexadecimal hash
+   */
+  inaccessible.hashString = function (paramString) {
+
+    // Declaration
+    let hash;
+
+    // Definition (FNV offset basis)
+    hash = 0x811c9dc5;
+
+    for (let i = 0; i < paramString.length; i++) {
+      hash ^= paramString.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16);
+  };
+
+  /**
+   * @description This utility function returns the JSON files persisted to
+   * <code>localStorage</code> on previous visits, keyed by language and file
+   * name (i.e. "en/about"), each an object containing the file's contents and
+   * content version hash. Stored files persisted in an outdated format, as
+   * denoted by <code>Utility.CACHE_VERSION</code>, are disregarded, as are
+   * those loaded from a content source other than the present one.
+   *
+   * @returns {object}
+   */
+  inaccessible.getPersistedFiles = function () {
+
+    // Declaration
+    let stored;
+
+    // Definition
+    stored = this.getStoredValue(Text.CACHE_KEY);
+
+    return (
+      stored != null &&
+      stored.version === Utility.CACHE_VERSION &&
+      stored.source === this.source
+    )
+      ? stored.files
+      : {};
+  };
+
+  /**
+   * @description This utility function persists the contents of the JSON file
+   * of the parameter key alongside its content version hash, replacing any
+   * version persisted previously.
+   *
+   * @param {string} paramKey Language and file name, i.e. "en/about"
+   * @param {object} paramData Parsed and validated contents of file
+   * @param {string} paramHash Content version of file
+   * @returns {void}
+   */
+  inaccessible.persistFile = function (paramKey, paramData, paramHash) {
+
+    // Declaration
+    let files;
+
+    // Definition
+    files = this.getPersistedFiles();
+    files[paramKey] = {
+      hash: paramHash,
+      data: paramData,
+    };
+
+    this.setStoredValue(Text.CACHE_KEY, {
+      version: Utility.CACHE_VERSION,
+      source: this.source,
+      files: files,
+    });
+  };
+
+  /**
+   * @description This utility function returns the value found at the
+   * parameter dot-separated path of the parameter object, i.e.
+   * "data.attributes" for <code>{data: {attributes: {...}}}</code>, or
+   * <code>undefined</code> if any part of the path is absent. An empty path
+   * denotes the object itself.
+   *
+   * @param {*} paramObject Object to search
+   * @param {string} paramPath Dot-separated path
+   * @returns {*}
+   */
+  inaccessible.getValueAtPath = function (paramObject, paramPath) {
+    if (paramPath === '') {
+      return paramObject;
+    }
+
+    return paramPath.split('.').reduce((value, key) => {
+      return (value != null) ? value[key] : undefined;
+    }, paramObject);
+  };
+
+  /**
+   * @description This utility function assembles a normalized object from the
+   * parameter content entry as per the parameter field mapping, in which each
+   * property names either the path of the entry at which the property's value
+   * is found or, for properties assembled from several fields, a further
+   * mapping. Properties whose values are absent from the entry are omitted,
+   * leaving their absence to be reported by validation.
+   *
+   * @param {object} paramEntry Content entry received from source
+   * @param {object} paramMapping Field mapping of <code>ContentSources</code>
+   * @returns {object}
+   */
+  inaccessible.mapFields = function (paramEntry, paramMapping) {
+    return Object.keys(paramMapping).reduce((normalized, key) => {
+
+      // Declaration
+      let value;
+
+      // Definition
+      value = (typeof paramMapping[key] === 'string')
+        ? this.getValueAtPath(paramEntry, paramMapping[key])
+        : this.mapFields(paramEntry, paramMapping[key]);
+
+      if (value !== undefined) {
+        normalized[key] = value;
+      }
+
+      return normalized;
+    }, {});
+  };
+
+  /**
+   * @description This utility function returns the addresses from which the
+   * JSON file of the parameter name may be requested from the parameter
+   * static content source in the parameter language, in order of preference.
+   * Files of the default language are housed in the source's directory
+   * itself, while those of other languages are housed in subdirectories named
+   * for the language, i.e. <code>json/de/about.json</code>, with the default
+   * language's version serving as a fallback.
+   *
+   * @param {object} paramSource <code>ContentSources</code> config
+   * @param {string} paramName "data" or scene name
+   * @param {string} paramLocale <code>Locales</code> key
+   * @returns {Array<string>}
+   */
+  inaccessible.getFileUrls = function (paramSource, paramName, paramLocale) {
+    return ((paramLocale !== Text.DEFAULT_LOCALE)
+      ? [`${paramSource.baseUrl}${paramLocale}/${paramName}.json`]
+      : []
+    ).concat(`${paramSource.baseUrl}${paramName}.json`);
+  };
+
+  /**
+   * @description The adapter of the <code>STATIC</code> content source, this
+   * utility function requests the JSON file of the parameter name in the
+   * parameter language, returning a <code>Promise</code> resolving with its
+   * contents, which are already in normalized form. Should no translation of
+   * the file exist, or should the translation be unreachable, the default
+   * language's version is requested in its place, so that untranslated scenes
+   * remain available.
+   *
+   * @param {object} paramSource <code>ContentSources</code> config
+   * @param {string} paramName "data" or scene name
+   * @param {string} paramLocale <code>Locales</code> key
+   * @param {object} paramOptions Options of
+   *     <code>inaccessible.sendRequest</code>
+   * @returns {Promise<object>}
+   */
+  inaccessible.fetchStaticContent = function (paramSource, paramName,
+      paramLocale, paramOptions) {
+
+    // Declarations
+    let urls, request;
+
+    // Definitions
+    urls = this.getFileUrls(paramSource, paramName, paramLocale);
+    request = this.sendRequest('GET', urls[0], null, paramOptions);
+
+    if (urls.length > 1) {
+      request = request.catch((error) => {
+        if (
+          error.type !== ErrorTypes.NETWORK &&
+          !(error.type === ErrorTypes.HTTP && error.status === 404)
+        ) {
+          throw error;
+        }
+
+        if (DEBUG) {
+          console.log(Text.LOCALE_FALLBACK.replace('$1', urls[0]));
+        }
+
+        return this.sendRequest('GET', urls[1], null, paramOptions);
+      });
+    }
+
+    return request;
+  };
+
+  /**
+   * @description The adapter of the <code>REST</code> content source, this
+   * utility function requests the content entry of the parameter name in the
+   * parameter language from a REST API or headless CMS, returning a
+   * <code>Promise</code> resolving with the entry converted into the
+   * normalized form of the corresponding JSON file via the source's field
+   * mapping. The <code>data.json</code> content is expected as an entry named
+   * "data," and each scene as an entry named for the scene.
+   *
+   * @param {object} paramSource <code>ContentSources</code> config
+   * @param {string} paramName "data" or scene name
+   * @param {string} paramLocale <code>Locales</code> key
+   * @param {object} paramOptions Options of
+   *     <code>inaccessible.sendRequest</code>
+   * @returns {Promise<object>}
+   */
+  inaccessible.fetchRestContent = function (paramSource, paramName,
+      paramLocale, paramOptions) {
+
+    // Declaration
+    let url;
+
+    // Definition
+    url = paramSource.baseUrl + encodeURIComponent(paramName) + '?' +
+      paramSource.localeParameter + '=' + encodeURIComponent(paramLocale);
+
+    return this.sendRequest('GET', url, null, paramOptions).then((response) => {
+
+      // Declaration
+      let entry;
+
+      // Definition
+      entry = this.getValueAtPath(response, paramSource.itemPath);
+
+      return {
+        success: true,
+        formatVersion: paramSource.formatVersion,
+        data: (paramName === Text.DATA_NAME)
+          ? this.mapFields(entry, paramSource.fields.data)
+          : {[paramName]: this.mapFields(entry, paramSource.fields.scene)},
+      };
+    });
+  };
+
+  /**
+   * @description This utility function requests the content of the JSON file
+   * of the parameter name in the parameter language from the present content
+   * source via the source's adapter, returning a <code>Promise</code> resolving
+   * with the normalized contents, migrated to the present format and
+   * validated.
+   *
+   * @param {string} paramName "data" or scene name
+   * @param {string} paramLocale <code>Locales</code> key
+   * @param {!object=} paramOptions Options of
+   *     <code>inaccessible.sendRequest</code> (optional)
+   * @returns {Promise<object>}
+   */
+  inaccessible.fetchFile = function (paramName, paramLocale,
+      paramOptions = {}) {
+
+    // Declaration
+    let source;
+
+    // Definition
+    source = ContentSources[this.source];
+
+    return this[source.adapter](source, paramName, paramLocale, paramOptions)
+      .then((data) => {
+
+        // Declaration
+        let migrated;
+
+        // Definition
+        migrated = this.migrateFile(data, paramName);
+
+        // Reject malformed files before they reach the cache
+        this.assertValidFile(migrated, paramName);
+
+        return migrated;
+      });
+  };
+
+  /**
+   * @description This utility function returns a <code>Promise</code> resolving
+   * with the validated contents of the JSON file of the parameter name. If the
+   * file was persisted on a previous visit and remains valid, its contents are
+   * returned immediately and the file marked as stale, to be revalidated in the
+   * background via <code>inaccessible.revalidateStaleFiles</code>. Otherwise,
+   * the file is requested, validated, and persisted for future visits. Files
+   * are requested and persisted in the present language.
+   *
+   * @param {string} paramName "data" or scene name
+   * @returns {Promise<object>}
+   */
+  inaccessible.requestFile = function (paramName) {
+
+    // Declarations
+    let locale, key, entry;
+
+    // Definitions
+    locale = this.locale;
+    key = `${locale}/${paramName}`;
+    entry = this.getPersistedFiles()[key];
+
+    if (
+      entry != null &&
+      this.validateFile(entry.data, paramName).length === 0
+    ) {
+      if (DEBUG) {
+        console.log(Text.CACHE_SERVED.replace('$1', key));
+      }
+
+      this.cache.stale.set(key, {
+        name: paramName,
+        locale: locale,
+        hash: entry.hash,
+      });
+
+      // Files loaded after the initial scene are revalidated straightaway
+      if (this.isLoaded) {
+        this.whenIdle(() => {
+          this.revalidateStaleFiles();
+        });
+      }
+
+      return Promise.resolve(entry.data);
+    }
+
+    return this.fetchFile(paramName, locale).then((data) => {
+      this.persistFile(key, data, this.hashString(JSON.stringify(data)));
+
+      return data;
+    });
+  };
+
+  /**
+   * @description This utility function requests anew each file served from
+   * the persistent cache by <code>inaccessible.requestFile</code> since the
+   * last revalidation, bypassing any stale copies held by the browser or
+   * service worker. Files whose content version has changed are persisted and
+   * cached, and any affected content presently displayed is refreshed via
+   * <code>inaccessible.refreshContent</code>. Files of a language other than
+   * that presently displayed are persisted only. As the persisted version
+   * remains perfectly usable, failures are simply logged.
+   *
+   * @returns {void}
+   */
+  inaccessible.revalidateStaleFiles = function () {
+    this.cache.stale.forEach((entry, key) => {
+      this.cache.stale.delete(key);
+
+      this.fetchFile(entry.name, entry.locale, {
+        cache: 'no-cache',
+      }).then((data) => {
+
+        // Declaration
+        let latest;
+
+        // Definition
+        latest = this.hashString(JSON.stringify(data));
+
+        if (latest === entry.hash) {
+          return;
+        }
+
+        if (DEBUG) {
+          console.log(Text.CACHE_UPDATED.replace('$1', key));
+        }
+
+        this.persistFile(key, data, latest);
+
+        if (entry.locale !== this.locale) {
+          return;
+        }
+
+        this.cache.data = Object.assign(this.cache.data, data.data);
+
+        return this.loadTokenDependencies(data.data).then(() => {
+          this.refreshContent(entry.name);
+        });
+      }).catch((error) => {
+        if (DEBUG) {
+          console.warn(Text.CACHE_REVALIDATION_FAILED.replace('$1', key)
+            .replace('$2', error.message));
+        }
+      });
+    });
+  };
+
+  /**
+   * @description This utility function discards the assembled content built
+   * from the JSON file of the parameter name following a change to the file's
+   * contents, rebuilding any such content presently displayed. Changes to
+   * <code>data.json</code> entail the rebuilding of the header, footer, and
+   * homepage and resume, while changes to a scene file entail the rebuilding
+   * of that scene and, if its entries are included therein, the resume.
+   * <br />
+   * <br />
+   * The displayed scene is replaced in place without any transition, and
+   * only if no navigation is underway, as a pending navigation will make use
+   * of the updated data regardless. Keyboard focus is moved to the rebuilt
+   * scene only if it was within the outdated version.
+   *
+   * @param {string} paramName "data" or scene name
+   * @returns {void}
+   */
+  inaccessible.refreshContent = function (paramName) {
+
+    // Declarations
+    let config, main, page, hadFocus;
+
+    if (paramName === Text.DATA_NAME) {
+
+      // Close the menu so no listeners linger for the discarded nav
+      if (this.isMenuOpen) {
+        this.handleMenuToggle();
+      }
+
+      [
+        [Classes.HEADER, this.buildHeader],
+        [Classes.FOOTER, this.buildFooter],
+      ].forEach((pair) => {
+
+        // Declaration
+        let element;
+
+        // Definition
+        element = document.querySelector(`.${pair[0]}`);
+
+        if (element != null) {
+          element.parentNode.replaceChild(pair[1].call(this), element);
+        }
+      });
+
+      this.cache.pages.delete(this.cache.data.home.array[0].name);
+      this.cache.pages.delete(Text.RESUME_NAME);
+    } else {
+      this.cache.pages.delete(paramName);
+
+      // The resume displays the entries of several scenes
+      if (Object.values(ResumeSections).includes(paramName)) {
+        this.cache.pages.delete(Text.RESUME_NAME);
+      }
+    }
+
+    // Definitions
+    config = this.getSceneConfig(this.navigation.scene);
+    main = document.querySelector(`.${Classes.MAIN}`);
+
+    if (
+      config == null || main == null ||
+      this.navigation.state !== States.IDLE ||
+      this.cache.pages.has(config.name.toLowerCase())
+    ) {
+      return;
+    }
+
+    page = this.getScenePage(config);
+
+    this.loadImages(page).then(() => {
+      if (
+        this.navigation.state !== States.IDLE ||
+        this.navigation.scene !== config.name
+      ) {
+        return;
+      }
+
+      hadFocus = main.contains(document.activeElement);
+
+      this.emptyElementOfContent(`.${Classes.MAIN}`);
+      main.appendChild(page);
+
+      if (hadFocus) {
+        this.focusScene(main);
+      }
+
+      this.announce(this.localize('SCENE_UPDATED', config.text));
+    });
+  };
+
+  /**
+   * @description This utility function removes the data of each scene from
+   * <code>inaccessible.cache.data</code> so that it is loaded anew on the
+   * scene's next display. The homepage's data, being that of
+   * <code>data.json</code>, is retained, as is that of any scene presently
+   * being navigated to, as the pending navigation relies upon it.
+   *
+   * @returns {void}
+   */
+  inaccessible.discardSceneData = function () {
+    this.cache.data.home.array.forEach((config) => {
+      if (
+        config.name !== this.cache.data.home.array[0].name &&
+        (this.navigation.state === States.IDLE ||
+          config.name !== this.navigation.target)
+      ) {
+        delete this.cache.data[config.name.toLowerCase()];
+      }
+    });
+  };
+
+  /**
+   * @description This utility function empties each of the application's
+   * caches, namely the JSON files persisted to <code>localStorage</code>, the
+   * assembled scenes of <code>inaccessible.cache.pages</code>, and the scene
+   * data of <code>inaccessible.cache.data</code>, ensuring that the latest
+   * version of each scene is requested and built on its next display. Scene
+   * data still in use is retained, as per
+   * <code>inaccessible.discardSceneData</code>.
+   *
+   * @returns {void}
+   */
+  inaccessible.clearCache = function () {
+    this.setStoredValue(Text.CACHE_KEY, null);
+    this.cache.pages.clear();
+    this.cache.stale.clear();
+    this.discardSceneData();
+
+    if (DEBUG) {
+      console.log(Text.CACHE_CLEARED);
+    }
+  };
+
+  /**
+   * @description This utility function returns a <code>boolean</code> flag
+   * denoting whether the user has asked the browser to reduce data usage via
+   * the Network Information API's <code>saveData</code> property. Browsers
+   * not implementing the API are assumed to have no such preference.
+   *
+   * @returns {boolean}
+   */
+  inaccessible.isSaveDataEnabled = function () {
+    return navigator.connection != null &&
+      navigator.connection.saveData === true;
+  };
+
+  /**
+   * @description This utility function invokes the parameter callback function
+   * once the browser is idle, making use of <code>requestIdleCallback</code>
+   * where available. As some browsers have yet to implement that function, a
+   * short <code>setTimeout</code> delay is used in its place as a fallback.
+   *
+   * @param {function} paramCallback Function to invoke once idle
+   * @returns {void}
+   */
+  inaccessible.whenIdle = function (paramCallback) {
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(paramCallback, {
+        timeout: Utility.PREFETCH_IDLE_TIMEOUT,
+      });
+    } else {
+      window.setTimeout(paramCallback, Utility.PREFETCH_FALLBACK_DELAY);
+    }
+  };
+
+  /**
+   * @description This utility function loads the JSON data of the scene
+   * denoted by the parameter config object ahead of any navigation to it, so
+   * that the eventual scene change need not wait on the network. If the
+   * optional <code>boolean</code> parameter is <code>true</code>, the scene is
+   * also assembled and added to <code>inaccessible.cache.pages</code>, which
+   * has the added benefit of having the browser load the scene's images.
+   * <br />
+   * <br />
+   * Prefetching is skipped entirely if the user has requested reduced data
+   * usage. As any failure will be encountered again and properly reported if
+   * the user actually navigates to the scene, failed prefetches are simply
+   * ignored; the returned <code>Promise</code> always resolves.
+   *
+   * @param {object} paramConfig Config object containing name, handler, etc.
+   * @param {boolean=} paramBuildPage Whether to pre-build the scene (optional)
+   * @returns {Promise}
+   */
+  inaccessible.prefetchScene = function (paramConfig, paramBuildPage = false) {
+    if (this.isSaveDataEnabled()) {
+      return Promise.resolve();
+    }
+
+    return this.loadSceneData(paramConfig).then(() => {
+      if (paramBuildPage) {
+        this.getScenePage(paramConfig);
+      }
+
+      if (DEBUG) {
+        console.log(Text.PREFETCHED.replace('$1', paramConfig.name));
+      }
+    }).catch(() => {
+      if (DEBUG) {
+        console.warn(Text.PREFETCH_FAILED.replace('$1', paramConfig.name));
+      }
+    });
+  };
+
+  /**
+   * @description This utility function is invoked once the initial scene has
+   * been displayed to prefetch the JSON data of every scene listed in
+   * <code>home.array</code>. Scenes are fetched one at a time, each during a
+   * separate idle period, so as to not compete with the user's interactions
+   * for the network or the main thread.
+   *
+   * @returns {void}
+   */
+  inaccessible.prefetchWhenIdle = function () {
+
+    // Declarations
+    let queue, next;
+
+    if (this.isSaveDataEnabled()) {
+      if (DEBUG) {
+        console.log(Text.PREFETCH_SKIPPED);
+      }
+      return;
+    }
+
+    // Definitions
+    queue = this.cache.data.home.array.slice();
+    next = () => {
+      if (queue.length) {
+        this.whenIdle(() => {
+          this.prefetchScene(queue.shift()).then(next);
+        });
+      }
+    };
+
+    next();
+  };
+
+  // Assembly functions
+
+  /**
+   * @description As its name implies, this function is used to construct an
+   * individual instance of an element or object; in this case, it builds a
+   * single HTML element that will be returned from the function and appended to
+   * the DOM dynamically. It accepts an array of strings denoting the type of
+   * element to create and also handles potentially nested element arrays for
+   * elements that are to exist inside the outer element tags as inner HTML. In
+   * many respects, this function is the most critical building block of the
+   * module, as it use facilitates the generation of dynamic JS-mediated scenes
+   * that can be built and added to the page without the need to fetch static
+   * HTML files. The builder functions contained in this JS module are really
+   * nothing more than heavy extended invocations of this function that pass
+   * large frameworks of HTML for assembly herein.
+   * <br />
+   * <br />
+   * Text content has any template tokens replaced with their values via
+   * <code>inaccessible.resolveTokens</code> before being added as text nodes.
+   * An example of wellformed input is shown below:
+   * <br />
+   * <pre>
+   * this.assembleElement(
+   *   ['div', {id: 'foo-id', class: 'foo-class'},
+   *     ['button', {id: 'bar-id', class: 'bar-class'},
+   *       'Text',
+   *     ],
+   *   ],
+   * );
+   * </pre>
+   *
+   * @param {!Array<string>} paramArray Well-formed array representing DOM node
+   * @returns {HTMLElement} element Assembled element for addition to DOM
+   */
+  inaccessible.assembleElement = function (paramArray) {
+
+    // Declarations
+    let element, name, attributes, counter, content;
+
+    // Make sure input argument is a well-formatted array
+    if (!this.isArray(paramArray)) {
+      return this.assembleElement.call(this,
+          Array.prototype.slice.call(arguments));
+    }
+
+    // Definitions
+    name = paramArray[0];
+    attributes = paramArray[1];
+    element = document.createElement(name);
+    counter = 1;
+
+    /**
+     * Note: We use <code>!=</code> here to check for both undefined and null
+     * behavior since <code>attributes != null</code> is equivalent to
+     * <code>attributes === undefined || attributes === null</code>.
+     */
+    if (typeof attributes === 'object' && attributes != null &&
+        !this.isArray(attributes)) {
+
+      for (let attribute in attributes) {
+        element.setAttribute(attribute, attributes[attribute]);
+      }
+
+      counter = 2;
+    }
+
+    for (let i = counter; i < paramArray.length; i++) {
+
+      // Check if recursive assembly is required for another inner DOM element
+      if (this.isArray(paramArray[i])) {
+        content = this.assembleElement(paramArray[i]);
+
+      // Otherwise check if array element is already an assembled DOM element
+      } else if (this.isElement(paramArray[i])) {
+        content = paramArray[i];
+
+      // Otherwise, treat any remaining array elements as text content
+      } else {
+        content = document.createTextNode(
+          this.resolveTokens(paramArray[i]));
+      }
+
+      // Add to outer parent element
+      element.appendChild(content);
+    }
+
+    return element;
+  };
+
+  /**
+   * @description This function is used as a super-specialized version of the
+   * above assembly function <code>inaccessible.assembleElement</code>. It is
+   * used to build various list elements containing buttons, and is the general
+   * purpose assembly function for all such elements except for the home page
+   * pseudo-buttons, meta elements, and connect link buttons. This function
+   * accepts as parameters a config object containing name and text properties
+   * for selector assembly and button text addition and a <code>String</code>
+   * parameter denoting the target location to which the list-button combo
+   * belongs (i.e. "nav" or "sitemap").
+   * <br />
+   * <br />
+   * Button input objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   "name": "Name",
+   *   "text": "Text",
+   * },
+   * </pre>
+   *
+   * @param {object} paramObject Config button object as seen above
+   * @param {string} paramLocation Target ("nav" or "sitemap")
+   * @returns {HTMLElement} listElement Assembled button for addition to DOM
+   */
+  inaccessible.assembleListElement = function (paramObject, paramLocation) {
+
+    // Declarations
+    let listElement, button, listElementConfig, buttonConfig;
+
+    // List element config
+    listElementConfig = {
+      class: `${paramLocation}-li`
+    };
+
+    // Inner button config
+    buttonConfig = {
+      class: `${paramLocation}-link ${Classes.GENERAL__BUTTON_LINK}`
+    };
+
+    // Definitions
+    listElement = this.assembleElement(['li', listElementConfig]);
+    button = this.assembleElement(['button', buttonConfig, paramObject.text]);
+
+    button.addEventListener('click', () => {
+      this.handleButtonClicks(paramObject);
+    }, false);
+
+    // Prefetch the scene on hover or focus, as a click is likely to follow
+    ['pointerenter', 'focus'].forEach((type) => {
+      button.addEventListener(type, () => {
+        this.prefetchScene(paramObject, true);
+      }, false);
+    });
+
+    // Add button to li wrapper
+    listElement.appendChild(button);
+
+    return listElement;
+  };
+
+  /**
+   * @description Similar in purpose and design to the above assembly function
+   * <code>inaccessible.assembleListElement</code> and its progenitor function
+   * <code>inaccessible.assembleElement</code>, this assembly function is used
+   * exclusively to create the home page's photoblock panels, which include
+   * <code>a</code> links factored to act like standard button elements with
+   * their associated click event listeners. Each block consists of the
+   * aforementioned button link containing a <code>picture</code> tag and a
+   * <code>div</code>. The former includes a pair of images for desktop and
+   * mobile view, while the latter includes the text overlay that will display
+   * atop the image shown. Each link's <code>href</code> is set to the address
+   * of its scene, making the panels reachable by keyboard, while Space is
+   * handled to match the behavior of a standard button.
+   * <br />
+   * <br />
+   * Parameter objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   name: "name",
+   *   text: "Panel name",
+   *   picture: {
+   *     normal: "test1.jpg",
+   *     mobile: "mobileTest1.jpg",
+   *   },
+   * },
+   * </pre>
+   *
+   * @param {object} paramObject Config button object as seen above
+   * @returns {HTMLElement} container Assembled button for addition to DOM
+   */
+  inaccessible.assembleHomeListElement = function (paramObject) {
+
+    // Declarations
+    let container, button, containerAttributes, buttonAttributes,
+      pictureAttributes, sourceAttributes, imageAttributes, coverAttributes,
+      phototextAttributes;
+
+    // List element wrapper
+    containerAttributes = {
+      class: `home-${paramObject.name} ${Classes.HOME__LI}`,
+    };
+
+    // Inner link pseudo-button config
+    buttonAttributes = {
+      class: Classes.HOME__LINK,
+      role: 'button',
+      href: this.buildRoute(paramObject.name),
+    };
+
+    // <picture> tag wrapper
+    pictureAttributes = {
+      class: Classes.HOME__PICTURE,
+    };
+
+    // <source> tag for mobile config
+    sourceAttributes = {
+      media: `(min-width: ${Utility.IMAGE_MIN_WIDTH}px)`,
+      srcset: `${Text.IMAGES_FOLDER}/${paramObject.picture.normal}`,
+    };
+
+    // Main image tag config (decorative, as phototext names the panel)
+    imageAttributes = {
+      class: Classes.GENERAL__RESPONSIVE_IMAGE,
+      alt: '',
+      src: `${Text.IMAGES_FOLDER}/${paramObject.picture.mobile}`,
+    };
+
+    // Text overlay wrapper config
+    coverAttributes = {
+      class: Classes.HOME__COVER,
+    };
+
+    // Text overlay config
+    phototextAttributes = {
+      class: Classes.HOME__PHOTOTEXT,
+    };
+
+    // Build elements
+    container = this.assembleElement(['li', containerAttributes]);
+    button = this.assembleElement(
+      ['a', buttonAttributes,
+        ['picture', pictureAttributes,
+          ['source', sourceAttributes],
+          ['img', imageAttributes],
+        ],
+        ['div', coverAttributes,
+          ['p', phototextAttributes,
+            paramObject.text,
+          ],
+        ],
+      ],
+    );
+
+    // Click handler (navigation is handled in-app rather than by the href)
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.handleButtonClicks(paramObject);
+    }, false);
+
+    // Space activates pseudo-buttons as it does real buttons
+    button.addEventListener('keydown', (event) => {
+      if (event.key === ' ' || event.key === 'Spacebar') {
+        event.preventDefault();
+        button.click();
+      }
+    }, false);
+
+    // Prefetch the scene on hover or focus, as a click is likely to follow
+    ['pointerenter', 'focus'].forEach((type) => {
+      button.addEventListener(type, () => {
+        this.prefetchScene(paramObject, true);
+      }, false);
+    });
+
+    // Add button to li wrapper
+    container.appendChild(button);
+
+    return container;
+  };
+
+  /**
+   * @description Like the previous assembly functions above, namely
+   * <code>inaccessible.assembleHomeListElement</code> and
+   * <code>inaccessible.assembleListElement</code>, this function is used to
+   * assemble list elements for an unordered list in the DOM. In this case, the
+   * function is used exclusively to build list items in the Meta section of the
+   * upper footer, providing the contact methods of
+   * <code>details.contacts</code> marked with <code>footer</code> as contact
+   * information. While the other functions generally create buttons (or link
+   * pseudo-buttons) inside list elements, this assembly function assembles a
+   * <code>span</code> inside a list element displaying the title of each
+   * method, followed by the method itself as rendered by
+   * <code>inaccessible.assembleContact</code> and a button copying it.
+   * <br />
+   * <br />
+   * Parameter objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   "type": "email",
+   *   "title": "Email",
+   *   "value": "andrew@andreweissen.com",
+   *   "footer": true
+   * },
+   * </pre>
+   *
+   * @param {object} paramObject Contact method as seen above
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleMetaListElement = function (paramObject) {
+
+    // Declarations
+    let listAttributes, titleAttributes, textAttributes;
+
+    // List element wrapper config
+    listAttributes = {
+      class: Classes.META__LI,
+    };
+
+    // Title config
+    titleAttributes = {
+      class: Classes.META__LI_TITLE,
+    };
+
+    // Text config
+    textAttributes = {
+      class: Classes.META__LI_TEXT + ' ' + Classes.GENERAL__BUTTON_LINK + ' ' +
+        Classes.GENERAL__PLAINLINK,
+    };
+
+    return this.assembleElement(
+      ['li', listAttributes,
+        ['span', titleAttributes,
+          paramObject.title,
+        ],
+        this.assembleContact(paramObject, textAttributes),
+        this.assembleCopyButton(this.getContactText(paramObject),
+          paramObject.title, Classes.CONTACT__COPY),
+      ],
+    );
+  };
+
+  /**
+   * @description Like <code>inaccessible.assembleMetaListElement</code> above,
+   * this function is used to assemble list elements for use in lists included
+   * in the upper footer section. It is specifically tasked with assembling the
+   * external link sections providing users the ability to view the author's
+   * GitHub and LinkedIn accounts. Each section includes an <code>svg</code>
+   * image displaying the logo of the site to which the section links, a title,
+   * and a descriptive text section. Apart from these expansions of the usual
+   * button-in-list element approach of previous assembly functions, the
+   * function operates in much the same way as others in the section.
+   * <br />
+   * <br />
+   * Parameter objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   "text": "Test",
+   *   "link": "https://www.test.com/andreweissen",
+   *   "description": {
+   *     "title": "View my Test account",
+   *     "text": "Browse repositories related to web development..."
+   * }
+   * </pre>
+   *
+   * @param {object} paramObject Config object as seen above
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleConnectListElement = function (paramObject) {
+
+    // Declarations
+    let icon, listAttributes, linkAttributes, imageAttributes, descAttributes,
+      descTitleAttributes, descTextAttributes;
+
+    // Name of the icon ("github", "linkedin", etc.)
+    icon = paramObject.text.toLowerCase();
+
+    // Config for list element
+    listAttributes = {
+      class: 'connect-' + paramObject.text.toLowerCase() +
+        ' ' + Classes.GENERAL__HAS_HEIGHT + ' ' + Classes.CONNECT__LI,
+    };
+
+    // Button link config
+    linkAttributes = {
+      href: paramObject.link,
+      title: paramObject.text,
+      class: Classes.CONNECT__LINK,
+      target: Text.LINK_TARGET,
+    };
+
+    // svg icon image config
+    imageAttributes = {
+      class: `${Classes.GENERAL__RESPONSIVE_IMAGE} ${Classes.CONNECT__SVG}`,
+      alt: `${paramObject.text} icon`,
+      src: `${Text.IMAGES_FOLDER}/${icon}.${Text.ICON_FORMAT}`,
+    };
+
+    // Description wrapper config
+    descAttributes = {
+      class: Classes.CONNECT__DESC,
+    };
+
+    // Description title config
+    descTitleAttributes = {
+      class: Classes.CONNECT__DESC_TITLE,
+    };
+
+    // Description text config
+    descTextAttributes = {
+      class: Classes.CONNECT__DESC_TEXT,
+    };
+
+    return this.assembleElement(
+      ['li', listAttributes,
+        ['a', linkAttributes,
+          ['img', imageAttributes],
+        ],
+        ['div', descAttributes,
+          ['h5', descTitleAttributes,
+            paramObject.description.title,
+          ],
+          ['div', descTextAttributes,
+            paramObject.description.text,
+          ],
+        ],
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function renders the parameter contact method
+   * of <code>details.contacts</code> by way of the assembly function named
+   * for its type in the <code>ContactTypes</code> enum, so that the details
+   * tables, the footer's meta section, and the resume all display each type
+   * of method alike. The parameter attributes, i.e. the classes of the
+   * location in which the method is displayed, are applied to the rendered
+   * element.
+   * <br />
+   * <br />
+   * Parameter objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   "type": "phone",
+   *   "title": "Phone",
+   *   "value": "+1 (555) 010-0199"
+   * }
+   * </pre>
+   *
+   * @param {object} paramContact Contact method as seen above
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleContact = function (paramContact, paramAttributes) {
+    return this[ContactTypes[paramContact.type].renderer](paramContact,
+      paramAttributes);
+  };
+
+  /**
+   * @description This assembly function builds a button copying the parameter
+   * text to the clipboard via <code>inaccessible.handleCopy</code>, which
+   * confirms the copy or reports its failure in a toast. The button's
+   * accessible name includes the parameter label, i.e. "Copy Personal," so
+   * that the buttons of a list may be told apart by users of screen readers.
+   *
+   * @param {string} paramText Text to be copied
+   * @param {string} paramLabel Name of copied text
+   * @param {string} paramClass Class of button
+   * @returns {HTMLElement} button
+   */
+  inaccessible.assembleCopyButton = function (paramText, paramLabel,
+      paramClass) {
+
+    // Declarations
+    let button, buttonAttributes;
+
+    // Copy button config
+    buttonAttributes = {
+      class: `${paramClass} ${Classes.GENERAL__BUTTON_LINK}`,
+      type: 'button',
+      'aria-label': this.localize('COPY_LABEL', paramLabel),
+    };
+
+    // Build button
+    button = this.assembleElement(['button', buttonAttributes,
+      this.localize('COPY')]);
+
+    button.addEventListener('click', () => {
+      this.handleCopy(paramText, paramLabel);
+    }, false);
+
+    return button;
+  };
+
+  /**
+   * @description This assembly function renders an email address contact
+   * method as a <code>mailto:</code> link opening the user's mail client.
+   *
+   * @param {object} paramContact Contact method of type <code>email</code>
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleEmailContact = function (paramContact,
+      paramAttributes) {
+    return this.assembleElement(
+      ['a', Object.assign({}, paramAttributes, {
+        href: this.getContactHref(paramContact),
+      }),
+        paramContact.value,
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function renders a site contact method as an
+   * outbound link opened in a new tab. As with links in scene copy, addresses
+   * of protocols other than http(s) are displayed as plain text rather than
+   * linked, lest a malformed content file introduce a script address.
+   *
+   * @param {object} paramContact Contact method of type <code>url</code>
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleUrlContact = function (paramContact, paramAttributes) {
+    if (!this.isSafeUrl(paramContact.value)) {
+      if (DEBUG) {
+        console.warn(Text.UNSAFE_LINK.replace('$1', paramContact.value));
+      }
+
+      return this.assembleElement(['span', paramAttributes,
+        paramContact.value]);
+    }
+
+    return this.assembleElement(
+      ['a', Object.assign({}, paramAttributes, {
+        href: paramContact.value,
+        target: Text.LINK_TARGET,
+        rel: Text.LINK_REL,
+      }),
+        paramContact.value,
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function renders a telephone number contact
+   * method as a <code>tel:</code> link, by which phones and softphones may
+   * dial the number. The number is displayed as written in the content file.
+   *
+   * @param {object} paramContact Contact method of type <code>phone</code>
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assemblePhoneContact = function (paramContact,
+      paramAttributes) {
+    return this.assembleElement(
+      ['a', Object.assign({}, paramAttributes, {
+        href: this.getContactHref(paramContact),
+      }),
+        paramContact.value,
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function renders a postal address contact
+   * method as an <code>address</code> element, each line of the address from
+   * <code>inaccessible.getAddressLines</code> separated by a line break. No
+   * map is linked or embedded, sparing visitors any third-party requests.
+   *
+   * @param {object} paramContact Contact method of type <code>address</code>
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleAddressContact = function (paramContact,
+      paramAttributes) {
+    return this.assembleElement(
+      ['address', Object.assign({}, paramAttributes, {
+        class: `${paramAttributes.class || ''} ${Classes.CONTACT__ADDRESS}`
+          .trim(),
+      }),
+        ...this.getAddressLines(paramContact.value).reduce((nodes, line,
+            index) => {
+          return nodes.concat((index) ? [['br'], line] : [line]);
+        }, []),
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function renders a PGP fingerprint contact
+   * method in its customary groups of four digits, set in monospace so that
+   * the groups line up when compared against a key.
+   *
+   * @param {object} paramContact Contact method of type <code>pgp</code>
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assemblePgpContact = function (paramContact, paramAttributes) {
+
+    // Declaration
+    let codeAttributes;
+
+    // Fingerprint config
+    codeAttributes = {
+      class: `${Classes.CONTACT__FINGERPRINT} ${Classes.GENERAL__INLINE_CODE}`,
+    };
+
+    return this.assembleElement(
+      ['span', paramAttributes,
+        ['code', codeAttributes,
+          this.formatFingerprint(paramContact.value),
+        ],
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function renders a Matrix handle contact
+   * method as a link to the handle on <code>matrix.to</code>, from which
+   * visitors may open it in the Matrix client of their choice.
+   *
+   * @param {object} paramContact Contact method of type <code>matrix</code>
+   * @param {object} paramAttributes Attributes of rendered element
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleMatrixContact = function (paramContact,
+      paramAttributes) {
+    return this.assembleElement(
+      ['a', Object.assign({}, paramAttributes, {
+        href: this.getContactHref(paramContact),
+        target: Text.LINK_TARGET,
+        rel: Text.LINK_REL,
+      }),
+        paramContact.value,
+      ],
+    );
+  };
+
+  /**
+   * @description This assembly function builds the toggle button displayed in
+   * the lower footer by which users may reduce the motion of scene transitions
+   * regardless of their operating system's setting. The button's
+   * <code>aria-pressed</code> state reflects whether motion is presently
+   * reduced, and each press flips the preference via
+   * <code>inaccessible.handleMotionToggle</code>.
+   *
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleMotionToggle = function () {
+
+    // Declarations
+    let toggle, toggleAttributes;
+
+    // Toggle button config
+    toggleAttributes = {
+      class: Classes.FOOTER__MOTION_TOGGLE + ' ' + Classes.GENERAL__BUTTON_LINK,
+      type: 'button',
+      'aria-pressed': String(this.isReducedMotion()),
+    };
+
+    // Build element
+    toggle = this.assembleElement(['button', toggleAttributes,
+      this.localize('REDUCED_MOTION_TOGGLE')]);
+
+    toggle.addEventListener('click', () => {
+      this.handleMotionToggle();
+    }, false);
+
+    return toggle;
+  };
+
+  /**
+   * @description This assembly function builds the link displayed in the lower
+   * footer by which users may view the resume scene. As the scene is not
+   * listed in <code>home.array</code>, it appears in neither the navigation
+   * nor the sitemap. Like the scenes' nav links, the link points to the
+   * scene's route but is handled in-app via
+   * <code>inaccessible.handleButtonClicks</code>.
+   *
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleResumeLink = function () {
+
+    // Declarations
+    let link, config, linkAttributes;
+
+    // Definition
+    config = this.getResumeConfig();
+
+    // Link config
+    linkAttributes = {
+      class: Classes.FOOTER__RESUME_LINK + ' ' + Classes.GENERAL__BUTTON_LINK,
+      href: this.buildRoute(config.name),
+    };
+
+    // Build element
+    link = this.assembleElement(['a', linkAttributes, config.text]);
+
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.handleButtonClicks(config);
+    }, false);
+
+    return link;
+  };
+
+  /**
+   * @description This function assembles the language switcher displayed in
+   * the header, a <code>select</code> element listing each of the languages of
+   * <code>Locales</code>. Each option displays the language's code, with its
+   * name in that language provided as a tooltip, so as to fit alongside the
+   * navigation. Changing the selection changes the language via
+   * <code>inaccessible.handleLocaleChange</code>.
+   *
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleLocaleSwitcher = function () {
+
+    // Declarations
+    let switcher, switcherAttributes;
+
+    // Switcher <select> config
+    switcherAttributes = {
+      class: Classes.LOCALE__SELECT,
+      'aria-label': this.localize('LANGUAGE_LABEL'),
+    };
+
+    // Build element with an option for each language
+    switcher = this.assembleElement(['select', switcherAttributes].concat(
+      Object.keys(Locales).map((code) => {
+        return ['option', {value: code, lang: code, title: Locales[code].name},
+          code.toUpperCase()];
+      }),
+    ));
+    switcher.value = this.locale;
+
+    switcher.addEventListener('change', () => {
+      this.handleLocaleChange(switcher.value);
+    }, false);
+
+    return switcher;
+  };
+
+  /**
+   * @description This assembly function draws the parameter QR code, as
+   * returned by <code>inaccessible.encodeQrCode</code>, as an SVG image of
+   * dark modules upon a light background framed by a quiet zone of
+   * <code>Utility.QR_QUIET_ZONE</code> modules. The code is always drawn dark
+   * upon light, whatever the site's theme, as some readers cannot read
+   * inverted codes. The parameter label describes the image to assistive
+   * technologies.
+   *
+   * @param {object} paramQr QR code returned by encoder
+   * @param {string} paramLabel Accessible description of code
+   * @returns {SVGElement} svg
+   */
+  inaccessible.assembleQrCode = function (paramQr, paramLabel) {
+
+    // Declarations
+    let svg, background, path, size, commands;
+
+    // Definitions
+    svg = document.createElementNS(Text.SVG_NAMESPACE, 'svg');
+    background = document.createElementNS(Text.SVG_NAMESPACE, 'rect');
+    path = document.createElementNS(Text.SVG_NAMESPACE, 'path');
+    size = paramQr.size + Utility.QR_QUIET_ZONE * 2;
+    commands = [];
+
+    // One unit square per dark module
+    paramQr.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) {
+          commands.push(`M${x + Utility.QR_QUIET_ZONE},` +
+            `${y + Utility.QR_QUIET_ZONE}h1v1h-1z`);
+        }
+      });
+    });
+
+    svg.setAttribute('class', Classes.CARD__CODE);
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', paramLabel);
+    background.setAttribute('width', size);
+    background.setAttribute('height', size);
+    background.setAttribute('fill', '#FFFFFF');
+    path.setAttribute('d', commands.join(''));
+    path.setAttribute('fill', '#000000');
+
+    svg.appendChild(background);
+    svg.appendChild(path);
+
+    return svg;
+  };
+
+  /**
+   * @description The matched twin of <code>inaccessible.assembleEntry</code>,
+   * this function is used to build mostly text-based sections for inclusion in
+   * the right diptych panel of default site scenes. It accepts as a parameter
+   * a config object including a section h2-level title and an array of title-
+   * text sections that serve as the paragraph content of the so-called "essay"
+   * being built. Originally, there could be multiple essays in the right panel,
+   * though the functionality was removed for being too needlessly complex.
+   * Instead, this function will only invoked for as many sections need
+   * construction in the one essay permitted.
+   * <br />
+   * <br />
+   * This function sees use both in the left and right diptych panels. For the
+   * left, it is used to create the summary paragraph below the avatar, header,
+   * and subheader. On the right, it is used to create the text sections of the
+   * "About" and "Contact" scenes. For the former, no title is generally
+   * included, while titles are essential for cases on the right.
+   * <br />
+   * <br />
+   * Parameter objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   "title": "About me",
+   *   "paragraphs": [
+   *     "Hey there! I'm Andrew Eissen.",
+   *     "Paragraph 2"
+   *   ]
+   * }
+   * </pre>
+   *
+   * @param {object} paramSection Config object as seen above
+   * @returns {HTMLElement} section Assembled essay section
+   */
+  inaccessible.assembleEssaySection = function (paramSection) {
+
+    // Declarations
+    let section, paragraphTitle, paragraphs, sectionAttributes,
+      paragraphTitleAttributes, paragraphsAttributes, paragraphAttributes;
+
+    // Section wrapper config
+    sectionAttributes = {
+      class: Classes.ESSAY__SECTION,
+    };
+
+    // Section title config
+    paragraphTitleAttributes = {
+      class: `${Classes.ESSAY__TITLE} ${Classes.DIPTYCH__SUBHEADER}`,
+    };
+
+    // Wrapper for paragraphs in section
+    paragraphsAttributes = {
+      class: Classes.ESSAY__PARAGRAPHS,
+    };
+
+    // Config for individual <p> paragraphs
+    paragraphAttributes = {
+      class: Classes.ESSAY__PARAGRAPH,
+    };
+
+    // Build section div
+    section = this.assembleElement(['div', sectionAttributes]);
+
+    // May not have a title if on left diptych
+    if (paramSection.title) {
+      paragraphTitle = this.assembleElement(
+        ['h3', paragraphTitleAttributes, paramSection.title]);
+
+      section.appendChild(paragraphTitle);
+    }
+
+    // Build paragraphs wrapper
+    paragraphs = this.assembleElement(['div', paragraphsAttributes]);
+
+    // Iterate through param object's inner array of text paragraphs
+    paramSection.paragraphs.forEach((paragraph) => {
+      paragraphs.appendChild(this.assembleElement(
+        ['p', paragraphAttributes, ...this.parseInline(paragraph)]));
+    });
+
+    // Add to section wrapper
+    section.appendChild(paragraphs);
+
+    return section;
+  };
+
+  /**
+   * @description Like its twin <code>inaccessible.assembleEssaySection</code>
+   * above, this function is used to create sections for the right diptych panel
+   * related to the display of list-type entries. It accepts as a parameter
+   * an input object containing a header, subheader, subsubheader, and either a
+   * summary paragraph or a listing array of objects. The subsubheader is given
+   * either as structured <code>start</code>, <code>end</code>, and
+   * <code>ongoing</code> properties, formatted in the present language and
+   * supplemented by the computed duration via
+   * <code>inaccessible.formatEntryDates</code>, or as free-text
+   * <code>date</code>.
+   * <br />
+   * <br />
+   * The latter property of the input object may be either a <code>String</code>
+   * paragraph or a set of objects containing a header and array of
+   * <code>String</code>s to be combined and delimited with commas into a single
+   * <code>String</code>. The first option is used on all right panels using
+   * this assembler except the "Education" scene. In this scene, the second
+   * option is used to display sections related to coursework and any ancillary
+   * honors earned while in study at each institution.
+   * <br />
+   * <br />
+   * Parameter objects are styled as seen below:
+   * <br />
+   * <pre>
+   * {
+   *   "header": "Grove City College, Grove City, PA",
+   *   "subheader": "Bachelor of Arts in Communication Studies",
+   *   "start": "2010-08",
+   *   "end": "2014-05",
+   *   "listing": [
+   *     {
+   *       "title": "Academic honors",
+   *       "items": [
+   *         "Graduated with Honors in Communication Studies",
+   *         "Dean's List in Fall ’12, Spring ’13, and Spring ’14 semesters"
+   *       ]
+   *     },
+   *   ],
+   * },
+   * </pre>
+   * <br />
+   * <br />
+   * Or as the following:
+   * <br />
+   * <pre>
+   * {
+   *   "header": "Grove City College, Grove City, PA",
+   *   "subheader": "Bachelor of Arts in Communication Studies",
+   *   "date": "August 2010 – May 2014",
+   *   "summary": "Graduated with Honors in Communication Studies"
+   * },
+   * </pre>
+   *
+   * @param {object} paramEntry Config objects shown above
+   * @param {boolean} paramHasRule Whether to display a <hr> element
+   * @returns {HTMLElement} container
+   */
+  inaccessible.assembleEntry = function (paramEntry, paramHasRule) {
+
+    // Declarations
+    let container, summary, detailBlock, wrapperUpper, wrapperLower, date,
+      containerAttributes, upperAttributes, headerAttributes,
+      subheaderAttributes, dateAttributes, lowerAttributes, paragraphAttributes,
+      listingAttributes, listingTitleAttributes, listingTextAttributes;
+
+    // Entry wrapper config
+    containerAttributes = {
+      class: Classes.ENTRY__SECTION,
+    };
+
+    // Upper section config (header, subheader, subsubheader)
+    upperAttributes = {
+      class: Classes.ENTRY__UPPER,
+    };
+
+    // Header config
+    headerAttributes = {
+      class: Classes.ENTRY__HEADER,
+    };
+
+    // Subheader config
+    subheaderAttributes = {
+      class: Classes.ENTRY__SUBHEADER,
+    };
+
+    // Subsubheader (date) config
+    dateAttributes = {
+      class: Classes.ENTRY__DATE,
+    };
+
+    // Lower config (summary or listing)
+    lowerAttributes = {
+      class: Classes.ENTRY__LOWER,
+    };
+
+    // Paragraph tag config
+    paragraphAttributes = {
+      class: Classes.ENTRY__PARAGRAPH,
+    };
+
+    // Listing wrapper config
+    listingAttributes = {
+      class: Classes.ENTRY__LISTING,
+    };
+
+    // Listing title config
+    listingTitleAttributes = {
+      class: Classes.ENTRY__LISTING_TITLE,
+    };
+
+    // Associated text (commma-delimited, concatenated array)
+    listingTextAttributes = {
+      class: Classes.ENTRY__LISTING_TEXT,
+    };
+
+    // Build components
+    container = this.assembleElement(['div', containerAttributes]);
+    wrapperUpper = this.assembleElement(
+      ['div', upperAttributes,
+        ['div', headerAttributes,
+          paramEntry.header
+        ],
+        ['div', subheaderAttributes,
+          paramEntry.subheader,
+        ],
+      ],
+    );
+
+    // Not all entries will have subsubheader
+    date = this.formatEntryDates(paramEntry);
+
+    if (date) {
+      wrapperUpper.appendChild(this.assembleElement(
+        ['div', dateAttributes,
+          date,
+        ],
+      ));
+    }
+
+    // Build lower section wrapper
+    wrapperLower = this.assembleElement(['div', lowerAttributes]);
+
+    // If section uses single String <p> (all except Education)
+    if (paramEntry.summary) {
+      summary = this.assembleElement(
+        ['p', paragraphAttributes,
+          ...this.parseInline(paramEntry.summary),
+        ],
+      );
+
+      wrapperLower.appendChild(summary);
+    } else if (paramEntry.listing) {
+      paramEntry.listing.forEach((section) => {
+        detailBlock = this.assembleElement(
+          ['div', listingAttributes,
+            ['div', listingTitleAttributes,
+              section.title,
+            ],
+            ['div', listingTextAttributes,
+              ...section.items.reduce((nodes, item, index) => {
+                return nodes.concat((index) ? [', '] : [],
+                  this.parseInline(item));
+              }, []),
+            ],
+          ],
+        );
+
+        wrapperLower.appendChild(detailBlock);
+      });
+    }
+
+    // Add subsections to wrapper
+    container.appendChild(wrapperUpper);
+    container.appendChild(wrapperLower);
+
+    // Certain sections will require a rule below the complete entry
+    if (paramHasRule) {
+      container.appendChild(document.createElement('hr'));
+    }
+
+    return container;
+  };
+
+  // Builder functions
+
+  /**
+   * @description The first of the builder functions, this function is used to
+   * assemble an unordered list of list elements created en masse by multiple
+   * invocations of one of the assembly functions included above. This function
+   * is used to assemble all listings included in the interface, including the
+   * navbar links, the sitemap listing in the upper footer, and the photopanels
+   * extant on the homepage. It accepts an array of object denoting the list
+   * elements to be included, a <code>String</code> denoting the intended use
+   * and placement of the list, and an optional <code>boolean</code> indicating
+   * whether to use one of the specialized assemblers other than the default
+   * <code>inaccessible.assembleListElement</code>.
+   * <br />
+   * <br />
+   * As per the Google styleguide, the use of default parameters in function
+   * declarations is permitted in most cases and particularly encouraged for
+   * optional parameters that may not actually be defined in certain invocation
+   * cases in which the function might be called.
+   *
+   * @param {!Array<object>} paramElements Array of config objects (home.array)
+   * @param {string} paramType Either "home," "sitemap," "connect," etc.
+   * @param {!boolean=} paramUseCustomAssembler Set to false
+   * @returns {HTMLElement} container
+   */
+  inaccessible.buildList = function (paramElements, paramType,
+      paramUseCustomAssembler = false) {
+
+    // Declarations
+    let container, containerAttributes, assemblyFunction, placement;
+
+    // Either home, connect, sitemap, etc.
+    placement = paramType.toLowerCase();
+
+    // Wrapper config (<ul>)
+    containerAttributes = {
+      class: `${placement}-ul`,
+    };
+
+    // Build <ul> element
+    container = this.assembleElement(['ul', containerAttributes]);
+
+    // Use "assembleListElement" unless custom assembler required
+    assemblyFunction = `assemble${(paramUseCustomAssembler)
+      ? this.capitalize(paramType) : ''}ListElement`;
+
+    // Iterate over array of objects and build using assembler of choice
+    paramElements.forEach((element) => {
+      container.appendChild(this[assemblyFunction](element, paramType));
+    });
+
+    // Return <ul> and components
+    return container;
+  };
+
+  /**
+   * @description The first builder invoked on the DOM load completion, this
+   * builder function is used simply to assemble the header, footer, and main
+   * homepage for the user. It establishes the superstructure of the application
+   * that remains unchanged for as long as the user doesn't refresh the page or
+   * leave the application. The header and footer&mdash;built via the builders
+   * invoked herein&mdash;remain extant in the interface for all subsequent page
+   * interaction on the part of the user and are not rebuilt unless the user
+   * refreshes the page. The homepage is subject to change if the user presses a
+   * button to view content.
+   * <br />
+   * <br />
+   * In cases wherein the user has navigated directly to a specific scene's
+   * address, the config object for that scene may be passed so that the scene
+   * is displayed in place of the homepage on initial load.
+   * <br />
+   * <br />
+   * The <code>main</code> section, which houses each scene in turn, listens
+   * for horizontal swipe gestures by which touchscreen users may move to the
+   * previous or next scene.
+   *
+   * @param {!object=} paramConfig Config of initial scene (home by default)
+   * @returns {HTMLElement}
+   */
+  inaccessible.buildContainer = function (paramConfig = null) {
+
+    // Declarations
+    let main, containerAttributes, contentAttributes, mainAttributes,
+      announcerAttributes;
+
+    // Main wrapper config
+    containerAttributes = {
+      class: Classes.WRAPPER__CONTAINER,
+    };
+
+    // Content section config
+    contentAttributes = {
+      class: Classes.WRAPPER__CONTENT,
+    };
+
+    // <main> section config
+    mainAttributes = {
+      class: Classes.MAIN + ' ' + Classes.GENERAL__HAS_HEIGHT + ' ' +
+        Classes.WRAPPER__CONTENT_SECTION,
+    };
+
+    // Visually hidden live region for scene change announcements
+    announcerAttributes = {
+      class: `${Classes.MAIN__ANNOUNCER} ${Classes.GENERAL__VISUALLY_HIDDEN}`,
+      role: 'status',
+      'aria-live': 'polite',
+    };
+
+    // Build <main> separately to attach swipe gesture listeners
+    main = this.assembleElement(
+      ['main', mainAttributes,
+        this.getScenePage(paramConfig || this.cache.data.home.array[0]),
+      ],
+    );
+
+    main.addEventListener('touchstart', (event) => {
+      this.handleTouchStart(event, main);
+    }, {passive: true});
+
+    main.addEventListener('touchmove', (event) => {
+      this.handleTouchMove(event, main);
+    }, {passive: false});
+
+    main.addEventListener('touchend', () => {
+      this.handleTouchEnd(main);
+    }, false);
+
+    main.addEventListener('touchcancel', () => {
+      this.handleTouchEnd(main, true);
+    }, false);
+
+    return this.assembleElement(
+      ['div', containerAttributes,
+        ['div', contentAttributes,
+          this.buildHeader(),
+          main,
+          ['div', announcerAttributes],
+          this.buildFooter(),
+        ],
+      ],
+    );
+  };
+
+  /**
+   * @description As the name implies, this particular builder function is used
+   * to assemble the static header and should only be invoked once per page load
+   * (assuming the user does not refresh the page or navigate away and back). It
+   * is called only by <code>inaccessible.buildContainer</code> at the start of
+   * the application assembly following a successful DOM load.
+   * <br />
+   * <br />
+   * The builder assembles the logo itself without the need for invoking any
+   * specialized subbuilder function, though it does require the use of the
+   * <code>inaccessible.buildNav</code> subbuilder to assemble the nav (which
+   * also functions as the dropdown menu for the mobile hamburger) and the
+   * <code>inaccessible.assembleLocaleSwitcher</code> assembler to build the
+   * language switcher.
+   *
+   * @returns {HTMLElement} container
+   */
+  inaccessible.buildHeader = function () {
+
+    // Declarations
+    let headerAttributes, logoAttributes, imageAttributes, usernameAttributes,
+      localeAttributes;
+
+    // Wrapper (<header>) config
+    headerAttributes = {
+      class: Classes.HEADER + ' ' + Classes.GENERAL__HAS_HEIGHT + ' ' +
+        Classes.WRAPPER__CONTENT_SECTION,
+    };
+
+    // Logo subsection wrapper config
+    logoAttributes = {
+      class: `${Classes.LOGO} ${Classes.HEADER__SECTION}`,
+    };
+
+    // Logo svg image config
+    imageAttributes = {
+      class: Classes.LOGO__IMAGE + ' ' + Classes.GENERAL__RESPONSIVE_IMAGE +
+        ' ' + Classes.LOGO__SECTION,
+      alt: this.cache.data.header.image.alt,
+      src: `${Text.IMAGES_FOLDER}/${this.cache.data.header.image.src}`,
+    };
+
+    // Logo text config
+    usernameAttributes = {
+      class: `${Classes.LOGO__TEXT} ${Classes.LOGO__SECTION}`,
+    };
+
+    // Language switcher subsection wrapper config
+    localeAttributes = {
+      class: `${Classes.LOCALE} ${Classes.HEADER__SECTION}`,
+    };
+
+    return this.assembleElement(
+      ['header', headerAttributes,
+        ['section', logoAttributes,
+          ['img', imageAttributes],
+          ['h4', usernameAttributes,
+            this.cache.data.header.name,
+          ],
+        ],
+        this.buildNav(),
+        ['section', localeAttributes,
+          this.assembleLocaleSwitcher(),
+        ],
+      ]
+    );
+  };
+
+  /**
+   * @description Like its parent, <code>inaccessible.buildHeader</code>, this
+   * function should only be called once during the page assembly process by
+   * its parent builder. This particular subbuilder is responsible for building
+   * both the <code>nav</code> bar used to house various button links and the
+   * mobile "hamburger" icon shown to mobile and tablet users using smaller
+   * screen widths.
+   * <br />
+   * <br />
+   * The builder function is also responsible for defining the usage behavior of
+   * the hamburger on user click, employing a click event listener in
+   * conjunction with a series of script-global properties to ensure that the
+   * menu collapses on clicks outside the vicinity of the navigation dropdown
+   * and the hamburger itself. The hamburger may also be focused and activated
+   * by keyboard, with its <code>aria-expanded</code> state reflecting whether
+   * the menu it controls is open.
+   *
+   * @returns {HTMLElement}
+   */
+  inaccessible.buildNav = function () {
+
+    // Declarations
+    let navAttributes, hamburgerAttributes, bar1Attributes, bar2Attributes,
+      bar3Attributes, hamburger, navMenu;
+
+    // Wrapper (<nav>) config
+    navAttributes = {
+      class: `${Classes.NAV} ${Classes.HEADER__SECTION}`,
+    };
+
+    // Hamburger <div> config (pseudo-button controlling the menu)
+    hamburgerAttributes = {
+      class: Classes.NAV__HAMBURGER,
+      role: 'button',
+      tabindex: '0',
+      'aria-label': this.localize('MENU_LABEL'),
+      'aria-controls': Classes.NAV__UL,
+      'aria-expanded': 'false',
+    };
+
+    // Upper hamburger bar config
+    bar1Attributes = {
+      class: Classes.NAV__UPPER_BAR,
+    };
+
+    // Middle hamburger bar config
+    bar2Attributes = {
+      class: Classes.NAV__MIDDLE_BAR,
+    };
+
+    // Lower hamburger bar config
+    bar3Attributes = {
+      class: Classes.NAV__LOWER_BAR,
+    };
+
+    // Build components
+    navMenu = this.buildList(this.cache.data.home.array, 'nav', false);
+    navMenu.setAttribute('id', Classes.NAV__UL);
+    hamburger = this.assembleElement(
+      ['div', hamburgerAttributes,
+        ['div', bar1Attributes],
+        ['div', bar2Attributes],
+        ['div', bar3Attributes],
+      ],
+    );
+
+    // Define behavior of hamburger on clicks on and outside elements
+    hamburger.addEventListener('click', () => {
+
+      // When clicked, toggle classes
+      this.handleMenuToggle(hamburger, navMenu);
+
+      // If it's open...
+      if (this.isMenuOpen) {
+
+        // ...add a DOM event listener
+        document.addEventListener('click', this.handleOutsideClicks =
+            (event) => {
+
+          // If the click target isn't in the burger or menu...
+          if (!hamburger.contains(event.target) &&
+              !navMenu.contains(event.target)) {
 
-    button.addEventListener('click', () => {
-      this.handleButtonClicks(paramObject, false);
+            // Toggle the classes again
+            this.handleMenuToggle(hamburger, navMenu);
+          }
+        });
+      }
+    });
+
+    // Enter and Space activate the hamburger, Escape closes an open menu
+    hamburger.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ' ||
+          event.key === 'Spacebar') {
+        event.preventDefault();
+        hamburger.click();
+      }
     }, false);
 
-    // Add button to li wrapper
-    listElement.appendChild(button);
+    navMenu.addEventListener('keydown', (event) => {
+      if ((event.key === 'Escape' || event.key === 'Esc') && this.isMenuOpen) {
+        this.handleMenuToggle(hamburger, navMenu);
+        hamburger.focus();
+      }
+    }, false);
 
-    return listElement;
+    return this.assembleElement(
+      ['nav', navAttributes,
+        hamburger,
+        navMenu,
+      ],
+    );
   };
 
   /**
-   * @description Similar in purpose and design to the above assembly function
-   * <code>inaccessible.assembleListElement</code> and its progenitor function
-   * <code>inaccessible.assembleElement</code>, this assembly function is used
-   * exclusively to create the home page's photoblock panels, which include
-   * <code>a</code> links factored to act like standard button elements with
-   * their associated click event listeners. Each block consists of the
-   * aforementioned button link containing a <code>picture</code> tag and a
-   * <code>div</code>. The former includes a pair of images for desktop and
-   * mobile view, while the latter includes the text overlay that will display
-   * atop the image shown.
-   * <br />
+   * @description Like the similar <code>inaccessible.buildHeader</code>, this
+   * function should only be called once during the page assembly process by
+   * <code>inaccessible.buildContainer</code> at the completion of the DOM
+   * loading process (assuming the user doesn't refresh). As its name implies,
+   * this particular builder is responsible for building the footer in its
+   * component upper and lower parts.
    * <br />
-   * Parameter objects are styled as seen below:
    * <br />
-   * <pre>
-   * {
-   *   name: "name",
-   *   text: "Panel name",
-   *   picture: {
-   *     normal: "test1.jpg",
-   *     mobile: "mobileTest1.jpg",
-   *   },
-   * },
-   * </pre>
+   * While the lower footer is composed of a simple wrapper and a
+   * <code>span</code> containing copyright info, the upper footer requires the
+   * use of the subbuilder <code>inaccessible.buildFooterUpperSection</code> to
+   * build each of the three major sections. These are the meta section, the
+   * sitemap, and the connect section.
    *
-   * @param {object} paramObject Config button object as seen above
-   * @returns {HTMLElement} container Assembled button for addition to DOM
+   * @returns {HTMLElement}
    */
-  inaccessible.assembleHomeListElement = function (paramObject) {
+  inaccessible.buildFooter = function () {
 
     // Declarations
-    let container, button, containerAttributes, buttonAttributes,
-      pictureAttributes, sourceAttributes, imageAttributes, coverAttributes,
-      phototextAttributes;
+    let footerAttributes, upperFooterAttributes, lowerFooterAttributes,
+      copyrightAttributes, metaArray, sitemapArray, connectArray;
 
-    // List element wrapper
-    containerAttributes = {
-      class: `home-${paramObject.name} ${Classes.HOME__LI}`,
+    // Wrapper (<footer>) config
+    footerAttributes = {
+      class: Classes.FOOTER,
     };
 
-    // Inner link pseudo-button config
-    buttonAttributes = {
-      class: Classes.HOME__LINK,
-      role: 'button',
+    // Upper footer config
+    upperFooterAttributes = {
+      class: Classes.FOOTER__UPPER + ' ' + Classes.FOOTER__SECTION + ' ' +
+        Classes.GENERAL__HAS_HEIGHT + ' ' + Classes.WRAPPER__CONTENT_SECTION,
     };
 
-    // <picture> tag wrapper
-    pictureAttributes = {
-      class: Classes.HOME__PICTURE,
+    // Lower footer config
+    lowerFooterAttributes = {
+      class: Classes.FOOTER__LOWER + ' ' + Classes.FOOTER__SECTION + ' ' +
+        Classes.GENERAL__HAS_HEIGHT + ' ' + Classes.WRAPPER__CONTENT_SECTION,
     };
 
-    // <source> tag for mobile config
-    sourceAttributes = {
-      media: `(min-width: ${Utility.IMAGE_MIN_WIDTH}px)`,
-      srcset: `${Text.IMAGES_FOLDER}/${paramObject.picture.normal}`,
+    // Lower footer's copyright config
+    copyrightAttributes = {
+      class: Classes.FOOTER__COPYRIGHT,
     };
 
-    // Main image tag config
-    imageAttributes = {
-      class: Classes.GENERAL__RESPONSIVE_IMAGE,
-      alt: paramObject.text,
-      src: `${Text.IMAGES_FOLDER}/${paramObject.picture.mobile}`,
-    };
+    // Parameters array for meta section
+    metaArray = [
+      'section',
+      'meta',
+      this.cache.data.details.contacts.filter((contact) => contact.footer),
+      this.cache.data.footer.meta.summary,
+    ];
 
-    // Text overlay wrapper config
-    coverAttributes = {
-      class: Classes.HOME__COVER,
-    };
+    // Parameters array for sitemap section
+    sitemapArray = [
+      'nav',
+      'sitemap',
+      this.cache.data.home.array,
+    ];
 
-    // Text overlay config
-    phototextAttributes = {
-      class: Classes.HOME__PHOTOTEXT,
-    };
+    // Parameters array for connect section
+    connectArray = [
+      'section',
+      'connect',
+      this.cache.data.footer.connect.array,
+    ];
 
-    // Build elements
-    container = this.assembleElement(['li', containerAttributes]);
-    button = this.assembleElement(
-      ['a', buttonAttributes,
-        ['picture', pictureAttributes,
-          ['source', sourceAttributes],
-          ['img', imageAttributes],
+    return this.assembleElement(
+      ['footer', footerAttributes,
+        ['section', upperFooterAttributes,
+          this.buildFooterUpperSection(...metaArray),
+          this.buildFooterUpperSection(...sitemapArray),
+          this.buildFooterUpperSection(...connectArray),
         ],
-        ['div', coverAttributes,
-          ['p', phototextAttributes,
-            paramObject.text,
+        ['section', lowerFooterAttributes,
+          this.assembleMotionToggle(),
+          this.assembleResumeLink(),
+          ['span', copyrightAttributes,
+            this.cache.data.footer.copyright,
           ],
         ],
       ],
     );
-
-    // Click handler
-    button.addEventListener('click', () => {
-      this.handleButtonClicks(paramObject, true);
-    }, false);
-
-    // Add button to li wrapper
-    container.appendChild(button);
-
-    return container;
   };
 
   /**
-   * @description Like the previous assembly functions above, namely
-   * <code>inaccessible.assembleHomeListElement</code> and
-   * <code>inaccessible.assembleListElement</code>, this function is used to
-   * assemble list elements for an unordered list in the DOM. In this case, the
-   * function is used exclusively to build list items in the Meta section of the
-   * upper footer, providing titles and text related to the author's email and
-   * phone number as contact information. While the other functions generally
-   * create buttons (or link pseudo-buttons) inside list elements, this assembly
-   * function assembles a pair of <code>span</code>s inside a list element
-   * displaying the title of each field and the associated text.
-   * <br />
+   * @description This utility subbuilder function is invoked exclusively by the
+   * <code>inaccessible.buildFooter</code> builder function to create each of
+   * the three major sections of the upper footer, namely the meta, sitemap, and
+   * connect sections. Originally, there were a series of three such subbuilders
+   * employed for each section to handle their differences, through eventually
+   * these were consolidated into this single function by means of some semi-
+   * janky modifications to the function. Now, the specific property
+   * configurations of each section object are respected by a series of
+   * <code>if</code> statements to ensure that each section is built properly.
    * <br />
-   * Parameter objects are styled as seen below:
    * <br />
-   * <pre>
-   * {
-   *   "title": "Email",
-   *   "text": "andrew@andreweissen.com",
-   * },
-   * </pre>
+   * As per the Google styleguide, the use of default parameters in function
+   * declarations is permitted in most cases and particularly encouraged for
+   * optional parameters that may not actually be defined in certain invocation
+   * cases in which the function might be called.
    *
-   * @param {object} paramObject Config object as seen above
+   * @param {string} paramTag HTML tag to use (section, nav, etc.)
+   * @param {string} paramType Section name, either meta, sitemap, or connect
+   * @param {!object=} paramSummaryObject Null by default (optional)
    * @returns {HTMLElement}
    */
-  inaccessible.assembleMetaListElement = function (paramObject) {
+  inaccessible.buildFooterUpperSection = function (paramTag, paramType,
+      paramArray, paramSummaryObject = null) {
 
     // Declarations
-    let listAttributes, titleAttributes, textAttributes;
+    let type, containerAttributes, titleAttributes, textAttributes;
 
-    // List element wrapper config
-    listAttributes = {
-      class: Classes.META__LI,
+    // Remove any accidental capital letters
+    type = paramType.toLowerCase();
+
+    // <nav> or <section> attributes
+    containerAttributes = {
+      class: `${type} ${Classes.FOOTER__UPPER_SECTION}`,
     };
 
-    // Title config
+    // <h4> attributes
     titleAttributes = {
-      class: Classes.META__LI_TITLE,
+      class: `${type}-title ${Classes.FOOTER__TITLE}`,
     };
 
-    // Text config
-    textAttributes = {
-      class: Classes.META__LI_TEXT + ' ' + Classes.GENERAL__BUTTON_LINK + ' ' +
-        Classes.GENERAL__PLAINLINK,
-      href: `mailto:${paramObject.text}`,
-    };
+    // Summary paragraph only appears with leftmost meta section
+    if (paramSummaryObject != null) {
+      textAttributes = {
+        class: `${type}-text`,
+      };
+    }
 
     return this.assembleElement(
-      ['li', listAttributes,
-        ['span', titleAttributes,
-          paramObject.title,
-        ],
-        ['a', textAttributes,
-          paramObject.text,
+      [paramTag, containerAttributes,
+        ['h4', titleAttributes,
+          (paramSummaryObject != null)
+            ? paramSummaryObject.title
+            : this.capitalize(type),
         ],
+        (paramSummaryObject != null)
+          ? ['div', textAttributes, paramSummaryObject.text]
+          : '',
+        this.buildList(paramArray, type, (paramTag === 'nav') ? false : true),
       ],
     );
   };
 
   /**
-   * @description Like <code>inaccessible.assembleMetaListElement</code> above,
-   * this function is used to assemble list elements for use in lists included
-   * in the upper footer section. It is specifically tasked with assembling the
-   * external link sections providing users the ability to view the author's
-   * GitHub and LinkedIn accounts. Each section includes an <code>svg</code>
-   * image displaying the logo of the site to which the section links, a title,
-   * and a descriptive text section. Apart from these expansions of the usual
-   * button-in-list element approach of previous assembly functions, the
-   * function operates in much the same way as others in the section.
+   * @description The simplest of the builder functions included herein, this
+   * function is responsible for building the homepage, displaying the image of
+   * a computer screen split into six panels. This function is invoked several
+   * times during the process, first by <code>inaccessible.buildContainer</code>
+   * when the DOM is loaded and subsequently when the user presses any of the
+   * "Home" sitemap or navbar buttons.
+   * <br />
    * <br />
+   * The function works by simply invoking <code>inaccessible.buildList</code>
+   * and passing it the home array minus the first element ("home" itself&mdash;
+   * no point having a home panel on the homepage).
+   *
+   * @returns {HTMLElement}
+   */
+  inaccessible.buildHome = function () {
+    return this.buildList(this.cache.data.home.array.slice(1), 'home', true);
+  };
+
+  /**
+   * @description One of the macro-builders like those responsible for
+   * overseeing the construction of the header and footer, this function is used
+   * to build the diptych, the two panel layout that serves to display the info
+   * for each scene. Apart from the homepage six panel layout, the diptych
+   * serves as the central mechanism by which the info on the site is displayed
+   * to the user.
    * <br />
-   * Parameter objects are styled as seen below:
    * <br />
-   * <pre>
-   * {
-   *   "text": "Test",
-   *   "link": "https://www.test.com/andreweissen",
-   *   "description": {
-   *     "title": "View my Test account",
-   *     "text": "Browse repositories related to web development..."
-   * }
-   * </pre>
+   * Due to this widespread ubiquitious usage in the application, the sole
+   * parameter required for building the diptych was the name of the scene being
+   * assembled (i.e. "education" or "experience"). This is used to fetch the
+   * required JSON from the <code>inaccessible.cache</code> object and apply
+   * scene-specific selectors to assembled HTML elements in the diptych.
    *
-   * @param {object} paramObject Config object as seen above
+   * @param {string} paramName Scene being built (i.e. "education")
    * @returns {HTMLElement}
    */
-  inaccessible.assembleConnectListElement = function (paramObject) {
+  inaccessible.buildDiptych = function (paramName) {
 
     // Declarations
-    let icon, listAttributes, linkAttributes, imageAttributes, descAttributes,
-      descTitleAttributes, descTextAttributes;
+    let containerAttributes, leftAttributes, leftAvatarAttributes, leftPanel,
+      leftHeaderAttributes, leftSubheaderAttributes, leftSummaryAttributes,
+      tempAside;
 
-    // Name of the icon ("github", "linkedin", etc.)
-    icon = paramObject.text.toLowerCase();
+    // Temporary variable for aside/left panel
+    tempAside = this.cache.data[paramName].aside;
 
-    // Config for list element
-    listAttributes = {
-      class: 'connect-' + paramObject.text.toLowerCase() +
-        ' ' + Classes.GENERAL__HAS_HEIGHT + ' ' + Classes.CONNECT__LI,
+    // Diptych container config
+    containerAttributes = {
+      class: `${Classes.DIPTYPCH} ${Classes.GENERAL__HAS_HEIGHT}`,
     };
 
-    // Button link config
-    linkAttributes = {
-      href: paramObject.link,
-      title: paramObject.text,
-      class: Classes.CONNECT__LINK,
-      target: Text.LINK_TARGET,
+    // Aside attributes
+
+    // Aside config
+    leftAttributes = {
+      class: `${Classes.LEFT__PANEL} ${Classes.DIPTYCH__PANEL}`
     };
 
-    // svg icon image config
-    imageAttributes = {
-      class: `${Classes.GENERAL__RESPONSIVE_IMAGE} ${Classes.CONNECT__SVG}`,
-      alt: `${paramObject.text} icon`,
-      src: `${Text.IMAGES_FOLDER}/${icon}.${Text.ICON_FORMAT}`,
+    // Left avatar config
+    leftAvatarAttributes = {
+      class: Classes.LEFT__AVATAR,
+      src: `${Text.IMAGES_FOLDER}/${paramName}.webp`,
+      alt: this.localize('AVATAR_ALT', this.capitalize(paramName)),
     };
 
-    // Description wrapper config
-    descAttributes = {
-      class: Classes.CONNECT__DESC,
+    // Left <h1> config
+    leftHeaderAttributes = {
+      class: `${Classes.LEFT__HEADER} ${Classes.DIPTYCH__HEADER}`,
     };
 
-    // Description title config
-    descTitleAttributes = {
-      class: Classes.CONNECT__DESC_TITLE,
+    // Left <h5> config
+    leftSubheaderAttributes = {
+      class: `${Classes.LEFT__SUBHEADER} ${Classes.DIPTYCH__SUBHEADER}`,
     };
 
-    // Description text config
-    descTextAttributes = {
-      class: Classes.CONNECT__DESC_TEXT,
+    // Left summary text
+    leftSummaryAttributes = {
+      class: Classes.LEFT__SUMMARY,
     };
 
-    return this.assembleElement(
-      ['li', listAttributes,
-        ['a', linkAttributes,
-          ['img', imageAttributes],
-        ],
-        ['div', descAttributes,
-          ['h5', descTitleAttributes,
-            paramObject.description.title,
-          ],
-          ['div', descTextAttributes,
-            paramObject.description.text,
-          ],
+    // Build aside panel
+    leftPanel = this.assembleElement(
+      ['aside', leftAttributes,
+        ['img', leftAvatarAttributes],
+        ['h1', leftHeaderAttributes,
+          tempAside.header,
         ],
       ],
     );
+
+    // Not all asides have the subheader
+    if (tempAside.subheader) {
+      leftPanel.appendChild(this.assembleElement(
+        ['h5', leftSubheaderAttributes, tempAside.subheader]));
+    }
+
+    // Add summary paragraph(s) to aside
+    leftPanel.appendChild(
+      this.assembleEssaySection(this.cache.data[paramName].aside.summary));
+
+    // Left table (only About and Contact sections)
+    if (tempAside.canShowTable) {
+      leftPanel.appendChild(this.buildLeftDetailsTable());
+    }
+
+    return this.assembleElement(
+      ['section', containerAttributes,
+        leftPanel,
+        this.buildRightPanel(paramName),
+      ],
+    );
   };
 
   /**
-   * @description The matched twin of <code>inaccessible.assembleEntry</code>,
-   * this function is used to build mostly text-based sections for inclusion in
-   * the right diptych panel of default site scenes. It accepts as a parameter
-   * a config object including a section h2-level title and an array of title-
-   * text sections that serve as the paragraph content of the so-called "essay"
-   * being built. Originally, there could be multiple essays in the right panel,
-   * though the functionality was removed for being too needlessly complex.
-   * Instead, this function will only invoked for as many sections need
-   * construction in the one essay permitted.
-   * <br />
-   * <br />
-   * This function sees use both in the left and right diptych panels. For the
-   * left, it is used to create the summary paragraph below the avatar, header,
-   * and subheader. On the right, it is used to create the text sections of the
-   * "About" and "Contact" scenes. For the former, no title is generally
-   * included, while titles are essential for cases on the right.
-   * <br />
+   * @description Following previously defined builder-subbuilder progression
+   * employed in other builder functions, this function is used as a subbuilder
+   * of the <code>inaccessible.buildDiptych</code> function and oversees the
+   * assembly of the right panel (or <code>article</code> section) of the
+   * diptych interface.
    * <br />
-   * Parameter objects are styled as seen below:
    * <br />
-   * <pre>
-   * {
-   *   "title": "About me",
-   *   "paragraphs": [
-   *     "Hey there! I'm Andrew Eissen.",
-   *     "Paragraph 2"
-   *   ]
-   * }
-   * </pre>
+   * Depending on whether the scene JSON in question requires the display of
+   * an essay containing paragraph sections or a listing of entries, the
+   * function invokes the appropriate handler within the body of a
+   * <code>forEach</code> loop, adding the resultant <code>HTMLElement</code>s
+   * to the section as required. Entries of articles specifying a
+   * <code>sort</code> order are first arranged chronologically via
+   * <code>inaccessible.sortEntries</code>.
    *
-   * @param {object} paramSection Config object as seen above
-   * @returns {HTMLElement} section Assembled essay section
+   * @param {string} paramName Scene being built (i.e. "education")
+   * @returns {HTMLElement}
    */
-  inaccessible.assembleEssaySection = function (paramSection) {
+  inaccessible.buildRightPanel = function (paramName) {
 
     // Declarations
-    let section, paragraphTitle, paragraphs, sectionAttributes,
-      paragraphTitleAttributes, paragraphsAttributes, paragraphAttributes;
+    let container, article, articleHeader, articleSection, subsectionType,
+      entries, containerAttributes, articleHeaderAttributes,
+      articleSectionAttributes;
 
-    // Section wrapper config
-    sectionAttributes = {
-      class: Classes.ESSAY__SECTION,
+    // Container config (<article>)
+    containerAttributes = {
+      class: `${Classes.RIGHT__PANEL} ${Classes.DIPTYCH__PANEL}`
     };
 
-    // Section title config
-    paragraphTitleAttributes = {
-      class: `${Classes.ESSAY__TITLE} ${Classes.DIPTYCH__SUBHEADER}`,
+    // Header (<h2>) config
+    articleHeaderAttributes = {
+      class: `${Classes.RIGHT__HEADER} ${Classes.DIPTYCH__HEADER}`,
     };
 
-    // Wrapper for paragraphs in section
-    paragraphsAttributes = {
-      class: Classes.ESSAY__PARAGRAPHS,
+    // Section (<section>) config
+    articleSectionAttributes = {
+      class: Classes.RIGHT__CONTENT,
     };
 
-    // Config for individual <p> paragraphs
-    paragraphAttributes = {
-      class: Classes.ESSAY__PARAGRAPH,
-    };
+    // Alias article object
+    article = this.cache.data[paramName].article;
 
-    // Build section div
-    section = this.assembleElement(['div', sectionAttributes]);
+    // Define HTMLElements
+    container = this.assembleElement(['article', containerAttributes]);
+    articleHeader = this.assembleElement(
+      ['h2', articleHeaderAttributes,
+        article.header,
+      ],
+    );
+    articleSection = this.assembleElement(
+      ['section', articleSectionAttributes]);
 
-    // May not have a title if on left diptych
-    if (paramSection.title) {
-      paragraphTitle = this.assembleElement(
-        ['h3', paragraphTitleAttributes, paramSection.title]);
+    // Use different appending approach depending on essay or entries list
+    if (article.essaySections) {
+      article.essaySections.forEach((subsection) => {
+        articleSection.appendChild(this.assembleEssaySection(subsection));
+      });
+    } else if (article.entries) {
+      entries = (article.sort)
+        ? this.sortEntries(article.entries, article.sort)
+        : article.entries;
 
-      section.appendChild(paragraphTitle);
+      entries.forEach((subsection, index) => {
+        articleSection.appendChild(this.assembleEntry(subsection,
+          (index < entries.length - 1) ? true : false));
+      });
     }
 
-    // Build paragraphs wrapper
-    paragraphs = this.assembleElement(['div', paragraphsAttributes]);
-
-    // Iterate through param object's inner array of text paragraphs
-    paramSection.paragraphs.forEach((paragraph) => {
-      paragraphs.appendChild(
-        this.assembleElement('p', paragraphAttributes, paragraph));
-    });
+    // Add header and body to container
+    container.appendChild(articleHeader);
+    container.appendChild(articleSection);
 
-    // Add to section wrapper
-    section.appendChild(paragraphs);
+    // Contact panel uses table and contact card
+    if (article.canShowTable) {
+      articleSection.appendChild(this.buildRightDetailsTable());
+      articleSection.appendChild(this.buildContactCard());
+    }
 
-    return section;
+    return container;
   };
 
   /**
-   * @description Like its twin <code>inaccessible.assembleEssaySection</code>
-   * above, this function is used to create sections for the right diptych panel
-   * related to the display of list-type entries. It accepts as a parameter
-   * an input object containing a header, subheader, subsubheader, and either a
-   * summary paragraph or a listing array of objects.
-   * <br />
-   * <br />
-   * The latter property of the input object may be either a <code>String</code>
-   * paragraph or a set of objects containing a header and array of
-   * <code>String</code>s to be combined and delimited with commas into a single
-   * <code>String</code>. The first option is used on all right panels using
-   * this assembler except the "Education" scene. In this scene, the second
-   * option is used to display sections related to coursework and any ancillary
-   * honors earned while in study at each institution.
-   * <br />
-   * <br />
-   * Parameter objects are styled as seen below:
-   * <br />
-   * <pre>
-   * {
-   *   "header": "Grove City College, Grove City, PA",
-   *   "subheader": "Bachelor of Arts in Communication Studies",
-   *   "date": "August 2010 – May 2014",
-   *   "listing": [
-   *     {
-   *       "title": "Academic honors",
-   *       "array": [
-   *         "Graduated with Honors in Communication Studies",
-   *         "Dean's List in Fall ‘12, Spring ‘13, and Spring ‘14 semesters"
-   *       ]
-   *     },
-   *   ],
-   * },
-   * </pre>
-   * <br />
+   * @description Like the similar function
+   * <code>inaccessible.buildRightDetailsTable</code> below, this function is
+   * used to contruct optional tables containing contact information and the
+   * like for convenient display and accessiblity. This particular function
+   * makes a legitimate HTML table, much to the author's chagrin. Though there
+   * are perhaps more responsive and dynamic means by which this display may be
+   * accomplished, the author came to believe this approach represented the
+   * cleanest and most readable from a design point of view.
    * <br />
-   * Or as the following:
    * <br />
-   * <pre>
-   * {
-   *   "header": "Grove City College, Grove City, PA",
-   *   "subheader": "Bachelor of Arts in Communication Studies",
-   *   "date": "August 2010 – May 2014",
-   *   "summary": "Graduated with Honors in Communication Studies"
-   * },
-   * </pre>
+   * The table lists every contact method of <code>details.contacts</code>
+   * save for sites, which are left to the right panel, each rendered via
+   * <code>inaccessible.assembleContact</code> and followed by a button
+   * copying it for visitors using webmail. The table is headed "Email
+   * addresses" if it lists nothing else.
    *
-   * @param {object} paramEntry Config objects shown above
-   * @param {boolean} paramHasRule Whether to display a <hr> element
    * @returns {HTMLElement} container
    */
-  inaccessible.assembleEntry = function (paramEntry, paramHasRule) {
+  inaccessible.buildLeftDetailsTable = function () {
 
     // Declarations
-    let container, summary, detailBlock, wrapperUpper, wrapperLower,
-      containerAttributes, upperAttributes, headerAttributes,
-      subheaderAttributes, dateAttributes, lowerAttributes, paragraphAttributes,
-      listingAttributes, listingTitleAttributes, listingTextAttributes;
+    let details, table, tableAttributes, tbody, newRow, newCell, container,
+      containerAttributes, headerAttributes, titleAttributes, textAttributes;
 
-    // Entry wrapper config
+    // Alias array (all methods but sites)
+    details = this.cache.data.details.contacts.filter((contact) => {
+      return contact.type !== 'url';
+    });
+
+    // Container (<section>) config
     containerAttributes = {
-      class: Classes.ENTRY__SECTION,
+      class: Classes.LEFT__DETAILS,
     };
 
-    // Upper section config (header, subheader, subsubheader)
-    upperAttributes = {
-      class: Classes.ENTRY__UPPER,
+    // "Emails" header
+    headerAttributes = {
+      class: Classes.LEFT__DETAILS_HEADER + ' ' + Classes.LEFT__SUBHEADER +
+        ' ' + Classes.DIPTYCH__SUBHEADER,
     };
 
-    // Header config
-    headerAttributes = {
-      class: Classes.ENTRY__HEADER,
+    // <table> config object
+    tableAttributes = {
+      class: Classes.LEFT__DETAILS_TABLE,
     };
 
-    // Subheader config
-    subheaderAttributes = {
-      class: Classes.ENTRY__SUBHEADER,
+    // Assemble elements
+    table = this.assembleElement(['table', tableAttributes]);
+    tbody = document.createElement('tbody');
+    container = this.assembleElement(
+      ['section', containerAttributes,
+        ['h3', headerAttributes,
+          this.localize((details.every((contact) => contact.type === 'email'))
+            ? 'EMAIL_ADDRESSES'
+            : 'CONTACT_DETAILS'),
+        ],
+      ],
+    );
+
+    // Title cell contents config
+    titleAttributes = {
+      class: `${Classes.LEFT__DETAILS_CELL}-title`,
     };
 
-    // Subsubheader (date) config
-    dateAttributes = {
-      class: Classes.ENTRY__DATE,
+    // Text cell contents config
+    textAttributes = {
+      class: Classes.LEFT__DETAILS_CELL + '-text ' +
+        Classes.GENERAL__BUTTON_LINK + ' ' + Classes.GENERAL__PLAINLINK,
     };
 
-    // Lower config (summary or listing)
-    lowerAttributes = {
-      class: Classes.ENTRY__LOWER,
+    // Add to table
+    table.appendChild(tbody);
+
+    // Create a row of title and method for each contact method
+    for (let i = 0; i < details.length; i++) {
+      newRow = tbody.insertRow(i);
+      newRow.setAttribute('class', Classes.LEFT__DETAILS_ROW);
+
+      newCell = newRow.insertCell(0);
+      newCell.setAttribute('class', Classes.LEFT__DETAILS_CELL);
+      newCell.appendChild(this.assembleElement(['span', titleAttributes,
+        details[i].title]));
+
+      newCell = newRow.insertCell(1);
+      newCell.setAttribute('class', Classes.LEFT__DETAILS_CELL);
+      newCell.appendChild(this.assembleContact(details[i], textAttributes));
+      newCell.appendChild(this.assembleCopyButton(
+        this.getContactText(details[i]), details[i].title,
+        Classes.CONTACT__COPY));
+    }
+
+    // Add table to container
+    container.appendChild(table);
+
+    return container;
+  };
+
+  /**
+   * @description Like the above function
+   * <code>inaccessible.buildLeftDetailsTable</code>, this particular function
+   * is used to place optional table-like structures on the right panel (aka
+   * <code>article</code>). This is used on the "Contact" scene right panel
+   * exclusively at the time of documenting. Unlike the above function however,
+   * this function dispenses with the HTML table approach, instead making use of
+   * a set of <code>span</code>s inside a list element, with a selector of other
+   * elements as well. Every contact method of <code>details.contacts</code>
+   * is listed, each rendered via <code>inaccessible.assembleContact</code>
+   * and followed by a button copying it.
+   *
+   * @returns {HTMLElement} container
+   */
+  inaccessible.buildRightDetailsTable = function () {
+
+    // Declarations
+    let container, list, ulAttributes, rightWrapperAttributes,
+      rightHeaderAttributes, details, listAttributes, listTitleAttributes,
+      listTextAttributes;
+
+    // Alias contact methods array
+    details = this.cache.data.details.contacts;
+
+    // List (<ul>) config
+    ulAttributes = {
+      class: Classes.RIGHT__DETAILS_UL,
     };
 
-    // Paragraph tag config
-    paragraphAttributes = {
-      class: Classes.ENTRY__PARAGRAPH,
+    // Wrapper details config
+    rightWrapperAttributes = {
+      class: Classes.RIGHT__DETAILS,
     };
 
-    // Listing wrapper config
-    listingAttributes = {
-      class: Classes.ENTRY__LISTING,
+    // Right subheader config
+    rightHeaderAttributes = {
+      class: `${Classes.RIGHT__DETAILS_HEADER} ${Classes.DIPTYCH__SUBHEADER}`,
     };
 
-    // Listing title config
-    listingTitleAttributes = {
-      class: Classes.ENTRY__LISTING_TITLE,
+    // List element config
+    listAttributes = {
+      class: Classes.RIGHT__DETAILS_LI,
     };
 
-    // Associated text (commma-delimited, concatenated array)
-    listingTextAttributes = {
-      class: Classes.ENTRY__LISTING_TEXT,
+    // List element title config
+    listTitleAttributes = {
+      class: Classes.RIGHT__DETAILS_LI_TITLE,
     };
 
-    // Build components
-    container = this.assembleElement(['div', containerAttributes]);
-    wrapperUpper = this.assembleElement(
-      ['div', upperAttributes,
-        ['div', headerAttributes,
-          paramEntry.header
-        ],
-        ['div', subheaderAttributes,
-          paramEntry.subheader,
+    // List element text config
+    listTextAttributes = {
+      class: Classes.RIGHT__DETAILS_LI_TEXT + ' ' +
+        Classes.GENERAL__BUTTON_LINK + ' ' + Classes.GENERAL__PLAINLINK,
+    };
+
+    // Assemble elements
+    list = this.assembleElement(['ul', ulAttributes]);
+    container = this.assembleElement(
+      ['div', rightWrapperAttributes,
+        ['h3', rightHeaderAttributes,
+          this.localize('CONTACT_INFO'),
         ],
+        list,
       ],
     );
 
-    // Not all entries will have subsubheader
-    if (paramEntry.date) {
-      wrapperUpper.appendChild(this.assembleElement(
-        ['div', dateAttributes,
-          paramEntry.date,
+    details.forEach((contact) => {
+      list.appendChild(this.assembleElement(
+        ['li', listAttributes,
+          ['span', listTitleAttributes,
+            contact.title,
+          ],
+          this.assembleContact(contact, listTextAttributes),
+          this.assembleCopyButton(this.getContactText(contact), contact.title,
+            Classes.CONTACT__COPY),
         ],
       ));
-    }
-
-    // Build lower section wrapper
-    wrapperLower = this.assembleElement(['div', lowerAttributes]);
-
-    // If section uses single String <p> (all except Education)
-    if (paramEntry.summary) {
-      summary = this.assembleElement(
-        ['p', paragraphAttributes,
-          paramEntry.summary,
-        ],
-      );
-
-      wrapperLower.appendChild(summary);
-    } else if (paramEntry.listing) {
-      paramEntry.listing.forEach((section) => {
-        detailBlock = this.assembleElement(
-          ['div', listingAttributes,
-            ['div', listingTitleAttributes,
-              section.title,
-            ],
-            ['div', listingTextAttributes,
-              section.array.join(', '),
-            ],
-          ],
-        );
-
-        wrapperLower.appendChild(detailBlock);
-      });
-    }
-
-    // Add subsections to wrapper
-    container.appendChild(wrapperUpper);
-    container.appendChild(wrapperLower);
+    });
 
-    // Certain sections will require a rule below the complete entry
-    if (paramHasRule) {
-      container.appendChild(document.createElement('hr'));
-    }
+    // Add listing to container
+    container.appendChild(list);
 
     return container;
   };
 
-  // Builder functions
-
   /**
-   * @description The first of the builder functions, this function is used to
-   * assemble an unordered list of list elements created en masse by multiple
-   * invocations of one of the assembly functions included above. This function
-   * is used to assemble all listings included in the interface, including the
-   * navbar links, the sitemap listing in the upper footer, and the photopanels
-   * extant on the homepage. It accepts an array of object denoting the list
-   * elements to be included, a <code>String</code> denoting the intended use
-   * and placement of the list, and an optional <code>boolean</code> indicating
-   * whether to use one of the specialized assemblers other than the default
-   * <code>inaccessible.assembleListElement</code>.
-   * <br />
-   * <br />
-   * As per the Google styleguide, the use of default parameters in function
-   * declarations is permitted in most cases and particularly encouraged for
-   * optional parameters that may not actually be defined in certain invocation
-   * cases in which the function might be called.
+   * @description This builder assembles the contact card displayed below the
+   * contact details of the "Contact" scene, by which visitors may save the
+   * site owner's details straight to their phones. The card offers a QR code
+   * that may be switched between the vCard of
+   * <code>inaccessible.getVCard</code> and the site's address, both encoded on
+   * the spot by <code>inaccessible.encodeQrCode</code> so that the card works
+   * offline, along with a button downloading the same vCard as a file. Should
+   * the vCard be too long for any QR code, only the site's address is
+   * offered.
    *
-   * @param {!Array<object>} paramElements Array of config objects (home.array)
-   * @param {string} paramType Either "home," "sitemap," "connect," etc.
-   * @param {!boolean=} paramUseCustomAssembler Set to false
    * @returns {HTMLElement} container
    */
-  inaccessible.buildList = function (paramElements, paramType,
-      paramUseCustomAssembler = false) {
+  inaccessible.buildContactCard = function () {
 
     // Declarations
-    let container, containerAttributes, assemblyFunction, placement;
+    let container, options, optionButtons, saveButton,
+      containerAttributes, headerAttributes, hintAttributes,
+      optionsAttributes, buttonAttributes;
 
-    // Either home, connect, sitemap, etc.
-    placement = paramType.toLowerCase();
-
-    // Wrapper config (<ul>)
+    // Container (<section>) config
     containerAttributes = {
-      class: `${placement}-ul`,
+      class: Classes.CARD,
     };
 
-    // Build <ul> element
-    container = this.assembleElement(['ul', containerAttributes]);
+    // Header config
+    headerAttributes = {
+      class: `${Classes.CARD__HEADER} ${Classes.DIPTYCH__SUBHEADER}`,
+    };
 
-    // Use "assembleListElement" unless custom assembler required
-    assemblyFunction = `assemble${(paramUseCustomAssembler)
-      ? this.capitalize(paramType) : ''}ListElement`;
+    // Hint config
+    hintAttributes = {
+      class: Classes.CARD__HINT,
+    };
 
-    // Iterate over array of objects and build using assembler of choice
-    paramElements.forEach((element) => {
-      container.appendChild(this[assemblyFunction](element, paramType));
+    // QR code content switcher config
+    optionsAttributes = {
+      class: Classes.CARD__OPTIONS,
+      role: 'group',
+      'aria-label': this.localize('QR_OPTIONS'),
+    };
+
+    // Button config
+    buttonAttributes = {
+      class: Classes.CARD__BUTTON + ' ' + Classes.GENERAL__BUTTON_LINK,
+      type: 'button',
+    };
+
+    // Encode each option's contents, omitting any too long for a QR code
+    options = [
+      {label: 'QR_VCARD', text: this.getVCard()},
+      {label: 'QR_SITE', text: this.getSiteAddress()},
+    ].map((option) => {
+
+      // Declaration
+      let qr;
+
+      // Definition
+      qr = this.encodeQrCode(option.text);
+
+      if (qr == null && DEBUG) {
+        console.warn(Text.QR_TOO_LONG.replace('$1',
+          new TextEncoder().encode(option.text).length));
+      }
+
+      return Object.assign(option, {
+        code: (qr != null)
+          ? this.assembleQrCode(qr, this.localize('QR_LABEL',
+            this.localize(option.label)))
+          : null,
+      });
+    }).filter((option) => option.code != null);
+
+    optionButtons = options.map((option, index) => {
+
+      // Declaration
+      let button;
+
+      // Definition
+      button = this.assembleElement(['button', Object.assign({
+        'aria-pressed': String(index === 0),
+      }, buttonAttributes), this.localize(option.label)]);
+
+      button.addEventListener('click', () => {
+        this.handleQrSelection(container, button, option.code);
+      }, false);
+
+      return button;
     });
 
-    // Return <ul> and components
+    saveButton = this.assembleElement(['button', buttonAttributes,
+      this.localize('CONTACT_SAVE')]);
+
+    saveButton.addEventListener('click', () => {
+      this.handleContactSave();
+    }, false);
+
+    container = this.assembleElement(
+      ['section', containerAttributes,
+        ['h3', headerAttributes,
+          this.localize('CONTACT_CARD'),
+        ],
+        ['p', hintAttributes,
+          this.localize('CONTACT_CARD_HINT'),
+        ],
+        ['div', optionsAttributes,
+          ...optionButtons,
+        ],
+        options[0].code,
+        saveButton,
+      ],
+    );
+
     return container;
   };
 
   /**
-   * @description The first builder invoked on the DOM load completion, this
-   * builder function is used simply to assemble the header, footer, and main
-   * homepage for the user. It establishes the superstructure of the application
-   * that remains unchanged for as long as the user doesn't refresh the page or
-   * leave the application. The header and footer&mdash;built via the builders
-   * invoked herein&mdash;remain extant in the interface for all subsequent page
-   * interaction on the part of the user and are not rebuilt unless the user
-   * refreshes the page. The homepage is subject to change if the user presses a
-   * button to view content.
+   * @description This builder is unique in that it requires no ancillary JSON
+   * data from one of the associated files in order to assemble its collective
+   * contents. This interface is displayed only in cases of error, such as in
+   * the event that the necessary images or JSON files are unfetchable or
+   * unreachable. It basically just replaces the interface with a static message
+   * indicating that an error has occurred and encouraging the user to refresh
+   * or contact the webmaster via the link included. In <code>DEBUG</code>
+   * mode, every violation found in a file failing schema validation is listed
+   * below the error rather than only the first.
    *
-   * @returns {HTMLElement}
+   * @param {string} paramError Text "error"
+   * @returns {HTMLElement} container
    */
-  inaccessible.buildContainer = function () {
+  inaccessible.buildErrorPage = function (paramError) {
 
     // Declarations
-    let containerAttributes, contentAttributes, mainAttributes;
+    let container, violations, title, details, containerAttributes,
+      headerAttributes, subheaderAttributes, contentAttributes,
+      summaryAttributes, emailAttributes, techAttributes, techTitleAttributes,
+      techTextAttributes, listAttributes;
 
-    // Main wrapper config
+    // Container (<section>) config
     containerAttributes = {
-      class: Classes.WRAPPER__CONTAINER,
+      class: Classes.ERROR,
     };
 
-    // Content section config
-    contentAttributes = {
-      class: Classes.WRAPPER__CONTENT,
+    // "Ooops" config
+    headerAttributes = {
+      class: Classes.ERROR__HEADER,
     };
 
-    // <main> section config
-    mainAttributes = {
-      class: Classes.MAIN + ' ' + Classes.GENERAL__HAS_HEIGHT + ' ' +
-        Classes.WRAPPER__CONTENT_SECTION,
+    // Subheader config
+    subheaderAttributes = {
+      class: Classes.ERROR__SUBHEADER,
     };
 
-    // Cache home section for future use
-    this.cache.pages.home = this.buildHome();
-
-    return this.assembleElement(
-      ['div', containerAttributes,
-        ['div', contentAttributes,
-          this.buildHeader(),
-          ['main', mainAttributes,
-            this.cache.pages.home,
-          ],
-          this.buildFooter(),
-        ],
-      ],
-    );
-  };
+    // Text (summary + email link) config
+    contentAttributes = {
+      class: Classes.ERROR__CONTENT,
+    };
 
-  /**
-   * @description As the name implies, this particular builder function is used
-   * to assemble the static header and should only be invoked once per page load
-   * (assuming the user does not refresh the page or navigate away and back). It
-   * is called only by <code>inaccessible.buildContainer</code> at the start of
-   * the application assembly following a successful DOM load.
-   * <br />
-   * <br />
-   * The builder assembles the logo itself without the need for invoking any
-   * specialized subbuilder function, though it does require the use of the
-   * <code>inaccessible.buildNav</code> subbuilder to assemble the nav (which
-   * also functions as the dropdown menu for the mobile hamburger)
-   *
-   * @returns {HTMLElement} container
-   */
-  inaccessible.buildHeader = function () {
+    // Text summary config
+    summaryAttributes = {
+      class: Classes.ERROR__SUMMARY,
+    };
 
-    // Declarations
-    let headerAttributes, logoAttributes, imageAttributes, usernameAttributes,
-      navAttributes;
+    // Webmaster email config
+    emailAttributes = {
+      class: `${Classes.GENERAL__BUTTON_LINK} ${Classes.GENERAL__PLAINLINK}`,
+      href: `mailto:${Text.ERROR_EMAIL}`,
+    };
 
-    // Wrapper (<header>) config
-    headerAttributes = {
-      class: Classes.HEADER + ' ' + Classes.GENERAL__HAS_HEIGHT + ' ' +
-        Classes.WRAPPER__CONTENT_SECTION,
+    // If applicable, error wrapper
+    techAttributes = {
+      class: Classes.ERROR__TECH,
     };
 
-    // Logo subsection wrapper config
-    logoAttributes = {
-      class: `${Classes.LOGO} ${Classes.HEADER__SECTION}`,
+    // Error title
+    techTitleAttributes = {
+      class: Classes.ERROR__TECH_TITLE,
     };
 
-    // Logo svg image config
-    imageAttributes = {
-      class: Classes.LOGO__IMAGE + ' ' + Classes.GENERAL__RESPONSIVE_IMAGE +
-        ' ' + Classes.LOGO__SECTION,
-      alt: this.cache.data.header.image.alt,
-      src: `${Text.IMAGES_FOLDER}/${this.cache.data.header.image.src}`,
+    // Error code config
+    techTextAttributes = {
+      class: Classes.ERROR__TECH_TEXT,
     };
 
-    // Logo text config
-    usernameAttributes = {
-      class: `${Classes.LOGO__TEXT} ${Classes.LOGO__SECTION}`,
+    // Violations list config
+    listAttributes = {
+      class: Classes.ERROR__TECH_LIST,
     };
 
-    return this.assembleElement(
-      ['header', headerAttributes,
-        ['section', logoAttributes,
-          ['img', imageAttributes],
-          ['h4', usernameAttributes,
-            this.cache.data.header.name,
+    // Alias schema violations, if any
+    violations = this.cache.data.error.violations;
+
+    // Error type heading the technical details
+    title = (this.cache.data.error.type != null)
+      ? Text.ERROR_TITLE.replace('$1',
+        this.capitalize(this.cache.data.error.type))
+      : `${this.capitalize(paramError)}: `;
+
+    // Technical details in full for inclusion in an email to the webmaster
+    details = [title + this.cache.data.error.message].concat(
+      violations.map((violation) => this.formatViolation(violation)),
+    ).join('\n');
+
+    container = this.assembleElement(
+      ['section', containerAttributes,
+        ['h1', headerAttributes,
+          this.localize('ERROR_HEADER'),
+        ],
+        ['h2', subheaderAttributes,
+          this.localize('ERROR_SUBHEADER'),
+        ],
+        ['div', contentAttributes,
+          ['div', summaryAttributes,
+            this.localize('ERROR_SUMMARY'),
+          ],
+          ['a', emailAttributes,
+            Text.ERROR_EMAIL,
           ],
         ],
-        this.buildNav()
-      ]
+        ['div', techAttributes,
+          ['span', techTitleAttributes,
+            title,
+          ],
+          ['span', techTextAttributes,
+            this.cache.data.error.message,
+          ],
+          this.assembleCopyButton(details, this.localize('ERROR_DETAILS'),
+            Classes.ERROR__COPY),
+        ],
+      ],
     );
+
+    // List all violations for the author rather than only the first
+    if (DEBUG && violations.length > 1) {
+      container.querySelector(`.${Classes.ERROR__TECH}`).appendChild(
+        this.assembleElement(['ul', listAttributes].concat(
+          violations.map((violation) => {
+            return ['li', this.formatViolation(violation)];
+          }),
+        )));
+    }
+
+    return container;
   };
 
   /**
-   * @description Like its parent, <code>inaccessible.buildHeader</code>, this
-   * function should only be called once during the page assembly process by
-   * its parent builder. This particular subbuilder is responsible for building
-   * both the <code>nav</code> bar used to house various button links and the
-   * mobile "hamburger" icon shown to mobile and tablet users using smaller
-   * screen widths.
-   * <br />
-   * <br />
-   * The builder function is also responsible for defining the usage behavior of
-   * the hamburger on user click, employing a click event listener in
-   * conjunction with a series of script-global properties to ensure that the
-   * menu collapses on clicks outside the vicinity of the navigation dropdown
-   * and the hamburger itself.
+   * @description This assembly function builds the heading of a section or
+   * entry of the resume scene, consisting of a checkbox by which the user may
+   * include or exclude the section or entry and a label bearing its name. The
+   * checkbox reflects the choice stored in
+   * <code>inaccessible.resumeExclusions</code> under the parameter key, and
+   * each change is handled via <code>inaccessible.handleResumeToggle</code>,
+   * which marks the parameter target element accordingly.
    *
+   * @param {string} paramTag Heading tag to use (h2, h3)
+   * @param {string} paramClass Class of heading
+   * @param {string} paramKey Key of section or entry, i.e. "awards/2"
+   * @param {string} paramText Name of section or entry
+   * @param {HTMLElement} paramTarget Section or entry element
    * @returns {HTMLElement}
    */
-  inaccessible.buildNav = function () {
+  inaccessible.assembleResumeHeading = function (paramTag, paramClass,
+      paramKey, paramText, paramTarget) {
 
     // Declarations
-    let navAttributes, hamburgerAttributes, bar1Attributes, bar2Attributes,
-      bar3Attributes, hamburger, navMenu;
-
-    // Wrapper (<nav>) config
-    navAttributes = {
-      class: `${Classes.NAV} ${Classes.HEADER__SECTION}`,
-    };
-
-    // Hamburger <div> config
-    hamburgerAttributes = {
-      class: Classes.NAV__HAMBURGER,
-    };
+    let toggle, toggleAttributes;
 
-    // Upper hamburger bar config
-    bar1Attributes = {
-      class: Classes.NAV__UPPER_BAR,
+    // Checkbox config
+    toggleAttributes = {
+      class: Classes.RESUME__TOGGLE,
+      type: 'checkbox',
     };
 
-    // Middle hamburger bar config
-    bar2Attributes = {
-      class: Classes.NAV__MIDDLE_BAR,
-    };
+    // Build checkbox separately to attach listener
+    toggle = this.assembleElement(['input', toggleAttributes]);
+    toggle.checked = !this.resumeExclusions.has(paramKey);
+    paramTarget.classList.toggle(Classes.RESUME__EXCLUDED, !toggle.checked);
 
-    // Lower hamburger bar config
-    bar3Attributes = {
-      class: Classes.NAV__LOWER_BAR,
-    };
+    toggle.addEventListener('change', () => {
+      this.handleResumeToggle(paramKey, paramTarget, toggle.checked);
+    }, false);
 
-    // Build components
-    navMenu = this.buildList(this.cache.data.home.array, 'nav', false);
-    hamburger = this.assembleElement(
-      ['div', hamburgerAttributes,
-        ['div', bar1Attributes],
-        ['div', bar2Attributes],
-        ['div', bar3Attributes],
+    return this.assembleElement(
+      [paramTag, {class: paramClass},
+        ['label', {},
+          toggle,
+          paramText,
+        ],
       ],
     );
+  };
 
-    // Define behavior of hamburger on clicks on and outside elements
-    hamburger.addEventListener('click', () => {
+  /**
+   * @description This assembly function builds a single entry of a section of
+   * the resume scene from an entry object of the sort handled by
+   * <code>inaccessible.assembleEntry</code>. The entry's dates are formatted as
+   * they are in the scene itself, while listings are condensed into a single
+   * paragraph each so as to suit the resume's compact, single-column layout.
+   *
+   * @param {object} paramEntry Entry object of scene's article
+   * @param {string} paramKey Key of entry, i.e. "awards/2"
+   * @returns {HTMLElement}
+   */
+  inaccessible.assembleResumeEntry = function (paramEntry, paramKey) {
 
-      // When clicked, toggle classes
-      this.handleMenuToggle(hamburger, navMenu);
+    // Declarations
+    let entry, date, paragraphs, textAttributes;
 
-      // If it's open...
-      if (this.isMenuOpen) {
+    // Paragraph config
+    textAttributes = {
+      class: Classes.RESUME__ENTRY_TEXT,
+    };
 
-        // ...add a DOM event listener
-        document.addEventListener('click', this.handleOutsideClicks =
-            (event) => {
+    // Definitions
+    entry = this.assembleElement(['div', {class: Classes.RESUME__ENTRY}]);
+    date = this.formatEntryDates(paramEntry);
 
-          // If the click target isn't in the burger or menu...
-          if (!hamburger.contains(event.target) &&
-              !navMenu.contains(event.target)) {
+    if (paramEntry.summary) {
+      paragraphs = [
+        ['p', textAttributes,
+          ...this.parseInline(paramEntry.summary),
+        ],
+      ];
+    } else {
+      paragraphs = (paramEntry.listing || []).map((section) => {
+        return ['p', textAttributes,
+          ['strong', {}, `${section.title}: `],
+          ...section.items.reduce((nodes, item, index) => {
+            return nodes.concat((index) ? [', '] : [], this.parseInline(item));
+          }, []),
+        ];
+      });
+    }
 
-            // Toggle the classes again
-            this.handleMenuToggle(hamburger, navMenu);
-          }
-        });
+    [
+      this.assembleResumeHeading('h3', Classes.RESUME__ENTRY_HEADER, paramKey,
+        paramEntry.header, entry),
+      this.assembleElement(['div', {class: Classes.RESUME__ENTRY_SUBHEADER},
+        paramEntry.subheader]),
+      (date)
+        ? this.assembleElement(['div', {class: Classes.RESUME__ENTRY_DATE},
+          date])
+        : null,
+      ...paragraphs.map((paragraph) => this.assembleElement(paragraph)),
+    ].forEach((element) => {
+      if (element != null) {
+        entry.appendChild(element);
       }
     });
 
-    return this.assembleElement(
-      ['nav', navAttributes,
-        hamburger,
-        navMenu,
-      ],
-    );
+    return entry;
   };
 
   /**
-   * @description Like the similar <code>inaccessible.buildHeader</code>, this
-   * function should only be called once during the page assembly process by
-   * <code>inaccessible.buildContainer</code> at the completion of the DOM
-   * loading process (assuming the user doesn't refresh). As its name implies,
-   * this particular builder is responsible for building the footer in its
-   * component upper and lower parts.
-   * <br />
-   * <br />
-   * While the lower footer is composed of a simple wrapper and a
-   * <code>span</code> containing copyright info, the upper footer requires the
-   * use of the subbuilder <code>inaccessible.buildFooterUpperSection</code> to
-   * build each of the three major sections. These are the meta section, the
-   * sitemap, and the connect section.
+   * @description Like <code>inaccessible.buildErrorPage</code> above, this
+   * builder requires no ancillary JSON data to assemble its contents and makes
+   * use of the same selectors for a consistent appearance. It is displayed in
+   * the <code>main</code> section in cases wherein the user has requested a
+   * scene address (i.e. <code>#/foo</code>) that does not correspond to any of
+   * the scenes listed in <code>data.json</code>, and includes a link by which
+   * the user may return to the homepage.
    *
    * @returns {HTMLElement}
    */
-  inaccessible.buildFooter = function () {
+  inaccessible.buildNotFoundPage = function () {
 
     // Declarations
-    let footerAttributes, upperFooterAttributes, lowerFooterAttributes,
-      copyrightAttributes, metaArray, sitemapArray, connectArray;
+    let homeConfig, homeLink, containerAttributes, headerAttributes,
+      subheaderAttributes, contentAttributes, summaryAttributes,
+      homeLinkAttributes;
 
-    // Wrapper (<footer>) config
-    footerAttributes = {
-      class: Classes.FOOTER,
+    // Alias home config object
+    homeConfig = this.cache.data.home.array[0];
+
+    // Container (<section>) config
+    containerAttributes = {
+      class: Classes.ERROR,
     };
 
-    // Upper footer config
-    upperFooterAttributes = {
-      class: Classes.FOOTER__UPPER + ' ' + Classes.FOOTER__SECTION + ' ' +
-        Classes.GENERAL__HAS_HEIGHT + ' ' + Classes.WRAPPER__CONTENT_SECTION,
+    // "404" config
+    headerAttributes = {
+      class: Classes.ERROR__HEADER,
     };
 
-    // Lower footer config
-    lowerFooterAttributes = {
-      class: Classes.FOOTER__LOWER + ' ' + Classes.FOOTER__SECTION + ' ' +
-        Classes.GENERAL__HAS_HEIGHT + ' ' + Classes.WRAPPER__CONTENT_SECTION,
+    // Subheader config
+    subheaderAttributes = {
+      class: Classes.ERROR__SUBHEADER,
+    };
+
+    // Text (summary + home link) config
+    contentAttributes = {
+      class: Classes.ERROR__CONTENT,
     };
 
-    // Lower footer's copyright config
-    copyrightAttributes = {
-      class: Classes.FOOTER__COPYRIGHT,
+    // Text summary config
+    summaryAttributes = {
+      class: Classes.ERROR__SUMMARY,
     };
 
-    // Parameters array for meta section
-    metaArray = [
-      'section',
-      'meta',
-      this.cache.data.details.email.slice(0, 2),
-      this.cache.data.footer.meta.summary,
-    ];
+    // Homepage link config
+    homeLinkAttributes = {
+      class: `${Classes.GENERAL__BUTTON_LINK} ${Classes.GENERAL__PLAINLINK}`,
+      href: this.buildRoute(homeConfig.name),
+    };
 
-    // Parameters array for sitemap section
-    sitemapArray = [
-      'nav',
-      'sitemap',
-      this.cache.data.home.array,
-    ];
+    // Build link separately to attach listener
+    homeLink = this.assembleElement(['a', homeLinkAttributes,
+      this.localize('NOT_FOUND_LINK')]);
 
-    // Parameters array for connect section
-    connectArray = [
-      'section',
-      'connect',
-      this.cache.data.footer.connect.array,
-    ];
+    // Handle click in-app rather than via hash change
+    homeLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.handleButtonClicks(homeConfig);
+    }, false);
 
     return this.assembleElement(
-      ['footer', footerAttributes,
-        ['section', upperFooterAttributes,
-          this.buildFooterUpperSection(...metaArray),
-          this.buildFooterUpperSection(...sitemapArray),
-          this.buildFooterUpperSection(...connectArray),
+      ['section', containerAttributes,
+        ['h1', headerAttributes,
+          this.localize('NOT_FOUND_HEADER'),
         ],
-        ['section', lowerFooterAttributes,
-          ['span', copyrightAttributes,
-            this.cache.data.footer.copyright,
+        ['h2', subheaderAttributes,
+          this.localize('NOT_FOUND_SUBHEADER'),
+        ],
+        ['div', contentAttributes,
+          ['div', summaryAttributes,
+            this.localize('NOT_FOUND_SUMMARY'),
           ],
+          homeLink,
         ],
       ],
     );
   };
 
   /**
-   * @description This utility subbuilder function is invoked exclusively by the
-   * <code>inaccessible.buildFooter</code> builder function to create each of
-   * the three major sections of the upper footer, namely the meta, sitemap, and
-   * connect sections. Originally, there were a series of three such subbuilders
-   * employed for each section to handle their differences, through eventually
-   * these were consolidated into this single function by means of some semi-
-   * janky modifications to the function. Now, the specific property
-   * configurations of each section object are respected by a series of
-   * <code>if</code> statements to ensure that each section is built properly.
-   * <br />
-   * <br />
-   * As per the Google styleguide, the use of default parameters in function
-   * declarations is permitted in most cases and particularly encouraged for
-   * optional parameters that may not actually be defined in certain invocation
-   * cases in which the function might be called.
+   * @description Like <code>inaccessible.buildNotFoundPage</code> above, this
+   * builder requires no JSON data and makes use of the error page selectors.
+   * It is displayed in the <code>main</code> section in place of the requested
+   * scene in cases wherein that scene's data could not be fetched due to a
+   * lack of network connection, leaving the header, footer, and navigation in
+   * place so that the user may browse previously visited scenes. A button is
+   * included by which the user may try the scene in the address bar again.
    *
-   * @param {string} paramTag HTML tag to use (section, nav, etc.)
-   * @param {string} paramType Section name, either meta, sitemap, or connect
-   * @param {!object=} paramSummaryObject Null by default (optional)
    * @returns {HTMLElement}
    */
-  inaccessible.buildFooterUpperSection = function (paramTag, paramType,
-      paramArray, paramSummaryObject = null) {
+  inaccessible.buildOfflinePage = function () {
 
     // Declarations
-    let type, containerAttributes, titleAttributes, textAttributes;
-
-    // Remove any accidental capital letters
-    type = paramType.toLowerCase();
+    let retryButton, containerAttributes, headerAttributes,
+      subheaderAttributes, contentAttributes, summaryAttributes,
+      retryAttributes;
 
-    // <nav> or <section> attributes
+    // Container (<section>) config
     containerAttributes = {
-      class: `${type} ${Classes.FOOTER__UPPER_SECTION}`,
+      class: Classes.ERROR,
     };
 
-    // <h4> attributes
-    titleAttributes = {
-      class: `${type}-title ${Classes.FOOTER__TITLE}`,
+    // "Offline" config
+    headerAttributes = {
+      class: Classes.ERROR__HEADER,
     };
 
-    // Summary paragraph only appears with leftmost meta section
-    if (paramSummaryObject != null) {
-      textAttributes = {
-        class: `${type}-text`,
-      };
-    }
+    // Subheader config
+    subheaderAttributes = {
+      class: Classes.ERROR__SUBHEADER,
+    };
+
+    // Text (summary + retry button) config
+    contentAttributes = {
+      class: Classes.ERROR__CONTENT,
+    };
+
+    // Text summary config
+    summaryAttributes = {
+      class: Classes.ERROR__SUMMARY,
+    };
+
+    // Retry button config
+    retryAttributes = {
+      class: `${Classes.GENERAL__BUTTON_LINK} ${Classes.GENERAL__PLAINLINK}`,
+      type: 'button',
+    };
+
+    // Build button separately to attach listener
+    retryButton = this.assembleElement(['button', retryAttributes,
+      this.localize('OFFLINE_RETRY')]);
+
+    // Request the scene in the address bar anew (history entry exists already)
+    retryButton.addEventListener('click', () => {
+      if (this.isOffline()) {
+        this.showToast(this.localize('OFFLINE_STILL'), ToastTypes.ERROR);
+        return;
+      }
+
+      this.handleButtonClicks(this.getSceneConfig(this.getRouteName()) ||
+        this.cache.data.home.array[0], null, false);
+    }, false);
 
     return this.assembleElement(
-      [paramTag, containerAttributes,
-        ['h4', titleAttributes,
-          (paramSummaryObject != null)
-            ? paramSummaryObject.title
-            : this.capitalize(type),
+      ['section', containerAttributes,
+        ['h1', headerAttributes,
+          this.localize('OFFLINE_HEADER'),
+        ],
+        ['h2', subheaderAttributes,
+          this.localize('OFFLINE_SUBHEADER'),
+        ],
+        ['div', contentAttributes,
+          ['div', summaryAttributes,
+            this.localize('OFFLINE_SUMMARY'),
+          ],
+          retryButton,
         ],
-        (paramSummaryObject != null)
-          ? ['div', textAttributes, paramSummaryObject.text]
-          : '',
-        this.buildList(paramArray, type, (paramTag === 'nav') ? false : true),
       ],
     );
   };
 
   /**
-   * @description The simplest of the builder functions included herein, this
-   * function is responsible for building the homepage, displaying the image of
-   * a computer screen split into six panels. This function is invoked several
-   * times during the process, first by <code>inaccessible.buildContainer</code>
-   * when the DOM is loaded and subsequently when the user presses any of the
-   * "Home" sitemap or navbar buttons.
-   * <br />
-   * <br />
-   * The function works by simply invoking <code>inaccessible.buildList</code>
-   * and passing it the home array minus the first element ("home" itself&mdash;
-   * no point having a home panel on the homepage).
-   *
-   * @returns {HTMLElement}
-   */
-  inaccessible.buildHome = function () {
-    return this.buildList(this.cache.data.home.array.slice(1), 'home', true);
-  };
-
-  /**
-   * @description One of the macro-builders like those responsible for
-   * overseeing the construction of the header and footer, this function is used
-   * to build the diptych, the two panel layout that serves to display the info
-   * for each scene. Apart from the homepage six panel layout, the diptych
-   * serves as the central mechanism by which the info on the site is displayed
-   * to the user.
+   * @description This builder assembles the resume scene, a single-column
+   * document combining the name and contact details of <code>data.json</code>
+   * with the entries of each scene of the <code>ResumeSections</code> enum.
+   * Entries are listed in the order and with the dates given in their JSON
+   * files, regardless of any sort order applied to the scenes themselves.
    * <br />
    * <br />
-   * Due to this widespread ubiquitious usage in the application, the sole
-   * parameter required for building the diptych was the name of the scene being
-   * assembled (i.e. "education" or "experience"). This is used to fetch the
-   * required JSON from the <code>inaccessible.cache</code> object and apply
-   * scene-specific selectors to assembled HTML elements in the diptych.
+   * Each section and entry is headed by a checkbox by which the user may leave
+   * it out of the printed or exported resume; excluded items remain visible
+   * but dimmed in the scene itself, and are hidden by the print stylesheet.
+   * The scene's controls provide buttons to print the resume and to download
+   * it in each of the <code>ResumeFormats</code>.
    *
-   * @param {string} paramName Scene being built (i.e. "education")
    * @returns {HTMLElement}
    */
-  inaccessible.buildDiptych = function (paramName) {
+  inaccessible.buildResume = function () {
 
     // Declarations
-    let containerAttributes, leftAttributes, leftAvatarAttributes, leftPanel,
-      leftHeaderAttributes, leftSubheaderAttributes, leftSummaryAttributes,
-      tempAside;
+    let resume, header, controls, printButton, exportButtons,
+      resumeAttributes, headerAttributes, nameAttributes, contactAttributes,
+      contactItemAttributes, controlsAttributes, hintAttributes,
+      actionsAttributes, buttonAttributes;
+
+    // Container (<article>) config
+    resumeAttributes = {
+      class: Classes.RESUME,
+    };
 
-    // Temporary variable for aside/left panel
-    tempAside = this.cache.data[paramName].aside;
+    // Header (name and contact details) config
+    headerAttributes = {
+      class: Classes.RESUME__HEADER,
+    };
 
-    // Diptych container config
-    containerAttributes = {
-      class: `${Classes.DIPTYPCH} ${Classes.GENERAL__HAS_HEIGHT}`,
+    // Name config
+    nameAttributes = {
+      class: Classes.RESUME__NAME,
     };
 
-    // Aside attributes
+    // Contact details list config
+    contactAttributes = {
+      class: Classes.RESUME__CONTACT,
+    };
 
-    // Aside config
-    leftAttributes = {
-      class: `${Classes.LEFT__PANEL} ${Classes.DIPTYCH__PANEL}`
+    // Contact details list item config
+    contactItemAttributes = {
+      class: Classes.RESUME__CONTACT_ITEM,
     };
 
-    // Left avatar config
-    leftAvatarAttributes = {
-      class: Classes.LEFT__AVATAR,
-      src: `${Text.IMAGES_FOLDER}/${paramName}.webp`,
-      alt: `${this.capitalize(paramName)} avatar`,
+    // Controls (hint and buttons) config
+    controlsAttributes = {
+      class: Classes.RESUME__CONTROLS,
     };
 
-    // Left <h1> config
-    leftHeaderAttributes = {
-      class: `${Classes.LEFT__HEADER} ${Classes.DIPTYCH__HEADER}`,
+    // Hint config
+    hintAttributes = {
+      class: Classes.RESUME__HINT,
     };
 
-    // Left <h5> config
-    leftSubheaderAttributes = {
-      class: `${Classes.LEFT__SUBHEADER} ${Classes.DIPTYCH__SUBHEADER}`,
+    // Buttons wrapper config
+    actionsAttributes = {
+      class: Classes.RESUME__ACTIONS,
     };
 
-    // Left summary text
-    leftSummaryAttributes = {
-      class: Classes.LEFT__SUMMARY,
+    // Button config
+    buttonAttributes = {
+      class: Classes.RESUME__BUTTON + ' ' + Classes.GENERAL__BUTTON_LINK,
+      type: 'button',
     };
 
-    // Build aside panel
-    leftPanel = this.assembleElement(
-      ['aside', leftAttributes,
-        ['img', leftAvatarAttributes],
-        ['h1', leftHeaderAttributes,
-          tempAside.header,
+    // Build components
+    resume = this.assembleElement(['article', resumeAttributes]);
+    header = this.assembleElement(
+      ['header', headerAttributes,
+        ['h1', nameAttributes,
+          this.cache.data.header.name,
+        ],
+        ['ul', contactAttributes,
+          ...this.cache.data.details.contacts.map((contact) => {
+            return ['li', contactItemAttributes,
+              this.assembleContact(contact, {}),
+            ];
+          }),
         ],
       ],
     );
 
-    // Not all asides have the subheader
-    if (tempAside.subheader) {
-      leftPanel.appendChild(this.assembleElement(
-        ['h5', leftSubheaderAttributes, tempAside.subheader]));
-    }
+    printButton = this.assembleElement(['button', buttonAttributes,
+      this.localize('RESUME_PRINT')]);
 
-    // Add summary paragraph(s) to aside
-    leftPanel.appendChild(
-      this.assembleEssaySection(this.cache.data[paramName].aside.summary));
+    printButton.addEventListener('click', () => {
+      window.print();
+    }, false);
 
-    // Left table (only About and Contact sections)
-    if (tempAside.canShowTable) {
-      leftPanel.appendChild(this.buildLeftDetailsTable());
-    }
+    exportButtons = Object.keys(ResumeFormats).map((format) => {
 
-    return this.assembleElement(
-      ['section', containerAttributes,
-        leftPanel,
-        this.buildRightPanel(paramName),
+      // Declaration
+      let button;
+
+      // Definition
+      button = this.assembleElement(['button', buttonAttributes,
+        this.localize(ResumeFormats[format].label)]);
+
+      button.addEventListener('click', () => {
+        this.handleResumeExport(resume, format);
+      }, false);
+
+      return button;
+    });
+
+    controls = this.assembleElement(
+      ['div', controlsAttributes,
+        ['p', hintAttributes,
+          this.localize('RESUME_HINT'),
+        ],
+        ['div', actionsAttributes,
+          printButton,
+          ...exportButtons,
+        ],
       ],
     );
+
+    resume.appendChild(header);
+    resume.appendChild(controls);
+
+    Object.values(ResumeSections).forEach((name) => {
+
+      // Declarations
+      let section, article;
+
+      // Definitions
+      article = this.cache.data[name].article;
+      section = this.assembleElement(['section', {
+        class: Classes.RESUME__SECTION,
+      }]);
+
+      section.appendChild(this.assembleResumeHeading('h2',
+        Classes.RESUME__SECTION_HEADER, name, article.header, section));
+
+      article.entries.forEach((entry, index) => {
+        section.appendChild(this.assembleResumeEntry(entry,
+          `${name}/${index}`));
+      });
+
+      resume.appendChild(section);
+    });
+
+    return resume;
   };
 
   /**
-   * @description Following previously defined builder-subbuilder progression
-   * employed in other builder functions, this function is used as a subbuilder
-   * of the <code>inaccessible.buildDiptych</code> function and oversees the
-   * assembly of the right panel (or <code>article</code> section) of the
-   * diptych interface.
-   * <br />
-   * <br />
-   * Depending on whether the scene JSON in question requires the display of
-   * an essay containing paragraph sections or a listing of entries, the
-   * function invokes the appropriate handler within the body of a
-   * <code>forEach</code> loop, adding the resultant <code>HTMLElement</code>s
-   * to the section as required.
+   * @description This builder assembles the overlay listing the available
+   * keyboard shortcuts, displayed when the user presses "?". Like the error
+   * and not found pages, it requires no JSON data beyond the number of home
+   * panels, which determines the range of number keys listed. The overlay
+   * takes the form of a modal dialog containing a description list of keys
+   * and a close button; clicks on the backdrop outside the dialog also close
+   * it.
    *
-   * @param {string} paramName Scene being built (i.e. "education")
    * @returns {HTMLElement}
    */
-  inaccessible.buildRightPanel = function (paramName) {
+  inaccessible.buildShortcutsOverlay = function () {
 
     // Declarations
-    let container, article, articleHeader, articleSection, subsectionType,
-      containerAttributes, articleHeaderAttributes, articleSectionAttributes;
+    let overlay, closeButton, list, shortcuts, overlayAttributes,
+      dialogAttributes, titleAttributes, listAttributes, keysAttributes,
+      keyAttributes, descAttributes, closeAttributes;
+
+    // Keys and descriptions of each shortcut
+    shortcuts = [
+      [['←'], this.localize('SHORTCUT_PREVIOUS')],
+      [['→'], this.localize('SHORTCUT_NEXT')],
+      [['1', this.cache.data.home.array.length - 1],
+        this.localize('SHORTCUT_JUMP')],
+      [['h'], this.localize('SHORTCUT_HOME')],
+      [['?'], this.localize('SHORTCUT_HELP')],
+    ];
+
+    // Backdrop wrapper config
+    overlayAttributes = {
+      class: Classes.SHORTCUTS,
+    };
+
+    // Dialog config
+    dialogAttributes = {
+      class: Classes.SHORTCUTS__DIALOG,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': Classes.SHORTCUTS__TITLE,
+    };
+
+    // Dialog title config
+    titleAttributes = {
+      class: `${Classes.SHORTCUTS__TITLE} ${Classes.DIPTYCH__SUBHEADER}`,
+      id: Classes.SHORTCUTS__TITLE,
+    };
+
+    // <dl> config
+    listAttributes = {
+      class: Classes.SHORTCUTS__LIST,
+    };
+
+    // <dt> config
+    keysAttributes = {
+      class: Classes.SHORTCUTS__KEYS,
+    };
 
-    // Container config (<article>)
-    containerAttributes = {
-      class: `${Classes.RIGHT__PANEL} ${Classes.DIPTYCH__PANEL}`
+    // <kbd> config
+    keyAttributes = {
+      class: Classes.SHORTCUTS__KEY,
     };
 
-    // Header (<h2>) config
-    articleHeaderAttributes = {
-      class: `${Classes.RIGHT__HEADER} ${Classes.DIPTYCH__HEADER}`,
+    // <dd> config
+    descAttributes = {
+      class: Classes.SHORTCUTS__DESC,
     };
 
-    // Section (<section>) config
-    articleSectionAttributes = {
-      class: Classes.RIGHT__CONTENT,
+    // Close button config
+    closeAttributes = {
+      class: `${Classes.SHORTCUTS__CLOSE} ${Classes.GENERAL__BUTTON_LINK}`,
+      type: 'button',
     };
 
-    // Alias article object
-    article = this.cache.data[paramName].article;
+    // Build components
+    list = this.assembleElement(['dl', listAttributes]);
+    closeButton = this.assembleElement(['button', closeAttributes,
+      this.localize('SHORTCUTS_CLOSE')]);
+
+    shortcuts.forEach((shortcut) => {
+      list.appendChild(this.assembleElement(
+        ['dt', keysAttributes,
+          ['kbd', keyAttributes,
+            shortcut[0].join('–'),
+          ],
+        ],
+      ));
+      list.appendChild(this.assembleElement(['dd', descAttributes,
+        shortcut[1]]));
+    });
 
-    // Define HTMLElements
-    container = this.assembleElement(['article', containerAttributes]);
-    articleHeader = this.assembleElement(
-      ['h2', articleHeaderAttributes,
-        article.header,
+    overlay = this.assembleElement(
+      ['div', overlayAttributes,
+        ['div', dialogAttributes,
+          ['h3', titleAttributes,
+            this.localize('SHORTCUTS_TITLE'),
+          ],
+          list,
+          closeButton,
+        ],
       ],
     );
-    articleSection = this.assembleElement(
-      ['section', articleSectionAttributes]);
 
-    // Use different appending approach depending on essay or entries list
-    if (article.essaySections) {
-      article.essaySections.forEach((subsection) => {
-        articleSection.appendChild(this.assembleEssaySection(subsection));
-      });
-    } else if (article.entries) {
-      article.entries.forEach((subsection, index) => {
-        articleSection.appendChild(this.assembleEntry(subsection,
-          (index < article.entries.length - 1) ? true : false));
-      });
+    closeButton.addEventListener('click', () => {
+      this.handleShortcutsToggle();
+    }, false);
+
+    // Close on clicks on the backdrop rather than the dialog
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) {
+        this.handleShortcutsToggle();
+      }
+    }, false);
+
+    return overlay;
+  };
+
+  // Handler functions
+
+  /**
+   * @description One of three main handler functions used by the application,
+   * this function serves as the primary click event listener for all button and
+   * link pseudo-buttons in the interface, including the navigation topbar,
+   * footer sitemap, and homepage photopanels. Originally a group of similar
+   * handlers subsequently consolidated into this single function, the function
+   * works by closing any extant mobile hamburger menus, grabbing the JSON data
+   * associated with the button pressed. If this data is already extant in the
+   * <code>inaccessible.cache</code> object, that property is used to build the
+   * requested scene. Otherwise, a GET request is made to grab the data, which
+   * is then added to the cache for potential future use.
+   * <br />
+   * <br />
+   * Every request begins a new transition of the navigation state machine.
+   * Should the user press another button before the requested data arrives,
+   * the earlier request is treated as stale; its data is still cached, but its
+   * scene is never displayed. Should the request fail while the user is
+   * offline, the offline scene is displayed in place of the requested scene
+   * rather than replacing the interface with the error scene.
+   * <br />
+   * <br />
+   * As per the Google styleguide, the use of default parameters in function
+   * declarations is permitted in most cases and particularly encouraged for
+   * optional parameters that may not actually be defined in certain invocation
+   * cases in which the function might be called.
+   *
+   * @param {object} paramConfig Object containing handler, name, etc.
+   * @param {?string=} paramTransition Overrides scene's transition effect
+   * @param {!boolean=} paramUpdateHistory Add entry to session history
+   * @returns {void}
+   */
+  inaccessible.handleButtonClicks = function (paramConfig,
+      paramTransition = null, paramUpdateHistory = true) {
+
+    // Declaration
+    let id;
+
+    // If the hamburger is visible and the menu is open, close menu
+    if (
+      this.isVisible(`.${Classes.NAV__HAMBURGER}`) &&
+      this.isVisible(`.${Classes.NAV__UL}`)
+    ) {
+      this.handleMenuToggle();
     }
 
-    // Add header and body to container
-    container.appendChild(articleHeader);
-    container.appendChild(articleSection);
+    // Add scene to session history unless triggered by back/forward buttons
+    if (paramUpdateHistory) {
+      this.pushRoute(paramConfig);
+    }
 
-    // Contact panel uses table
-    if (article.canShowTable) {
-      articleSection.appendChild(this.buildRightDetailsTable());
+    // Ignore requests for the scene already displayed if nothing is pending
+    if (this.navigation.state === States.IDLE &&
+        this.navigation.scene === paramConfig.name) {
+      return;
     }
 
-    return container;
+    // Supersede any transition presently underway
+    id = this.beginNavigation(paramConfig);
+
+    // Fetch scene data if not already cached, then build and display scene
+    this.loadSceneData(paramConfig).then(() => {
+
+      // Data is cached regardless, but only the latest request is displayed
+      if (this.isCurrentNavigation(id)) {
+        this.tinderize(paramTransition, Classes.MAIN, paramConfig, id);
+      }
+    }, (error) => {
+      if (!this.isCurrentNavigation(id)) {
+        return;
+      }
+
+      if (this.isOffline()) {
+        this.tinderize(paramTransition, Classes.MAIN, this.getOfflineConfig(),
+          id);
+      } else {
+        this.handleErrors(error);
+      }
+    });
   };
 
   /**
-   * @description Like the similar function
-   * <code>inaccessible.buildRightDetailsTable</code> below, this function is
-   * used to contruct optional tables containing contact information and the
-   * like for convenient display and accessiblity. This particular function
-   * makes a legitimate HTML table, much to the author's chagrin. Though there
-   * are perhaps more responsive and dynamic means by which this display may be
-   * accomplished, the author came to believe this approach represented the
-   * cleanest and most readable from a design point of view.
+   * @description This handler function is used to toggle visible/active classes
+   * for the hamburger icon displayed for mobile devices and tablets. In certain
+   * contexts, the handler associated with clicks outside the vicinity of the
+   * dropdown menu is removed so as to not produce buggy behavior once closed.
+   * This is something of a messy approach, but it works as expected and
+   * produces the required behavior.
    *
-   * @returns {HTMLElement} container
+   * @returns {void}
    */
-  inaccessible.buildLeftDetailsTable = function () {
+  inaccessible.handleMenuToggle = function () {
 
     // Declarations
-    let details, table, tableAttributes, tbody, keys, newRow, newCell,
-      container, containerAttributes, headerAttributes, cellTag, cellAttributes;
-
-    // Alias array (just emails, not wikia or any others)
-    details = this.cache.data.details.email;
-
-    // Container (<section>) config
-    containerAttributes = {
-      class: Classes.LEFT__DETAILS,
-    };
+    let hamburger, menu;
 
-    // "Emails" header
-    headerAttributes = {
-      class: Classes.LEFT__DETAILS_HEADER + ' ' + Classes.LEFT__SUBHEADER +
-        ' ' + Classes.DIPTYCH__SUBHEADER,
-    };
+    // Definitions
+    hamburger = document.querySelector(`.${Classes.NAV__HAMBURGER}`);
+    menu = document.querySelector(`.${Classes.NAV__UL}`);
 
-    // <table> config object
-    tableAttributes = {
-      class: Classes.LEFT__DETAILS_TABLE,
-    };
+    // Toggle classes
+    hamburger.classList.toggle(Classes.GENERAL__ACTIVE);
+    menu.classList.toggle(Classes.GENERAL__IS_VISIBLE);
 
-    // Assemble elements
-    table = this.assembleElement(['table', tableAttributes]);
-    tbody = document.createElement('tbody');
-    container = this.assembleElement(
-      ['section', containerAttributes,
-        ['h3', headerAttributes,
-          Text.EMAIL_ADDRESSES,
-        ],
-      ],
-    );
+    // Set flag depending on visible status of menu
+    this.isMenuOpen = !this.isMenuOpen;
+    hamburger.setAttribute('aria-expanded', String(this.isMenuOpen));
 
-    // Add to table
-    table.appendChild(tbody);
+    // Remove outstanding event listener if applicable
+    if (this.handleOutsideClicks != null) {
+      document.removeEventListener('click', this.handleOutsideClicks);
 
-    // Create a new column cell for each header
-    for (let i = 0; i < details.length; i++) {
-      newRow = tbody.insertRow(i);
-      newRow.setAttribute('class', Classes.LEFT__DETAILS_ROW);
+      if (DEBUG) {
+        console.log(Text.LISTENER_REMOVED);
+      }
+    }
+  };
 
-      // Temp keys (always 2)
-      keys = Object.keys(details[i]);
+  /**
+   * @description This handler function serves as the document-wide
+   * <code>keydown</code> listener implementing the site's keyboard shortcuts.
+   * The left and right arrow keys move to the previous and next scenes listed
+   * in <code>home.array</code>, the number keys jump to the correspondingly
+   * numbered home panel, "h" returns to the homepage, and "?" shows or hides
+   * the overlay listing these shortcuts. All scene changes are made via
+   * <code>inaccessible.handleButtonClicks</code>, just as for the nav buttons.
+   * <br />
+   * <br />
+   * Shortcuts are ignored while focus is in a text field, when modifier keys
+   * are held (so as to not interfere with browser shortcuts), or when another
+   * listener has already handled the key. While the shortcuts overlay is
+   * open, only the keys closing it are acted upon.
+   *
+   * @param {KeyboardEvent} paramEvent <code>keydown</code> event
+   * @returns {void}
+   */
+  inaccessible.handleShortcuts = function (paramEvent) {
 
-      for (let j = 0; j < keys.length; j++) {
-        newCell = newRow.insertCell(j);
-        newCell.setAttribute('class', Classes.LEFT__DETAILS_CELL);
+    // Declarations
+    let scenes, config;
 
-        cellTag = (j % 2 === 0) ? 'span' : 'a';
-        cellAttributes = (j % 2 === 0)
-          ? {
-            class: `${Classes.LEFT__DETAILS_CELL}-title`,
-          }
-          : {
-            class: Classes.LEFT__DETAILS_CELL + '-text ' +
-              Classes.GENERAL__BUTTON_LINK + ' ' + Classes.GENERAL__PLAINLINK,
-            href: `mailto:${details[i][keys[j]]}`,
-          };
+    if (
+      paramEvent.defaultPrevented ||
+      paramEvent.ctrlKey || paramEvent.metaKey || paramEvent.altKey ||
+      this.isTextField(paramEvent.target)
+    ) {
+      return;
+    }
 
-        newCell.appendChild(this.assembleElement(
-          [cellTag, cellAttributes,
-            details[i][keys[j]],
-          ],
-        ));
+    // Only closing keys apply while the overlay is open; focus stays within
+    if (this.shortcutsOverlay != null) {
+      if (/^(\?|Escape|Esc)$/.test(paramEvent.key)) {
+        paramEvent.preventDefault();
+        this.handleShortcutsToggle();
+      } else if (paramEvent.key === 'Tab') {
+        paramEvent.preventDefault();
       }
+      return;
     }
 
-    // Add table to container
-    container.appendChild(table);
+    // Definition
+    scenes = this.cache.data.home.array;
+
+    switch (paramEvent.key) {
+      case 'ArrowLeft':
+      case 'Left':
+        config = this.getAdjacentScene(-1);
+        break;
+      case 'ArrowRight':
+      case 'Right':
+        config = this.getAdjacentScene(1);
+        break;
+      case 'h':
+      case 'H':
+        config = scenes[0];
+        break;
+      case '?':
+        paramEvent.preventDefault();
+        this.handleShortcutsToggle();
+        return;
+      default:
 
-    return container;
+        // Number keys 1 to n for the home panels (home.array minus "home")
+        config = (/^[1-9]$/.test(paramEvent.key))
+          ? scenes[Number.parseInt(paramEvent.key, 10)]
+          : null;
+    }
+
+    if (config != null) {
+      paramEvent.preventDefault();
+      this.handleButtonClicks(config);
+    }
   };
 
   /**
-   * @description Like the above function
-   * <code>inaccessible.buildLeftDetailsTable</code>, this particular function
-   * is used to place optional table-like structures on the right panel (aka
-   * <code>article</code>). This is used on the "Contact" scene right panel
-   * exclusively at the time of documenting. Unlike the above function however,
-   * this function dispenses with the HTML table approach, instead making use of
-   * a set of <code>span</code>s inside a list element, with a selector of other
-   * elements as well.
+   * @description This handler function shows or hides the keyboard shortcuts
+   * overlay built by <code>inaccessible.buildShortcutsOverlay</code>. On
+   * opening, keyboard focus is moved to the overlay's close button; on
+   * closing, it is returned to whichever element held it beforehand.
    *
-   * @returns {HTMLElement} container
+   * @returns {void}
    */
-  inaccessible.buildRightDetailsTable = function () {
+  inaccessible.handleShortcutsToggle = function () {
+    if (this.shortcutsOverlay != null) {
+      document.body.removeChild(this.shortcutsOverlay);
+      this.shortcutsOverlay = null;
+
+      if (this.shortcutsReturnFocus != null) {
+        this.shortcutsReturnFocus.focus();
+        this.shortcutsReturnFocus = null;
+      }
+      return;
+    }
 
-    // Declarations
-    let container, list, keys, ulAttributes, rightWrapperAttributes,
-      rightHeaderAttributes, details, listAttributes, listTitleAttributes,
-      listTextAttributes;
+    this.shortcutsReturnFocus = document.activeElement;
+    this.shortcutsOverlay = this.buildShortcutsOverlay();
+    document.body.appendChild(this.shortcutsOverlay);
+    this.shortcutsOverlay.querySelector(`.${Classes.SHORTCUTS__CLOSE}`)
+      .focus();
+  };
 
-    // Alias details object
-    details = this.cache.data.details;
+  /**
+   * @description The first of three touch event handlers used to implement
+   * swipe gestures on the <code>main</code> section, this function records the
+   * starting position and time of a single-finger touch. Gestures are ignored
+   * while a scene transition is underway or if begun inside content that can
+   * itself be scrolled horizontally.
+   *
+   * @param {TouchEvent} paramEvent <code>touchstart</code> event
+   * @param {HTMLElement} paramMain The <code>main</code> section
+   * @returns {void}
+   */
+  inaccessible.handleTouchStart = function (paramEvent, paramMain) {
 
-    // List (<ul>) config
-    ulAttributes = {
-      class: Classes.RIGHT__DETAILS_UL,
-    };
+    // Declaration
+    let touch;
 
-    // Wrapper details config
-    rightWrapperAttributes = {
-      class: Classes.RIGHT__DETAILS,
-    };
+    this.gesture = null;
 
-    // Right subheader config
-    rightHeaderAttributes = {
-      class: `${Classes.RIGHT__DETAILS_HEADER} ${Classes.DIPTYCH__SUBHEADER}`,
-    };
+    if (
+      paramEvent.touches.length !== 1 ||
+      this.navigation.state !== States.IDLE ||
+      this.isInHorizontalScroller(paramEvent.target, paramMain)
+    ) {
+      return;
+    }
 
-    // List element config
-    listAttributes = {
-      class: Classes.RIGHT__DETAILS_LI,
+    // Definition
+    touch = paramEvent.touches[0];
+
+    this.gesture = {
+      startX: touch.clientX,
+      startY: touch.clientY,
+      startTime: Date.now(),
+      deltaX: 0,
+      axis: null,     // 'x' for swipes, 'y' for scrolling
     };
+  };
 
-    // List element title config
-    listTitleAttributes = {
-      class: Classes.RIGHT__DETAILS_LI_TITLE,
-    };
+  /**
+   * @description The second of the touch event handlers, this function decides
+   * on the first significant movement whether the gesture is a horizontal
+   * swipe or a vertical scroll, leaving the latter to the browser. Swipes are
+   * followed by the scene, which is moved with the finger and faded slightly.
+   * If no scene lies in the direction of travel, the scene resists the drag.
+   * For users preferring reduced motion, the scene is not moved at all.
+   *
+   * @param {TouchEvent} paramEvent <code>touchmove</code> event
+   * @param {HTMLElement} paramMain The <code>main</code> section
+   * @returns {void}
+   */
+  inaccessible.handleTouchMove = function (paramEvent, paramMain) {
 
-    // List element text config
-    listTextAttributes = {
-      class: Classes.RIGHT__DETAILS_LI_TEXT + ' ' +
-        Classes.GENERAL__BUTTON_LINK + ' ' + Classes.GENERAL__PLAINLINK,
-    };
+    // Declarations
+    let touch, deltaX, deltaY, offset;
 
-    // Assemble elements
-    list = this.assembleElement(['ul', ulAttributes]);
-    container = this.assembleElement(
-      ['div', rightWrapperAttributes,
-        ['h3', rightHeaderAttributes,
-          Text.CONTACT_INFO,
-        ],
-        list,
-      ],
-    );
+    if (this.gesture == null || this.gesture.axis === 'y') {
+      return;
+    }
 
-    // Iterate through both arrays in details (email addresses + offsite links)
-    for (let array in details) {
-      details[array].forEach((object) => {
+    // Definitions
+    touch = paramEvent.touches[0];
+    deltaX = touch.clientX - this.gesture.startX;
+    deltaY = touch.clientY - this.gesture.startY;
+
+    // Lock gesture to a single axis once moved far enough
+    if (this.gesture.axis == null) {
+      if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) <
+          Utility.SWIPE_AXIS_LOCK_DISTANCE) {
+        return;
+      }
 
-        // Keys for object in question
-        keys = Object.keys(object);
+      this.gesture.axis = (Math.abs(deltaX) > Math.abs(deltaY)) ? 'x' : 'y';
 
-        // Adjust href based on email or website link
-        listTextAttributes.href = ((array === 'email') ? 'mailto:' : '') +
-          object[keys[1]];
+      if (this.gesture.axis === 'y') {
+        return;
+      }
+    }
 
-        // Add '_blank' to outbound links, not email buttons
-        if (array === 'sites') {
-          listTextAttributes.target = Text.LINK_TARGET;
-        }
+    // Prevent page from scrolling during swipe
+    paramEvent.preventDefault();
+    this.gesture.deltaX = deltaX;
 
-        list.appendChild(this.assembleElement(
-          ['li', listAttributes,
-            ['span', listTitleAttributes,
-              object[keys[0]],
-            ],
-            ['a', listTextAttributes,
-              object[keys[1]],
-            ],
-          ],
-        ));
-      });
+    if (this.isReducedMotion()) {
+      return;
     }
 
-    // Add listing to container
-    container.appendChild(list);
+    // Resist drag if there is no scene to move to
+    offset = (this.getAdjacentScene((deltaX < 0) ? 1 : -1) != null)
+      ? deltaX
+      : deltaX / Utility.SWIPE_EDGE_RESISTANCE;
 
-    return container;
+    this.applyFrame(paramMain, {
+      opacity: 1 - Math.min(Math.abs(offset) / paramMain.clientWidth, 1) / 2,
+      offset: offset,
+    });
   };
 
   /**
-   * @description This builder is unique in that it requires no ancillary JSON
-   * data from one of the associated files in order to assemble its collective
-   * contents. This interface is displayed only in cases of error, such as in
-   * the event that the necessary images or JSON files are unfetchable or
-   * unreachable. It basically just replaces the interface with a static message
-   * indicating that an error has occurred and encouraging the user to refresh
-   * or contact the webmaster via the link included.
+   * @description The last of the touch event handlers, this function commits
+   * or abandons a horizontal swipe once the finger is lifted. Swipes that
+   * traveled a sufficient share of the section's width, or that were quick
+   * enough, move to the previous (rightward swipes) or next (leftward swipes)
+   * scene via the usual <code>inaccessible.handleButtonClicks</code> path, with
+   * the slide continuing in the direction of the finger. Otherwise, or if the
+   * touch was cancelled, the scene snaps back into place.
    *
-   * @param {string} paramError Text "error"
-   * @returns {HTMLElement} container
+   * @param {HTMLElement} paramMain The <code>main</code> section
+   * @param {!boolean=} paramIsCancelled Whether touch was cancelled
+   * @returns {void}
    */
-  inaccessible.buildErrorPage = function (paramError) {
+  inaccessible.handleTouchEnd = function (paramMain,
+      paramIsCancelled = false) {
 
     // Declarations
-    let containerAttributes, headerAttributes, subheaderAttributes,
-      contentAttributes, summaryAttributes, emailAttributes, techAttributes,
-      techTitleAttributes, techTextAttributes;
-
-    // Container (<section>) config
-    containerAttributes = {
-      class: Classes.ERROR,
-    };
-
-    // "Ooops" config
-    headerAttributes = {
-      class: Classes.ERROR__HEADER,
-    };
+    let gesture, distance, velocity, config;
 
-    // Subheader config
-    subheaderAttributes = {
-      class: Classes.ERROR__SUBHEADER,
-    };
+    // Definitions
+    gesture = this.gesture;
+    this.gesture = null;
 
-    // Text (summary + email link) config
-    contentAttributes = {
-      class: Classes.ERROR__CONTENT,
-    };
+    if (gesture == null || gesture.axis !== 'x') {
+      return;
+    }
 
-    // Text summary config
-    summaryAttributes = {
-      class: Classes.ERROR__SUMMARY,
-    };
+    distance = Math.abs(gesture.deltaX);
+    velocity = distance / Math.max(Date.now() - gesture.startTime, 1);
+    config = this.getAdjacentScene((gesture.deltaX < 0) ? 1 : -1);
 
-    // Webmaster email config
-    emailAttributes = {
-      class: `${Classes.GENERAL__BUTTON_LINK} ${Classes.GENERAL__PLAINLINK}`,
-      href: `mailto:${Text.ERROR_EMAIL}`,
-    };
+    if (
+      !paramIsCancelled &&
+      config != null &&
+      (
+        distance >= paramMain.clientWidth * Utility.SWIPE_COMMIT_RATIO ||
+        velocity >= Utility.SWIPE_COMMIT_VELOCITY
+      )
+    ) {
+      this.handleButtonClicks(config, (gesture.deltaX < 0)
+        ? 'slideLeft'
+        : 'slideRight');
+    } else {
+      this.animate(paramMain, Transitions.FADE.enter,
+        Utility.TRANSITION_DURATION);
+    }
+  };
 
-    // If applicable, error wrapper
-    techAttributes = {
-      class: Classes.ERROR__TECH,
-    };
+  /**
+   * @description This handler function is invoked when the user presses the
+   * reduced motion toggle button in the lower footer, flipping the present
+   * preference and storing the user's choice as an override of the operating
+   * system's setting.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleMotionToggle = function () {
+    this.setReducedMotion(!this.isReducedMotion());
+  };
 
-    // Error title
-    techTitleAttributes = {
-      class: Classes.ERROR__TECH_TITLE,
-    };
+  /**
+   * @description This handler function is invoked whenever the user chooses a
+   * language via the header's language switcher, displaying the site in that
+   * language via <code>inaccessible.setLocale</code>.
+   *
+   * @param {string} paramLocale <code>Locales</code> key
+   * @returns {void}
+   */
+  inaccessible.handleLocaleChange = function (paramLocale) {
+    this.setLocale(paramLocale);
+  };
 
-    // Error code config
-    techTextAttributes = {
-      class: Classes.ERROR__TECH_TEXT,
-    };
+  /**
+   * @description This handler function is invoked whenever the user checks or
+   * unchecks the checkbox of a section or entry of the resume scene, storing
+   * the choice in <code>inaccessible.resumeExclusions</code> so that it
+   * persists should the scene be rebuilt, and marking the parameter element as
+   * excluded or included accordingly.
+   *
+   * @param {string} paramKey Key of section or entry, i.e. "awards/2"
+   * @param {HTMLElement} paramTarget Section or entry element
+   * @param {boolean} paramIsIncluded Whether to include section or entry
+   * @returns {void}
+   */
+  inaccessible.handleResumeToggle = function (paramKey, paramTarget,
+      paramIsIncluded) {
+    if (paramIsIncluded) {
+      this.resumeExclusions.delete(paramKey);
+    } else {
+      this.resumeExclusions.add(paramKey);
+    }
 
-    return this.assembleElement(
-      ['section', containerAttributes,
-        ['h1', headerAttributes,
-          Text.ERROR_HEADER,
-        ],
-        ['h2', subheaderAttributes,
-          Text.ERROR_SUBHEADER,
-        ],
-        ['div', contentAttributes,
-          ['div', summaryAttributes,
-            Text.ERROR_SUMMARY,
-          ],
-          ['a', emailAttributes,
-            Text.ERROR_EMAIL,
-          ],
-        ],
-        ['div', techAttributes,
-          ['span', techTitleAttributes,
-            `${this.capitalize(paramError)}: `,
-          ],
-          ['span', techTextAttributes,
-            this.cache.data.error,
-          ],
-        ],
-      ],
-    );
+    paramTarget.classList.toggle(Classes.RESUME__EXCLUDED, !paramIsIncluded);
   };
 
-  // Handler functions
-
   /**
-   * @description One of three main handler functions used by the application,
-   * this function serves as the primary click event listener for all button and
-   * link pseudo-buttons in the interface, including the navigation topbar,
-   * footer sitemap, and homepage photopanels. Originally a group of similar
-   * handlers subsequently consolidated into this single function, the function
-   * works by closing any extant mobile hamburger menus, grabbing the JSON data
-   * associated with the button pressed. If this data is already extant in the
-   * <code>inaccessible.cache</code> object, that property is used to build the
-   * requested scene. Otherwise, a GET request is made to grab the data, which
-   * is then added to the cache for potential future use.
-   * <br />
-   * <br />
-   * As per the Google styleguide, the use of default parameters in function
-   * declarations is permitted in most cases and particularly encouraged for
-   * optional parameters that may not actually be defined in certain invocation
-   * cases in which the function might be called.
+   * @description This handler function is invoked when the user presses one of
+   * the download buttons of the resume scene, generating the resume in the
+   * parameter <code>ResumeFormats</code> format from its included sections and
+   * entries and offering it as a file named after the site's owner, i.e.
+   * "andrew-eissen-resume.txt." Should the resume fail to be generated or
+   * offered for download, the user is told so in a toast.
    *
-   * @param {object} paramConfig Object containing handler, name, etc.
-   * @param {!boolean=} paramCanSwipeRight
+   * @param {HTMLElement} paramResume Resume scene
+   * @param {string} paramFormat <code>ResumeFormats</code> key
    * @returns {void}
    */
-  inaccessible.handleButtonClicks = function (paramConfig,
-      paramCanSwipeRight = false) {
+  inaccessible.handleResumeExport = function (paramResume, paramFormat) {
 
-    // If the hamburger is visible and the menu is open, close menu
-    if (
-      this.isVisible(`.${Classes.NAV__HAMBURGER}`) &&
-      this.isVisible(`.${Classes.NAV__UL}`)
-    ) {
-      this.handleMenuToggle();
-    }
+    // Declarations
+    let format, fileName;
 
-    // Use cached data if extant, otherwise grab new data from json files
-    if (this.cache.data.hasOwnProperty(paramConfig.name.toLowerCase())) {
-      if (DEBUG) {
-        console.log(Text.EXISTS.replace('$1', paramConfig.name));
-      }
+    // Definitions
+    format = ResumeFormats[paramFormat];
+    fileName = Text.RESUME_FILE_NAME.replace('$1', this.getNameSlug())
+      .replace('$2', format.extension);
 
-      this.tinderize(paramCanSwipeRight, Classes.MAIN, paramConfig);
-    } else {
+    this[format.handler](paramResume).then((contents) => {
+      this.downloadFile(contents, format.type, fileName);
+    }).catch((error) => {
       if (DEBUG) {
-        console.log(Text.DOES_NOT_EXIST.replace('$1', paramConfig.name));
+        console.warn(error);
       }
 
-      this.sendRequest('GET', `json/${paramConfig.name}.json`).then(
-          (response) => {
-
-        // Declaration
-        let data;
-
-        // Parse the JSON response into a usable object
-        data = JSON.parse(response);
-
-        // Check for boolean to ensure loading
-        if (data.success) {
-
-          // Add to cache
-          this.cache.data = Object.assign(this.cache.data, data.data);
+      this.showToast(this.localize('RESUME_EXPORT_FAILED'), ToastTypes.ERROR);
+    });
+  };
 
-          if (DEBUG) {
-            console.log(Text.CACHE_TEXT);
-            console.log(this.cache);
-          }
+  /**
+   * @description This handler function is invoked when the user presses one of
+   * the buttons of the contact card switching the contents of its QR code,
+   * replacing the code displayed with the parameter code and marking the
+   * parameter button alone as pressed.
+   *
+   * @param {HTMLElement} paramCard Contact card
+   * @param {HTMLElement} paramButton Button pressed
+   * @param {SVGElement} paramCode QR code of button's option
+   * @returns {void}
+   */
+  inaccessible.handleQrSelection = function (paramCard, paramButton,
+      paramCode) {
+    paramCard.querySelector(`.${Classes.CARD__CODE}`).replaceWith(paramCode);
 
-          this.tinderize(paramCanSwipeRight, Classes.MAIN, paramConfig);
-        }
-      }, (error) => {
-        this.handleErrors((error.message !== '')
-          ? error.message : Text.ERROR_GET);
+    paramCard.querySelectorAll(`.${Classes.CARD__OPTIONS} button`)
+      .forEach((button) => {
+        button.setAttribute('aria-pressed', String(button === paramButton));
       });
-    }
   };
 
   /**
-   * @description This handler function is used to toggle visible/active classes
-   * for the hamburger icon displayed for mobile devices and tablets. In certain
-   * contexts, the handler associated with clicks outside the vicinity of the
-   * dropdown menu is removed so as to not produce buggy behavior once closed.
-   * This is something of a messy approach, but it works as expected and
-   * produces the required behavior.
+   * @description This handler function is invoked when the user presses the
+   * contact card's "Save contact" button, offering the site owner's details
+   * as a vCard file named after the owner, i.e. "andrew-eissen.vcf," which
+   * phones and address books open as a new contact.
    *
    * @returns {void}
    */
-  inaccessible.handleMenuToggle = function () {
+  inaccessible.handleContactSave = function () {
+    this.downloadFile(this.getVCard(), Text.VCARD_TYPE,
+      Text.VCARD_FILE_NAME.replace('$1', this.getNameSlug()));
+  };
 
-    // Declarations
-    let hamburger, menu;
+  /**
+   * @description This handler function is invoked when the user presses a
+   * copy button built by <code>inaccessible.assembleCopyButton</code>,
+   * copying the parameter text to the clipboard via
+   * <code>inaccessible.copyText</code>. As the button itself gives no sign of
+   * having worked, the outcome is shown in a toast naming the parameter
+   * label, i.e. "Personal copied to the clipboard."
+   *
+   * @param {string} paramText Text to be copied
+   * @param {string} paramLabel Name of copied text
+   * @returns {void}
+   */
+  inaccessible.handleCopy = function (paramText, paramLabel) {
+    this.copyText(paramText).then(() => {
+      this.showToast(this.localize('COPIED', paramLabel), ToastTypes.SUCCESS);
+    }).catch((error) => {
+      if (DEBUG) {
+        console.warn(error);
+      }
 
-    // Definitions
-    hamburger = document.querySelector(`.${Classes.NAV__HAMBURGER}`);
-    menu = document.querySelector(`.${Classes.NAV__UL}`);
+      this.showToast(this.localize('COPY_FAILED', paramLabel),
+        ToastTypes.ERROR);
+    });
+  };
 
-    // Toggle classes
-    hamburger.classList.toggle(Classes.GENERAL__ACTIVE);
-    menu.classList.toggle(Classes.GENERAL__IS_VISIBLE);
+  /**
+   * @description This handler function is invoked whenever the browser
+   * reports the loss or recovery of the network connection, informing the
+   * user by way of a toast. As previously visited scenes remain available
+   * offline, the loss of connection is reported as a notice rather than an
+   * error.
+   *
+   * @param {boolean} paramIsOnline Whether the connection was recovered
+   * @returns {void}
+   */
+  inaccessible.handleConnectionChange = function (paramIsOnline) {
+    this.showToast(
+      this.localize((paramIsOnline) ? 'ONLINE_NOTICE' : 'OFFLINE_NOTICE'),
+      (paramIsOnline) ? ToastTypes.SUCCESS : ToastTypes.INFO);
+  };
 
-    // Set flag depending on visible status of menu
-    this.isMenuOpen = !this.isMenuOpen;
+  /**
+   * @description This handler function is invoked whenever the browser's
+   * <code>popstate</code> event fires, that is, whenever the user presses the
+   * browser's back or forward buttons or manually edits the hash fragment in
+   * the address bar. It determines the scene associated with the new route and
+   * displays it via <code>inaccessible.handleButtonClicks</code> without adding
+   * a further entry to the session history. Unknown routes result in the
+   * display of the "not found" scene.
+   *
+   * @returns {void}
+   */
+  inaccessible.handleRouteChange = function () {
 
-    // Remove outstanding event listener if applicable
-    if (this.handleOutsideClicks != null) {
-      document.removeEventListener('click', this.handleOutsideClicks);
+    // Declaration
+    let config;
 
-      if (DEBUG) {
-        console.log(Text.LISTENER_REMOVED);
-      }
+    // Definition
+    config = this.getSceneConfig(this.getRouteName());
+
+    if (config != null) {
+      this.handleButtonClicks(config, null, false);
+    } else {
+      this.tinderize(null, Classes.MAIN, this.getNotFoundConfig());
     }
   };
 
   /**
    * @description This handler function is invoked in cases wherein a
    * <code>GET</code> request made via <code>inaccessible.sendRequest</code> was
-   * unsuccessful for some reason. It logs the message for the author and calls
+   * unsuccessful for some reason. It logs the error for the author and calls
    * <code>inaccessible.tinderize</code> on <code>#content</code>, building the
    * JSON-free <code>inaccessible.buildErrorPage</code> scene and replacing the
-   * current contents of the DOM with this interface.
+   * current contents of the DOM with this interface. The error's
+   * <code>ErrorTypes</code> type, if any, and message are displayed in the
+   * scene so as to indicate what actually went wrong, along with every schema
+   * violation found in <code>DEBUG</code> mode.
    *
-   * @param {string} paramError Error message generated by request
+   * @param {Error} paramError Error generated by request
    * @returns {void}
    */
   inaccessible.handleErrors = function (paramError) {
@@ -2502,10 +10064,19 @@ const Module = (function () {
     }
 
     // Apply error to script-global cache for external use
-    this.cache.data.error = paramError;
+    this.cache.data.error = {
+      type: paramError.type || null,
+      message: (paramError.message !== '')
+        ? paramError.message
+        : Text.ERROR_GET,
+      violations: paramError.violations || [],
+    };
+
+    // Rebuild rather than reuse error scene, as error may differ from last
+    this.cache.pages.delete('error');
 
     // Replace interface with error scene
-    this.tinderize(false, Classes.WRAPPER__CONTENT, {
+    this.tinderize(Text.DEFAULT_TRANSITION, Classes.WRAPPER__CONTENT, {
       name: 'error',
       handler: 'buildErrorPage',
     });
@@ -2520,30 +10091,98 @@ const Module = (function () {
    * initial predetermined values and requests the <code>data.json<code> file
    * in order to build the header, footer, and homepage. This data is
    * subsequently stored in the <code>inaccessible.cache</code> object for
-   * future use.
+   * future use. If the user has arrived by means of a scene's address (i.e.
+   * <code>#/contact</code>), that scene is displayed in place of the homepage.
+   * <br />
+   * <br />
+   * Content is loaded from the <code>ContentSources</code> source of the
+   * parameter name, or from the default source of static JSON files if none
+   * is specified.
    *
+   * @param {?string=} paramSource <code>ContentSources</code> key (optional)
    * @returns {void}
    */
-  inaccessible.main = function () {
+  inaccessible.main = function (paramSource = null) {
 
-    // Declarations
-    let data, container;
+    // Declaration
+    let config;
 
     // Set menu flag initial value
     this.isMenuOpen = false;
 
+    // Set source of content
+    if (ContentSources.hasOwnProperty(paramSource)) {
+      this.source = paramSource;
+    } else {
+      if (DEBUG && paramSource != null) {
+        console.warn(Text.UNKNOWN_SOURCE.replace('$1', paramSource));
+      }
+
+      this.source = Text.DEFAULT_SOURCE;
+    }
+
     // Define cache object
     this.cache = {
-      data: {},   // Stores JSON data
-      pages: {},  // Stores assembled pages
+      data: {},             // Stores JSON data
+      pages: new Map(),     // Stores assembled pages, least recently used first
+      requests: new Map(),  // Stores pending scene data requests by name
+      stale: new Map(),     // Stores hashes of files awaiting revalidation
     };
 
-    // Get initial header/footer/home data
-    this.sendRequest('GET', 'json/data.json').then((response) => {
+    // Set initial load flag (files are revalidated once load is complete)
+    this.isLoaded = false;
+
+    // Define navigation state machine
+    this.navigation = {
+      state: States.IDLE,    // Present States enum value
+      id: 0,                 // Identifier of most recent transition
+      target: null,          // Name of most recently requested scene
+      scene: null,           // Name of scene presently displayed
+      animations: new Map(), // Running animation tokens by element
+    };
+
+    // Touch swipe gesture in progress, if any
+    this.gesture = null;
+
+    // Keys of resume sections and entries the user has chosen to leave out
+    this.resumeExclusions = new Set();
+
+    // Keyboard shortcuts overlay and element to refocus on closing
+    this.shortcutsOverlay = null;
+    this.shortcutsReturnFocus = null;
+
+    // Define motion preferences (system setting and user override)
+    this.motion = {
+      query: (window.matchMedia)
+        ? window.matchMedia(Text.REDUCED_MOTION_QUERY)
+        : null,
+      system: false,
+      override: this.getStoredValue(Text.REDUCED_MOTION_KEY),
+    };
+    this.motion.system = (this.motion.query != null) &&
+      this.motion.query.matches;
+
+    // React to changes made to the system setting while the page is open
+    if (this.motion.query != null) {
+      this.motion.query[(this.motion.query.addEventListener)
+        ? 'addEventListener'
+        : 'addListener'
+      ]('change', (event) => {
+        this.motion.system = (event || this.motion.query).matches;
+        this.applyMotionPreference();
+      });
+    }
+    this.applyMotionPreference();
 
-      // Parse the JSON response into a usable object
-      data = JSON.parse(response);
+    // Display site in the user's chosen or preferred language
+    this.locale = this.resolveLocale();
+    this.applyLocale();
 
+    // Cache application shell and visited scenes for offline use
+    this.registerServiceWorker();
+
+    // Get initial header/footer/home data
+    this.requestFile(Text.DATA_NAME).then((data) => {
       if (DEBUG) {
         console.log(data);
       }
@@ -2554,22 +10193,68 @@ const Module = (function () {
         // Add home, header, footer et al. to cache object
         this.cache.data = Object.assign(this.cache.data, data.data);
 
-        // Build the header, footer, and home body
-        container = this.buildContainer();
+        // Report loss and recovery of connection
+        window.addEventListener('offline', () => {
+          this.handleConnectionChange(false);
+        }, false);
 
-        // Make sure images are loaded prior to fade-in
-        this.loadImages(container).then(() => {
+        window.addEventListener('online', () => {
+          this.handleConnectionChange(true);
+        }, false);
 
-          // Add container to body
-          document.body.appendChild(container);
+        // Scene requested via address bar (home if none, not found if unknown)
+        config = this.getSceneConfig(this.getRouteName()) ||
+          this.getNotFoundConfig();
 
-          // Begin the fade in
-          this.fade('IN', `.${Classes.WRAPPER__CONTAINER}`);
+        // Fetch initial scene data if required, then build the interface
+        return ((config.name === Text.NOT_FOUND_NAME)
+          ? Promise.resolve()
+          : this.loadSceneData(config).catch((error) => {
+
+            // Show offline scene in main if unreachable sans connection
+            if (!this.isOffline()) {
+              throw error;
+            }
+
+            config = this.getOfflineConfig();
+          })
+        ).then(() => {
+
+          // Declaration
+          let container;
+
+          // Build the header, footer, and initial scene body
+          container = this.buildContainer(config);
+          this.navigation.scene = config.name;
+
+          // Make sure images are loaded prior to fade-in
+          return this.loadImages(container).then(() => {
+
+            // Add container to body
+            document.body.appendChild(container);
+
+            // Restore scene on back/forward button presses
+            window.addEventListener('popstate', () => {
+              this.handleRouteChange();
+            }, false);
+
+            // Keyboard shortcuts for scene navigation, once there is a scene
+            document.addEventListener('keydown', (event) => {
+              this.handleShortcuts(event);
+            }, false);
+
+            // Begin the fade in, then fetch remaining scenes in the background
+            this.fade('IN', `.${Classes.WRAPPER__CONTAINER}`,
+              Utility.INITIAL_TRANSITION_DURATION).then(() => {
+              this.isLoaded = true;
+              this.revalidateStaleFiles();
+              this.prefetchWhenIdle();
+            });
+          });
         });
       }
-    }, (error) => {
-      this.handleErrors((error.message !== '')
-        ? error.message : Text.ERROR_GET);
+    }).catch((error) => {
+      this.handleErrors(error);
     });
   };
 
@@ -2614,14 +10299,130 @@ const Module = (function () {
   /**
    * @description The central function of the <code>accessible</code> access
    * scope namespace, <code>init</code> is called on completion of the loading
-   * of the HTML <code>body</code> element. This method is presently the only
-   * externally accessible function or variable of the module, and simply calls
-   * <code>inaccessible.main</code> to get the program started.
+   * of the HTML <code>body</code> element, and simply calls
+   * <code>inaccessible.main</code> to get the program started. Beside it and
+   * the enum getters above, the module exposes only the functions that set the
+   * user's preferences or that check, convert, or clear content, namely
+   * <code>setReducedMotion</code>, <code>setLocale</code>,
+   * <code>validate</code>, <code>migrate</code>, <code>toJsonResume</code>,
+   * <code>fromJsonResume</code>, and <code>clearCache</code>. The name of a
+   * <code>ContentSources</code> source, i.e. "REST," may be passed so as to
+   * load content from a source other than the static JSON files.
+   *
+   * @param {?string=} paramSource <code>ContentSources</code> key (optional)
+   * @returns {void}
+   */
+  accessible.init = function (paramSource = null) {
+    inaccessible.main(paramSource);
+  };
+
+  /**
+   * @description External setter for the user's reduced motion preference,
+   * allowing the operating system's <code>prefers-reduced-motion</code> setting
+   * to be overridden. Passing <code>true</code> or <code>false</code> reduces
+   * or restores motion respectively, while <code>null</code> clears the
+   * override.
+   *
+   * @param {?boolean} paramIsReduced User preference or <code>null</code>
+   * @returns {void}
+   */
+  accessible.setReducedMotion = function (paramIsReduced) {
+    inaccessible.setReducedMotion(paramIsReduced);
+  };
+
+  /**
+   * @description External setter for the language in which the site is
+   * displayed, accepting any of the language codes listed in the
+   * <code>Locales</code> enum, i.e. "en" or "de." The choice is persisted as
+   * though made via the header's language switcher.
+   *
+   * @param {string} paramLocale Language code
+   * @returns {void}
+   */
+  accessible.setLocale = function (paramLocale) {
+    inaccessible.setLocale(paramLocale);
+  };
+
+  /**
+   * @description External validator for the contents of the site's JSON
+   * files, checking the parameter object against the schema applicable to the
+   * file of the parameter name, i.e. "data" for <code>data.json</code> or
+   * "about" for <code>about.json</code>. An array of violations is returned,
+   * each containing the file, JSON path, expected type, and value found; an
+   * empty array denotes a valid file.
+   *
+   * @param {object} paramData Parsed contents of JSON file
+   * @param {string} paramName "data" or scene name
+   * @returns {Array<object>} violations
+   */
+  accessible.validate = function (paramData, paramName) {
+    return inaccessible.validateFile(paramData, paramName);
+  };
+
+  /**
+   * @description External function for the upgrading of the contents of the
+   * site's JSON files to the present format, as would be done on their being
+   * loaded. The parameter object is left unaltered, and an error thrown if its
+   * format version is not supported. Files should be migrated prior to being
+   * passed to <code>Module.validate</code>.
+   *
+   * @param {object} paramData Parsed contents of JSON file
+   * @param {string} paramName "data" or scene name
+   * @returns {object} Contents in present format
+   */
+  accessible.migrate = function (paramData, paramName) {
+    return inaccessible.migrateFile(paramData, paramName);
+  };
+
+  /**
+   * @description External function for the conversion of the site's career
+   * data into a resume of the community JSON Resume format, i.e. for use by
+   * other tools. The parameter object should contain the migrated contents of
+   * <code>data.json</code> and of the experience, education, expertise, and
+   * awards scene files, keyed by name; if omitted, the data of the site as
+   * presently displayed is used. The returned <code>Promise</code> resolves to
+   * an object containing the <code>resume</code> and an array of
+   * <code>unmapped</code> fields left out for lack of a counterpart.
+   *
+   * @param {?object=} paramFiles Contents of files by name (optional)
+   * @returns {Promise<object>}
+   */
+  accessible.toJsonResume = function (paramFiles = null) {
+    return inaccessible.getJsonResumeFiles(paramFiles).then((files) => {
+      return inaccessible.convertToJsonResume(files);
+    });
+  };
+
+  /**
+   * @description External function for the conversion of a resume of the
+   * community JSON Resume format into the site's own files, the counterpart
+   * of <code>Module.toJsonResume</code>. The parameter files, or the data of
+   * the site as presently displayed if omitted, serve as the basis of the
+   * converted files and are left unaltered. The returned <code>Promise</code>
+   * resolves to an object containing the updated <code>files</code> by name
+   * and an array of <code>unmapped</code> fields left out for lack of a
+   * counterpart. The files are not validated, and should be checked via
+   * <code>Module.validate</code> before use.
+   *
+   * @param {object} paramResume Parsed JSON Resume
+   * @param {?object=} paramFiles Contents of files by name (optional)
+   * @returns {Promise<object>}
+   */
+  accessible.fromJsonResume = function (paramResume, paramFiles = null) {
+    return inaccessible.getJsonResumeFiles(paramFiles).then((files) => {
+      return inaccessible.convertFromJsonResume(paramResume, files);
+    });
+  };
+
+  /**
+   * @description External function for the clearing of the application's
+   * caches, including the scene data persisted across visits and the
+   * assembled scenes held in memory.
    *
    * @returns {void}
    */
-  accessible.init = function () {
-    inaccessible.main();
+  accessible.clearCache = function () {
+    inaccessible.clearCache();
   };
 
   // Return globally-accessible object
@@ -1 +1 @@
-"use strict";const Module=function(){let e,t;e=e||{},t=t||{};const s=Object.freeze({FADE_IN_INTERVAL:8,INITIAL_FADE_IN_INTERVAL:50,OPACITY_INCREASE_AMOUNT:.035,SWIPE_INTERVAL_TIME:2e3,CHECK_OPACITY_RATE:500,IMAGE_MIN_WIDTH:992}),a=Object.freeze({EMAIL_ADDRESSES:"My Email Addresses",IMAGES_FOLDER:"images",IMAGES_LOADED:"$1 image(s) loaded",ICON_FORMAT:"svg",LINK_TARGET:"_blank",CONTACT_INFO:"Contact Information",EXISTS:'"$1" exists in cache',DOES_NOT_EXIST:'"$1" does not exist in cache',LISTENER_REMOVED:"Event listener removed",ERROR_GET:"Unable to acquire JSON data via GET request",ERROR_HEADER:"Oops!",ERROR_SUBHEADER:"An error was encountered",ERROR_EMAIL:"webmaster@andreweissen.com",ERROR_SUMMARY:"This site is currently experiencing unresolved technical difficulties that may be due to ongoing maintenance. Please reload the page and try again or contact the webmaster for assistance at "}),i=Object.freeze({GENERAL__RESPONSIVE_IMAGE:"responsive-image",GENERAL__HAS_HEIGHT:"has-height",GENERAL__BUTTON_LINK:"button-link",GENERAL__ACTIVE:"active",GENERAL__IS_VISIBLE:"is-visible",GENERAL__PLAINLINK:"plainlink",WRAPPER__CONTAINER:"container",WRAPPER__CONTENT:"content",WRAPPER__CONTENT_SECTION:"content-section",HEADER:"header",HEADER__SECTION:"header-section",LOGO:"logo",LOGO__SECTION:"logo-section",LOGO__IMAGE:"logo-img",LOGO__TEXT:"logo-text",NAV:"nav",NAV__UL:"nav-ul",NAV__HAMBURGER:"nav-hamburger",NAV__UPPER_BAR:"nav-hamburger-upper-bar",NAV__MIDDLE_BAR:"nav-hamburger-middle-bar",NAV__LOWER_BAR:"nav-hamburger-lower-bar",MAIN:"main",ERROR:"error",ERROR__HEADER:"error-header",ERROR__SUBHEADER:"error-subheader",ERROR__CONTENT:"error-content",ERROR__SUMMARY:"error-summary",ERROR__TECH:"error-technical",ERROR__TECH_TITLE:"error-technical-title",ERROR__TECH_TEXT:"error-technical-text",FOOTER:"footer",FOOTER__SECTION:"footer-section",FOOTER__UPPER:"footer-upper",FOOTER__UPPER_SECTION:"footer-upper-section",FOOTER__TITLE:"footer-title",FOOTER__LOWER:"footer-lower",FOOTER__COPYRIGHT:"copyright",HOME__LI:"home-li",HOME__LINK:"home-link",HOME__PICTURE:"home-picture",HOME__COVER:"home-cover",HOME__PHOTOTEXT:"home-phototext",META__LI:"meta-li",META__LI_TITLE:"meta-li-title",META__LI_TEXT:"meta-li-text",CONNECT__LI:"connect-li",CONNECT__LINK:"connect-link",CONNECT__SVG:"connect-svg",CONNECT__DESC:"connect-description",CONNECT__DESC_TITLE:"connect-description-title",CONNECT__DESC_TEXT:"connect-description-text",DIPTYPCH:"diptych",DIPTYCH__PANEL:"diptych-panel",DIPTYCH__HEADER:"diptych-header",DIPTYCH__SUBHEADER:"diptych-subheader",LEFT__PANEL:"left",LEFT__AVATAR:"left-avatar",LEFT__HEADER:"left-header",LEFT__SUBHEADER:"left-subheader",LEFT__SUMMARY:"left-summary",LEFT__DETAILS:"left-details",LEFT__DETAILS_HEADER:"left-details-header",LEFT__DETAILS_TABLE:"left-details-table",LEFT__DETAILS_ROW:"left-details-row",LEFT__DETAILS_CELL:"left-details-cell",RIGHT__PANEL:"right",RIGHT__HEADER:"right-header",RIGHT__CONTENT:"right-content",RIGHT__DETAILS:"right-details",RIGHT__DETAILS_HEADER:"right-details-header",RIGHT__DETAILS_UL:"right-details-ul",RIGHT__DETAILS_LI:"right-details-li",RIGHT__DETAILS_LI_TITLE:"right-details-li-title",RIGHT__DETAILS_LI_TEXT:"right-details-li-text",ESSAY__SECTION:"essay-section",ESSAY__TITLE:"essay-title",ESSAY__PARAGRAPHS:"essay-paragraphs",ESSAY__PARAGRAPH:"essay-paragraph",ENTRY__SECTION:"entry-section",ENTRY__UPPER:"entry-upper",ENTRY__HEADER:"entry-header",ENTRY__SUBHEADER:"entry-subheader",ENTRY__DATE:"entry-date",ENTRY__LOWER:"entry-lower",ENTRY__PARAGRAPH:"entry-paragraph",ENTRY__LISTING:"entry-listing",ENTRY__LISTING_TITLE:"entry-listing-title",ENTRY__LISTING_TEXT:"entry-listing-text"}),E=Object.freeze({ADDITION:function(e,t){return e+t},SUBTRACTION:function(e,t){return e-t},GREATER_THAN:function(e,t){return e>t},LESS_THAN:function(e,t){return e<t}});return t.sendRequest=function(e,t,s=null){return new Promise((i,E)=>{let n,l;(n=new XMLHttpRequest).open(e,t),"POST"===e&&null!=s&&(!0===s.encode?(n.setRequestHeader("Content-Type","application/json"),l=JSON.stringify(s.params)):(n.setRequestHeader("Content-Type","application/x-www-form-urlencoded"),l=this.serialize(s.params))),n.onload=function(){200==n.status?i(n.response):E(Error(n.statusText))},n.onerror=function(){E(Error(a.ERROR_NETWORK))},n.send(l)})},t.loadImages=function(e=null){return new Promise(t=>{let s,a,i,E;s=null!=e?e.getElementsByTagName("img"):document.images,a=s.length,i=0,[].forEach.call(s,e=>{e.complete?a-=1:e.addEventListener("load",E=(()=>{++i===a&&(t(),e.removeEventListener("load",E))}),!1)}),0===a&&t()})},t.serialize=function(e){return Object.entries(e).map(e=>e.join("=")).join("&")},t.performCommonOperation=function(e,t){return e.reduce(E[t])},t.isArray=function(e){return"[object Array]"===Object.prototype.toString.call(e)},t.capitalize=function(e){return e.charAt(0).toUpperCase()+e.slice(1)},t.isElement=function(e){return"object"==typeof HTMLElement?e instanceof HTMLElement:e&&"object"==typeof e&&null!==e&&1===e.nodeType&&"string"==typeof e.nodeName},t.emptyElementOfContent=function(e){let t;for(t=document.querySelector(e);t.firstChild;)t.removeChild(t.firstChild)},t.isVisible=function(e){let t;return(t=document.querySelector(e)).currentStyle?t.currentStyle.display:"none"!==getComputedStyle(t,null).display},t.fade=function(e,t){let a,i,n,l,_;a=document.querySelector(t),n=e.toUpperCase(),a.style.opacity="OUT"===n?1:0,_=Object.freeze({IN:{comparison:"LESS_THAN",operator:"ADDITION",comparisonValue:1},OUT:{comparison:"GREATER_THAN",operator:"SUBTRACTION",comparisonValue:0}}),l=_[n],i=setInterval(()=>{E[l.comparison](a.style.opacity,l.comparisonValue)?a.style.opacity=this.performCommonOperation([Number.parseFloat(a.style.opacity),s.OPACITY_INCREASE_AMOUNT],l.operator):clearInterval(i)},s.FADE_IN_INTERVAL)},t.swipeRight=function(e){let t,a,i,E;i=Date.now(),(t=document.querySelector(e)).style.position="relative",a=setInterval(()=>{if((E=Date.now()-i)>=s.SWIPE_INTERVAL_TIME||t.style.opacity<=0)return clearInterval(a),void(t.style.left=0);t.style.left=`${E/5}px`},s.FADE_IN_INTERVAL)},t.tinderize=function(e,t,a){let i,E,n,l;l=`.${t}`,E=document.querySelector(l),e&&this.swipeRight(l),this.fade("OUT",l),i=setInterval(()=>{E.style.opacity<=0&&(clearInterval(i),E.style.opacity=0,this.cache.pages.hasOwnProperty(a.name.toLowerCase())?n=this.cache.pages[a.name]:(n=this[a.handler](a.name),this.cache.pages[a.name]=n),this.loadImages(n).then(()=>{this.emptyElementOfContent(l),E.appendChild(n),this.fade("IN",l)}))},s.CHECK_OPACITY_RATE)},t.assembleElement=function(e){let t,s,a,i,E;if(!this.isArray(e))return this.assembleElement.call(this,Array.prototype.slice.call(arguments));if(s=e[0],a=e[1],t=document.createElement(s),i=1,"object"==typeof a&&null!=a&&!this.isArray(a)){for(let e in a)t.setAttribute(e,a[e]);i=2}for(let s=i;s<e.length;s++)E=this.isArray(e[s])?this.assembleElement(e[s]):this.isElement(e[s])?e[s]:document.createTextNode(e[s]),t.appendChild(E);return t},t.assembleListElement=function(e,t){let s,a,E,n;return E={class:`${t}-li`},n={class:`${t}-link ${i.GENERAL__BUTTON_LINK}`},s=this.assembleElement(["li",E]),(a=this.assembleElement(["button",n,e.text])).addEventListener("click",()=>{this.handleButtonClicks(e,!1)},!1),s.appendChild(a),s},t.assembleHomeListElement=function(e){let t,E,n,l,_,r,c,o,T;return n={class:`home-${e.name} ${i.HOME__LI}`},l={class:i.HOME__LINK,role:"button"},_={class:i.HOME__PICTURE},r={media:`(min-width: ${s.IMAGE_MIN_WIDTH}px)`,srcset:`${a.IMAGES_FOLDER}/${e.picture.normal}`},c={class:i.GENERAL__RESPONSIVE_IMAGE,alt:e.text,src:`${a.IMAGES_FOLDER}/${e.picture.mobile}`},o={class:i.HOME__COVER},T={class:i.HOME__PHOTOTEXT},t=this.assembleElement(["li",n]),(E=this.assembleElement(["a",l,["picture",_,["source",r],["img",c]],["div",o,["p",T,e.text]]])).addEventListener("click",()=>{this.handleButtonClicks(e,!0)},!1),t.appendChild(E),t},t.assembleMetaListElement=function(e){let t,s,a;return t={class:i.META__LI},s={class:i.META__LI_TITLE},a={class:i.META__LI_TEXT+" "+i.GENERAL__BUTTON_LINK+" "+i.GENERAL__PLAINLINK,href:`mailto:${e.text}`},this.assembleElement(["li",t,["span",s,e.title],["a",a,e.text]])},t.assembleConnectListElement=function(e){let t,s,E,n,l,_,r;return t=e.text.toLowerCase(),s={class:"connect-"+e.text.toLowerCase()+" "+i.GENERAL__HAS_HEIGHT+" "+i.CONNECT__LI},E={href:e.link,title:e.text,class:i.CONNECT__LINK,target:a.LINK_TARGET},n={class:`${i.GENERAL__RESPONSIVE_IMAGE} ${i.CONNECT__SVG}`,alt:`${e.text} icon`,src:`${a.IMAGES_FOLDER}/${t}.${a.ICON_FORMAT}`},l={class:i.CONNECT__DESC},_={class:i.CONNECT__DESC_TITLE},r={class:i.CONNECT__DESC_TEXT},this.assembleElement(["li",s,["a",E,["img",n]],["div",l,["h5",_,e.description.title],["div",r,e.description.text]]])},t.assembleEssaySection=function(e){let t,s,a,E,n,l,_;return E={class:i.ESSAY__SECTION},n={class:`${i.ESSAY__TITLE} ${i.DIPTYCH__SUBHEADER}`},l={class:i.ESSAY__PARAGRAPHS},_={class:i.ESSAY__PARAGRAPH},t=this.assembleElement(["div",E]),e.title&&(s=this.assembleElement(["h3",n,e.title]),t.appendChild(s)),a=this.assembleElement(["div",l]),e.paragraphs.forEach(e=>{a.appendChild(this.assembleElement("p",_,e))}),t.appendChild(a),t},t.assembleEntry=function(e,t){let s,a,E,n,l,_,r,c,o,T,R,h,d,A,I;return _={class:i.ENTRY__SECTION},r={class:i.ENTRY__UPPER},c={class:i.ENTRY__HEADER},o={class:i.ENTRY__SUBHEADER},T={class:i.ENTRY__DATE},R={class:i.ENTRY__LOWER},h={class:i.ENTRY__PARAGRAPH},d={class:i.ENTRY__LISTING},A={class:i.ENTRY__LISTING_TITLE},I={class:i.ENTRY__LISTING_TEXT},s=this.assembleElement(["div",_]),n=this.assembleElement(["div",r,["div",c,e.header],["div",o,e.subheader]]),e.date&&n.appendChild(this.assembleElement(["div",T,e.date])),l=this.assembleElement(["div",R]),e.summary?(a=this.assembleElement(["p",h,e.summary]),l.appendChild(a)):e.listing&&e.listing.forEach(e=>{E=this.assembleElement(["div",d,["div",A,e.title],["div",I,e.array.join(", ")]]),l.appendChild(E)}),s.appendChild(n),s.appendChild(l),t&&s.appendChild(document.createElement("hr")),s},t.buildList=function(e,t,s=!1){let a,i,E,n;return i={class:`${n=t.toLowerCase()}-ul`},a=this.assembleElement(["ul",i]),E=`assemble${s?this.capitalize(t):""}ListElement`,e.forEach(e=>{a.appendChild(this[E](e,t))}),a},t.buildContainer=function(){let e,t,s;return e={class:i.WRAPPER__CONTAINER},t={class:i.WRAPPER__CONTENT},s={class:i.MAIN+" "+i.GENERAL__HAS_HEIGHT+" "+i.WRAPPER__CONTENT_SECTION},this.cache.pages.home=this.buildHome(),this.assembleElement(["div",e,["div",t,this.buildHeader(),["main",s,this.cache.pages.home],this.buildFooter()]])},t.buildHeader=function(){let e,t,s,E;return e={class:i.HEADER+" "+i.GENERAL__HAS_HEIGHT+" "+i.WRAPPER__CONTENT_SECTION},t={class:`${i.LOGO} ${i.HEADER__SECTION}`},s={class:i.LOGO__IMAGE+" "+i.GENERAL__RESPONSIVE_IMAGE+" "+i.LOGO__SECTION,alt:this.cache.data.header.image.alt,src:`${a.IMAGES_FOLDER}/${this.cache.data.header.image.src}`},E={class:`${i.LOGO__TEXT} ${i.LOGO__SECTION}`},this.assembleElement(["header",e,["section",t,["img",s],["h4",E,this.cache.data.header.name]],this.buildNav()])},t.buildNav=function(){let e,t,s,a,E,n,l;return e={class:`${i.NAV} ${i.HEADER__SECTION}`},t={class:i.NAV__HAMBURGER},s={class:i.NAV__UPPER_BAR},a={class:i.NAV__MIDDLE_BAR},E={class:i.NAV__LOWER_BAR},l=this.buildList(this.cache.data.home.array,"nav",!1),(n=this.assembleElement(["div",t,["div",s],["div",a],["div",E]])).addEventListener("click",()=>{this.handleMenuToggle(n,l),this.isMenuOpen&&document.addEventListener("click",this.handleOutsideClicks=(e=>{n.contains(e.target)||l.contains(e.target)||this.handleMenuToggle(n,l)}))}),this.assembleElement(["nav",e,n,l])},t.buildFooter=function(){let e,t,s,a,E,n,l;return e={class:i.FOOTER},t={class:i.FOOTER__UPPER+" "+i.FOOTER__SECTION+" "+i.GENERAL__HAS_HEIGHT+" "+i.WRAPPER__CONTENT_SECTION},s={class:i.FOOTER__LOWER+" "+i.FOOTER__SECTION+" "+i.GENERAL__HAS_HEIGHT+" "+i.WRAPPER__CONTENT_SECTION},a={class:i.FOOTER__COPYRIGHT},E=["section","meta",this.cache.data.details.email.slice(0,2),this.cache.data.footer.meta.summary],n=["nav","sitemap",this.cache.data.home.array],l=["section","connect",this.cache.data.footer.connect.array],this.assembleElement(["footer",e,["section",t,this.buildFooterUpperSection(...E),this.buildFooterUpperSection(...n),this.buildFooterUpperSection(...l)],["section",s,["span",a,this.cache.data.footer.copyright]]])},t.buildFooterUpperSection=function(e,t,s,a=null){let E,n,l,_;return n={class:`${E=t.toLowerCase()} ${i.FOOTER__UPPER_SECTION}`},l={class:`${E}-title ${i.FOOTER__TITLE}`},null!=a&&(_={class:`${E}-text`}),this.assembleElement([e,n,["h4",l,null!=a?a.title:this.capitalize(E)],null!=a?["div",_,a.text]:"",this.buildList(s,E,"nav"!==e)])},t.buildHome=function(){return this.buildList(this.cache.data.home.array.slice(1),"home",!0)},t.buildDiptych=function(e){let t,s,E,n,l,_,r,c;return c=this.cache.data[e].aside,t={class:`${i.DIPTYPCH} ${i.GENERAL__HAS_HEIGHT}`},s={class:`${i.LEFT__PANEL} ${i.DIPTYCH__PANEL}`},E={class:i.LEFT__AVATAR,src:`${a.IMAGES_FOLDER}/${e}.webp`,alt:`${this.capitalize(e)} avatar`},l={class:`${i.LEFT__HEADER} ${i.DIPTYCH__HEADER}`},_={class:`${i.LEFT__SUBHEADER} ${i.DIPTYCH__SUBHEADER}`},r={class:i.LEFT__SUMMARY},n=this.assembleElement(["aside",s,["img",E],["h1",l,c.header]]),c.subheader&&n.appendChild(this.assembleElement(["h5",_,c.subheader])),n.appendChild(this.assembleEssaySection(this.cache.data[e].aside.summary)),c.canShowTable&&n.appendChild(this.buildLeftDetailsTable()),this.assembleElement(["section",t,n,this.buildRightPanel(e)])},t.buildRightPanel=function(e){let t,s,a,E,n,l,_;return n={class:`${i.RIGHT__PANEL} ${i.DIPTYCH__PANEL}`},l={class:`${i.RIGHT__HEADER} ${i.DIPTYCH__HEADER}`},_={class:i.RIGHT__CONTENT},s=this.cache.data[e].article,t=this.assembleElement(["article",n]),a=this.assembleElement(["h2",l,s.header]),E=this.assembleElement(["section",_]),s.essaySections?s.essaySections.forEach(e=>{E.appendChild(this.assembleEssaySection(e))}):s.entries&&s.entries.forEach((e,t)=>{E.appendChild(this.assembleEntry(e,t<s.entries.length-1))}),t.appendChild(a),t.appendChild(E),s.canShowTable&&E.appendChild(this.buildRightDetailsTable()),t},t.buildLeftDetailsTable=function(){let e,t,s,E,n,l,_,r,c,o,T,R;e=this.cache.data.details.email,c={class:i.LEFT__DETAILS},o={class:i.LEFT__DETAILS_HEADER+" "+i.LEFT__SUBHEADER+" "+i.DIPTYCH__SUBHEADER},s={class:i.LEFT__DETAILS_TABLE},t=this.assembleElement(["table",s]),E=document.createElement("tbody"),r=this.assembleElement(["section",c,["h3",o,a.EMAIL_ADDRESSES]]),t.appendChild(E);for(let t=0;t<e.length;t++){(l=E.insertRow(t)).setAttribute("class",i.LEFT__DETAILS_ROW),n=Object.keys(e[t]);for(let s=0;s<n.length;s++)(_=l.insertCell(s)).setAttribute("class",i.LEFT__DETAILS_CELL),T=s%2==0?"span":"a",R=s%2==0?{class:`${i.LEFT__DETAILS_CELL}-title`}:{class:i.LEFT__DETAILS_CELL+"-text "+i.GENERAL__BUTTON_LINK+" "+i.GENERAL__PLAINLINK,href:`mailto:${e[t][n[s]]}`},_.appendChild(this.assembleElement([T,R,e[t][n[s]]]))}return r.appendChild(t),r},t.buildRightDetailsTable=function(){let e,t,s,E,n,l,_,r,c,o;_=this.cache.data.details,E={class:i.RIGHT__DETAILS_UL},n={class:i.RIGHT__DETAILS},l={class:`${i.RIGHT__DETAILS_HEADER} ${i.DIPTYCH__SUBHEADER}`},r={class:i.RIGHT__DETAILS_LI},c={class:i.RIGHT__DETAILS_LI_TITLE},o={class:i.RIGHT__DETAILS_LI_TEXT+" "+i.GENERAL__BUTTON_LINK+" "+i.GENERAL__PLAINLINK},t=this.assembleElement(["ul",E]),e=this.assembleElement(["div",n,["h3",l,a.CONTACT_INFO],t]);for(let e in _)_[e].forEach(i=>{s=Object.keys(i),o.href=("email"===e?"mailto:":"")+i[s[1]],"sites"===e&&(o.target=a.LINK_TARGET),t.appendChild(this.assembleElement(["li",r,["span",c,i[s[0]]],["a",o,i[s[1]]]]))});return e.appendChild(t),e},t.buildErrorPage=function(e){let t,s,E,n,l,_,r,c,o;return t={class:i.ERROR},s={class:i.ERROR__HEADER},E={class:i.ERROR__SUBHEADER},n={class:i.ERROR__CONTENT},l={class:i.ERROR__SUMMARY},_={class:`${i.GENERAL__BUTTON_LINK} ${i.GENERAL__PLAINLINK}`,href:`mailto:${a.ERROR_EMAIL}`},r={class:i.ERROR__TECH},c={class:i.ERROR__TECH_TITLE},o={class:i.ERROR__TECH_TEXT},this.assembleElement(["section",t,["h1",s,a.ERROR_HEADER],["h2",E,a.ERROR_SUBHEADER],["div",n,["div",l,a.ERROR_SUMMARY],["a",_,a.ERROR_EMAIL]],["div",r,["span",c,`${this.capitalize(e)}: `],["span",o,this.cache.data.error]]])},t.handleButtonClicks=function(e,t=!1){this.isVisible(`.${i.NAV__HAMBURGER}`)&&this.isVisible(`.${i.NAV__UL}`)&&this.handleMenuToggle(),this.cache.data.hasOwnProperty(e.name.toLowerCase())?this.tinderize(t,i.MAIN,e):this.sendRequest("GET",`json/${e.name}.json`).then(s=>{let a;(a=JSON.parse(s)).success&&(this.cache.data=Object.assign(this.cache.data,a.data),this.tinderize(t,i.MAIN,e))},e=>{this.handleErrors(""!==e.message?e.message:a.ERROR_GET)})},t.handleMenuToggle=function(){let e,t;e=document.querySelector(`.${i.NAV__HAMBURGER}`),t=document.querySelector(`.${i.NAV__UL}`),e.classList.toggle(i.GENERAL__ACTIVE),t.classList.toggle(i.GENERAL__IS_VISIBLE),this.isMenuOpen=!this.isMenuOpen,null!=this.handleOutsideClicks&&document.removeEventListener("click",this.handleOutsideClicks)},t.handleErrors=function(e){this.cache.data.error=e,this.tinderize(!1,i.WRAPPER__CONTENT,{name:"error",handler:"buildErrorPage"})},t.main=function(){let e,t;this.isMenuOpen=!1,this.cache={data:{},pages:{}},this.sendRequest("GET","json/data.json").then(s=>{(e=JSON.parse(s)).success&&(this.cache.data=Object.assign(this.cache.data,e.data),t=this.buildContainer(),this.loadImages(t).then(()=>{document.body.appendChild(t),this.fade("IN",`.${i.WRAPPER__CONTAINER}`)}))},e=>{this.handleErrors(""!==e.message?e.message:a.ERROR_GET)})},e.getUtility=function(){return Object.assign({},s)},e.getText=function(){return Object.assign({},a)},e.getClasses=function(){return Object.assign({},i)},e.getOperations=function(){return Object.assign({},E)},e.init=function(){t.main()},e}();
\ No newline at end of file
+"use strict";const Module=function(){let e,t;e=e||{},t=t||{};const s=!1,a=Object.freeze({TRANSITION_DURATION:250,INITIAL_TRANSITION_DURATION:600,SLIDE_DISTANCE:60,REDUCED_TRANSITION_DURATION:100,SWIPE_AXIS_LOCK_DISTANCE:10,SWIPE_COMMIT_RATIO:.25,SWIPE_COMMIT_VELOCITY:.5,SWIPE_EDGE_RESISTANCE:3,IMAGE_MIN_WIDTH:992,PREFETCH_IDLE_TIMEOUT:2e3,PREFETCH_FALLBACK_DELAY:200,REQUEST_TIMEOUT:8e3,REQUEST_RETRIES:2,RETRY_BASE_DELAY:300,PAGE_CACHE_LIMIT:5,CACHE_VERSION:2,FORMAT_VERSION:3,QR_MAX_VERSION:40,QR_QUIET_ZONE:4,VCARD_LINE_LENGTH:75,TOAST_DURATION:5e3,TOAST_LIMIT:3}),n=Object.freeze({IMAGES_FOLDER:"images",IMAGES_LOADED:"$1 image(s) loaded",ICON_FORMAT:"svg",LINK_TARGET:"_blank",LINK_REL:"noopener noreferrer",UNSAFE_LINK:'Link to "$1" removed, as only http(s) and mailto are allowed',EXISTS:'"$1" exists in cache',DOES_NOT_EXIST:'"$1" does not exist in cache',REQUEST_IN_FLIGHT:'"$1" already requested',PREFETCHED:'"$1" prefetched',PREFETCH_FAILED:'Prefetch of "$1" failed',PREFETCH_SKIPPED:"Prefetching disabled to save data",LISTENER_REMOVED:"Event listener removed",STATE_CHANGED:'Navigation to "$1" is $2',NAVIGATION_SUPERSEDED:'Navigation to "$1" superseded',DEFAULT_TRANSITION:"fade",UNKNOWN_TRANSITION:'Unknown transition "$1", using default',DEFAULT_SOURCE:"STATIC",UNKNOWN_SOURCE:'Unknown content source "$1", using default',REDUCED_MOTION_QUERY:"(prefers-reduced-motion: reduce)",REDUCED_MOTION_KEY:"reducedMotion",REDUCED_MOTION_CHANGED:"Reduced motion is $1",CACHE_KEY:"sceneCache",CACHE_SERVED:'"$1" served from persistent cache',CACHE_UPDATED:'"$1" updated since last visit',CACHE_REVALIDATION_FAILED:'Unable to revalidate "$1": $2',CACHE_CLEARED:"Cache cleared",STORAGE_UNAVAILABLE:"Local storage unavailable",DEFAULT_LOCALE:"en",LOCALE_KEY:"locale",LOCALE_CHANGED:'Language set to "$1"',LOCALE_FALLBACK:'"$1" unavailable, using default language',ERROR_GET:"Unable to acquire JSON data via GET request",ERROR_NETWORK:'Unable to reach the server for "$1"',ERROR_TIMEOUT:'Request for "$1" timed out after $2 ms',ERROR_HTTP:'Request for "$1" failed with status $2 $3',ERROR_PARSE:'Response for "$1" is not valid JSON',ERROR_FAILURE:'Response for "$1" indicated an unsuccessful request',ERROR_TITLE:"$1 error: ",REQUEST_RETRY:'Retrying "$1" in $2 ms (attempt $3 of $4)',DATA_NAME:"data",SCHEMA_VIOLATION:'$1: expected $2 at "$3", found $4',SCHEMA_NOTHING:"nothing",SCHEMA_NEITHER:"neither",SCHEMA_UNKNOWN:"a recognized property",SCHEMA_PATTERN:"a string matching $1",FORMAT_INVALID:'$1: format version "$2" is not a positive integer',FORMAT_UNSUPPORTED:"$1: format version $2 is newer than the latest supported version, $3",FORMAT_MIGRATED:"$1 migrated from format version $2 to $3",TOKEN_UNKNOWN:'Unknown template token "$1" left as is',TOKEN_UNRESOLVED:'Template token "$1" could not be resolved',TOKEN_DEPENDENCY_FAILED:'Unable to load "$1" for template tokens',ERROR_EMAIL:"webmaster@andreweissen.com",ROUTE_PREFIX:"#/",ROUTE_CHANGED:'Route changed to "$1"',NOT_FOUND_NAME:"notfound",OFFLINE_NAME:"offline",RESUME_NAME:"resume",RESUME_STYLESHEET:"css/print.min.css",RESUME_STYLESHEET_FAILED:'Unable to embed "$1" in the exported resume',RESUME_FILE_NAME:"$1-resume.$2",JSON_RESUME_SCHEMA:"https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",JSON_RESUME_NAME:"JSON Resume",JSON_RESUME_SITE:"the site's files",JSON_RESUME_UNMAPPED:"$1 has no counterpart in $2 and was left out",JSON_RESUME_FREE_DATE:'$1 "$2" is not a structured date and was left out',JSON_RESUME_DATE:'$1 "$2" is not of the form YYYY, YYYY-MM, or YYYY-MM-DD and was left out',JSON_RESUME_DAY:'$1 "$2" was shortened to the month, as entries are not dated by day',JSON_RESUME_NO_DATA:"$1 requires the contents of data.json and was left out",JSON_RESUME_HIGHLIGHTS:"Highlights",JSON_RESUME_COURSES:"Relevant courses",JSON_RESUME_DEGREE:"$1 in $2",JSON_RESUME_EMAIL:"Email",JSON_RESUME_PHONE:"Phone",JSON_RESUME_ADDRESS:"Address",MATRIX_LINK:"https://matrix.to/#/$1",PGP_FINGERPRINT_URI:"openpgp4fpr:$1",CLIPBOARD_UNAVAILABLE:"Unable to access the clipboard",VCARD_VERSION:"4.0",VCARD_TYPE:"text/vcard",VCARD_FILE_NAME:"$1.vcf",QR_TOO_LONG:"Unable to fit $1 bytes in a QR code, using site address",SVG_NAMESPACE:"http://www.w3.org/2000/svg",SERVICE_WORKER:"sw.js",SERVICE_WORKER_REGISTERED:"Service worker registered with scope $1",SERVICE_WORKER_FAILED:"Service worker registration failed: $1"}),i=Object.freeze({en:Object.freeze({name:"English",dir:"ltr"}),de:Object.freeze({name:"Deutsch",dir:"ltr"})}),r=Object.freeze({en:Object.freeze({LANGUAGE_LABEL:"Language",MENU_LABEL:"Menu",EMAIL_ADDRESSES:"My Email Addresses",CONTACT_DETAILS:"My Contact Details",CONTACT_INFO:"Contact Information",COPY:"Copy",COPY_LABEL:"Copy $1",COPIED:"$1 copied to the clipboard",COPY_FAILED:"Unable to copy $1",DISMISS:"Dismiss",AVATAR_ALT:"$1 avatar",REDUCED_MOTION_TOGGLE:"Reduce motion",SCENE_ANNOUNCEMENT:"$1 page loaded",SCENE_UPDATED:"$1 page updated",SHORTCUTS_TITLE:"Keyboard shortcuts",SHORTCUTS_CLOSE:"Close",SHORTCUT_PREVIOUS:"Previous scene",SHORTCUT_NEXT:"Next scene",SHORTCUT_JUMP:"Go to the numbered scene",SHORTCUT_HOME:"Go to the homepage",SHORTCUT_HELP:"Show or hide this list",ERROR_HEADER:"Oops!",ERROR_SUBHEADER:"An error was encountered",ERROR_SUMMARY:"This site is currently experiencing unresolved technical difficulties that may be due to ongoing maintenance. Please reload the page and try again or contact the webmaster for assistance at ",ERROR_DETAILS:"Error details",NOT_FOUND_HEADER:"404",NOT_FOUND_SUBHEADER:"Page not found",NOT_FOUND_SUMMARY:"The page you requested does not exist or may have been moved. Please check the address or return to the ",NOT_FOUND_LINK:"homepage",OFFLINE_HEADER:"Offline",OFFLINE_SUBHEADER:"This page is not available offline",OFFLINE_SUMMARY:"Your connection appears to have been lost. Pages you have visited previously remain available, while this one can be loaded once you are back online.",OFFLINE_RETRY:"Try again",OFFLINE_NOTICE:"You are offline. Pages you have visited remain available.",OFFLINE_STILL:"You are still offline",ONLINE_NOTICE:"You are back online",DATE_RANGE:"$1 – $2",DATE_SINCE:"since $1",DATE_DURATION:"$1 · $2",DURATION_YEARS:{one:"$1 yr",other:"$1 yrs"},DURATION_MONTHS:{one:"$1 mo",other:"$1 mos"},RESUME_LINK:"Resume",RESUME_TITLE:"$1 – Resume",RESUME_HINT:"Uncheck any section or entry to leave it out of the printed and downloaded resume.",RESUME_PRINT:"Print",RESUME_DOWNLOAD_HTML:"Download HTML",RESUME_DOWNLOAD_TEXT:"Download text",RESUME_EXPORT_FAILED:"Unable to download the resume",CONTACT_CARD:"Save My Details",CONTACT_CARD_HINT:"Scan the code with a phone camera or save the contact card to add my details to your address book.",CONTACT_SAVE:"Save contact",QR_OPTIONS:"QR code contents",QR_VCARD:"Contact card",QR_SITE:"Website",QR_LABEL:"QR code: $1"}),de:Object.freeze({LANGUAGE_LABEL:"Sprache",MENU_LABEL:"Menü",EMAIL_ADDRESSES:"Meine E-Mail-Adressen",CONTACT_DETAILS:"Meine Kontaktdaten",CONTACT_INFO:"Kontaktinformationen",COPY:"Kopieren",COPY_LABEL:"$1 kopieren",COPIED:"$1 in die Zwischenablage kopiert",COPY_FAILED:"$1 konnte nicht kopiert werden",DISMISS:"Schließen",AVATAR_ALT:"Avatar: $1",REDUCED_MOTION_TOGGLE:"Bewegung reduzieren",SCENE_ANNOUNCEMENT:"Seite $1 geladen",SCENE_UPDATED:"Seite $1 aktualisiert",SHORTCUTS_TITLE:"Tastenkürzel",SHORTCUTS_CLOSE:"Schließen",SHORTCUT_PREVIOUS:"Vorherige Seite",SHORTCUT_NEXT:"Nächste Seite",SHORTCUT_JUMP:"Zur nummerierten Seite wechseln",SHORTCUT_HOME:"Zur Startseite wechseln",SHORTCUT_HELP:"Diese Liste ein- oder ausblenden",ERROR_HEADER:"Hoppla!",ERROR_SUBHEADER:"Ein Fehler ist aufgetreten",ERROR_SUMMARY:"Auf dieser Website bestehen derzeit technische Schwierigkeiten, die möglicherweise auf laufende Wartungsarbeiten zurückzuführen sind. Bitte laden Sie die Seite neu und versuchen Sie es erneut oder wenden Sie sich an den Webmaster unter ",ERROR_DETAILS:"Fehlerdetails",NOT_FOUND_SUBHEADER:"Seite nicht gefunden",NOT_FOUND_SUMMARY:"Die angeforderte Seite existiert nicht oder wurde möglicherweise verschoben. Bitte überprüfen Sie die Adresse oder wechseln Sie zur ",NOT_FOUND_LINK:"Startseite",OFFLINE_SUBHEADER:"Diese Seite ist offline nicht verfügbar",OFFLINE_SUMMARY:"Ihre Verbindung scheint unterbrochen worden zu sein. Bereits besuchte Seiten bleiben verfügbar, während diese geladen werden kann, sobald Sie wieder online sind.",OFFLINE_RETRY:"Erneut versuchen",OFFLINE_NOTICE:"Sie sind offline. Bereits besuchte Seiten bleiben verfügbar.",OFFLINE_STILL:"Sie sind weiterhin offline",ONLINE_NOTICE:"Sie sind wieder online",DATE_SINCE:"seit $1",DURATION_YEARS:{one:"$1 J.",other:"$1 J."},DURATION_MONTHS:{one:"$1 Mon.",other:"$1 Mon."},RESUME_LINK:"Lebenslauf",RESUME_TITLE:"$1 – Lebenslauf",RESUME_HINT:"Entfernen Sie das Häkchen eines Abschnitts oder Eintrags, um ihn im gedruckten und heruntergeladenen Lebenslauf auszulassen.",RESUME_PRINT:"Drucken",RESUME_DOWNLOAD_HTML:"HTML herunterladen",RESUME_DOWNLOAD_TEXT:"Text herunterladen",RESUME_EXPORT_FAILED:"Der Lebenslauf konnte nicht heruntergeladen werden",CONTACT_CARD:"Meine Kontaktdaten speichern",CONTACT_CARD_HINT:"Scannen Sie den Code mit der Kamera Ihres Telefons oder speichern Sie die Kontaktkarte, um meine Daten Ihrem Adressbuch hinzuzufügen.",CONTACT_SAVE:"Kontakt speichern",QR_OPTIONS:"Inhalt des QR-Codes",QR_VCARD:"Kontaktkarte",QR_SITE:"Website",QR_LABEL:"QR-Code: $1"})}),l=Object.freeze({GENERAL__RESPONSIVE_IMAGE:"responsive-image",GENERAL__HAS_HEIGHT:"has-height",GENERAL__BUTTON_LINK:"button-link",GENERAL__ACTIVE:"active",GENERAL__IS_VISIBLE:"is-visible",GENERAL__PLAINLINK:"plainlink",GENERAL__REDUCED_MOTION:"reduced-motion",GENERAL__VISUALLY_HIDDEN:"visually-hidden",GENERAL__INLINE_LINK:"inline-link",GENERAL__INLINE_CODE:"inline-code",WRAPPER__CONTAINER:"container",WRAPPER__CONTENT:"content",WRAPPER__CONTENT_SECTION:"content-section",HEADER:"header",HEADER__SECTION:"header-section",LOGO:"logo",LOGO__SECTION:"logo-section",LOGO__IMAGE:"logo-img",LOGO__TEXT:"logo-text",LOCALE:"locale",LOCALE__SELECT:"locale-select",NAV:"nav",NAV__UL:"nav-ul",NAV__HAMBURGER:"nav-hamburger",NAV__UPPER_BAR:"nav-hamburger-upper-bar",NAV__MIDDLE_BAR:"nav-hamburger-middle-bar",NAV__LOWER_BAR:"nav-hamburger-lower-bar",MAIN:"main",MAIN__ANNOUNCER:"main-announcer",SHORTCUTS:"shortcuts",SHORTCUTS__DIALOG:"shortcuts-dialog",SHORTCUTS__TITLE:"shortcuts-title",SHORTCUTS__LIST:"shortcuts-list",SHORTCUTS__KEYS:"shortcuts-keys",SHORTCUTS__KEY:"shortcuts-key",SHORTCUTS__DESC:"shortcuts-description",SHORTCUTS__CLOSE:"shortcuts-close",ERROR:"error",ERROR__HEADER:"error-header",ERROR__SUBHEADER:"error-subheader",ERROR__CONTENT:"error-content",ERROR__SUMMARY:"error-summary",ERROR__TECH:"error-technical",ERROR__TECH_TITLE:"error-technical-title",ERROR__TECH_TEXT:"error-technical-text",ERROR__TECH_LIST:"error-technical-list",ERROR__COPY:"error-copy",FOOTER:"footer",FOOTER__SECTION:"footer-section",FOOTER__UPPER:"footer-upper",FOOTER__UPPER_SECTION:"footer-upper-section",FOOTER__TITLE:"footer-title",FOOTER__LOWER:"footer-lower",FOOTER__COPYRIGHT:"copyright",FOOTER__MOTION_TOGGLE:"motion-toggle",FOOTER__RESUME_LINK:"resume-link",HOME__LI:"home-li",HOME__LINK:"home-link",HOME__PICTURE:"home-picture",HOME__COVER:"home-cover",HOME__PHOTOTEXT:"home-phototext",META__LI:"meta-li",META__LI_TITLE:"meta-li-title",META__LI_TEXT:"meta-li-text",CONNECT__LI:"connect-li",CONNECT__LINK:"connect-link",CONNECT__SVG:"connect-svg",CONNECT__DESC:"connect-description",CONNECT__DESC_TITLE:"connect-description-title",CONNECT__DESC_TEXT:"connect-description-text",DIPTYPCH:"diptych",DIPTYCH__PANEL:"diptych-panel",DIPTYCH__HEADER:"diptych-header",DIPTYCH__SUBHEADER:"diptych-subheader",LEFT__PANEL:"left",LEFT__AVATAR:"left-avatar",LEFT__HEADER:"left-header",LEFT__SUBHEADER:"left-subheader",LEFT__SUMMARY:"left-summary",LEFT__DETAILS:"left-details",LEFT__DETAILS_HEADER:"left-details-header",LEFT__DETAILS_TABLE:"left-details-table",LEFT__DETAILS_ROW:"left-details-row",LEFT__DETAILS_CELL:"left-details-cell",RIGHT__PANEL:"right",RIGHT__HEADER:"right-header",RIGHT__CONTENT:"right-content",RIGHT__DETAILS:"right-details",RIGHT__DETAILS_HEADER:"right-details-header",RIGHT__DETAILS_UL:"right-details-ul",RIGHT__DETAILS_LI:"right-details-li",RIGHT__DETAILS_LI_TITLE:"right-details-li-title",RIGHT__DETAILS_LI_TEXT:"right-details-li-text",ESSAY__SECTION:"essay-section",ESSAY__TITLE:"essay-title",ESSAY__PARAGRAPHS:"essay-paragraphs",ESSAY__PARAGRAPH:"essay-paragraph",ENTRY__SECTION:"entry-section",ENTRY__UPPER:"entry-upper",ENTRY__HEADER:"entry-header",ENTRY__SUBHEADER:"entry-subheader",ENTRY__DATE:"entry-date",ENTRY__LOWER:"entry-lower",ENTRY__PARAGRAPH:"entry-paragraph",ENTRY__LISTING:"entry-listing",ENTRY__LISTING_TITLE:"entry-listing-title",ENTRY__LISTING_TEXT:"entry-listing-text",RESUME:"resume",RESUME__HEADER:"resume-header",RESUME__NAME:"resume-name",RESUME__CONTACT:"resume-contact",RESUME__CONTACT_ITEM:"resume-contact-item",RESUME__CONTROLS:"resume-controls",RESUME__HINT:"resume-hint",RESUME__ACTIONS:"resume-actions",RESUME__BUTTON:"resume-button",RESUME__TOGGLE:"resume-toggle",RESUME__EXCLUDED:"resume-excluded",RESUME__SECTION:"resume-section",RESUME__SECTION_HEADER:"resume-section-header",RESUME__ENTRY:"resume-entry",RESUME__ENTRY_HEADER:"resume-entry-header",RESUME__ENTRY_SUBHEADER:"resume-entry-subheader",RESUME__ENTRY_DATE:"resume-entry-date",RESUME__ENTRY_TEXT:"resume-entry-text",CONTACT__ADDRESS:"contact-address",CONTACT__FINGERPRINT:"contact-fingerprint",CONTACT__COPY:"contact-copy",TOASTS:"toasts",TOAST:"toast",TOAST__MESSAGE:"toast-message",TOAST__CLOSE:"toast-close",CARD:"contact-card",CARD__HEADER:"contact-card-header",CARD__HINT:"contact-card-hint",CARD__CODE:"contact-card-code",CARD__OPTIONS:"contact-card-options",CARD__BUTTON:"contact-card-button"}),o=Object.freeze({ADDITION:function(e,t){return e+t},SUBTRACTION:function(e,t){return e-t},GREATER_THAN:function(e,t){return e>t},LESS_THAN:function(e,t){return e<t}}),c=Object.freeze({IDLE:"idle",FETCHING:"fetching",LEAVING:"leaving",ENTERING:"entering"}),E=Object.freeze({NONE:Object.freeze({duration:0,direction:1,overlap:!1,leave:{opacity:1,offset:0},start:{opacity:1,offset:0},enter:{opacity:1,offset:0}}),FADE:Object.freeze({duration:a.TRANSITION_DURATION,direction:1,overlap:!1,leave:{opacity:0,offset:0},start:{opacity:0,offset:0},enter:{opacity:1,offset:0}}),CROSSFADE:Object.freeze({duration:a.TRANSITION_DURATION,direction:1,overlap:!0,leave:{opacity:0,offset:0},start:{opacity:0,offset:0},enter:{opacity:1,offset:0}}),SLIDE:Object.freeze({duration:a.TRANSITION_DURATION,direction:null,overlap:!1,leave:{opacity:0,offset:-1},start:{opacity:0,offset:1},enter:{opacity:1,offset:0}}),SLIDE_LEFT:Object.freeze({duration:a.TRANSITION_DURATION,direction:1,overlap:!1,leave:{opacity:0,offset:-1},start:{opacity:0,offset:1},enter:{opacity:1,offset:0}}),SLIDE_RIGHT:Object.freeze({duration:a.TRANSITION_DURATION,direction:-1,overlap:!1,leave:{opacity:0,offset:-1},start:{opacity:0,offset:1},enter:{opacity:1,offset:0}}),REDUCED:Object.freeze({duration:a.REDUCED_TRANSITION_DURATION,direction:1,overlap:!1,leave:{opacity:0,offset:0},start:{opacity:0,offset:0},enter:{opacity:1,offset:0}})}),h=Object.freeze({NETWORK:"network",TIMEOUT:"timeout",HTTP:"HTTP",PARSE:"parse",FAILURE:"response",SCHEMA:"schema",FORMAT:"format"}),u=Object.freeze({SUCCESS:Object.freeze({modifier:"success",role:"status"}),INFO:Object.freeze({modifier:"info",role:"status"}),ERROR:Object.freeze({modifier:"error",role:"alert"})}),d=Object.freeze({email:Object.freeze({renderer:"assembleEmailContact",value:{type:"string",pattern:/^[^@\s]+@[^@\s]+$/}}),url:Object.freeze({renderer:"assembleUrlContact",value:{type:"string"}}),phone:Object.freeze({renderer:"assemblePhoneContact",value:{type:"string",pattern:/^\+?[\d\s().-]{3,}$/}}),address:Object.freeze({renderer:"assembleAddressContact",value:{type:"object",properties:{street:{type:"string"},locality:{type:"string"},region:{type:"string",optional:!0},postalCode:{type:"string",optional:!0},country:{type:"string",optional:!0}}}}),pgp:Object.freeze({renderer:"assemblePgpContact",value:{type:"string",pattern:/^[\dA-F]{4}(?: ?[\dA-F]{4}){9}$/i}}),matrix:Object.freeze({renderer:"assembleMatrixContact",value:{type:"string",pattern:/^@[^:\s]+:\S+$/}})}),_=Object.freeze({DATA:Object.freeze({type:"object",properties:{header:{type:"object",properties:{image:{type:"object",properties:{alt:{type:"string"},src:{type:"string"}}},name:{type:"string"}}},home:{type:"object",properties:{array:{type:"array",items:{type:"object",properties:{name:{type:"string"},text:{type:"string"},handler:{type:"string",enum:["buildHome","buildDiptych"]},transition:{type:"string",optional:!0},picture:{type:"object",optional:!0,properties:{normal:{type:"string"},mobile:{type:"string"}}}}}}}},details:{type:"object",properties:{contacts:{type:"array",items:{type:"object",variant:"type",variants:Object.keys(d).reduce((e,t)=>(e[t]={type:"object",properties:{type:{type:"string"},title:{type:"string"},value:d[t].value,footer:{type:"boolean",optional:!0}}},e),{})}}}},footer:{type:"object",properties:{copyright:{type:"string"},meta:{type:"object",properties:{summary:{type:"object",properties:{title:{type:"string"},text:{type:"string"}}}}},connect:{type:"object",properties:{array:{type:"array",items:{type:"object",properties:{text:{type:"string"},link:{type:"string"},description:{type:"object",properties:{title:{type:"string"},text:{type:"string"}}}}}}}}}}}}),SCENE:Object.freeze({type:"object",properties:{aside:{type:"object",properties:{header:{type:"string"},subheader:{type:"string",optional:!0},canShowTable:{type:"boolean",optional:!0},summary:{type:"object",properties:{title:{type:"string",optional:!0},paragraphs:{type:"array",items:{type:"string"}}}}}},article:{type:"object",exactlyOne:["essaySections","entries"],properties:{header:{type:"string"},canShowTable:{type:"boolean",optional:!0},sort:{type:"string",optional:!0,enum:["ascending","descending"]},essaySections:{type:"array",optional:!0,items:{type:"object",properties:{title:{type:"string",optional:!0},paragraphs:{type:"array",items:{type:"string"}}}}},entries:{type:"array",optional:!0,items:{type:"object",exactlyOne:["summary","listing"],properties:{header:{type:"string"},subheader:{type:"string"},date:{type:"string",optional:!0},start:{type:"string",optional:!0,pattern:/^\d{4}(?:-(?:0[1-9]|1[0-2]))?$/},end:{type:"string",optional:!0,pattern:/^\d{4}(?:-(?:0[1-9]|1[0-2]))?$/},ongoing:{type:"boolean",optional:!0},summary:{type:"string",optional:!0},listing:{type:"array",optional:!0,items:{type:"object",properties:{title:{type:"string"},items:{type:"array",items:{type:"string"}}}}}}}}}}}})}),p=Object.freeze({1:"migrateListingItems",2:"migrateTypedContacts"}),T=Object.freeze({STATIC:Object.freeze({adapter:"fetchStaticContent",baseUrl:"json/"}),REST:Object.freeze({adapter:"fetchRestContent",baseUrl:"api/content/",formatVersion:3,localeParameter:"locale",itemPath:"data.attributes",fields:Object.freeze({data:Object.freeze({header:"branding",home:"navigation",details:"details",footer:"footer"}),scene:Object.freeze({aside:"sidebar",article:"body"})})})}),m=Object.freeze({year:"resolveYearToken",yearsSince:"resolveYearsSinceToken",count:"resolveCountToken"}),R=Object.freeze({EXPERIENCE:"experience",EDUCATION:"education",EXPERTISE:"expertise",AWARDS:"awards"}),O=Object.freeze({HTML:Object.freeze({label:"RESUME_DOWNLOAD_HTML",type:"text/html",extension:"html",handler:"getResumeDocument"}),TEXT:Object.freeze({label:"RESUME_DOWNLOAD_TEXT",type:"text/plain",extension:"txt",handler:"getResumeText"})}),S=Object.freeze({experience:Object.freeze({section:"work",exporter:"exportWorkEntry",importer:"importWorkEntry"}),education:Object.freeze({section:"education",exporter:"exportEducationEntry",importer:"importEducationEntry"}),expertise:Object.freeze({section:"skills",exporter:"exportSkillEntry",importer:"importSkillEntry"}),awards:Object.freeze({section:"awards",exporter:"exportAwardEntry",importer:"importAwardEntry"})}),A=Object.freeze({FORMAT_BITS:0,CODEWORDS_PER_BLOCK:Object.freeze([null,10,16,26,18,24,16,18,22,22,26,30,22,22,24,24,28,28,26,26,26,26,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28]),BLOCKS:Object.freeze([null,1,1,1,2,2,4,4,4,5,5,5,8,9,9,10,10,11,13,14,16,17,17,18,20,21,23,25,26,28,29,31,33,35,37,38,40,43,45,47,49])});return t.sendRequest=function(e,t,s=null,n={}){let i,r,l,o;return i={method:e,headers:{Accept:"application/json"},cache:n.cache||"default"},r=null!=n.timeout?n.timeout:a.REQUEST_TIMEOUT,l="GET"!==e?0:null!=n.retries?n.retries:a.REQUEST_RETRIES,"POST"===e&&null!=s&&(!0===s.encode?(i.headers["Content-Type"]="application/json",i.body=JSON.stringify(s.params)):(i.headers["Content-Type"]="application/x-www-form-urlencoded",i.body=this.serialize(s.params))),o=e=>this.fetchJson(t,i,r).catch(t=>{let s;if(e>=l||!this.isRetryable(t))throw t;return s=a.RETRY_BASE_DELAY*Math.pow(2,e),this.wait(s).then(()=>o(e+1))}),o(0)},t.fetchJson=function(e,t,s){let a,i;return a=new AbortController,i=window.setTimeout(()=>{a.abort()},s),fetch(e,Object.assign({signal:a.signal},t)).then(t=>{if(!t.ok)throw this.createRequestError(h.HTTP,n.ERROR_HTTP.replace("$1",e).replace("$2",t.status).replace("$3",t.statusText).trim(),e,t.status);return t.text()}).then(t=>{let s;try{s=JSON.parse(t)}catch(t){throw this.createRequestError(h.PARSE,n.ERROR_PARSE.replace("$1",e),e)}if(null!=s&&!1===s.success)throw this.createRequestError(h.FAILURE,n.ERROR_FAILURE.replace("$1",e),e);return s}).catch(t=>{if(null!=t.type)throw t;throw"AbortError"===t.name?this.createRequestError(h.TIMEOUT,n.ERROR_TIMEOUT.replace("$1",e).replace("$2",s),e):this.createRequestError(h.NETWORK,n.ERROR_NETWORK.replace("$1",e),e)}).finally(()=>{window.clearTimeout(i)})},t.createRequestError=function(e,t,s,a=null){return Object.assign(new Error(t),{type:e,url:s,status:a})},t.isRetryable=function(e){switch(e.type){case h.NETWORK:case h.TIMEOUT:return!this.isOffline();case h.HTTP:return e.status>=500||408===e.status||429===e.status;default:return!1}},t.wait=function(e){return new Promise(t=>{window.setTimeout(t,e)})},t.getValueType=function(e){return null===e?"null":this.isArray(e)?"array":typeof e},t.validate=function(e,t,s=""){let a,i,r,l,o;return a=[],i=this.getValueType(e),r=e=>""!==s?`${s}.${e}`:e,i!==t.type?(a.push({path:s,expected:t.type,found:i}),a):(t.enum&&!t.enum.includes(e)&&a.push({path:s,expected:t.enum.join(" or "),found:`"${e}"`}),t.pattern&&!t.pattern.test(e)&&a.push({path:s,expected:n.SCHEMA_PATTERN.replace("$1",t.pattern.source),found:`"${e}"`}),t.items&&e.forEach((e,n)=>{a.push(...this.validate(e,t.items,`${s}[${n}]`))}),t.variants&&(o=e[t.variant],t.variants.hasOwnProperty(o)?a.push(...this.validate(e,t.variants[o],s)):a.push({path:r(t.variant),expected:Object.keys(t.variants).join(" or "),found:null!=o?`"${o}"`:n.SCHEMA_NOTHING})),t.properties&&(Object.keys(t.properties).forEach(s=>{e.hasOwnProperty(s)?a.push(...this.validate(e[s],t.properties[s],r(s))):t.properties[s].optional||a.push({path:r(s),expected:t.properties[s].type,found:n.SCHEMA_NOTHING})}),t.open||Object.keys(e).forEach(s=>{t.properties.hasOwnProperty(s)||a.push({path:r(s),expected:n.SCHEMA_UNKNOWN,found:this.getValueType(e[s])})})),t.exactlyOne&&(l=t.exactlyOne.filter(t=>e.hasOwnProperty(t)),1!==l.length&&a.push({path:s,expected:t.exactlyOne.join(" or "),found:l.length?l.join(" and "):n.SCHEMA_NEITHER})),a)},t.validateFile=function(e,t){let s,i;return s=`json/${t}.json`,i={type:"object",properties:{success:{type:"boolean"},formatVersion:{type:"number",enum:[a.FORMAT_VERSION]},data:t===n.DATA_NAME?_.DATA:{type:"object",open:!0,properties:{[t]:_.SCENE}}}},this.validate(e,i).map(e=>Object.assign({file:s},e))},t.formatViolation=function(e){return n.SCHEMA_VIOLATION.replace("$1",e.file).replace("$2",e.expected).replace("$3",e.path).replace("$4",e.found)},t.assertValidFile=function(e,t){let s;if(s=this.validateFile(e,t),s.length)throw Object.assign(this.createRequestError(h.SCHEMA,this.formatViolation(s[0]),s[0].file),{violations:s});return e},t.migrateFile=function(e,t){let i,r,l;if(i=`json/${t}.json`,r=null!=e.formatVersion?e.formatVersion:1,!Number.isInteger(r)||r<1)throw this.createRequestError(h.FORMAT,n.FORMAT_INVALID.replace("$1",i).replace("$2",r),i);if(r>a.FORMAT_VERSION)throw this.createRequestError(h.FORMAT,n.FORMAT_UNSUPPORTED.replace("$1",i).replace("$2",r).replace("$3",a.FORMAT_VERSION),i);if(r===a.FORMAT_VERSION)return e;for(s,l=JSON.parse(JSON.stringify(e));r<a.FORMAT_VERSION;r++)l=this[p[r]](l,t);return l.formatVersion=r,l},t.migrateListingItems=function(e,t){let s;return s=this.getValueAtPath(e,`data.${t}.article`),null!=s&&this.isArray(s.entries)?(s.entries.forEach(e=>{null!=e&&this.isArray(e.listing)&&e.listing.forEach(e=>{null!=e&&e.hasOwnProperty("array")&&(e.items=e.array,delete e.array)})}),e):e},t.migrateTypedContacts=function(e,t){let s;return s=this.getValueAtPath(e,"data.details"),t===n.DATA_NAME&&null!=s&&this.isArray(s.email)&&this.isArray(s.sites)?(s.contacts=s.email.map((e,t)=>null==e?e:Object.assign({type:"email",title:e.title,value:e.text},t<2?{footer:!0}:{})).concat(s.sites.map(e=>null==e?e:{type:"url",title:e.title,value:e.text})),delete s.email,delete s.sites,e):e},t.loadImages=function(e=null){return new Promise(t=>{let s,a,n,i;s=null!=e?e.getElementsByTagName("img"):document.images,a=s.length,n=0,i=e=>{e.target.removeEventListener("load",i),e.target.removeEventListener("error",i),n++,n===a&&t()},[].forEach.call(s,e=>{e.complete?a-=1:(e.addEventListener("load",i,!1),e.addEventListener("error",i,!1))}),0===a&&t()})},t.serialize=function(e){return Object.entries(e).map(e=>e.join("=")).join("&")},t.performCommonOperation=function(e,t){return e.reduce(o[t])},t.isArray=function(e){return"[object Array]"===Object.prototype.toString.call(e)},t.capitalize=function(e){return e.charAt(0).toUpperCase()+e.slice(1)},t.isSafeUrl=function(e){try{return/^(https?|mailto):$/.test(new URL(e).protocol)}catch(e){return!1}},t.findClosingDelimiter=function(e,t,s){let a;for(let n=s;n<e.length;n++)if("\\"===e[n])n++;else if("`"===e[n]&&"`"!==t)a=e.indexOf("`",n+1),n=-1!==a?a:n;else if("*"===t&&e.startsWith("**",n))n++;else if(e.startsWith(t,n))return n;return-1},t.findClosingParenthesis=function(e,t){let s;s=0;for(let a=t;a<e.length;a++)if("("===e[a])s++;else if(")"===e[a]){if(0===s)return a;s--}return-1},t.parseInline=function(e){let t,s,a,i,r,o,c,E,h;for(t=[],s="",a=0;a<e.length;)i=e.startsWith("**",a)?"**":e[a],r=-1,"`"===i?r=e.indexOf("`",a+1):"*"!==i&&"**"!==i||!/\S/.test(e.charAt(a+i.length))?"["===i&&(r=this.findClosingDelimiter(e,"]",a+1),o=-1!==r&&"("===e[r+1]?this.findClosingParenthesis(e,r+2):-1,r=-1!==o?r:-1):r=this.findClosingDelimiter(e,i,a+i.length),"\\"===i&&a+1<e.length?(s+=e[a+1],a+=2):-1===r?(s+=e[a],a++):(""!==s&&(t.push(s),s=""),"`"===i?(t.push(["code",{class:l.GENERAL__INLINE_CODE},e.slice(a+1,r)]),a=r+1):"["===i?(c=e.slice(r+2,o).trim(),E=this.parseInline(e.slice(a+1,r)),this.isSafeUrl(c)?(h={class:l.GENERAL__INLINE_LINK,href:c},c.startsWith("mailto:")||(h.target=n.LINK_TARGET,h.rel=n.LINK_REL),t.push(["a",h].concat(E))):t.push(...E),a=o+1):(t.push(["**"===i?"strong":"em"].concat(this.parseInline(e.slice(a+i.length,r)))),a=r+i.length));return""!==s&&t.push(s),t},t.resolveTokens=function(e){let t;return t=/\{\{\s*(\w+)(?::([^{}]*))?\}\}/g,String(e).replace(t,(e,t,s)=>{let a;return m.hasOwnProperty(t)?(a=this[m[t]]((s||"").trim()),null==a?e:String(a)):e})},t.resolveYearToken=function(){return(new Date).getFullYear()},t.resolveYearsSinceToken=function(e){return/^\d{4}$/.test(e)?Math.max((new Date).getFullYear()-Number(e),0):null},t.getTokenSceneName=function(e){return String(e).split(".")[0].trim().toLowerCase()},t.resolveCountToken=function(e){let t,s,a,n;return t=e.split("."),s=this.cache.data[this.getTokenSceneName(e)],a=t.slice(1).join("."),null==s||"object"!=typeof s?null:(n=null!=s.article?this.getValueAtPath(s.article,a):void 0,void 0===n&&(n=this.getValueAtPath(s,a)),this.isArray(n)?n.length:null)},t.loadTokenDependencies=function(e){let t,a;return t=new Set,a=e=>{if("string"==typeof e)for(let s of e.matchAll(/\{\{\s*count:\s*(\w+)/g))t.add(this.getTokenSceneName(s[1]));else null!=e&&"object"==typeof e&&Object.keys(e).forEach(t=>a(e[t]))},a(e),Promise.all([...t].filter(e=>!this.cache.data.hasOwnProperty(e)).map(e=>this.loadSceneData({name:e}).catch(()=>{s})))},t.isElement=function(e){return"object"==typeof HTMLElement?e instanceof HTMLElement:e&&"object"==typeof e&&null!==e&&1===e.nodeType&&"string"==typeof e.nodeName},t.emptyElementOfContent=function(e){let t;for(t=document.querySelector(e);t.firstChild;)t.removeChild(t.firstChild)},t.isVisible=function(e){let t;return t=document.querySelector(e),t.currentStyle?t.currentStyle.display:"none"!==getComputedStyle(t,null).display},t.getStoredValue=function(e){try{return JSON.parse(window.localStorage.getItem(e))}catch(e){return null}},t.setStoredValue=function(e,t){try{null==t?window.localStorage.removeItem(e):window.localStorage.setItem(e,JSON.stringify(t))}catch(e){s}},t.isReducedMotion=function(){return null!=this.motion.override?this.motion.override:this.motion.system},t.applyMotionPreference=function(){let e,t;e=this.isReducedMotion(),t=document.querySelector(`.${l.FOOTER__MOTION_TOGGLE}`),document.documentElement.classList.toggle(l.GENERAL__REDUCED_MOTION,e),null!=t&&t.setAttribute("aria-pressed",String(e)),e&&this.navigation.animations.forEach((e,t)=>{t.style.transform=""})},t.setReducedMotion=function(e){this.motion.override=null==e?null:!!e,this.setStoredValue(n.REDUCED_MOTION_KEY,this.motion.override),this.applyMotionPreference()},t.resolveLocale=function(){let e,t;return e=this.getStoredValue(n.LOCALE_KEY),t=navigator.languages||[navigator.language],i.hasOwnProperty(e)?e:t.map(e=>String(e).split("-")[0].toLowerCase()).find(e=>i.hasOwnProperty(e))||n.DEFAULT_LOCALE},t.localize=function(e,...t){let s;return s=r[this.locale][e],null==s&&(s=r[n.DEFAULT_LOCALE][e]),"object"==typeof s&&(s=s[window.Intl&&Intl.PluralRules?new Intl.PluralRules(this.locale).select(t[0]):1===t[0]?"one":"other"]||s.other),t.reduce((e,t,s)=>e.replace(`$${s+1}`,()=>t),s)},t.parseEntryDate=function(e,t=!1){let s;return s=/^(\d{4})(?:-(\d{2}))?$/.exec(String(e)),null==e||null==s?null:{year:Number(s[1]),month:null!=s[2]?Number(s[2])-1:t?11:0,precision:null!=s[2]?"month":"year"}},t.getMonthIndex=function(e){let t;return t=new Date,null!=e?12*e.year+e.month:12*t.getFullYear()+t.getMonth()},t.formatEntryDate=function(e){let t;return t={year:"numeric",timeZone:"UTC"},"month"===e.precision&&(t.month="long"),window.Intl&&Intl.DateTimeFormat?new Intl.DateTimeFormat(this.locale,t).format(new Date(Date.UTC(e.year,e.month,1))):"month"===e.precision?`${e.year}-${String(e.month+1).padStart(2,"0")}`:String(e.year)},t.formatDuration=function(e,t){let s,a,n;return s=Math.floor(e/12),a=e%12,n=[],t?this.localize("DURATION_YEARS",Math.max(s,1)):(s&&n.push(this.localize("DURATION_YEARS",s)),!a&&s||n.push(this.localize("DURATION_MONTHS",Math.max(a,1))),n.join(" "))},t.formatEntryDates=function(e){let t,s,a,n;return t=this.parseEntryDate(e.start),s=this.parseEntryDate(e.end,!0),null==t?e.date||null:null!=s||e.ongoing?(a=null!=s?this.localize("DATE_RANGE",this.formatEntryDate(t),this.formatEntryDate(s)):this.localize("DATE_SINCE",this.formatEntryDate(t)),n=this.getMonthIndex(s)-this.getMonthIndex(t)+1,this.localize("DATE_DURATION",a,this.formatDuration(Math.max(n,1),"year"===t.precision))):this.formatEntryDate(t)},t.sortEntries=function(e,t){let s,a;return s="descending"===t?-1:1,a=e.map((e,t)=>{let s,a;return s=this.parseEntryDate(e.start),a=this.parseEntryDate(e.end,!0),{entry:e,index:t,isDated:null!=s,start:null!=s?this.getMonthIndex(s):0,end:null!=a||null!=s&&e.ongoing?this.getMonthIndex(a):null!=s?this.getMonthIndex(s):0}}),a.sort((e,t)=>e.isDated!==t.isDated?e.isDated?-1:1:s*(e.end-t.end)||s*(e.start-t.start)||e.index-t.index).map(e=>e.entry)},t.applyLocale=function(){let e;e=document.querySelector(`.${l.LOCALE__SELECT}`),document.documentElement.setAttribute("lang",this.locale),document.documentElement.setAttribute("dir",i[this.locale].dir),null!=e&&(e.value=this.locale)},t.setLocale=function(e){return i.hasOwnProperty(e)&&e!==this.locale?(this.locale=e,this.setStoredValue(n.LOCALE_KEY,e),this.applyLocale(),this.cache.pages.clear(),this.discardSceneData(),this.requestFile(n.DATA_NAME).then(t=>{let s;if(e===this.locale)return this.cache.data=Object.assign(this.cache.data,t.data),s=this.getSceneConfig(this.navigation.scene),(null!=s?this.loadSceneData(s):Promise.resolve()).then(()=>{let t,s;e===this.locale&&(t=null!=document.activeElement&&document.activeElement.classList.contains(l.LOCALE__SELECT),this.refreshContent(n.DATA_NAME),this.prefetchWhenIdle(),s=document.querySelector(`.${l.LOCALE__SELECT}`),t&&null!=s&&s.focus())})}).catch(e=>{this.isOffline()?this.tinderize(null,l.MAIN,this.getOfflineConfig()):this.handleErrors(e)})):Promise.resolve()},t.beginNavigation=function(e){return this.navigation.id+=1,this.navigation.target=e.name,this.setNavigationState(c.FETCHING),this.navigation.id},t.isCurrentNavigation=function(e){return e===this.navigation.id},t.setNavigationState=function(e){this.navigation.state=e},t.buildRoute=function(e){return n.ROUTE_PREFIX+(e===this.cache.data.home.array[0].name?"":encodeURIComponent(e.toLowerCase()))},t.getRouteName=function(){let e;return e=decodeURIComponent(window.location.hash.replace(/^#\/?|\/+$/g,"")).toLowerCase(),""===e?this.cache.data.home.array[0].name:e},t.getSceneConfig=function(e){return this.cache.data.home.array.find(t=>t.name.toLowerCase()===e.toLowerCase())||(e.toLowerCase()===n.RESUME_NAME?this.getResumeConfig():null)},t.getAdjacentScene=function(e){let t,s;return t=this.cache.data.home.array,s=t.findIndex(e=>e.name===this.navigation.scene),-1!==s&&t[s+e]||null},t.isInHorizontalScroller=function(e,t){let s,a;for(s=e;null!=s&&s!==t;s=s.parentElement)if(a=getComputedStyle(s,null).overflowX,("auto"===a||"scroll"===a)&&s.scrollWidth>s.clientWidth)return!0;return!1},t.isTextField=function(e){return null!=e&&(/^(INPUT|TEXTAREA|SELECT)$/.test(e.tagName)||!0===e.isContentEditable)},t.getNotFoundConfig=function(){return{name:n.NOT_FOUND_NAME,handler:"buildNotFoundPage"}},t.getOfflineConfig=function(){return{name:n.OFFLINE_NAME,handler:"buildOfflinePage"}},t.getResumeConfig=function(){return{name:n.RESUME_NAME,text:this.localize("RESUME_LINK"),handler:"buildResume",transition:n.DEFAULT_TRANSITION,scenes:Object.values(R)}},t.getPlainText=function(e){let t,s;return e.nodeType===Node.TEXT_NODE?e.nodeValue:"BUTTON"===e.tagName?"":"BR"===e.tagName?", ":(t=Array.from(e.childNodes).map(e=>this.getPlainText(e)).join(""),"A"===e.tagName&&e.hasAttribute("href")&&!e.getAttribute("href").startsWith("tel:")&&(s=e.getAttribute("href").replace(/^mailto:/,""),s.replace(/^https?:\/\//,"")!==t.replace(/^https?:\/\//,"")&&(t+=` (${s})`)),t)},t.getResumeText=function(e){let t,s,a,n;return s=e.querySelector(`.${l.RESUME__NAME}`).textContent,a=e.querySelectorAll(`.${l.RESUME__CONTACT_ITEM}`),n=`:not(.${l.RESUME__EXCLUDED})`,t=[s,"=".repeat(s.length),Array.from(a).map(e=>this.getPlainText(e)).join(" · ")],e.querySelectorAll(`.${l.RESUME__SECTION}${n}`).forEach(e=>{let s;s=this.getPlainText(e.querySelector(`.${l.RESUME__SECTION_HEADER}`)).trim(),t.push("",s,"-".repeat(s.length)),e.querySelectorAll(`.${l.RESUME__ENTRY}${n}`).forEach(e=>{t.push(""),Array.from(e.children).forEach(e=>{let s;s=this.getPlainText(e).trim(),""!==s&&t.push(s)})})}),Promise.resolve(t.join("\n")+"\n")},t.getResumeDocument=function(e){return fetch(n.RESUME_STYLESHEET).then(e=>e.ok?e.text():Promise.reject(e.status)).catch(e=>"").then(t=>{let s,a,n,r;return s=document.implementation.createHTMLDocument(this.localize("RESUME_TITLE",this.cache.data.header.name)),a=s.createElement("meta"),n=s.createElement("style"),r=s.importNode(e,!0),s.documentElement.setAttribute("lang",this.locale),s.documentElement.setAttribute("dir",i[this.locale].dir),a.setAttribute("charset","utf-8"),n.textContent=t,s.head.prepend(a),s.head.appendChild(n),r.querySelectorAll([l.RESUME__CONTROLS,l.RESUME__TOGGLE,l.RESUME__EXCLUDED].map(e=>`.${e}`).join(", ")).forEach(e=>{e.remove()}),r.querySelectorAll("[tabindex]").forEach(e=>{e.removeAttribute("tabindex")}),s.body.appendChild(r),`<!DOCTYPE html>\n${s.documentElement.outerHTML}\n`})},t.downloadFile=function(e,t,s){let a,n;a=URL.createObjectURL(new Blob([e],{type:`${t};charset=utf-8`})),n=this.assembleElement(["a",{href:a,download:s,hidden:""}]),document.body.appendChild(n),n.click(),n.remove(),window.setTimeout(()=>{URL.revokeObjectURL(a)},0)},t.getJsonResumeFiles=function(e=null){return null!=e?Promise.resolve(e):Promise.all(Object.keys(S).map(e=>this.loadSceneData({name:e}))).then(()=>{let e;return e={[n.DATA_NAME]:{success:!0,formatVersion:a.FORMAT_VERSION,data:{header:this.cache.data.header,home:this.cache.data.home,details:this.cache.data.details,footer:this.cache.data.footer}}},Object.keys(S).forEach(t=>{e[t]={success:!0,formatVersion:a.FORMAT_VERSION,data:{[t]:this.cache.data[t]}}}),e})},t.reportUnmapped=function(e,t,s){s.push(n.JSON_RESUME_UNMAPPED.replace("$1",e).replace("$2",t))},t.collectUnmapped=function(e,t,s,a,n){Object.keys(e).forEach(i=>{let r;r=e[i],t.includes(i)||null==r||""===r||this.isArray(r)&&!r.length||this.reportUnmapped(s?`${s}.${i}`:i,a,n)})},t.normalizeAddress=function(e){return String(e).toLowerCase().replace(/^https?:\/\/(?:www\.)?/,"").replace(/\/+$/,"")},t.toEntryDate=function(e,t,s){let a;return null==e||""===e?null:(a=String(e).match(/^(\d{4})(?:-(0[1-9]|1[0-2])(-(?:0[1-9]|[12]\d|3[01]))?)?$/),null==a?(s.push(n.JSON_RESUME_DATE.replace("$1",t).replace("$2",e)),null):(null!=a[3]&&s.push(n.JSON_RESUME_DAY.replace("$1",t).replace("$2",e)),null!=a[2]?`${a[1]}-${a[2]}`:a[1]))},t.exportEntryDates=function(e,t,s,a){let i;return i={},null!=e.start&&(i[t[0]]=e.start),null!=e.end&&null!=t[1]?i[t[1]]=e.end:null!=e.end&&this.reportUnmapped(`${s}.end`,n.JSON_RESUME_NAME,a),e.ongoing&&null==t[1]&&this.reportUnmapped(`${s}.ongoing`,n.JSON_RESUME_NAME,a),null!=e.date&&a.push(n.JSON_RESUME_FREE_DATE.replace("$1",`${s}.date`).replace("$2",e.date)),i},t.importEntryDates=function(e,t,s,a){let n,i,r;return n={},i=this.toEntryDate(e[t[0]],`${s}.${t[0]}`,a),r=null!=t[1]?this.toEntryDate(e[t[1]],`${s}.${t[1]}`,a):null,null!=i&&(n.start=i),null!=r?n.end=r:null!=i&&null!=t[1]&&null==e[t[1]]&&(n.ongoing=!0),n},t.exportWorkEntry=function(e,t,s){let a;return a=Object.assign({name:e.header,position:e.subheader},this.exportEntryDates(e,["startDate","endDate"],t,s)),e.summary&&(a.summary=e.summary),(e.listing||[]).forEach((e,i)=>{e.title.toLowerCase()===n.JSON_RESUME_HIGHLIGHTS.toLowerCase()&&null==a.highlights?a.highlights=e.items.slice():this.reportUnmapped(`${t}.listing[${i}]`,n.JSON_RESUME_NAME,s)}),a},t.importWorkEntry=function(e,t,s){let a,i,r;return r=["name","position","startDate","endDate","summary"],i=this.isArray(e.highlights)&&e.highlights.length>0,a=Object.assign({header:e.name||"",subheader:e.position||""},this.importEntryDates(e,["startDate","endDate"],t,s)),e.summary||!i?a.summary=e.summary||"":(a.listing=[{title:n.JSON_RESUME_HIGHLIGHTS,items:e.highlights.map(String)}],r.push("highlights")),this.collectUnmapped(e,r,t,n.JSON_RESUME_SITE,s),a},t.exportEducationEntry=function(e,t,s){let a,i;return i=e.subheader.match(new RegExp("^"+n.JSON_RESUME_DEGREE.replace("$1","(.+?)").replace("$2","(.+)")+"$")),a={institution:e.header,studyType:null!=i?i[1]:e.subheader},null!=i&&(a.area=i[2]),Object.assign(a,this.exportEntryDates(e,["startDate","endDate"],t,s)),e.summary&&this.reportUnmapped(`${t}.summary`,n.JSON_RESUME_NAME,s),(e.listing||[]).forEach((e,i)=>{e.title.toLowerCase()===n.JSON_RESUME_COURSES.toLowerCase()&&null==a.courses?a.courses=e.items.slice():this.reportUnmapped(`${t}.listing[${i}]`,n.JSON_RESUME_NAME,s)}),a},t.importEducationEntry=function(e,t,s){let a;return a=Object.assign({header:e.institution||"",subheader:e.studyType&&e.area?n.JSON_RESUME_DEGREE.replace("$1",e.studyType).replace("$2",e.area):e.studyType||e.area||""},this.importEntryDates(e,["startDate","endDate"],t,s)),this.isArray(e.courses)&&e.courses.length?a.listing=[{title:n.JSON_RESUME_COURSES,items:e.courses.map(String)}]:a.summary="",this.collectUnmapped(e,["institution","studyType","area","startDate","endDate","courses"],t,n.JSON_RESUME_SITE,s),a},t.exportSkillEntry=function(e,t,s){return this.collectUnmapped(e,["header","subheader"],t,n.JSON_RESUME_NAME,s),{name:e.header,keywords:e.subheader.split(",").map(e=>e.trim()).filter(e=>""!==e)}},t.importSkillEntry=function(e,t,s){return this.collectUnmapped(e,["name","keywords"],t,n.JSON_RESUME_SITE,s),{header:e.name||"",subheader:this.isArray(e.keywords)?e.keywords.join(", "):"",summary:""}},t.exportAwardEntry=function(e,t,s){let a;return a=Object.assign({title:e.subheader},this.exportEntryDates(e,["date",null],t,s),{awarder:e.header}),e.summary&&(a.summary=e.summary),null!=e.listing&&this.reportUnmapped(`${t}.listing`,n.JSON_RESUME_NAME,s),a},t.importAwardEntry=function(e,t,s){return this.collectUnmapped(e,["title","date","awarder","summary"],t,n.JSON_RESUME_SITE,s),Object.assign({header:e.awarder||"",subheader:e.title||""},this.importEntryDates(e,["date",null],t,s),{summary:e.summary||""})},t.mergeEntry=function(e,t){let s;return s=Object.assign({},e,t),""===t.summary&&e.summary?s.summary=e.summary:""===t.summary&&e.listing&&delete s.summary,t.listing&&e.listing&&(s.listing=e.listing.map(e=>t.listing.find(t=>t.title===e.title)||e).concat(t.listing.filter(t=>!e.listing.some(e=>e.title===t.title)))),t.summary?delete s.listing:s.listing&&delete s.summary,null!=t.start&&delete s.date,null!=t.end?delete s.ongoing:t.ongoing&&delete s.end,s},t.exportJsonResumeBasics=function(e,t){let s;return s={name:e.header.name,profiles:[]},e.details.contacts.forEach((e,a)=>{let i,r;i=`data.details.contacts[${a}]`,r=e.value,"url"===e.type?s.profiles.push({network:e.title,url:r}):"email"===e.type&&null==s.email?s.email=r:"phone"===e.type&&null==s.phone?s.phone=r:"address"===e.type&&null==s.location?(s.location=Object.assign({address:r.street,city:r.locality},r.region?{region:r.region}:{},r.postalCode?{postalCode:r.postalCode}:{}),/^[A-Z]{2}$/.test(r.country)?s.location.countryCode=r.country:r.country&&this.reportUnmapped(`${i}.value.country`,n.JSON_RESUME_NAME,t)):this.reportUnmapped(i,n.JSON_RESUME_NAME,t)}),e.footer.meta.summary.text&&(s.summary=e.footer.meta.summary.text),e.footer.connect.array.forEach((e,a)=>{s.profiles.some(t=>t.network.toLowerCase()===e.text.toLowerCase()||this.normalizeAddress(t.url)===this.normalizeAddress(e.link))||s.profiles.push({network:e.text,url:e.link}),this.reportUnmapped(`data.footer.connect.array[${a}].description`,n.JSON_RESUME_NAME,t)}),s},t.importJsonResumeBasics=function(e,t,s){let a,i,r,l,o;a=t.details.contacts,e.name&&(t.header.name=e.name),[{type:"email",title:n.JSON_RESUME_EMAIL,value:e.email},{type:"phone",title:n.JSON_RESUME_PHONE,value:e.phone}].forEach(e=>{e.value&&!a.some(t=>t.type===e.type&&t.value===e.value)&&a.splice(a.findIndex(t=>t.type===e.type)+1||a.length,0,e)}),null!=e.location&&(r=e.location,r.address&&r.city?(l=Object.assign({street:r.address,locality:r.city},r.region?{region:r.region}:{},r.postalCode?{postalCode:r.postalCode}:{},r.countryCode?{country:r.countryCode}:{}),o=a.findIndex(e=>"address"===e.type),-1===o?a.push({type:"address",title:n.JSON_RESUME_ADDRESS,value:l}):a[o].value=l,this.collectUnmapped(r,["address","city","region","postalCode","countryCode"],"basics.location",n.JSON_RESUME_SITE,s)):this.reportUnmapped("basics.location",n.JSON_RESUME_SITE,s)),e.summary&&(t.footer.meta.summary.text=e.summary),this.isArray(e.profiles)&&(i=e.profiles.filter((e,t)=>null!=e&&e.url?(this.collectUnmapped(e,["network","url"],`basics.profiles[${t}]`,n.JSON_RESUME_SITE,s),!0):(this.reportUnmapped(`basics.profiles[${t}]`,n.JSON_RESUME_SITE,s),!1)),o=a.findIndex(e=>"url"===e.type),a.splice(0,a.length,...a.filter(e=>"url"!==e.type)),a.splice(-1===o?a.length:o,0,...i.map(e=>({type:"url",title:e.network||e.url,value:e.url}))),t.footer.connect.array=t.footer.connect.array.filter(e=>{let t;return t=i.find(t=>String(t.network).toLowerCase()===e.text.toLowerCase()),null!=t&&this.normalizeAddress(t.url)!==this.normalizeAddress(e.link)&&(e.link=t.url),null!=t})),this.collectUnmapped(e,["name","email","phone","location","summary","profiles"],"basics",n.JSON_RESUME_SITE,s)},t.convertToJsonResume=function(e){let t,s;return t={$schema:n.JSON_RESUME_SCHEMA},s=[],null!=e[n.DATA_NAME]&&(t.basics=this.exportJsonResumeBasics(e[n.DATA_NAME].data,s)),Object.keys(S).forEach(a=>{let i,r;i=S[a],r=null!=e[a]?e[a].data[a]:null,null!=r&&(this.reportUnmapped(`${a}.aside`,n.JSON_RESUME_NAME,s),null!=r.article.essaySections&&this.reportUnmapped(`${a}.article.essaySections`,n.JSON_RESUME_NAME,s),t[i.section]=(r.article.entries||[]).map((e,t)=>this[i.exporter](e,`${a}.article.entries[${t}]`,s)))}),{resume:t,unmapped:s}},t.convertFromJsonResume=function(e,t){let s,i,r;return s={},i=[],r=Object.keys(S).map(e=>S[e].section),null!=e.basics&&null==t[n.DATA_NAME]?i.push(n.JSON_RESUME_NO_DATA.replace("$1","basics")):null!=e.basics&&(s[n.DATA_NAME]=JSON.parse(JSON.stringify(t[n.DATA_NAME])),this.importJsonResumeBasics(e.basics,s[n.DATA_NAME].data,i)),Object.keys(S).forEach(n=>{let r,l,o;r=S[n],this.isArray(e[r.section])&&(s[n]=null!=t[n]?JSON.parse(JSON.stringify(t[n])):{success:!0,formatVersion:a.FORMAT_VERSION,data:{[n]:{aside:{header:this.capitalize(n),summary:{paragraphs:[]}},article:{header:this.capitalize(n)}}}},l=s[n].data[n].article,o=l.entries||[],delete l.essaySections,l.entries=e[r.section].map((e,t)=>{let s,a;return s=this[r.importer](e||{},`${r.section}[${t}]`,i),a=o.find(e=>e.header===s.header&&e.subheader===s.subheader),null!=a&&o.splice(o.indexOf(a),1),null!=a?this.mergeEntry(a,s):s}))}),this.collectUnmapped(e,["$schema","basics"].concat(r),"",n.JSON_RESUME_SITE,i),{files:s,unmapped:i}},t.getNameSlug=function(){return this.cache.data.header.name.toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-|-$/g,"")},t.escapeVCardValue=function(e){return e.replace(/[\\,;]/g,"\\$&").replace(/\r?\n/g,"\\n")},t.foldVCardLine=function(e){let t,s;return t=[""],s=0,Array.from(e).forEach(e=>{let n;n=(new TextEncoder).encode(e).length,s+n>a.VCARD_LINE_LENGTH&&(t.push(" "),s=1),t[t.length-1]+=e,s+=n}),`${t.join("\r\n")}\r\n`},t.getContactHref=function(e){switch(e.type){case"email":return`mailto:${e.value}`;case"url":return e.value;case"phone":return`tel:${e.value.replace(/[^\d+]/g,"")}`;case"matrix":return n.MATRIX_LINK.replace("$1",e.value);default:return null}},t.getAddressLines=function(e){return e.street.split("\n").concat([e.locality,[e.region,e.postalCode].filter(e=>e).join(" ")].filter(e=>e).join(", "),e.country||[]).map(e=>e.trim()).filter(e=>""!==e)},t.formatFingerprint=function(e){return e.replace(/\s+/g,"").toUpperCase().match(/.{1,4}/g).join(" ")},t.getContactText=function(e){switch(e.type){case"address":return this.getAddressLines(e.value).join("\n");case"pgp":return this.formatFingerprint(e.value);default:return e.value}},t.copyText=function(e){return null==navigator.clipboard||!1===window.isSecureContext?this.copyTextFallback(e):navigator.clipboard.writeText(e).catch(()=>this.copyTextFallback(e))},t.copyTextFallback=function(e){let t,s,a;t=this.assembleElement(["textarea",{class:l.GENERAL__VISUALLY_HIDDEN,readonly:"","aria-hidden":"true"}]),s=document.activeElement,t.value=e,document.body.appendChild(t),t.focus(),t.select(),t.setSelectionRange(0,e.length);try{a=document.execCommand("copy")}catch(e){a=!1}return t.remove(),null!=s&&"function"==typeof s.focus&&s.focus(),a?Promise.resolve():Promise.reject(new Error(n.CLIPBOARD_UNAVAILABLE))},t.getContactVCardLine=function(e,t){let s,a;switch(s=t?";PREF=1":"",a=e.value,e.type){case"email":return`EMAIL${s}:${this.escapeVCardValue(a)}`;case"url":return`URL${s}:${a}`;case"phone":return`TEL;VALUE=uri${s}:`+this.getContactHref(e);case"address":return`ADR${s}:;;`+[a.street,a.locality,a.region||"",a.postalCode||"",a.country||""].map(e=>this.escapeVCardValue(e)).join(";");case"pgp":return`KEY${s}:`+n.PGP_FINGERPRINT_URI.replace("$1",a.replace(/\s+/g,"").toUpperCase());default:return`IMPP${s}:`+this.getContactHref(e)}},t.getVCard=function(){let e,t,s,a;return e=this.cache.data.header.name,t=e.trim().split(/\s+/),s=new Set,a=["BEGIN:VCARD",`VERSION:${n.VCARD_VERSION}`,`FN:${this.escapeVCardValue(e)}`,`N:${this.escapeVCardValue(t.pop())};${this.escapeVCardValue(t.join(" "))};;;`,...this.cache.data.details.contacts.map(e=>{let t;return t=!s.has(e.type),s.add(e.type),this.getContactVCardLine(e,t)}),"END:VCARD"],a.map(e=>this.foldVCardLine(e)).join("")},t.getSiteAddress=function(){return window.location.href.replace(/#.*$/,"")},t.multiplyGalois=function(e,t){let s;s=0;for(let a=7;a>=0;a--)s=s<<1^285*(s>>>7),s^=(t>>>a&1)*e;return s},t.getQrErrorCorrection=function(e,t){let s,a,n;s=new Array(t-1).fill(0).concat(1),a=1,n=new Array(t).fill(0);for(let e=0;e<t;e++){for(let e=0;e<t;e++)s[e]=this.multiplyGalois(s[e],a)^(e+1<t?s[e+1]:0);a=this.multiplyGalois(a,2)}return e.forEach(e=>{let t;t=e^n.shift(),n.push(0),s.forEach((e,s)=>{n[s]^=this.multiplyGalois(e,t)})}),n},t.getQrDataModules=function(e){let t,s;return t=(16*e+128)*e+64,s=Math.floor(e/7)+2,e>=2&&(t-=(25*s-10)*s-55),e>=7&&(t-=36),t},t.getQrAlignmentPositions=function(e){let t,s,a;if(1===e)return[];t=Math.floor(e/7)+2,s=2*Math.floor((8*e+3*t+5)/(4*t-4)),a=[6];for(let n=4*e+10;a.length<t;n-=s)a.splice(1,0,n);return a},t.drawQrFunctionPatterns=function(e){let t,s,a,n,i;t=e.size,s=(t,s,a)=>{e.modules[s][t]=a,e.reserved[s][t]=!0},a=this.getQrAlignmentPositions(e.version);for(let e=0;e<t;e++)s(6,e,e%2==0),s(e,6,e%2==0);if([[3,3],[t-4,3],[3,t-4]].forEach(([e,a])=>{for(let n=-4;n<=4;n++)for(let i=-4;i<=4;i++)e+i>=0&&e+i<t&&a+n>=0&&a+n<t&&s(e+i,a+n,![2,4].includes(Math.max(Math.abs(i),Math.abs(n))))}),a.forEach((e,t)=>{a.forEach((n,i)=>{if(!(0===t&&0===i||0===t&&i===a.length-1||t===a.length-1&&0===i))for(let t=-2;t<=2;t++)for(let a=-2;a<=2;a++)s(n+a,e+t,1!==Math.max(Math.abs(a),Math.abs(t)))})}),this.drawQrFormatBits(e,0),e.version>=7){n=e.version;for(let e=0;e<12;e++)n=n<<1^7973*(n>>>11);i=e.version<<12|n;for(let e=0;e<18;e++)s(t-11+e%3,Math.floor(e/3),1==(i>>>e&1)),s(Math.floor(e/3),t-11+e%3,1==(i>>>e&1))}},t.drawQrFormatBits=function(e,t){let s,a,n,i,r;s=e.size,a=A.FORMAT_BITS<<3|t,n=a,r=(t,s,a)=>{e.modules[s][t]=1==(i>>>a&1),e.reserved[s][t]=!0};for(let e=0;e<10;e++)n=n<<1^1335*(n>>>9);i=21522^(a<<10|n);for(let e=0;e<=5;e++)r(8,e,e);r(8,7,6),r(8,8,7),r(7,8,8);for(let e=9;e<15;e++)r(14-e,8,e);for(let e=0;e<8;e++)r(s-1-e,8,e);for(let e=8;e<15;e++)r(8,s-15+e,e);e.modules[s-8][8]=!0,e.reserved[s-8][8]=!0},t.drawQrCodewords=function(e,t){let s,a;s=e.size,a=0;for(let n=s-1;n>=1;n-=2){6===n&&(n=5);for(let i=0;i<s;i++)for(let r=0;r<2;r++){let l,o;l=n-r,o=n+1&2?i:s-1-i,!e.reserved[o][l]&&a<8*t.length&&(e.modules[o][l]=1==(t[a>>>3]>>>7-(7&a)&1),a++)}}},t.applyQrMask=function(e,t){let s;s=[(e,t)=>(e+t)%2==0,(e,t)=>t%2==0,(e,t)=>e%3==0,(e,t)=>(e+t)%3==0,(e,t)=>(Math.floor(e/3)+Math.floor(t/2))%2==0,(e,t)=>e*t%2+e*t%3==0,(e,t)=>(e*t%2+e*t%3)%2==0,(e,t)=>((e+t)%2+e*t%3)%2==0],e.modules.forEach((a,n)=>{a.forEach((i,r)=>{!e.reserved[n][r]&&s[t](r,n)&&(a[r]=!i)})})},t.getQrPenalty=function(e){let t,s,a,n;return t=e.modules,s=t.map((e,s)=>e.map((e,a)=>t[a][s])),a=0,n=0,t.concat(s).forEach(e=>{let t,s;t=1,s=e.map(e=>e?"1":"0").join("");for(let s=1;s<=e.length;s++)s<e.length&&e[s]===e[s-1]?t++:(a+=t>=5?t-2:0,t=1);a+=40*(s.match(/(?=00001011101|10111010000)/g)||[]).length}),t.forEach((e,s)=>{e.forEach((i,r)=>{n+=i?1:0,r>0&&s>0&&i===e[r-1]&&i===t[s-1][r]&&i===t[s-1][r-1]&&(a+=3)})}),a+10*(Math.ceil(Math.abs(20*n-e.size*e.size*10)/(e.size*e.size))-1)},t.encodeQrCode=function(e){let t,s,n,i,r,l,o,c,E,h,u,d,_,p;for(t=Array.from((new TextEncoder).encode(e)),s=1;s<=a.QR_MAX_VERSION&&(n=Math.floor(this.getQrDataModules(s)/8)-A.CODEWORDS_PER_BLOCK[s]*A.BLOCKS[s],!(4+(s<10?8:16)+8*t.length<=8*n));s++);if(s>a.QR_MAX_VERSION)return null;i="0100"+t.length.toString(2).padStart(s<10?8:16,"0")+t.map(e=>e.toString(2).padStart(8,"0")).join(""),i+="0".repeat(Math.min(4,8*n-i.length)),i+="0".repeat((8-i.length%8)%8),r=i.match(/.{8}/g).map(e=>parseInt(e,2));for(let e=236;r.length<n;e^=253)r.push(e);o=Math.floor(this.getQrDataModules(s)/8),h=A.CODEWORDS_PER_BLOCK[s],c=Math.floor(o/A.BLOCKS[s]),E=A.BLOCKS[s]-o%A.BLOCKS[s],l=[];for(let e=0,t=0;e<A.BLOCKS[s];e++){let s;s=r.slice(t,t+c-h+(e<E?0:1)),t+=s.length,l.push({data:s,ecc:this.getQrErrorCorrection(s,h)})}u=[];for(let e=0;e<=c-h;e++)l.forEach(t=>{e<t.data.length&&u.push(t.data[e])});for(let e=0;e<h;e++)l.forEach(t=>{u.push(t.ecc[e])});return d={version:s,size:4*s+17},d.modules=Array.from({length:d.size},()=>new Array(d.size).fill(!1)),d.reserved=Array.from({length:d.size},()=>new Array(d.size).fill(!1)),this.drawQrFunctionPatterns(d),this.drawQrCodewords(d,u),_=[0,1,2,3,4,5,6,7].map(e=>{let t;return this.applyQrMask(d,e),this.drawQrFormatBits(d,e),t=this.getQrPenalty(d),this.applyQrMask(d,e),t}),p=_.indexOf(Math.min(..._)),this.applyQrMask(d,p),this.drawQrFormatBits(d,p),{version:d.version,size:d.size,modules:d.modules}},t.isOffline=function(){return!1===navigator.onLine},t.registerServiceWorker=function(){"serviceWorker"in navigator&&"file:"!==location.protocol&&navigator.serviceWorker.register(n.SERVICE_WORKER).then(e=>{s}).catch(e=>{s})},t.pushRoute=function(e){let t;t=this.buildRoute(e.name),t!==(window.location.hash||n.ROUTE_PREFIX)&&window.history.pushState({name:e.name},"",t)},t.applyFrame=function(e,t){e.style.opacity=t.opacity,e.style.transform=0!==t.offset?`translateX(${t.offset}px)`:""},t.readFrame=function(e){let t,s;return t=Number.parseFloat(e.style.opacity),s=/translateX\((-?[\d.]+)px\)/.exec(e.style.transform),{opacity:Number.isNaN(t)?1:t,offset:null!=s?Number.parseFloat(s[1]):0}},t.animate=function(e,t,s){return new Promise(a=>{let n,i,r,l;n=(this.navigation.animations.get(e)||0)+1,this.navigation.animations.set(e,n),i=this.readFrame(e),r=null,l=o=>{let c,E;this.navigation.animations.get(e)===n?(null==r&&(r=o),c=s>0?Math.min((o-r)/s,1):1,E=c<.5?4*Math.pow(c,3):1-Math.pow(-2*c+2,3)/2,this.applyFrame(e,{opacity:this.performCommonOperation([i.opacity,(t.opacity-i.opacity)*E],"ADDITION"),offset:this.performCommonOperation([i.offset,(t.offset-i.offset)*E],"ADDITION")}),c<1?window.requestAnimationFrame(l):(this.navigation.animations.delete(e),a(!0))):a(!1)},window.requestAnimationFrame(l)})},t.fade=function(e,t,s=a.TRANSITION_DURATION){let n,i;return n=document.querySelector(t),i="IN"===e.toUpperCase(),this.isReducedMotion()&&(s=Math.min(s,a.REDUCED_TRANSITION_DURATION)),i&&!this.navigation.animations.has(n)&&this.applyFrame(n,E.FADE.start),this.animate(n,i?E.FADE.enter:E.FADE.leave,s)},t.getTransition=function(e){let t;return this.isReducedMotion()?E.REDUCED:(t=String(e||n.DEFAULT_TRANSITION).replace(/([a-z])([A-Z])/g,"$1_$2").toUpperCase(),E.hasOwnProperty(t)?E[t]:this.getTransition(n.DEFAULT_TRANSITION))},t.getTransitionDirection=function(e,t){let s,a,n;return null!=e.direction?e.direction:(s=this.cache.data.home.array.map(e=>e.name),a=s.indexOf(this.navigation.scene),n=s.indexOf(t.name),-1!==a&&-1!==n&&n<a?-1:1)},t.scaleFrame=function(e,t){return{opacity:e.opacity,offset:e.offset*t*a.SLIDE_DISTANCE}},t.overlayContent=function(e){let t,s;for(t=document.createElement("div"),s=getComputedStyle(e,null),e.style.position="relative",Object.assign(t.style,{position:"absolute",top:s.paddingTop,right:s.paddingRight,left:s.paddingLeft,pointerEvents:"none"});e.firstChild;)t.appendChild(e.firstChild);return e.appendChild(t),t},t.tinderize=function(e,t,s,a=null){let n,i,r,l,o,E,h;return n=null!=a?a:this.beginNavigation(s),i=document.querySelector(`.${t}`),l=this.getTransition(e||s.transition),o=this.getTransitionDirection(l,s),E=this.scaleFrame(l.leave,o),h=this.readFrame(i).offset,h*E.offset>0&&Math.abs(h)>Math.abs(E.offset)&&(E.offset=h),this.setNavigationState(c.LEAVING),(l.overlap?Promise.resolve(!0):this.animate(i,E,l.duration)).then(()=>{if(this.isCurrentNavigation(n))return r=this.getScenePage(s),this.loadImages(r).then(()=>{let e,a,E;if(this.isCurrentNavigation(n))return this.setNavigationState(c.ENTERING),l.overlap?(e=this.overlayContent(i),i.insertBefore(r,e),this.applyFrame(r,this.scaleFrame(l.start,o)),a=Promise.all([this.animate(e,this.scaleFrame(l.leave,o),l.duration),this.animate(r,this.scaleFrame(l.enter,o),l.duration)]).then(()=>{i.removeChild(e)})):(this.emptyElementOfContent(`.${t}`),i.appendChild(r),this.applyFrame(i,this.scaleFrame(l.start,o)),a=this.animate(i,this.scaleFrame(l.enter,o),l.duration)),this.navigation.scene=s.name,E=this.focusScene(i),this.announce(this.localize("SCENE_ANNOUNCEMENT",s.text||E.textContent)),a.then(()=>{this.isCurrentNavigation(n)&&this.setNavigationState(c.IDLE)})})})},t.focusScene=function(e){let t;return t=e.querySelector("h1, h2")||e,t.hasAttribute("tabindex")||t.setAttribute("tabindex","-1"),t.focus({preventScroll:!0}),t},t.announce=function(e){let t;t=document.querySelector(`.${l.MAIN__ANNOUNCER}`),null!=t&&(t.textContent="",window.requestAnimationFrame(()=>{t.textContent=e}))},t.showToast=function(e,t=u.INFO){let s,n,i,r,o,c,E;for(r={class:l.TOASTS},o={class:`${l.TOAST} ${l.TOAST}-${t.modifier}`,role:t.role},c={class:l.TOAST__MESSAGE},E={class:`${l.TOAST__CLOSE} ${l.GENERAL__BUTTON_LINK}`,type:"button","aria-label":this.localize("DISMISS")},s=document.querySelector(`.${l.TOASTS}`),null==s&&(s=this.assembleElement(["div",r]),document.body.appendChild(s)),i=this.assembleElement(["button",E,"×"]),n=this.assembleElement(["div",o,["span",c,e],i]),i.addEventListener("click",()=>{n.remove()},!1);s.children.length>=a.TOAST_LIMIT;)s.firstElementChild.remove();return s.appendChild(n),window.setTimeout(()=>{n.remove()},a.TOAST_DURATION),n},t.getScenePage=function(e){let t,s;for(t=e.name.toLowerCase(),this.cache.pages.has(t)?(s=this.cache.pages.get(t),this.cache.pages.delete(t)):s=this[e.handler](e.name),this.cache.pages.set(t,s);this.cache.pages.size>a.PAGE_CACHE_LIMIT;)this.cache.pages.delete(this.cache.pages.keys().next().value);return s},t.loadSceneData=function(e){let t,s,a,n;return null!=e.scenes?Promise.all(e.scenes.map(e=>this.loadSceneData({name:e}))):(t=e.name.toLowerCase(),s=this.locale,a=`${s}/${t}`,this.cache.data.hasOwnProperty(t)?Promise.resolve():this.cache.requests.has(a)?this.cache.requests.get(a):(n=this.requestFile(t).then(t=>s!==this.locale?this.loadSceneData(e):(this.cache.data=Object.assign(this.cache.data,t.data),this.loadTokenDependencies(t.data))).finally(()=>{this.cache.requests.delete(a)}),this.cache.requests.set(a,n),n))},t.hashString=function(e){let t;t=2166136261;for(let s=0;s<e.length;s++)t^=e.charCodeAt(s),t=Math.imul(t,16777619);return(t>>>0).toString(16)},t.getPersistedFiles=function(){let e;return e=this.getStoredValue(n.CACHE_KEY),null!=e&&e.version===a.CACHE_VERSION&&e.source===this.source?e.files:{}},t.persistFile=function(e,t,s){let i;i=this.getPersistedFiles(),i[e]={hash:s,data:t},this.setStoredValue(n.CACHE_KEY,{version:a.CACHE_VERSION,source:this.source,files:i})},t.getValueAtPath=function(e,t){return""===t?e:t.split(".").reduce((e,t)=>null!=e?e[t]:void 0,e)},t.mapFields=function(e,t){return Object.keys(t).reduce((s,a)=>{let n;return n="string"==typeof t[a]?this.getValueAtPath(e,t[a]):this.mapFields(e,t[a]),void 0!==n&&(s[a]=n),s},{})},t.getFileUrls=function(e,t,s){return(s!==n.DEFAULT_LOCALE?[`${e.baseUrl}${s}/${t}.json`]:[]).concat(`${e.baseUrl}${t}.json`)},t.fetchStaticContent=function(e,t,s,a){let n,i;return n=this.getFileUrls(e,t,s),i=this.sendRequest("GET",n[0],null,a),n.length>1&&(i=i.catch(e=>{if(e.type!==h.NETWORK&&(e.type!==h.HTTP||404!==e.status))throw e;return this.sendRequest("GET",n[1],null,a)})),i},t.fetchRestContent=function(e,t,s,a){let i;return i=e.baseUrl+encodeURIComponent(t)+"?"+e.localeParameter+"="+encodeURIComponent(s),this.sendRequest("GET",i,null,a).then(s=>{let a;return a=this.getValueAtPath(s,e.itemPath),{success:!0,formatVersion:e.formatVersion,data:t===n.DATA_NAME?this.mapFields(a,e.fields.data):{[t]:this.mapFields(a,e.fields.scene)}}})},t.fetchFile=function(e,t,s={}){let a;return a=T[this.source],this[a.adapter](a,e,t,s).then(t=>{let s;return s=this.migrateFile(t,e),this.assertValidFile(s,e),s})},t.requestFile=function(e){let t,s,a;return t=this.locale,s=`${t}/${e}`,a=this.getPersistedFiles()[s],null!=a&&0===this.validateFile(a.data,e).length?(this.cache.stale.set(s,{name:e,locale:t,hash:a.hash}),this.isLoaded&&this.whenIdle(()=>{this.revalidateStaleFiles()}),Promise.resolve(a.data)):this.fetchFile(e,t).then(e=>(this.persistFile(s,e,this.hashString(JSON.stringify(e))),e))},t.revalidateStaleFiles=function(){this.cache.stale.forEach((e,t)=>{this.cache.stale.delete(t),this.fetchFile(e.name,e.locale,{cache:"no-cache"}).then(s=>{let a;if(a=this.hashString(JSON.stringify(s)),a!==e.hash&&(this.persistFile(t,s,a),e.locale===this.locale))return this.cache.data=Object.assign(this.cache.data,s.data),this.loadTokenDependencies(s.data).then(()=>{this.refreshContent(e.name)})}).catch(e=>{s})})},t.refreshContent=function(e){let t,s,a,i;e===n.DATA_NAME?(this.isMenuOpen&&this.handleMenuToggle(),[[l.HEADER,this.buildHeader],[l.FOOTER,this.buildFooter]].forEach(e=>{let t;t=document.querySelector(`.${e[0]}`),null!=t&&t.parentNode.replaceChild(e[1].call(this),t)}),this.cache.pages.delete(this.cache.data.home.array[0].name),this.cache.pages.delete(n.RESUME_NAME)):(this.cache.pages.delete(e),Object.values(R).includes(e)&&this.cache.pages.delete(n.RESUME_NAME)),t=this.getSceneConfig(this.navigation.scene),s=document.querySelector(`.${l.MAIN}`),null==t||null==s||this.navigation.state!==c.IDLE||this.cache.pages.has(t.name.toLowerCase())||(a=this.getScenePage(t),this.loadImages(a).then(()=>{this.navigation.state===c.IDLE&&this.navigation.scene===t.name&&(i=s.contains(document.activeElement),this.emptyElementOfContent(`.${l.MAIN}`),s.appendChild(a),i&&this.focusScene(s),this.announce(this.localize("SCENE_UPDATED",t.text)))}))},t.discardSceneData=function(){this.cache.data.home.array.forEach(e=>{e.name===this.cache.data.home.array[0].name||this.navigation.state!==c.IDLE&&e.name===this.navigation.target||delete this.cache.data[e.name.toLowerCase()]})},t.clearCache=function(){this.setStoredValue(n.CACHE_KEY,null),this.cache.pages.clear(),this.cache.stale.clear(),this.discardSceneData()},t.isSaveDataEnabled=function(){return null!=navigator.connection&&!0===navigator.connection.saveData},t.whenIdle=function(e){"function"==typeof window.requestIdleCallback?window.requestIdleCallback(e,{timeout:a.PREFETCH_IDLE_TIMEOUT}):window.setTimeout(e,a.PREFETCH_FALLBACK_DELAY)},t.prefetchScene=function(e,t=!1){return this.isSaveDataEnabled()?Promise.resolve():this.loadSceneData(e).then(()=>{t&&this.getScenePage(e)}).catch(()=>{s})},t.prefetchWhenIdle=function(){let e,t;this.isSaveDataEnabled()||(e=this.cache.data.home.array.slice(),t=()=>{e.length&&this.whenIdle(()=>{this.prefetchScene(e.shift()).then(t)})},t())},t.assembleElement=function(e){let t,s,a,n,i;if(!this.isArray(e))return this.assembleElement.call(this,Array.prototype.slice.call(arguments));if(s=e[0],a=e[1],t=document.createElement(s),n=1,"object"==typeof a&&null!=a&&!this.isArray(a)){for(let e in a)t.setAttribute(e,a[e]);n=2}for(let s=n;s<e.length;s++)i=this.isArray(e[s])?this.assembleElement(e[s]):this.isElement(e[s])?e[s]:document.createTextNode(this.resolveTokens(e[s])),t.appendChild(i);return t},t.assembleListElement=function(e,t){let s,a,n,i;return n={class:`${t}-li`},i={class:`${t}-link ${l.GENERAL__BUTTON_LINK}`},s=this.assembleElement(["li",n]),a=this.assembleElement(["button",i,e.text]),a.addEventListener("click",()=>{this.handleButtonClicks(e)},!1),["pointerenter","focus"].forEach(t=>{a.addEventListener(t,()=>{this.prefetchScene(e,!0)},!1)}),s.appendChild(a),s},t.assembleHomeListElement=function(e){let t,s,i,r,o,c,E,h,u;return i={class:`home-${e.name} ${l.HOME__LI}`},r={class:l.HOME__LINK,role:"button",href:this.buildRoute(e.name)},o={class:l.HOME__PICTURE},c={media:`(min-width: ${a.IMAGE_MIN_WIDTH}px)`,srcset:`${n.IMAGES_FOLDER}/${e.picture.normal}`},E={class:l.GENERAL__RESPONSIVE_IMAGE,alt:"",src:`${n.IMAGES_FOLDER}/${e.picture.mobile}`},h={class:l.HOME__COVER},u={class:l.HOME__PHOTOTEXT},t=this.assembleElement(["li",i]),s=this.assembleElement(["a",r,["picture",o,["source",c],["img",E]],["div",h,["p",u,e.text]]]),s.addEventListener("click",t=>{t.preventDefault(),this.handleButtonClicks(e)},!1),s.addEventListener("keydown",e=>{" "!==e.key&&"Spacebar"!==e.key||(e.preventDefault(),s.click())},!1),["pointerenter","focus"].forEach(t=>{s.addEventListener(t,()=>{this.prefetchScene(e,!0)},!1)}),t.appendChild(s),t},t.assembleMetaListElement=function(e){let t,s,a;return t={class:l.META__LI},s={class:l.META__LI_TITLE},a={class:l.META__LI_TEXT+" "+l.GENERAL__BUTTON_LINK+" "+l.GENERAL__PLAINLINK},this.assembleElement(["li",t,["span",s,e.title],this.assembleContact(e,a),this.assembleCopyButton(this.getContactText(e),e.title,l.CONTACT__COPY)])},t.assembleConnectListElement=function(e){let t,s,a,i,r,o,c;return t=e.text.toLowerCase(),s={class:"connect-"+e.text.toLowerCase()+" "+l.GENERAL__HAS_HEIGHT+" "+l.CONNECT__LI},a={href:e.link,title:e.text,class:l.CONNECT__LINK,target:n.LINK_TARGET},i={class:`${l.GENERAL__RESPONSIVE_IMAGE} ${l.CONNECT__SVG}`,alt:`${e.text} icon`,src:`${n.IMAGES_FOLDER}/${t}.${n.ICON_FORMAT}`},r={class:l.CONNECT__DESC},o={class:l.CONNECT__DESC_TITLE},c={class:l.CONNECT__DESC_TEXT},this.assembleElement(["li",s,["a",a,["img",i]],["div",r,["h5",o,e.description.title],["div",c,e.description.text]]])},t.assembleContact=function(e,t){return this[d[e.type].renderer](e,t)},t.assembleCopyButton=function(e,t,s){let a,n;return n={class:`${s} ${l.GENERAL__BUTTON_LINK}`,type:"button","aria-label":this.localize("COPY_LABEL",t)},a=this.assembleElement(["button",n,this.localize("COPY")]),a.addEventListener("click",()=>{this.handleCopy(e,t)},!1),a},t.assembleEmailContact=function(e,t){return this.assembleElement(["a",Object.assign({},t,{href:this.getContactHref(e)}),e.value])},t.assembleUrlContact=function(e,t){return this.isSafeUrl(e.value)?this.assembleElement(["a",Object.assign({},t,{href:e.value,target:n.LINK_TARGET,rel:n.LINK_REL}),e.value]):this.assembleElement(["span",t,e.value])},t.assemblePhoneContact=function(e,t){return this.assembleElement(["a",Object.assign({},t,{href:this.getContactHref(e)}),e.value])},t.assembleAddressContact=function(e,t){return this.assembleElement(["address",Object.assign({},t,{class:`${t.class||""} ${l.CONTACT__ADDRESS}`.trim()}),...this.getAddressLines(e.value).reduce((e,t,s)=>e.concat(s?[["br"],t]:[t]),[])])},t.assemblePgpContact=function(e,t){let s;return s={class:`${l.CONTACT__FINGERPRINT} ${l.GENERAL__INLINE_CODE}`},this.assembleElement(["span",t,["code",s,this.formatFingerprint(e.value)]])},t.assembleMatrixContact=function(e,t){return this.assembleElement(["a",Object.assign({},t,{href:this.getContactHref(e),target:n.LINK_TARGET,rel:n.LINK_REL}),e.value])},t.assembleMotionToggle=function(){let e,t;return t={class:l.FOOTER__MOTION_TOGGLE+" "+l.GENERAL__BUTTON_LINK,type:"button","aria-pressed":String(this.isReducedMotion())},e=this.assembleElement(["button",t,this.localize("REDUCED_MOTION_TOGGLE")]),e.addEventListener("click",()=>{this.handleMotionToggle()},!1),e},t.assembleResumeLink=function(){let e,t,s;return t=this.getResumeConfig(),s={class:l.FOOTER__RESUME_LINK+" "+l.GENERAL__BUTTON_LINK,href:this.buildRoute(t.name)},e=this.assembleElement(["a",s,t.text]),e.addEventListener("click",e=>{e.preventDefault(),this.handleButtonClicks(t)},!1),e},t.assembleLocaleSwitcher=function(){let e,t;return t={class:l.LOCALE__SELECT,"aria-label":this.localize("LANGUAGE_LABEL")},e=this.assembleElement(["select",t].concat(Object.keys(i).map(e=>["option",{value:e,lang:e,title:i[e].name},e.toUpperCase()]))),e.value=this.locale,e.addEventListener("change",()=>{this.handleLocaleChange(e.value)},!1),e},t.assembleQrCode=function(e,t){let s,i,r,o,c;return s=document.createElementNS(n.SVG_NAMESPACE,"svg"),i=document.createElementNS(n.SVG_NAMESPACE,"rect"),r=document.createElementNS(n.SVG_NAMESPACE,"path"),o=e.size+2*a.QR_QUIET_ZONE,c=[],e.modules.forEach((e,t)=>{e.forEach((e,s)=>{e&&c.push(`M${s+a.QR_QUIET_ZONE},${t+a.QR_QUIET_ZONE}h1v1h-1z`)})}),s.setAttribute("class",l.CARD__CODE),s.setAttribute("viewBox",`0 0 ${o} ${o}`),s.setAttribute("shape-rendering","crispEdges"),s.setAttribute("role","img"),s.setAttribute("aria-label",t),i.setAttribute("width",o),i.setAttribute("height",o),i.setAttribute("fill","#FFFFFF"),r.setAttribute("d",c.join("")),r.setAttribute("fill","#000000"),s.appendChild(i),s.appendChild(r),s},t.assembleEssaySection=function(e){let t,s,a,n,i,r,o;return n={class:l.ESSAY__SECTION},i={class:`${l.ESSAY__TITLE} ${l.DIPTYCH__SUBHEADER}`},r={class:l.ESSAY__PARAGRAPHS},o={class:l.ESSAY__PARAGRAPH},t=this.assembleElement(["div",n]),e.title&&(s=this.assembleElement(["h3",i,e.title]),t.appendChild(s)),a=this.assembleElement(["div",r]),e.paragraphs.forEach(e=>{a.appendChild(this.assembleElement(["p",o,...this.parseInline(e)]))}),t.appendChild(a),t},t.assembleEntry=function(e,t){let s,a,n,i,r,o,c,E,h,u,d,_,p,T,m,R;return c={class:l.ENTRY__SECTION},E={class:l.ENTRY__UPPER},h={class:l.ENTRY__HEADER},u={class:l.ENTRY__SUBHEADER},d={class:l.ENTRY__DATE},_={class:l.ENTRY__LOWER},p={class:l.ENTRY__PARAGRAPH},T={class:l.ENTRY__LISTING},m={class:l.ENTRY__LISTING_TITLE},R={class:l.ENTRY__LISTING_TEXT},s=this.assembleElement(["div",c]),i=this.assembleElement(["div",E,["div",h,e.header],["div",u,e.subheader]]),o=this.formatEntryDates(e),o&&i.appendChild(this.assembleElement(["div",d,o])),r=this.assembleElement(["div",_]),e.summary?(a=this.assembleElement(["p",p,...this.parseInline(e.summary)]),r.appendChild(a)):e.listing&&e.listing.forEach(e=>{n=this.assembleElement(["div",T,["div",m,e.title],["div",R,...e.items.reduce((e,t,s)=>e.concat(s?[", "]:[],this.parseInline(t)),[])]]),r.appendChild(n)}),s.appendChild(i),s.appendChild(r),t&&s.appendChild(document.createElement("hr")),s},t.buildList=function(e,t,s=!1){let a,n,i,r;return r=t.toLowerCase(),n={class:`${r}-ul`},a=this.assembleElement(["ul",n]),i=`assemble${s?this.capitalize(t):""}ListElement`,e.forEach(e=>{a.appendChild(this[i](e,t))}),a},t.buildContainer=function(e=null){let t,s,a,n,i;return s={class:l.WRAPPER__CONTAINER},a={class:l.WRAPPER__CONTENT},n={class:l.MAIN+" "+l.GENERAL__HAS_HEIGHT+" "+l.WRAPPER__CONTENT_SECTION},i={class:`${l.MAIN__ANNOUNCER} ${l.GENERAL__VISUALLY_HIDDEN}`,role:"status","aria-live":"polite"},t=this.assembleElement(["main",n,this.getScenePage(e||this.cache.data.home.array[0])]),t.addEventListener("touchstart",e=>{this.handleTouchStart(e,t)},{passive:!0}),t.addEventListener("touchmove",e=>{this.handleTouchMove(e,t)},{passive:!1}),t.addEventListener("touchend",()=>{this.handleTouchEnd(t)},!1),t.addEventListener("touchcancel",()=>{this.handleTouchEnd(t,!0)},!1),this.assembleElement(["div",s,["div",a,this.buildHeader(),t,["div",i],this.buildFooter()]])},t.buildHeader=function(){let e,t,s,a,i;return e={class:l.HEADER+" "+l.GENERAL__HAS_HEIGHT+" "+l.WRAPPER__CONTENT_SECTION},t={class:`${l.LOGO} ${l.HEADER__SECTION}`},s={class:l.LOGO__IMAGE+" "+l.GENERAL__RESPONSIVE_IMAGE+" "+l.LOGO__SECTION,alt:this.cache.data.header.image.alt,src:`${n.IMAGES_FOLDER}/${this.cache.data.header.image.src}`},a={class:`${l.LOGO__TEXT} ${l.LOGO__SECTION}`},i={class:`${l.LOCALE} ${l.HEADER__SECTION}`},this.assembleElement(["header",e,["section",t,["img",s],["h4",a,this.cache.data.header.name]],this.buildNav(),["section",i,this.assembleLocaleSwitcher()]])},t.buildNav=function(){let e,t,s,a,n,i,r;return e={class:`${l.NAV} ${l.HEADER__SECTION}`},t={class:l.NAV__HAMBURGER,role:"button",tabindex:"0","aria-label":this.localize("MENU_LABEL"),"aria-controls":l.NAV__UL,"aria-expanded":"false"},s={class:l.NAV__UPPER_BAR},a={class:l.NAV__MIDDLE_BAR},n={class:l.NAV__LOWER_BAR},r=this.buildList(this.cache.data.home.array,"nav",!1),r.setAttribute("id",l.NAV__UL),i=this.assembleElement(["div",t,["div",s],["div",a],["div",n]]),i.addEventListener("click",()=>{this.handleMenuToggle(i,r),this.isMenuOpen&&document.addEventListener("click",this.handleOutsideClicks=e=>{i.contains(e.target)||r.contains(e.target)||this.handleMenuToggle(i,r)})}),i.addEventListener("keydown",e=>{"Enter"!==e.key&&" "!==e.key&&"Spacebar"!==e.key||(e.preventDefault(),i.click())},!1),r.addEventListener("keydown",e=>{"Escape"!==e.key&&"Esc"!==e.key||!this.isMenuOpen||(this.handleMenuToggle(i,r),i.focus())},!1),this.assembleElement(["nav",e,i,r])},t.buildFooter=function(){let e,t,s,a,n,i,r;return e={class:l.FOOTER},t={class:l.FOOTER__UPPER+" "+l.FOOTER__SECTION+" "+l.GENERAL__HAS_HEIGHT+" "+l.WRAPPER__CONTENT_SECTION},s={class:l.FOOTER__LOWER+" "+l.FOOTER__SECTION+" "+l.GENERAL__HAS_HEIGHT+" "+l.WRAPPER__CONTENT_SECTION},a={class:l.FOOTER__COPYRIGHT},n=["section","meta",this.cache.data.details.contacts.filter(e=>e.footer),this.cache.data.footer.meta.summary],i=["nav","sitemap",this.cache.data.home.array],r=["section","connect",this.cache.data.footer.connect.array],this.assembleElement(["footer",e,["section",t,this.buildFooterUpperSection(...n),this.buildFooterUpperSection(...i),this.buildFooterUpperSection(...r)],["section",s,this.assembleMotionToggle(),this.assembleResumeLink(),["span",a,this.cache.data.footer.copyright]]])},t.buildFooterUpperSection=function(e,t,s,a=null){let n,i,r,o;return n=t.toLowerCase(),i={class:`${n} ${l.FOOTER__UPPER_SECTION}`},r={class:`${n}-title ${l.FOOTER__TITLE}`},null!=a&&(o={class:`${n}-text`}),this.assembleElement([e,i,["h4",r,null!=a?a.title:this.capitalize(n)],null!=a?["div",o,a.text]:"",this.buildList(s,n,"nav"!==e)])},t.buildHome=function(){return this.buildList(this.cache.data.home.array.slice(1),"home",!0)},t.buildDiptych=function(e){let t,s,a,i,r,o,c,E;return E=this.cache.data[e].aside,t={class:`${l.DIPTYPCH} ${l.GENERAL__HAS_HEIGHT}`},s={class:`${l.LEFT__PANEL} ${l.DIPTYCH__PANEL}`},a={class:l.LEFT__AVATAR,src:`${n.IMAGES_FOLDER}/${e}.webp`,alt:this.localize("AVATAR_ALT",this.capitalize(e))},r={class:`${l.LEFT__HEADER} ${l.DIPTYCH__HEADER}`},o={class:`${l.LEFT__SUBHEADER} ${l.DIPTYCH__SUBHEADER}`},c={class:l.LEFT__SUMMARY},i=this.assembleElement(["aside",s,["img",a],["h1",r,E.header]]),E.subheader&&i.appendChild(this.assembleElement(["h5",o,E.subheader])),i.appendChild(this.assembleEssaySection(this.cache.data[e].aside.summary)),E.canShowTable&&i.appendChild(this.buildLeftDetailsTable()),this.assembleElement(["section",t,i,this.buildRightPanel(e)])},t.buildRightPanel=function(e){let t,s,a,n,i,r,o,c;return r={class:`${l.RIGHT__PANEL} ${l.DIPTYCH__PANEL}`},o={class:`${l.RIGHT__HEADER} ${l.DIPTYCH__HEADER}`},c={class:l.RIGHT__CONTENT},s=this.cache.data[e].article,t=this.assembleElement(["article",r]),a=this.assembleElement(["h2",o,s.header]),n=this.assembleElement(["section",c]),s.essaySections?s.essaySections.forEach(e=>{n.appendChild(this.assembleEssaySection(e))}):s.entries&&(i=s.sort?this.sortEntries(s.entries,s.sort):s.entries,i.forEach((e,t)=>{n.appendChild(this.assembleEntry(e,t<i.length-1))})),t.appendChild(a),t.appendChild(n),s.canShowTable&&(n.appendChild(this.buildRightDetailsTable()),n.appendChild(this.buildContactCard())),t},t.buildLeftDetailsTable=function(){let e,t,s,a,n,i,r,o,c,E,h;e=this.cache.data.details.contacts.filter(e=>"url"!==e.type),o={class:l.LEFT__DETAILS},c={class:l.LEFT__DETAILS_HEADER+" "+l.LEFT__SUBHEADER+" "+l.DIPTYCH__SUBHEADER},s={class:l.LEFT__DETAILS_TABLE},t=this.assembleElement(["table",s]),a=document.createElement("tbody"),r=this.assembleElement(["section",o,["h3",c,this.localize(e.every(e=>"email"===e.type)?"EMAIL_ADDRESSES":"CONTACT_DETAILS")]]),E={class:`${l.LEFT__DETAILS_CELL}-title`},h={class:l.LEFT__DETAILS_CELL+"-text "+l.GENERAL__BUTTON_LINK+" "+l.GENERAL__PLAINLINK},t.appendChild(a);for(let t=0;t<e.length;t++)n=a.insertRow(t),n.setAttribute("class",l.LEFT__DETAILS_ROW),i=n.insertCell(0),i.setAttribute("class",l.LEFT__DETAILS_CELL),i.appendChild(this.assembleElement(["span",E,e[t].title])),i=n.insertCell(1),i.setAttribute("class",l.LEFT__DETAILS_CELL),i.appendChild(this.assembleContact(e[t],h)),i.appendChild(this.assembleCopyButton(this.getContactText(e[t]),e[t].title,l.CONTACT__COPY));return r.appendChild(t),r},t.buildRightDetailsTable=function(){let e,t,s,a,n,i,r,o,c;return i=this.cache.data.details.contacts,s={class:l.RIGHT__DETAILS_UL},a={class:l.RIGHT__DETAILS},n={class:`${l.RIGHT__DETAILS_HEADER} ${l.DIPTYCH__SUBHEADER}`},r={class:l.RIGHT__DETAILS_LI},o={class:l.RIGHT__DETAILS_LI_TITLE},c={class:l.RIGHT__DETAILS_LI_TEXT+" "+l.GENERAL__BUTTON_LINK+" "+l.GENERAL__PLAINLINK},t=this.assembleElement(["ul",s]),e=this.assembleElement(["div",a,["h3",n,this.localize("CONTACT_INFO")],t]),i.forEach(e=>{t.appendChild(this.assembleElement(["li",r,["span",o,e.title],this.assembleContact(e,c),this.assembleCopyButton(this.getContactText(e),e.title,l.CONTACT__COPY)]))}),e.appendChild(t),e},t.buildContactCard=function(){let e,t,s,a,n,i,r,o,c;return n={class:l.CARD},i={class:`${l.CARD__HEADER} ${l.DIPTYCH__SUBHEADER}`},r={class:l.CARD__HINT},o={class:l.CARD__OPTIONS,role:"group","aria-label":this.localize("QR_OPTIONS")},c={class:l.CARD__BUTTON+" "+l.GENERAL__BUTTON_LINK,type:"button"},t=[{label:"QR_VCARD",text:this.getVCard()},{label:"QR_SITE",text:this.getSiteAddress()}].map(e=>{let t;return t=this.encodeQrCode(e.text),Object.assign(e,{code:null!=t?this.assembleQrCode(t,this.localize("QR_LABEL",this.localize(e.label))):null})}).filter(e=>null!=e.code),s=t.map((t,s)=>{let a;return a=this.assembleElement(["button",Object.assign({"aria-pressed":String(0===s)},c),this.localize(t.label)]),a.addEventListener("click",()=>{this.handleQrSelection(e,a,t.code)},!1),a}),a=this.assembleElement(["button",c,this.localize("CONTACT_SAVE")]),a.addEventListener("click",()=>{this.handleContactSave()},!1),e=this.assembleElement(["section",n,["h3",i,this.localize("CONTACT_CARD")],["p",r,this.localize("CONTACT_CARD_HINT")],["div",o,...s],t[0].code,a]),e},t.buildErrorPage=function(e){let t,s,a,i,r,o,c,E,h,u,d,_,p,T;return r={class:l.ERROR},o={class:l.ERROR__HEADER},c={class:l.ERROR__SUBHEADER},E={class:l.ERROR__CONTENT},h={class:l.ERROR__SUMMARY},u={class:`${l.GENERAL__BUTTON_LINK} ${l.GENERAL__PLAINLINK}`,href:`mailto:${n.ERROR_EMAIL}`},d={class:l.ERROR__TECH},_={class:l.ERROR__TECH_TITLE},p={class:l.ERROR__TECH_TEXT},T={class:l.ERROR__TECH_LIST},s=this.cache.data.error.violations,a=null!=this.cache.data.error.type?n.ERROR_TITLE.replace("$1",this.capitalize(this.cache.data.error.type)):`${this.capitalize(e)}: `,i=[a+this.cache.data.error.message].concat(s.map(e=>this.formatViolation(e))).join("\n"),t=this.assembleElement(["section",r,["h1",o,this.localize("ERROR_HEADER")],["h2",c,this.localize("ERROR_SUBHEADER")],["div",E,["div",h,this.localize("ERROR_SUMMARY")],["a",u,n.ERROR_EMAIL]],["div",d,["span",_,a],["span",p,this.cache.data.error.message],this.assembleCopyButton(i,this.localize("ERROR_DETAILS"),l.ERROR__COPY)]]),t},t.assembleResumeHeading=function(e,t,s,a,n){let i,r;return r={class:l.RESUME__TOGGLE,type:"checkbox"},i=this.assembleElement(["input",r]),i.checked=!this.resumeExclusions.has(s),n.classList.toggle(l.RESUME__EXCLUDED,!i.checked),i.addEventListener("change",()=>{this.handleResumeToggle(s,n,i.checked)},!1),this.assembleElement([e,{class:t},["label",{},i,a]])},t.assembleResumeEntry=function(e,t){let s,a,n,i;return i={class:l.RESUME__ENTRY_TEXT},s=this.assembleElement(["div",{class:l.RESUME__ENTRY}]),a=this.formatEntryDates(e),n=e.summary?[["p",i,...this.parseInline(e.summary)]]:(e.listing||[]).map(e=>["p",i,["strong",{},`${e.title}: `],...e.items.reduce((e,t,s)=>e.concat(s?[", "]:[],this.parseInline(t)),[])]),[this.assembleResumeHeading("h3",l.RESUME__ENTRY_HEADER,t,e.header,s),this.assembleElement(["div",{class:l.RESUME__ENTRY_SUBHEADER},e.subheader]),a?this.assembleElement(["div",{class:l.RESUME__ENTRY_DATE},a]):null,...n.map(e=>this.assembleElement(e))].forEach(e=>{null!=e&&s.appendChild(e)}),s},t.buildNotFoundPage=function(){let e,t,s,a,n,i,r,o;return e=this.cache.data.home.array[0],s={class:l.ERROR},a={class:l.ERROR__HEADER},n={class:l.ERROR__SUBHEADER},i={class:l.ERROR__CONTENT},r={class:l.ERROR__SUMMARY},o={class:`${l.GENERAL__BUTTON_LINK} ${l.GENERAL__PLAINLINK}`,href:this.buildRoute(e.name)},t=this.assembleElement(["a",o,this.localize("NOT_FOUND_LINK")]),t.addEventListener("click",t=>{t.preventDefault(),this.handleButtonClicks(e)},!1),this.assembleElement(["section",s,["h1",a,this.localize("NOT_FOUND_HEADER")],["h2",n,this.localize("NOT_FOUND_SUBHEADER")],["div",i,["div",r,this.localize("NOT_FOUND_SUMMARY")],t]])},t.buildOfflinePage=function(){let e,t,s,a,n,i,r;return t={class:l.ERROR},s={class:l.ERROR__HEADER},a={class:l.ERROR__SUBHEADER},n={class:l.ERROR__CONTENT},i={class:l.ERROR__SUMMARY},r={class:`${l.GENERAL__BUTTON_LINK} ${l.GENERAL__PLAINLINK}`,type:"button"},e=this.assembleElement(["button",r,this.localize("OFFLINE_RETRY")]),e.addEventListener("click",()=>{this.isOffline()?this.showToast(this.localize("OFFLINE_STILL"),u.ERROR):this.handleButtonClicks(this.getSceneConfig(this.getRouteName())||this.cache.data.home.array[0],null,!1)},!1),this.assembleElement(["section",t,["h1",s,this.localize("OFFLINE_HEADER")],["h2",a,this.localize("OFFLINE_SUBHEADER")],["div",n,["div",i,this.localize("OFFLINE_SUMMARY")],e]])},t.buildResume=function(){let e,t,s,a,n,i,r,o,c,E,h,u,d,_;return i={class:l.RESUME},r={class:l.RESUME__HEADER},o={class:l.RESUME__NAME},c={class:l.RESUME__CONTACT},E={class:l.RESUME__CONTACT_ITEM},h={class:l.RESUME__CONTROLS},u={class:l.RESUME__HINT},d={class:l.RESUME__ACTIONS},_={class:l.RESUME__BUTTON+" "+l.GENERAL__BUTTON_LINK,type:"button"},e=this.assembleElement(["article",i]),t=this.assembleElement(["header",r,["h1",o,this.cache.data.header.name],["ul",c,...this.cache.data.details.contacts.map(e=>["li",E,this.assembleContact(e,{})])]]),a=this.assembleElement(["button",_,this.localize("RESUME_PRINT")]),a.addEventListener("click",()=>{window.print()},!1),n=Object.keys(O).map(t=>{let s;return s=this.assembleElement(["button",_,this.localize(O[t].label)]),s.addEventListener("click",()=>{this.handleResumeExport(e,t)},!1),s}),s=this.assembleElement(["div",h,["p",u,this.localize("RESUME_HINT")],["div",d,a,...n]]),e.appendChild(t),e.appendChild(s),Object.values(R).forEach(t=>{let s,a;a=this.cache.data[t].article,s=this.assembleElement(["section",{class:l.RESUME__SECTION}]),s.appendChild(this.assembleResumeHeading("h2",l.RESUME__SECTION_HEADER,t,a.header,s)),a.entries.forEach((e,a)=>{s.appendChild(this.assembleResumeEntry(e,`${t}/${a}`))}),e.appendChild(s)}),e},t.buildShortcutsOverlay=function(){let e,t,s,a,n,i,r,o,c,E,h,u;return a=[[["←"],this.localize("SHORTCUT_PREVIOUS")],[["→"],this.localize("SHORTCUT_NEXT")],[["1",this.cache.data.home.array.length-1],this.localize("SHORTCUT_JUMP")],[["h"],this.localize("SHORTCUT_HOME")],[["?"],this.localize("SHORTCUT_HELP")]],n={class:l.SHORTCUTS},i={class:l.SHORTCUTS__DIALOG,role:"dialog","aria-modal":"true","aria-labelledby":l.SHORTCUTS__TITLE},r={class:`${l.SHORTCUTS__TITLE} ${l.DIPTYCH__SUBHEADER}`,id:l.SHORTCUTS__TITLE},o={class:l.SHORTCUTS__LIST},c={class:l.SHORTCUTS__KEYS},E={class:l.SHORTCUTS__KEY},h={class:l.SHORTCUTS__DESC},u={class:`${l.SHORTCUTS__CLOSE} ${l.GENERAL__BUTTON_LINK}`,type:"button"},s=this.assembleElement(["dl",o]),t=this.assembleElement(["button",u,this.localize("SHORTCUTS_CLOSE")]),a.forEach(e=>{s.appendChild(this.assembleElement(["dt",c,["kbd",E,e[0].join("–")]])),s.appendChild(this.assembleElement(["dd",h,e[1]]))}),e=this.assembleElement(["div",n,["div",i,["h3",r,this.localize("SHORTCUTS_TITLE")],s,t]]),t.addEventListener("click",()=>{this.handleShortcutsToggle()},!1),e.addEventListener("click",t=>{t.target===e&&this.handleShortcutsToggle()},!1),e},t.handleButtonClicks=function(e,t=null,s=!0){let a;this.isVisible(`.${l.NAV__HAMBURGER}`)&&this.isVisible(`.${l.NAV__UL}`)&&this.handleMenuToggle(),s&&this.pushRoute(e),this.navigation.state===c.IDLE&&this.navigation.scene===e.name||(a=this.beginNavigation(e),this.loadSceneData(e).then(()=>{this.isCurrentNavigation(a)&&this.tinderize(t,l.MAIN,e,a)},e=>{this.isCurrentNavigation(a)&&(this.isOffline()?this.tinderize(t,l.MAIN,this.getOfflineConfig(),a):this.handleErrors(e))}))},t.handleMenuToggle=function(){let e,t;e=document.querySelector(`.${l.NAV__HAMBURGER}`),t=document.querySelector(`.${l.NAV__UL}`),e.classList.toggle(l.GENERAL__ACTIVE),t.classList.toggle(l.GENERAL__IS_VISIBLE),this.isMenuOpen=!this.isMenuOpen,e.setAttribute("aria-expanded",String(this.isMenuOpen)),null!=this.handleOutsideClicks&&document.removeEventListener("click",this.handleOutsideClicks)},t.handleShortcuts=function(e){let t,s;if(!(e.defaultPrevented||e.ctrlKey||e.metaKey||e.altKey||this.isTextField(e.target)))if(null==this.shortcutsOverlay){switch(t=this.cache.data.home.array,e.key){case"ArrowLeft":case"Left":s=this.getAdjacentScene(-1);break;case"ArrowRight":case"Right":s=this.getAdjacentScene(1);break;case"h":case"H":s=t[0];break;case"?":return e.preventDefault(),void this.handleShortcutsToggle();default:s=/^[1-9]$/.test(e.key)?t[Number.parseInt(e.key,10)]:null}null!=s&&(e.preventDefault(),this.handleButtonClicks(s))}else/^(\?|Escape|Esc)$/.test(e.key)?(e.preventDefault(),this.handleShortcutsToggle()):"Tab"===e.key&&e.preventDefault()},t.handleShortcutsToggle=function(){if(null!=this.shortcutsOverlay)return document.body.removeChild(this.shortcutsOverlay),this.shortcutsOverlay=null,void(null!=this.shortcutsReturnFocus&&(this.shortcutsReturnFocus.focus(),this.shortcutsReturnFocus=null));this.shortcutsReturnFocus=document.activeElement,this.shortcutsOverlay=this.buildShortcutsOverlay(),document.body.appendChild(this.shortcutsOverlay),this.shortcutsOverlay.querySelector(`.${l.SHORTCUTS__CLOSE}`).focus()},t.handleTouchStart=function(e,t){let s;this.gesture=null,1!==e.touches.length||this.navigation.state!==c.IDLE||this.isInHorizontalScroller(e.target,t)||(s=e.touches[0],this.gesture={startX:s.clientX,startY:s.clientY,startTime:Date.now(),deltaX:0,axis:null})},t.handleTouchMove=function(e,t){let s,n,i,r;if(null!=this.gesture&&"y"!==this.gesture.axis){if(s=e.touches[0],n=s.clientX-this.gesture.startX,i=s.clientY-this.gesture.startY,null==this.gesture.axis){if(Math.max(Math.abs(n),Math.abs(i))<a.SWIPE_AXIS_LOCK_DISTANCE)return;if(this.gesture.axis=Math.abs(n)>Math.abs(i)?"x":"y","y"===this.gesture.axis)return}e.preventDefault(),this.gesture.deltaX=n,this.isReducedMotion()||(r=null!=this.getAdjacentScene(n<0?1:-1)?n:n/a.SWIPE_EDGE_RESISTANCE,this.applyFrame(t,{opacity:1-Math.min(Math.abs(r)/t.clientWidth,1)/2,offset:r}))}},t.handleTouchEnd=function(e,t=!1){let s,n,i,r;s=this.gesture,this.gesture=null,null!=s&&"x"===s.axis&&(n=Math.abs(s.deltaX),i=n/Math.max(Date.now()-s.startTime,1),r=this.getAdjacentScene(s.deltaX<0?1:-1),!t&&null!=r&&(n>=e.clientWidth*a.SWIPE_COMMIT_RATIO||i>=a.SWIPE_COMMIT_VELOCITY)?this.handleButtonClicks(r,s.deltaX<0?"slideLeft":"slideRight"):this.animate(e,E.FADE.enter,a.TRANSITION_DURATION))},t.handleMotionToggle=function(){this.setReducedMotion(!this.isReducedMotion())},t.handleLocaleChange=function(e){this.setLocale(e)},t.handleResumeToggle=function(e,t,s){s?this.resumeExclusions.delete(e):this.resumeExclusions.add(e),t.classList.toggle(l.RESUME__EXCLUDED,!s)},t.handleResumeExport=function(e,t){let s,a;s=O[t],a=n.RESUME_FILE_NAME.replace("$1",this.getNameSlug()).replace("$2",s.extension),this[s.handler](e).then(e=>{this.downloadFile(e,s.type,a)}).catch(e=>{this.showToast(this.localize("RESUME_EXPORT_FAILED"),u.ERROR)})},t.handleQrSelection=function(e,t,s){e.querySelector(`.${l.CARD__CODE}`).replaceWith(s),e.querySelectorAll(`.${l.CARD__OPTIONS} button`).forEach(e=>{e.setAttribute("aria-pressed",String(e===t))})},t.handleContactSave=function(){this.downloadFile(this.getVCard(),n.VCARD_TYPE,n.VCARD_FILE_NAME.replace("$1",this.getNameSlug()))},t.handleCopy=function(e,t){this.copyText(e).then(()=>{this.showToast(this.localize("COPIED",t),u.SUCCESS)}).catch(e=>{this.showToast(this.localize("COPY_FAILED",t),u.ERROR)})},t.handleConnectionChange=function(e){this.showToast(this.localize(e?"ONLINE_NOTICE":"OFFLINE_NOTICE"),e?u.SUCCESS:u.INFO)},t.handleRouteChange=function(){let e;e=this.getSceneConfig(this.getRouteName()),null!=e?this.handleButtonClicks(e,null,!1):this.tinderize(null,l.MAIN,this.getNotFoundConfig())},t.handleErrors=function(e){this.cache.data.error={type:e.type||null,message:""!==e.message?e.message:n.ERROR_GET,violations:e.violations||[]},this.cache.pages.delete("error"),this.tinderize(n.DEFAULT_TRANSITION,l.WRAPPER__CONTENT,{name:"error",handler:"buildErrorPage"})},t.main=function(e=null){let t;this.isMenuOpen=!1,T.hasOwnProperty(e)?this.source=e:this.source=n.DEFAULT_SOURCE,this.cache={data:{},pages:new Map,requests:new Map,stale:new Map},this.isLoaded=!1,this.navigation={state:c.IDLE,id:0,target:null,scene:null,animations:new Map},this.gesture=null,this.resumeExclusions=new Set,this.shortcutsOverlay=null,this.shortcutsReturnFocus=null,this.motion={query:window.matchMedia?window.matchMedia(n.REDUCED_MOTION_QUERY):null,system:!1,override:this.getStoredValue(n.REDUCED_MOTION_KEY)},this.motion.system=null!=this.motion.query&&this.motion.query.matches,null!=this.motion.query&&this.motion.query[this.motion.query.addEventListener?"addEventListener":"addListener"]("change",e=>{this.motion.system=(e||this.motion.query).matches,this.applyMotionPreference()}),this.applyMotionPreference(),this.locale=this.resolveLocale(),this.applyLocale(),this.registerServiceWorker(),this.requestFile(n.DATA_NAME).then(e=>{if(e.success)return this.cache.data=Object.assign(this.cache.data,e.data),window.addEventListener("offline",()=>{this.handleConnectionChange(!1)},!1),window.addEventListener("online",()=>{this.handleConnectionChange(!0)},!1),t=this.getSceneConfig(this.getRouteName())||this.getNotFoundConfig(),(t.name===n.NOT_FOUND_NAME?Promise.resolve():this.loadSceneData(t).catch(e=>{if(!this.isOffline())throw e;t=this.getOfflineConfig()})).then(()=>{let e;return e=this.buildContainer(t),this.navigation.scene=t.name,this.loadImages(e).then(()=>{document.body.appendChild(e),window.addEventListener("popstate",()=>{this.handleRouteChange()},!1),document.addEventListener("keydown",e=>{this.handleShortcuts(e)},!1),this.fade("IN",`.${l.WRAPPER__CONTAINER}`,a.INITIAL_TRANSITION_DURATION).then(()=>{this.isLoaded=!0,this.revalidateStaleFiles(),this.prefetchWhenIdle()})})})}).catch(e=>{this.handleErrors(e)})},e.getUtility=function(){return Object.assign({},a)},e.getText=function(){return Object.assign({},n)},e.getClasses=function(){return Object.assign({},l)},e.getOperations=function(){return Object.assign({},o)},e.init=function(e=null){t.main(e)},e.setReducedMotion=function(e){t.setReducedMotion(e)},e.setLocale=function(e){t.setLocale(e)},e.validate=function(e,s){return t.validateFile(e,s)},e.migrate=function(e,s){return t.migrateFile(e,s)},e.toJsonResume=function(e=null){return t.getJsonResumeFiles(e).then(e=>t.convertToJsonResume(e))},e.fromJsonResume=function(e,s=null){return t.getJsonResumeFiles(s).then(s=>t.convertFromJsonResume(e,s))},e.clearCache=function(){t.clearCache()},e}();
\ No newline at end of file
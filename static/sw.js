@@ -0,0 +1,240 @@
+/**
+ * @file sw.js
+ * @fileoverview The service worker of the program, responsible for caching the
+ * application shell and previously visited scenes so that the site remains
+ * browsable in the absence of a network connection.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/*
+ * @description The service worker is registered by <code>app.js</code> on
+ * initial load. On installation, it precaches the files required to build the
+ * header, footer, and homepage, namely <code>index.html</code>, the minified
+ * script and stylesheets, <code>data.json</code>, and the homepage panel
+ * images and scene avatars, the latter so that scenes served from the cache
+ * while offline are displayed complete. Thereafter, requests are handled by
+ * one of three strategies:
+ * <br />
+ * <br />
+ * Scene JSON files, and any other JSON content requested by the application
+ * (i.e. from a same-origin REST API), are served "stale-while-revalidate,"
+ * that is, from the cache if present while a fresh copy is requested from the
+ * network in the background for use on the next visit. Requests made by the
+ * application to revalidate its own persistent cache bypass stale copies by
+ * way of the "no-cache" mode, and are served from the network first, with the
+ * cached copy used only if the network is unreachable. All other same-origin
+ * files, such as the interface's icons, are served from the cache if present
+ * and added to the cache once fetched otherwise. Requests for other
+ * origins (i.e. Google Fonts) are left to the browser.
+ * <br />
+ * <br />
+ * All files are stored in a single cache whose name includes
+ * <code>VERSION</code>. Incrementing this value whenever the precached files
+ * change causes the new worker to build a fresh cache on installation and to
+ * delete the caches of previous versions on activation.
+ */
+
+/**
+ * @description Version of the cache, to be incremented whenever the contents
+ * of <code>PRECACHE</code> or the files it lists change.
+ *
+ * @const
+ */
+const VERSION = 11;
+
+/**
+ * @description Name of the present version's cache
+ *
+ * @const
+ */
+const CACHE_NAME = `andreweissen-v${VERSION}`;
+
+/**
+ * @description Files fetched and cached on installation, relative to the
+ * worker's location.
+ *
+ * @readonly
+ * @const
+ */
+const PRECACHE = Object.freeze([
+  './',
+  'index.html',
+  'js/app.min.js',
+  'css/style.min.css',
+  'css/print.min.css',
+  'json/data.json',
+  'images/favicon.ico',
+  'images/logo.svg',
+  'images/panel1.webp',
+  'images/panel2.webp',
+  'images/panel3.webp',
+  'images/panel4.webp',
+  'images/panel5.webp',
+  'images/panel6.webp',
+  'images/mobilepanel1.webp',
+  'images/mobilepanel2.webp',
+  'images/mobilepanel3.webp',
+  'images/mobilepanel4.webp',
+  'images/mobilepanel5.webp',
+  'images/mobilepanel6.webp',
+  'images/about.webp',
+  'images/education.webp',
+  'images/experience.webp',
+  'images/expertise.webp',
+  'images/awards.webp',
+  'images/contact.webp',
+]);
+
+/**
+ * @description Pattern matching the pathnames of scene JSON files, including
+ * translations housed in language subdirectories (i.e. <code>json/de/</code>)
+ *
+ * @const
+ */
+const JSON_PATTERN = /\/json\/(?:[^/]+\/)?[^/]+\.json$/;
+
+/**
+ * @description Determines whether the parameter request is for content, that
+ * is, for a scene JSON file or for other JSON requested by the application.
+ *
+ * @param {Request} paramRequest Request to be handled
+ * @param {URL} paramUrl Parsed address of request
+ * @returns {boolean}
+ */
+const isContentRequest = function (paramRequest, paramUrl) {
+  return JSON_PATTERN.test(paramUrl.pathname) ||
+    (paramRequest.headers.get('Accept') || '').includes('application/json');
+};
+
+/**
+ * @description Fetches the parameter request from the network, adding a copy
+ * of any successful response to the cache before returning it.
+ *
+ * @param {Cache} paramCache Opened cache of present version
+ * @param {Request} paramRequest Request to be fetched
+ * @returns {Promise<Response>}
+ */
+const fetchAndCache = function (paramCache, paramRequest) {
+  return fetch(paramRequest).then((response) => {
+    if (response.ok) {
+      paramCache.put(paramRequest, response.clone());
+    }
+
+    return response;
+  });
+};
+
+/**
+ * @description Serves the parameter request from the network, updating the
+ * cached copy, or from the cache if the network is unreachable.
+ *
+ * @param {Request} paramRequest Request for scene JSON
+ * @returns {Promise<Response>}
+ */
+const networkFirst = function (paramRequest) {
+  return caches.open(CACHE_NAME).then((cache) => {
+    return fetchAndCache(cache, paramRequest).catch((error) => {
+      return cache.match(paramRequest).then((cached) => {
+        if (cached == null) {
+          throw error;
+        }
+
+        return cached;
+      });
+    });
+  });
+};
+
+/**
+ * @description Serves the parameter request from the cache if present while
+ * updating the cached copy from the network in the background. If no copy is
+ * cached, the network response is awaited instead.
+ *
+ * @param {Request} paramRequest Request for scene JSON
+ * @returns {Promise<Response>}
+ */
+const staleWhileRevalidate = function (paramRequest) {
+  return caches.open(CACHE_NAME).then((cache) => {
+    return cache.match(paramRequest).then((cached) => {
+
+      // Declaration
+      let update;
+
+      // Definition
+      update = fetchAndCache(cache, paramRequest);
+
+      if (cached != null) {
+
+        // Stale copy is served; failures to revalidate are of no consequence
+        update.catch(() => {});
+        return cached;
+      }
+
+      return update;
+    });
+  });
+};
+
+/**
+ * @description Serves the parameter request from the cache if present,
+ * fetching and caching it otherwise.
+ *
+ * @param {Request} paramRequest Request for any other same-origin file
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = function (paramRequest) {
+  return caches.open(CACHE_NAME).then((cache) => {
+    return cache.match(paramRequest).then((cached) => {
+      return cached || fetchAndCache(cache, paramRequest);
+    });
+  });
+};
+
+// Precache application shell, activating without waiting on open tabs
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => {
+      return cache.addAll(PRECACHE);
+    }).then(() => {
+      return self.skipWaiting();
+    }),
+  );
+});
+
+// Delete caches belonging to previous versions and take control of open tabs
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => {
+      return Promise.all(keys.filter((key) => {
+        return key !== CACHE_NAME;
+      }).map((key) => {
+        return caches.delete(key);
+      }));
+    }).then(() => {
+      return self.clients.claim();
+    }),
+  );
+});
+
+// Route same-origin GET requests to the applicable caching strategy
+self.addEventListener('fetch', (event) => {
+
+  // Declaration
+  let url;
+
+  // Definition
+  url = new URL(event.request.url);
+
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (!isContentRequest(event.request, url)) {
+    event.respondWith(cacheFirst(event.request));
+  } else if (event.request.cache === 'no-cache') {
+    event.respondWith(networkFirst(event.request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event.request));
+  }
+});
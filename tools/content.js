@@ -0,0 +1,1444 @@
+/**
+ * @file content.js
+ * @fileoverview A command-line tool for the authoring and checking of the
+ * site's content, used to build the scene files of <code>static/json/</code>
+ * from Markdown sources, to confirm that the site's JSON files and images are
+ * complete and valid before deployment, and to proofread the site's copy.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/*
+ * @description The tool provides five commands. The first,
+ * <code>build</code>, assembles the JSON file of each scene from the
+ * directory of the same name in <code>content/</code>, which contains an
+ * <code>index.md</code> file describing the scene and a Markdown file per
+ * entry or essay section, ordered by file name. Each file may begin with YAML
+ * front matter delimited by lines of three hyphens, while the remainder of the
+ * file, split into paragraphs at blank lines, provides the scene's sidebar
+ * paragraphs, the entry's summary, or the section's paragraphs respectively.
+ * Files carrying a <code>header</code> are entries; all others are essay
+ * sections. Translations are placed in a subdirectory named for the language
+ * (i.e. <code>content/de/about/</code>) and built into the corresponding
+ * subdirectory of <code>static/json/</code>.
+ * <br />
+ * <br />
+ * The second, <code>check</code>, validates every JSON file of
+ * <code>static/json/</code> against the schema used by the browser, loading
+ * <code>app.js</code> itself so that the two cannot differ, and confirms that
+ * each scene listed in <code>home.array</code> has its JSON file, panel image
+ * pair, and avatar (<code>images/&lt;name&gt;.webp</code>), and that every
+ * other image referenced by <code>data.json</code> exists. The scene files
+ * are then proofread as by <code>lint</code>, so that the check covers the
+ * copy to be deployed as well.
+ * <br />
+ * <br />
+ * The third, <code>lint</code>, proofreads every string of the scene files,
+ * flagging repeated words, common misspellings, double spaces, straight
+ * quotes, opening quotes typed in place of the apostrophes of abbreviated
+ * years, and inconsistently capitalized names, along with any violations of
+ * the project's own rules. The rules applied, the dictionary of misspellings,
+ * the preferred forms of names, and the words and repetitions to be allowed
+ * are configured in <code>content/lint.json</code>. Each problem is listed
+ * with the JSON path of the offending string and a suggested correction.
+ * <br />
+ * <br />
+ * The last two, <code>export-resume</code> and <code>import-resume</code>,
+ * convert the site's career data to and from the community JSON Resume
+ * format by way of <code>Module.toJsonResume</code> and
+ * <code>Module.fromJsonResume</code>, the same converter used in the
+ * browser. Exported resumes are written to the file named, or to standard
+ * output if none is. Imported resumes update <code>data.json</code> and
+ * replace the entry sources of the affected scenes in <code>content/</code>,
+ * which are then built. Fields of either format without a counterpart in the
+ * other are listed rather than silently dropped, though they are not treated
+ * as problems.
+ * <br />
+ * <br />
+ * All commands exit with a non-zero status if any problem is found, listing
+ * each by file.
+ * <br />
+ * <br />
+ * Usage: <code>node tools/content.js build [scene ...]</code>,
+ * <code>node tools/content.js check</code>,
+ * <code>node tools/content.js lint</code>,
+ * <code>node tools/content.js export-resume [file]</code>, or
+ * <code>node tools/content.js import-resume &lt;file&gt;</code>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * @description Root directory of the repository
+ *
+ * @const
+ */
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @description Directory of the site's JSON files
+ *
+ * @const
+ */
+const JSON_DIR = path.join(ROOT, 'static', 'json');
+
+/**
+ * @description Directory of the site's images
+ *
+ * @const
+ */
+const IMAGES_DIR = path.join(ROOT, 'static', 'images');
+
+/**
+ * @description Directory of the Markdown sources of the scene files
+ *
+ * @const
+ */
+const CONTENT_DIR = path.join(ROOT, 'content');
+
+/**
+ * @description Application script whose schema and migrations are used
+ *
+ * @const
+ */
+const APP_FILE = path.join(ROOT, 'static', 'js', 'app.js');
+
+/**
+ * @description Configuration of the <code>lint</code> command
+ *
+ * @const
+ */
+const LINT_CONFIG = path.join(CONTENT_DIR, 'lint.json');
+
+/**
+ * @description Name of the source file describing a scene as a whole
+ *
+ * @const
+ */
+const INDEX_NAME = 'index.md';
+
+/**
+ * @description Pattern matching the names of scenes, as required by the
+ * content API of <code>mock-server.js</code>
+ *
+ * @const
+ */
+const SCENE_PATTERN = /^[a-z]+$/;
+
+/**
+ * @description Pattern matching the names of language subdirectories
+ *
+ * @const
+ */
+const LOCALE_PATTERN = /^[a-z]{2}$/;
+
+/**
+ * @description Line delimiting a source file's front matter
+ *
+ * @const
+ */
+const FRONT_MATTER_DELIMITER = '---';
+
+/**
+ * @description Creates an error describing a problem found in the parameter
+ * file, to be listed among the tool's diagnostics. The line number, if
+ * provided, is appended to the file's path in the manner of compilers.
+ *
+ * @param {string} paramFile Absolute path of the offending file
+ * @param {string} paramMessage Description of the problem
+ * @param {?number=} paramLine Line on which problem was found (optional)
+ * @returns {Error}
+ */
+const createProblem = function (paramFile, paramMessage, paramLine = null) {
+
+  // Declaration
+  let location;
+
+  // Definition
+  location = path.relative(ROOT, paramFile) +
+    ((paramLine != null) ? `:${paramLine}` : '');
+
+  return Object.assign(new Error(`${location}: ${paramMessage}`), {
+    isProblem: true,
+  });
+};
+
+/**
+ * @description Evaluates <code>app.js</code> in a sandbox, returning its
+ * <code>Module</code> object. As the script touches the DOM only once
+ * initialized, no browser globals are required to make use of its public
+ * validation and migration functions.
+ *
+ * @returns {object} Module
+ */
+const loadModule = function () {
+  return vm.runInNewContext(`${fs.readFileSync(APP_FILE, 'utf8')}\nModule;`,
+    {console: console}, {filename: APP_FILE});
+};
+
+/**
+ * @description Parses a single YAML scalar, i.e. the value following a key or
+ * list item hyphen. Double-quoted strings, single-quoted strings, booleans,
+ * <code>null</code>, numbers, and empty flow collections are recognized, and
+ * anything else is taken to be a plain string. Features of YAML beyond the
+ * subset used by the content sources, such as block scalars and anchors, are
+ * rejected rather than misread.
+ *
+ * @param {string} paramText Text of scalar
+ * @param {string} paramFile Absolute path of file being parsed
+ * @param {number} paramLine Line on which scalar appears
+ * @returns {*}
+ */
+const parseScalar = function (paramText, paramFile, paramLine) {
+  if (paramText.startsWith('"')) {
+    try {
+      return JSON.parse(paramText);
+    } catch (error) {
+      throw createProblem(paramFile, 'malformed double-quoted string',
+        paramLine);
+    }
+  }
+
+  if (paramText.startsWith('\'')) {
+    if (!/^'(?:[^']|'')*'$/.test(paramText)) {
+      throw createProblem(paramFile, 'malformed single-quoted string',
+        paramLine);
+    }
+
+    return paramText.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (paramText === '[]' || paramText === '{}') {
+    return (paramText === '[]') ? [] : {};
+  }
+
+  if (/^[[{|>&*!%@`]/.test(paramText)) {
+    throw createProblem(paramFile,
+      `unsupported YAML "${paramText}"; quote the value if it is a string`,
+      paramLine);
+  }
+
+  if (/^(?:true|false)$/.test(paramText)) {
+    return paramText === 'true';
+  }
+
+  if (/^(?:null|~)$/.test(paramText)) {
+    return null;
+  }
+
+  if (/^-?\d+(?:\.\d+)?$/.test(paramText)) {
+    return Number(paramText);
+  }
+
+  return paramText;
+};
+
+/**
+ * @description Parses the YAML mapping or sequence beginning at the parameter
+ * index of the array of lines, all of whose items are indented by the
+ * parameter number of spaces. An object containing the parsed value and the
+ * index of the first line beyond it is returned. List items opening with a
+ * key, i.e. <code>- title: Academic honors</code>, begin a mapping indented
+ * to the level of the key.
+ *
+ * @param {Array<object>} paramLines Lines, each with indent, text, and number
+ * @param {number} paramIndex Index of first line of block
+ * @param {number} paramIndent Indentation of block (spaces)
+ * @param {string} paramFile Absolute path of file being parsed
+ * @returns {object}
+ */
+const parseBlock = function (paramLines, paramIndex, paramIndent, paramFile) {
+
+  // Declarations
+  let isSequence, value, index, line, match, rest, child;
+
+  // Definitions
+  isSequence = /^-(?:\s|$)/.test(paramLines[paramIndex].text);
+  value = (isSequence) ? [] : {};
+  index = paramIndex;
+
+  while (index < paramLines.length) {
+    line = paramLines[index];
+
+    if (line.indent < paramIndent) {
+      break;
+    }
+
+    if (line.indent > paramIndent) {
+      throw createProblem(paramFile, 'unexpected indentation', line.number);
+    }
+
+    if (isSequence) {
+      // The list has ended if it was the value of a key at the same level
+      if (!/^-(?:\s|$)/.test(line.text)) {
+        break;
+      }
+
+      rest = line.text.slice(1).trimStart();
+
+      if (rest === '') {
+        child = (
+          index + 1 < paramLines.length &&
+          paramLines[index + 1].indent > paramIndent
+        )
+          ? parseBlock(paramLines, index + 1, paramLines[index + 1].indent,
+            paramFile)
+          : {value: null, index: index + 1};
+      } else if (/^[^\s"'][^:]*:(?:\s|$)/.test(rest)) {
+
+        // Treat the item's first key as the first line of a nested mapping
+        paramLines[index] = {
+          indent: paramIndent + line.text.length - rest.length,
+          text: rest,
+          number: line.number,
+        };
+        child = parseBlock(paramLines, index, paramLines[index].indent,
+          paramFile);
+      } else {
+        child = {
+          value: parseScalar(rest, paramFile, line.number),
+          index: index + 1,
+        };
+      }
+
+      value.push(child.value);
+      index = child.index;
+      continue;
+    }
+
+    match = line.text.match(/^([^\s"'#-][^:]*?):(?:\s+(.*))?$/);
+
+    if (match == null) {
+      throw createProblem(paramFile, 'expected "key: value"', line.number);
+    }
+
+    if (value.hasOwnProperty(match[1])) {
+      throw createProblem(paramFile, `duplicate key "${match[1]}"`,
+        line.number);
+    }
+
+    if (match[2] != null && match[2] !== '') {
+      child = {
+        value: parseScalar(match[2], paramFile, line.number),
+        index: index + 1,
+      };
+    } else if (
+      index + 1 < paramLines.length &&
+      (
+        paramLines[index + 1].indent > paramIndent ||
+        (
+          paramLines[index + 1].indent === paramIndent &&
+          /^-(?:\s|$)/.test(paramLines[index + 1].text)
+        )
+      )
+    ) {
+      child = parseBlock(paramLines, index + 1,
+        paramLines[index + 1].indent, paramFile);
+    } else {
+      child = {value: null, index: index + 1};
+    }
+
+    value[match[1]] = child.value;
+    index = child.index;
+  }
+
+  return {value: value, index: index};
+};
+
+/**
+ * @description Parses the parameter YAML text, i.e. a source file's front
+ * matter, returning the mapping it describes. Blank lines and comment lines
+ * are ignored, and tabs may not be used for indentation.
+ *
+ * @param {string} paramText YAML text
+ * @param {string} paramFile Absolute path of file being parsed
+ * @param {number} paramFirstLine Line of file on which text begins
+ * @returns {object}
+ */
+const parseYaml = function (paramText, paramFile, paramFirstLine) {
+
+  // Declarations
+  let lines, result;
+
+  // Definitions
+  lines = [];
+
+  paramText.split('\n').forEach((text, index) => {
+    if (/^\s*(?:#.*)?$/.test(text)) {
+      return;
+    }
+
+    if (/^ *\t/.test(text)) {
+      throw createProblem(paramFile, 'tabs may not be used for indentation',
+        paramFirstLine + index);
+    }
+
+    lines.push({
+      indent: text.length - text.trimStart().length,
+      text: text.trim(),
+      number: paramFirstLine + index,
+    });
+  });
+
+  if (!lines.length) {
+    return {};
+  }
+
+  result = parseBlock(lines, 0, lines[0].indent, paramFile);
+
+  if (result.index < lines.length) {
+    throw createProblem(paramFile, 'unexpected indentation',
+      lines[result.index].number);
+  }
+
+  if (typeof result.value !== 'object' || Array.isArray(result.value)) {
+    throw createProblem(paramFile, 'front matter must be a mapping',
+      paramFirstLine);
+  }
+
+  return result.value;
+};
+
+/**
+ * @description Reads the Markdown source file at the parameter path,
+ * returning an object containing its front matter, parsed as YAML, and the
+ * paragraphs of its body. Paragraphs are separated by blank lines, with the
+ * lines of each joined by spaces, so that long paragraphs may be wrapped.
+ *
+ * @param {string} paramFile Absolute path of source file
+ * @returns {object}
+ */
+const readSource = function (paramFile) {
+
+  // Declarations
+  let lines, end, attributes, body;
+
+  // Definitions
+  lines = fs.readFileSync(paramFile, 'utf8').replace(/\r\n?/g, '\n')
+    .split('\n');
+  attributes = {};
+  body = lines;
+
+  if (lines[0] === FRONT_MATTER_DELIMITER) {
+    end = lines.indexOf(FRONT_MATTER_DELIMITER, 1);
+
+    if (end === -1) {
+      throw createProblem(paramFile, 'front matter is never closed', 1);
+    }
+
+    attributes = parseYaml(lines.slice(1, end).join('\n'), paramFile, 2);
+    body = lines.slice(end + 1);
+  }
+
+  return {
+    attributes: attributes,
+    paragraphs: body.join('\n').split(/\n\s*\n/).map((paragraph) => {
+      return paragraph.split('\n').map((line) => line.trim()).join(' ').trim();
+    }).filter((paragraph) => paragraph !== ''),
+  };
+};
+
+/**
+ * @description Assembles the contents of the JSON file of the scene whose
+ * sources are found in the parameter directory, returning an object
+ * containing the contents and the source file from which each entry or essay
+ * section was built, so that problems found in them may be attributed to the
+ * file at fault. The scene's <code>index.md</code> supplies the front matter
+ * of the scene object itself and the paragraphs of its sidebar, while each
+ * remaining Markdown file becomes an entry or essay section.
+ *
+ * @param {string} paramDir Absolute path of scene's source directory
+ * @param {string} paramName Scene name
+ * @param {number} paramFormatVersion Format in which file is written
+ * @returns {object}
+ */
+const buildScene = function (paramDir, paramName, paramFormatVersion) {
+
+  // Declarations
+  let index, scene, entries, sections, entrySources, sectionSources, files;
+
+  // Definitions
+  index = readSource(path.join(paramDir, INDEX_NAME));
+  scene = index.attributes;
+  entries = [];
+  sections = [];
+  entrySources = [];
+  sectionSources = [];
+  files = fs.readdirSync(paramDir).filter((file) => {
+    return file.endsWith('.md') && file !== INDEX_NAME;
+  }).sort();
+
+  scene.aside = scene.aside || {};
+  scene.aside.summary = Object.assign({}, scene.aside.summary, {
+    paragraphs: index.paragraphs,
+  });
+  scene.article = scene.article || {};
+
+  files.forEach((file) => {
+
+    // Declaration
+    let source;
+
+    // Definition
+    source = readSource(path.join(paramDir, file));
+
+    if (source.attributes.hasOwnProperty('header')) {
+      if (source.paragraphs.length > 1) {
+        throw createProblem(path.join(paramDir, file),
+          'an entry\'s summary must be a single paragraph');
+      }
+
+      entries.push(Object.assign(source.attributes,
+        (source.paragraphs.length) ? {summary: source.paragraphs[0]} : {}));
+      entrySources.push(path.join(paramDir, file));
+    } else {
+      sections.push(Object.assign(source.attributes, {
+        paragraphs: source.paragraphs,
+      }));
+      sectionSources.push(path.join(paramDir, file));
+    }
+  });
+
+  if (entries.length) {
+    scene.article.entries = entries;
+  }
+
+  if (sections.length) {
+    scene.article.essaySections = sections;
+  }
+
+  return {
+    data: {
+      success: true,
+      formatVersion: paramFormatVersion,
+      data: {[paramName]: scene},
+    },
+    sources: entrySources.concat(sectionSources),
+    index: path.join(paramDir, INDEX_NAME),
+  };
+};
+
+/**
+ * @description Returns the source file responsible for the value at the
+ * parameter path of a built scene file, i.e. the file of the third entry for
+ * <code>data.awards.article.entries[2].start</code>, or the scene's
+ * <code>index.md</code> for any value not belonging to an entry or section.
+ *
+ * @param {object} paramBuilt Object returned by <code>buildScene</code>
+ * @param {string} paramPath JSON path of value
+ * @returns {string}
+ */
+const getSourceOfPath = function (paramBuilt, paramPath) {
+
+  // Declarations
+  let match, entries;
+
+  // Definitions
+  match = paramPath.match(/\.article\.(entries|essaySections)\[(\d+)\]/);
+  entries = Object.values(paramBuilt.data.data)[0].article.entries || [];
+
+  if (match == null) {
+    return paramBuilt.index;
+  }
+
+  return paramBuilt.sources[Number(match[2]) +
+    ((match[1] === 'essaySections') ? entries.length : 0)] || paramBuilt.index;
+};
+
+/**
+ * @description Formats a schema violation returned by
+ * <code>Module.validate</code> in the same manner as the browser does when
+ * reporting invalid files, substituting the parameter file for the address
+ * of the file in which it was found.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @param {string} paramFile Absolute path of offending file
+ * @param {object} paramViolation Violation returned by validation
+ * @returns {Error}
+ */
+const describeViolation = function (paramModule, paramFile, paramViolation) {
+  return createProblem(paramFile, paramModule.getText().SCHEMA_VIOLATION
+    .replace('$1: ', '')
+    .replace('$2', paramViolation.expected)
+    .replace('$3', paramViolation.path)
+    .replace('$4', paramViolation.found));
+};
+
+/**
+ * @description Returns an array of the directories of <code>content/</code>
+ * holding the sources of scenes, each described by an object containing its
+ * path, scene name, and language, if not the default. Directories named for
+ * a language are searched for translated scenes.
+ *
+ * @returns {Array<object>}
+ */
+const findSceneDirs = function () {
+
+  // Declaration
+  let dirs;
+
+  // Definition
+  dirs = [];
+
+  if (!fs.existsSync(CONTENT_DIR)) {
+    return dirs;
+  }
+
+  [[CONTENT_DIR, null]].concat(fs.readdirSync(CONTENT_DIR).filter((name) => {
+    return LOCALE_PATTERN.test(name);
+  }).map((name) => [path.join(CONTENT_DIR, name), name])).forEach((pair) => {
+    fs.readdirSync(pair[0]).sort().forEach((name) => {
+      if (
+        !LOCALE_PATTERN.test(name) &&
+        fs.existsSync(path.join(pair[0], name, INDEX_NAME))
+      ) {
+        dirs.push({dir: path.join(pair[0], name), name: name, locale: pair[1]});
+      }
+    });
+  });
+
+  return dirs;
+};
+
+/**
+ * @description The <code>build</code> command, which builds the JSON file of
+ * each scene in <code>content/</code>, or of only those scenes named, in the
+ * present content format. Each file is validated before being written, and
+ * files found to be invalid are left untouched.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @param {Array<string>} paramNames Names of scenes to build, if not all
+ * @returns {Array<Error>} problems
+ */
+const build = function (paramModule, paramNames) {
+
+  // Declarations
+  let problems, dirs;
+
+  // Definitions
+  problems = [];
+  dirs = findSceneDirs().filter((scene) => {
+    return !paramNames.length || paramNames.includes(scene.name);
+  });
+
+  paramNames.filter((name) => {
+    return !dirs.some((scene) => scene.name === name);
+  }).forEach((name) => {
+    problems.push(createProblem(path.join(CONTENT_DIR, name),
+      `no scene named "${name}"`));
+  });
+
+  dirs.forEach((scene) => {
+
+    // Declarations
+    let built, violations, output;
+
+    // Definitions
+    output = path.join(JSON_DIR, scene.locale || '', `${scene.name}.json`);
+
+    if (!SCENE_PATTERN.test(scene.name)) {
+      problems.push(createProblem(scene.dir,
+        'scene names may contain only lowercase letters'));
+      return;
+    }
+
+    try {
+      built = buildScene(scene.dir, scene.name,
+        paramModule.getUtility().FORMAT_VERSION);
+    } catch (error) {
+      if (!error.isProblem) {
+        throw error;
+      }
+
+      problems.push(error);
+      return;
+    }
+
+    violations = paramModule.validate(built.data, scene.name);
+
+    if (violations.length) {
+      violations.forEach((violation) => {
+        problems.push(describeViolation(paramModule,
+          getSourceOfPath(built, violation.path), violation));
+      });
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(output), {recursive: true});
+    fs.writeFileSync(output, JSON.stringify(built.data, null, 2));
+    console.log(`Built ${path.relative(ROOT, output)}`);
+  });
+
+  return problems;
+};
+
+/**
+ * @description Reads, migrates, and validates the JSON file at the parameter
+ * path, returning an object containing its migrated contents, or
+ * <code>null</code> if it could not be read, and any problems found.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @param {string} paramFile Absolute path of JSON file
+ * @param {string} paramName "data" or scene name
+ * @returns {object}
+ */
+const checkFile = function (paramModule, paramFile, paramName) {
+
+  // Declaration
+  let data;
+
+  try {
+    data = paramModule.migrate(JSON.parse(fs.readFileSync(paramFile, 'utf8')),
+      paramName);
+  } catch (error) {
+    return {
+      data: null,
+      problems: [createProblem(paramFile, error.message.replace(/^json\/\S+: /,
+        ''))],
+    };
+  }
+
+  return {
+    data: data,
+    problems: paramModule.validate(data, paramName).map((violation) => {
+      return describeViolation(paramModule, paramFile, violation);
+    }),
+  };
+};
+
+/**
+ * @description Confirms that the images referenced by the parameter contents
+ * of <code>data.json</code> exist, namely the header logo, the icon of each
+ * footer link, and the panel image pair and avatar of each scene listed in
+ * <code>home.array</code>, and that each such scene has its JSON file.
+ *
+ * @param {object} paramData Migrated contents of <code>data.json</code>
+ * @param {string} paramFile Absolute path of <code>data.json</code>
+ * @returns {Array<Error>} problems
+ */
+const checkReferences = function (paramData, paramFile) {
+
+  // Declarations
+  let problems, requireImage;
+
+  // Definitions
+  problems = [];
+  requireImage = (paramImage, paramUse) => {
+    if (!fs.existsSync(path.join(IMAGES_DIR, paramImage))) {
+      problems.push(createProblem(paramFile,
+        `images/${paramImage} (${paramUse}) does not exist`));
+    }
+  };
+
+  requireImage(paramData.data.header.image.src, 'logo');
+
+  paramData.data.footer.connect.array.forEach((link) => {
+    requireImage(`${link.text.toLowerCase()}.svg`, `icon of "${link.text}"`);
+  });
+
+  paramData.data.home.array.forEach((scene) => {
+
+    // The homepage is built from data.json alone
+    if (scene.handler === 'buildHome') {
+      return;
+    }
+
+    if (!fs.existsSync(path.join(JSON_DIR, `${scene.name}.json`))) {
+      problems.push(createProblem(paramFile,
+        `scene "${scene.name}" has no file "json/${scene.name}.json"`));
+    }
+
+    if (scene.picture == null) {
+      problems.push(createProblem(paramFile,
+        `scene "${scene.name}" has no panel images`));
+    } else {
+      requireImage(scene.picture.normal, `panel of "${scene.name}"`);
+      requireImage(scene.picture.mobile, `mobile panel of "${scene.name}"`);
+    }
+
+    requireImage(`${scene.name}.webp`, `avatar of "${scene.name}"`);
+  });
+
+  return problems;
+};
+
+/**
+ * @description The <code>check</code> command, which validates each JSON file
+ * of <code>static/json/</code> and its translations, and confirms that the
+ * scenes and images referenced by <code>data.json</code> exist, before
+ * proofreading the scene files via <code>lint</code>.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @returns {Array<Error>} problems
+ */
+const check = function (paramModule) {
+
+  // Declarations
+  let problems, files, data;
+
+  // Definitions
+  problems = [];
+  files = [JSON_DIR].concat(fs.readdirSync(JSON_DIR).filter((name) => {
+    return LOCALE_PATTERN.test(name);
+  }).map((name) => path.join(JSON_DIR, name))).reduce((list, dir) => {
+    return list.concat(fs.readdirSync(dir).filter((file) => {
+      return file.endsWith('.json');
+    }).sort().map((file) => path.join(dir, file)));
+  }, []);
+
+  files.forEach((file) => {
+
+    // Declaration
+    let result;
+
+    // Definition
+    result = checkFile(paramModule, file, path.basename(file, '.json'));
+
+    problems.push(...result.problems);
+
+    if (file === path.join(JSON_DIR, 'data.json')) {
+      data = result;
+    }
+  });
+
+  if (data == null) {
+    problems.push(createProblem(path.join(JSON_DIR, 'data.json'),
+      'file does not exist'));
+  } else if (data.data != null && !data.problems.length) {
+    problems.push(...checkReferences(data.data,
+      path.join(JSON_DIR, 'data.json')));
+  }
+
+  // The copy is proofread as well, as it is deployed along with the files
+  problems.push(...lint());
+
+  if (!problems.length) {
+    console.log(`Checked ${files.length} files`);
+  }
+
+  return problems;
+};
+
+/**
+ * @description Escapes the characters of the parameter string that have
+ * special meaning in regular expressions, so that the string may be matched
+ * literally.
+ *
+ * @param {string} paramString String to escape
+ * @returns {string}
+ */
+const escapeRegExp = function (paramString) {
+  return paramString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * @description Returns the parameter replacement in the case of the parameter
+ * original word, i.e. "Eyeshade" for "Eyesahde" but "eyeshade" for
+ * "eyesahde," so that suggestions may be pasted in as they are.
+ *
+ * @param {string} paramOriginal Word as written
+ * @param {string} paramReplacement Suggested word
+ * @returns {string}
+ */
+const matchCase = function (paramOriginal, paramReplacement) {
+  if (paramOriginal === paramOriginal.toUpperCase()) {
+    return paramReplacement.toUpperCase();
+  }
+
+  return (/^[A-Z]/.test(paramOriginal))
+    ? paramReplacement.charAt(0).toUpperCase() + paramReplacement.slice(1)
+    : paramReplacement;
+};
+
+/**
+ * @description Returns the typographic counterpart of the straight quote at
+ * the parameter index of the parameter text. Quotes following a letter,
+ * digit, or punctuation mark close a quotation or form an apostrophe, i.e.
+ * "I’m," while all others open a quotation.
+ *
+ * @param {string} paramText Text containing quote
+ * @param {number} paramIndex Index of quote
+ * @returns {string}
+ */
+const getTypographicQuote = function (paramText, paramIndex) {
+
+  // Declaration
+  let isClosing;
+
+  // Definition
+  isClosing = /[\w.,!?;:)\]’”]/.test(paramText.charAt(paramIndex - 1));
+
+  return (paramText[paramIndex] === '"')
+    ? (isClosing) ? '”' : '“'
+    : (isClosing) ? '’' : '‘';
+};
+
+/**
+ * @description Proofreads the parameter string as per the parameter
+ * configuration, returning an array of descriptions of each problem found,
+ * each offering a suggested correction. The contents of code spans and the
+ * addresses of links written in the site's inline markup are disregarded, as
+ * these are not prose.
+ *
+ * @param {string} paramText String to proofread
+ * @param {object} paramConfig Parsed contents of <code>lint.json</code>
+ * @returns {Array<string>} problems
+ */
+const lintString = function (paramText, paramConfig) {
+
+  // Declarations
+  let problems, rules, text, allowed, repeats;
+
+  // Definitions
+  problems = [];
+  rules = paramConfig.rules || {};
+  allowed = (paramConfig.allowedWords || []).map((word) => {
+    return word.toLowerCase();
+  });
+  repeats = (paramConfig.allowedRepeats || []).map((words) => {
+    return words.toLowerCase();
+  });
+
+  // Disregard the contents of code spans and the addresses of links
+  text = paramText.replace(/`[^`]*`/g, '``').replace(/\]\([^)]*\)/g, ']');
+
+  if (rules.repeatedWords) {
+    for (let match of text.matchAll(/\b([\w’']+)\s+\1\b/gi)) {
+      if (
+        !repeats.includes(match[0].toLowerCase().replace(/\s+/, ' ')) &&
+        !allowed.includes(match[1].toLowerCase())
+      ) {
+        problems.push(`"${match[0]}" repeats a word; use "${match[1]}"`);
+      }
+    }
+  }
+
+  if (rules.misspellings) {
+    for (let match of text.matchAll(/[A-Za-z]+/g)) {
+
+      // Declaration
+      let correction;
+
+      // Definition
+      correction = (paramConfig.misspellings || {})[match[0].toLowerCase()];
+
+      if (correction != null && !allowed.includes(match[0].toLowerCase())) {
+        problems.push(`"${match[0]}" is misspelled; use ` +
+          `"${matchCase(match[0], correction)}"`);
+      }
+    }
+  }
+
+  if (rules.doubleSpaces) {
+    for (let match of text.matchAll(/(\S*) {2,}(\S*)/g)) {
+      problems.push(`double space in "${match[0]}"; use ` +
+        `"${match[1]} ${match[2]}"`);
+    }
+  }
+
+  if (rules.straightQuotes) {
+    for (let match of text.matchAll(/\S*["']\S*/g)) {
+      problems.push(`straight quote in "${match[0]}"; use "` +
+        match[0].replace(/["']/g, (quote, offset) => {
+          return getTypographicQuote(text, match.index + offset);
+        }) + '"');
+    }
+  }
+
+  // Abbreviated years take an apostrophe, i.e. "’16," not an opening quote
+  if (rules.elisionQuotes) {
+    for (let match of text.matchAll(/\S*‘\d\S*/g)) {
+      problems.push(`opening quote in "${match[0]}"; use "` +
+        match[0].replace(/‘(?=\d)/g, '’') + '"');
+    }
+  }
+
+  if (rules.preferredTerms) {
+    (paramConfig.preferredTerms || []).forEach((term) => {
+
+      // Declaration
+      let pattern;
+
+      // Definition
+      pattern = new RegExp(`\\b${escapeRegExp(term)}\\b`, 'gi');
+
+      for (let match of text.matchAll(pattern)) {
+        if (match[0] !== term) {
+          problems.push(`"${match[0]}" is inconsistently capitalized; use ` +
+            `"${term}"`);
+        }
+      }
+    });
+  }
+
+  (paramConfig.customRules || []).forEach((rule) => {
+
+    // Declaration
+    let flags;
+
+    // Definition
+    flags = rule.flags || '';
+
+    for (let match of text.matchAll(new RegExp(rule.pattern,
+        (flags.includes('g')) ? flags : `${flags}g`))) {
+      problems.push(`"${match[0]}": ${rule.message}` +
+        ((rule.suggestion != null) ? `; use "${rule.suggestion}"` : ''));
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * @description Invokes the parameter callback for each string found within
+ * the parameter value, passing the string and its JSON path, i.e.
+ * "data.awards.article.entries[0].summary."
+ *
+ * @param {*} paramValue Value to search
+ * @param {string} paramPath JSON path of value
+ * @param {function} paramCallback Function to invoke for each string
+ * @returns {void}
+ */
+const forEachString = function (paramValue, paramPath, paramCallback) {
+  if (typeof paramValue === 'string') {
+    paramCallback(paramValue, paramPath);
+  } else if (Array.isArray(paramValue)) {
+    paramValue.forEach((item, index) => {
+      forEachString(item, `${paramPath}[${index}]`, paramCallback);
+    });
+  } else if (paramValue != null && typeof paramValue === 'object') {
+    Object.keys(paramValue).forEach((key) => {
+      forEachString(paramValue[key], (paramPath !== '')
+        ? `${paramPath}.${key}`
+        : key, paramCallback);
+    });
+  }
+};
+
+/**
+ * @description The <code>lint</code> command, which proofreads every string
+ * of each scene file of <code>static/json/</code> and its translations as
+ * configured in <code>content/lint.json</code>. As <code>data.json</code>
+ * consists largely of addresses and names rather than prose, it is not
+ * proofread.
+ *
+ * @returns {Array<Error>} problems
+ */
+const lint = function () {
+
+  // Declarations
+  let problems, config, files;
+
+  // Definitions
+  problems = [];
+
+  try {
+    config = JSON.parse(fs.readFileSync(LINT_CONFIG, 'utf8'));
+  } catch (error) {
+    return [createProblem(LINT_CONFIG, error.message)];
+  }
+
+  files = [JSON_DIR].concat(fs.readdirSync(JSON_DIR).filter((name) => {
+    return LOCALE_PATTERN.test(name);
+  }).map((name) => path.join(JSON_DIR, name))).reduce((list, dir) => {
+    return list.concat(fs.readdirSync(dir).filter((file) => {
+      return file.endsWith('.json') && file !== 'data.json';
+    }).sort().map((file) => path.join(dir, file)));
+  }, []);
+
+  files.forEach((file) => {
+
+    // Declaration
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      problems.push(createProblem(file, error.message));
+      return;
+    }
+
+    forEachString(data, '', (string, path) => {
+      lintString(string, config).forEach((message) => {
+        problems.push(createProblem(file, `${path}: ${message}`));
+      });
+    });
+  });
+
+  if (!problems.length) {
+    console.log(`Proofread ${files.length} files`);
+  }
+
+  return problems;
+};
+
+/**
+ * @description Formats the parameter value as a YAML scalar that
+ * <code>parseScalar</code> reads back unchanged, quoting strings that would
+ * otherwise be read as numbers, booleans, or structure.
+ *
+ * @param {*} paramValue String, number, or boolean
+ * @returns {string}
+ */
+const formatScalar = function (paramValue) {
+  if (typeof paramValue !== 'string') {
+    return String(paramValue);
+  }
+
+  return (
+    paramValue === '' ||
+    /^\s|\s$|: |:$| #/.test(paramValue) ||
+    /^[-?:,[\]{}#&*!|>'"%@`~]/.test(paramValue) ||
+    parseScalar(paramValue, null, null) !== paramValue
+  )
+    ? JSON.stringify(paramValue)
+    : paramValue;
+};
+
+/**
+ * @description Formats the parameter mapping as YAML of the subset read by
+ * <code>parseYaml</code>, indented by the parameter number of spaces. Lists
+ * of mappings are written with each mapping's first key on the line of its
+ * hyphen, as in the existing sources.
+ *
+ * @param {object} paramObject Mapping to format
+ * @param {number} paramIndent Indentation (spaces)
+ * @returns {string}
+ */
+const formatYaml = function (paramObject, paramIndent = 0) {
+
+  // Declaration
+  let indent;
+
+  // Definition
+  indent = ' '.repeat(paramIndent);
+
+  return Object.keys(paramObject).map((key) => {
+
+    // Declaration
+    let value;
+
+    // Definition
+    value = paramObject[key];
+
+    if (Array.isArray(value)) {
+      return `${indent}${key}:\n` + value.map((item) => {
+        return (item != null && typeof item === 'object')
+          ? `${indent}  - ` + formatYaml(item, paramIndent + 4).trimStart()
+          : `${indent}  - ${formatScalar(item)}\n`;
+      }).join('');
+    }
+
+    if (value != null && typeof value === 'object') {
+      return `${indent}${key}:\n` + formatYaml(value, paramIndent + 2);
+    }
+
+    return `${indent}${key}: ${formatScalar(value)}\n`;
+  }).join('');
+};
+
+/**
+ * @description Returns the Markdown source of the parameter front matter and
+ * body paragraphs, omitting the front matter if empty.
+ *
+ * @param {object} paramAttributes Front matter
+ * @param {Array<string>} paramParagraphs Paragraphs of body
+ * @returns {string}
+ */
+const formatSource = function (paramAttributes, paramParagraphs) {
+  return ((Object.keys(paramAttributes).length)
+    ? `${FRONT_MATTER_DELIMITER}\n${formatYaml(paramAttributes)}` +
+      `${FRONT_MATTER_DELIMITER}\n`
+    : '') +
+    ((paramParagraphs.length) ? `\n${paramParagraphs.join('\n\n')}\n` : '');
+};
+
+/**
+ * @description Returns the file name slug of the parameter text, i.e.
+ * "university-of-maryland" for "University of Maryland University College,"
+ * consisting of as many of its words as fit in 30 characters.
+ *
+ * @param {string} paramText Text to abbreviate
+ * @returns {string}
+ */
+const getSlug = function (paramText) {
+  return paramText.toLowerCase().normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').split('-')
+    .reduce((words, word, index) => {
+      return (
+        words.length === index &&
+        (!index || words.join('-').length + word.length <= 30)
+      ) ? words.concat(word) : words;
+    }, []).join('-');
+};
+
+/**
+ * @description Replaces the entry sources of the scene of the parameter name
+ * in <code>content/</code> with a file per entry of the parameter scene
+ * object, leaving its <code>index.md</code> and any essay sections as they
+ * are. Scenes without sources are given an <code>index.md</code> built from
+ * the scene object's sidebar and article.
+ *
+ * @param {string} paramName Scene name
+ * @param {object} paramScene Scene object of converted file
+ * @returns {void}
+ */
+const writeSceneSources = function (paramName, paramScene) {
+
+  // Declarations
+  let dir, index, attributes, paragraphs;
+
+  // Definitions
+  dir = path.join(CONTENT_DIR, paramName);
+  index = path.join(dir, INDEX_NAME);
+
+  fs.mkdirSync(dir, {recursive: true});
+
+  if (!fs.existsSync(index)) {
+    attributes = JSON.parse(JSON.stringify({
+      aside: paramScene.aside,
+      article: paramScene.article,
+    }));
+
+    paragraphs = (attributes.aside.summary || {}).paragraphs || [];
+    delete attributes.article.entries;
+    delete (attributes.aside.summary || {}).paragraphs;
+
+    if (!Object.keys(attributes.aside.summary || {}).length) {
+      delete attributes.aside.summary;
+    }
+
+    fs.writeFileSync(index, formatSource(attributes, paragraphs));
+  }
+
+  fs.readdirSync(dir).filter((file) => {
+    return file.endsWith('.md') && file !== INDEX_NAME &&
+      readSource(path.join(dir, file)).attributes.hasOwnProperty('header');
+  }).forEach((file) => {
+    fs.unlinkSync(path.join(dir, file));
+  });
+
+  paramScene.article.entries.forEach((entry, position) => {
+
+    // Declaration
+    let front;
+
+    // Definition
+    front = Object.assign({}, entry);
+    delete front.summary;
+
+    fs.writeFileSync(path.join(dir, String(position + 1).padStart(2, '0') +
+      `-${getSlug(entry.header) || paramName}.md`),
+    formatSource(front, (entry.summary) ? [entry.summary] : []));
+  });
+};
+
+/**
+ * @description Reads, migrates, and validates <code>data.json</code> and the
+ * file of each scene it lists, returning an object containing the contents of
+ * each file by name and any problems found.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @returns {object}
+ */
+const readSiteFiles = function (paramModule) {
+
+  // Declarations
+  let files, problems, data;
+
+  // Definitions
+  files = {};
+  problems = [];
+  data = checkFile(paramModule, path.join(JSON_DIR, 'data.json'), 'data');
+
+  problems.push(...data.problems);
+
+  if (data.data == null) {
+    return {files: files, problems: problems};
+  }
+
+  files.data = data.data;
+
+  data.data.data.home.array.forEach((scene) => {
+
+    // Declarations
+    let file, result;
+
+    // Definition
+    file = path.join(JSON_DIR, `${scene.name}.json`);
+
+    if (scene.handler === 'buildHome' || !fs.existsSync(file)) {
+      return;
+    }
+
+    result = checkFile(paramModule, file, scene.name);
+    problems.push(...result.problems);
+    files[scene.name] = result.data;
+  });
+
+  return {files: files, problems: problems};
+};
+
+/**
+ * @description The <code>export-resume</code> command, which converts the
+ * site's career data into a JSON Resume, written to the parameter file or to
+ * standard output. Fields left out of the resume are listed on standard
+ * error.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @param {?string} paramOutput Path of file to write, if any
+ * @returns {Promise<Array<Error>>} problems
+ */
+const exportResume = function (paramModule, paramOutput) {
+
+  // Declaration
+  let site;
+
+  // Definition
+  site = readSiteFiles(paramModule);
+
+  if (site.problems.length) {
+    return Promise.resolve(site.problems);
+  }
+
+  return paramModule.toJsonResume(site.files).then((result) => {
+
+    // Declaration
+    let json;
+
+    // Definition
+    json = `${JSON.stringify(result.resume, null, 2)}\n`;
+
+    result.unmapped.forEach((message) => {
+      console.warn(message);
+    });
+
+    if (paramOutput == null) {
+      process.stdout.write(json);
+    } else {
+      fs.writeFileSync(path.resolve(paramOutput), json);
+      console.warn(`Exported ${paramOutput}`);
+    }
+
+    return [];
+  });
+};
+
+/**
+ * @description The <code>import-resume</code> command, which converts the
+ * JSON Resume of the parameter file into the site's files. The updated
+ * <code>data.json</code> is validated and written, while the entries of each
+ * affected scene are written as sources to <code>content/</code> and built.
+ * Fields left out of the site's files are listed.
+ *
+ * @param {object} paramModule Module object of <code>app.js</code>
+ * @param {string} paramInput Path of JSON Resume file
+ * @returns {Promise<Array<Error>>} problems
+ */
+const importResume = function (paramModule, paramInput) {
+
+  // Declarations
+  let resume, site, file;
+
+  // Definition
+  file = path.resolve(paramInput);
+
+  try {
+    resume = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return Promise.resolve([createProblem(file, error.message)]);
+  }
+
+  site = readSiteFiles(paramModule);
+
+  if (site.problems.length) {
+    return Promise.resolve(site.problems);
+  }
+
+  return paramModule.fromJsonResume(resume, site.files).then((result) => {
+
+    // Declarations
+    let problems, names, output;
+
+    // Definitions
+    problems = [];
+    names = Object.keys(result.files).filter((name) => name !== 'data');
+    output = path.join(JSON_DIR, 'data.json');
+
+    result.unmapped.forEach((message) => {
+      console.warn(message);
+    });
+
+    if (result.files.data != null) {
+      problems.push(...paramModule.validate(result.files.data, 'data')
+        .map((violation) => {
+          return describeViolation(paramModule, output, violation);
+        }));
+
+      if (!problems.length) {
+        fs.writeFileSync(output, JSON.stringify(result.files.data, null, 2));
+        console.log(`Updated ${path.relative(ROOT, output)}`);
+      }
+    }
+
+    names.forEach((name) => {
+      writeSceneSources(name, result.files[name].data[name]);
+    });
+
+    return problems.concat((names.length) ? build(paramModule, names) : []);
+  });
+};
+
+/**
+ * @description Runs the command named by the parameter arguments, listing
+ * any problems found and setting the exit status accordingly: 0 on success,
+ * 1 if problems were found, and 2 if the command was not understood.
+ *
+ * @param {Array<string>} paramArgs Command-line arguments
+ * @returns {void}
+ */
+const main = function (paramArgs) {
+
+  // Declarations
+  let command, result;
+
+  // Definitions
+  command = paramArgs[0];
+
+  if (command === 'build') {
+    result = build(loadModule(), paramArgs.slice(1));
+  } else if (command === 'check' && paramArgs.length === 1) {
+    result = check(loadModule());
+  } else if (command === 'lint' && paramArgs.length === 1) {
+    result = lint();
+  } else if (command === 'export-resume' && paramArgs.length <= 2) {
+    result = exportResume(loadModule(), paramArgs[1] || null);
+  } else if (command === 'import-resume' && paramArgs.length === 2) {
+    result = importResume(loadModule(), paramArgs[1]);
+  } else {
+    console.error('Usage: node tools/content.js build [scene ...]\n' +
+      '       node tools/content.js check\n' +
+      '       node tools/content.js lint\n' +
+      '       node tools/content.js export-resume [file]\n' +
+      '       node tools/content.js import-resume <file>');
+    process.exitCode = 2;
+    return;
+  }
+
+  // Conversions between formats complete asynchronously
+  Promise.resolve(result).then((problems) => {
+    problems.forEach((problem) => {
+      console.error(problem.message);
+    });
+
+    if (problems.length) {
+      console.error(`${problems.length} problem` +
+        `${(problems.length === 1) ? '' : 's'} found`);
+      process.exitCode = 1;
+    }
+  });
+};
+
+main(process.argv.slice(2));
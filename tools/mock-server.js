@@ -0,0 +1,249 @@
+/**
+ * @file mock-server.js
+ * @fileoverview A local development server mimicking a headless CMS, used to
+ * try out the <code>REST</code> content source of <code>app.js</code> without
+ * deploying a content API.
+ * @author Andrew Eissen
+ */
+'use strict';
+
+/*
+ * @description The server serves the contents of <code>static/</code> as is,
+ * save for <code>index.html</code>, whose <code>Module.init</code> call is
+ * amended so as to load the site's content from the <code>REST</code> source.
+ * Requests for <code>/api/content/&lt;name&gt;?locale=&lt;locale&gt;</code>
+ * are answered with the contents of the corresponding JSON file, or of its
+ * translation if one exists, reshaped into a CMS-style entry whose fields are
+ * named differently from those of the JSON files. The site is thereby built
+ * only if the field mapping of <code>ContentSources.REST</code> correctly
+ * converts each entry back into the normalized form.
+ * <br />
+ * <br />
+ * Usage: <code>node tools/mock-server.js [port]</code>, after which the site
+ * may be viewed at <code>http://localhost:8081</code> by default.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * @description Directory of the site's files
+ *
+ * @const
+ */
+const ROOT = path.join(__dirname, '..', 'static');
+
+/**
+ * @description Port on which the server listens unless otherwise specified
+ *
+ * @const
+ */
+const DEFAULT_PORT = 8081;
+
+/**
+ * @description Pattern matching content API requests, capturing the name of
+ * the requested entry
+ *
+ * @const
+ */
+const API_PATTERN = /^\/api\/content\/([a-z]+)$/;
+
+/**
+ * @description Pattern matching valid language codes, i.e. "en" or "de"
+ *
+ * @const
+ */
+const LOCALE_PATTERN = /^[a-z]{2}$/;
+
+/**
+ * @description Content types of the files served, by extension
+ *
+ * @readonly
+ * @const
+ */
+const TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+});
+
+/**
+ * @description Sends the parameter object as a JSON response of the parameter
+ * status code.
+ *
+ * @param {http.ServerResponse} paramResponse Response to be sent
+ * @param {number} paramStatus HTTP status code
+ * @param {object} paramBody Object to be serialized
+ * @returns {void}
+ */
+const sendJson = function (paramResponse, paramStatus, paramBody) {
+  paramResponse.writeHead(paramStatus, {'Content-Type': TYPES['.json']});
+  paramResponse.end(JSON.stringify(paramBody));
+};
+
+/**
+ * @description Reads the JSON file of the parameter name in the parameter
+ * language, falling back to the default language's version if no translation
+ * exists. <code>null</code> is returned if neither file exists.
+ *
+ * @param {string} paramName "data" or scene name
+ * @param {string} paramLocale Language code
+ * @returns {?object}
+ */
+const readContent = function (paramName, paramLocale) {
+
+  // Declaration
+  let file;
+
+  // Definition
+  file = [
+    path.join(ROOT, 'json', paramLocale, `${paramName}.json`),
+    path.join(ROOT, 'json', `${paramName}.json`),
+  ].find((candidate) => fs.existsSync(candidate));
+
+  return (file != null) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+/**
+ * @description Reshapes the contents of the JSON file of the parameter name
+ * into a CMS-style entry, renaming the fields mapped by
+ * <code>ContentSources.REST</code> in <code>app.js</code>.
+ *
+ * @param {string} paramName "data" or scene name
+ * @param {string} paramLocale Language code
+ * @param {object} paramFile Parsed contents of JSON file
+ * @returns {object}
+ */
+const toEntry = function (paramName, paramLocale, paramFile) {
+
+  // Declaration
+  let attributes;
+
+  // Definition
+  attributes = (paramName === 'data')
+    ? {
+      branding: paramFile.data.header,
+      navigation: paramFile.data.home,
+      details: paramFile.data.details,
+      footer: paramFile.data.footer,
+    }
+    : {
+      sidebar: paramFile.data[paramName].aside,
+      body: paramFile.data[paramName].article,
+    };
+
+  return {
+    data: {
+      slug: paramName,
+      locale: paramLocale,
+      attributes: attributes,
+    },
+  };
+};
+
+/**
+ * @description Answers a content API request for the entry of the parameter
+ * name, responding with a 404 error object if no such entry exists.
+ *
+ * @param {http.ServerResponse} paramResponse Response to be sent
+ * @param {string} paramName Requested entry name
+ * @param {string} paramLocale Requested language code
+ * @returns {void}
+ */
+const handleApiRequest = function (paramResponse, paramName, paramLocale) {
+
+  // Declaration
+  let file;
+
+  // Definition
+  file = readContent(paramName, paramLocale);
+
+  if (file == null) {
+    sendJson(paramResponse, 404, {
+      error: {status: 404, message: `No entry named "${paramName}"`},
+    });
+    return;
+  }
+
+  sendJson(paramResponse, 200, toEntry(paramName, paramLocale, file));
+};
+
+/**
+ * @description Serves the file at the parameter pathname from
+ * <code>static/</code>, amending <code>index.html</code> so that the site
+ * loads its content from the mock API.
+ *
+ * @param {http.ServerResponse} paramResponse Response to be sent
+ * @param {string} paramPathname Requested pathname
+ * @returns {void}
+ */
+const handleFileRequest = function (paramResponse, paramPathname) {
+
+  // Declarations
+  let file, body;
+
+  // Definition
+  file = path.join(ROOT,
+    (paramPathname === '/') ? 'index.html' : paramPathname);
+
+  // Refuse paths escaping the site's directory or naming directories
+  if (
+    !file.startsWith(ROOT + path.sep) ||
+    !fs.existsSync(file) ||
+    fs.statSync(file).isDirectory()
+  ) {
+    paramResponse.writeHead(404);
+    paramResponse.end('Not found');
+    return;
+  }
+
+  body = fs.readFileSync(file);
+
+  if (path.basename(file) === 'index.html') {
+    body = body.toString('utf8')
+      .replace('Module.init()', 'Module.init(\'REST\')');
+  }
+
+  paramResponse.writeHead(200, {
+    'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream',
+  });
+  paramResponse.end(body);
+};
+
+http.createServer((request, response) => {
+
+  // Declarations
+  let url, match, locale, pathname;
+
+  // Definitions
+  url = new URL(request.url, 'http://localhost');
+  match = url.pathname.match(API_PATTERN);
+
+  if (request.method !== 'GET') {
+    response.writeHead(405);
+    response.end();
+  } else if (match != null) {
+    locale = url.searchParams.get('locale');
+    handleApiRequest(response, match[1],
+      (LOCALE_PATTERN.test(locale)) ? locale : 'en');
+  } else {
+
+    // Refuse malformed percent-encoding, i.e. "/%E0%A4%A"
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+      response.writeHead(400);
+      response.end('Bad request');
+      return;
+    }
+
+    handleFileRequest(response, pathname);
+  }
+}).listen(Number(process.argv[2]) || DEFAULT_PORT, function () {
+  console.log(`Mock content server listening on port ${this.address().port}`);
+});